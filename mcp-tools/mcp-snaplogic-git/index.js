@@ -11,11 +11,108 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import fetch from 'node-fetch';
+import { readFileSync } from 'fs';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  CacheStore,
+  ConflictError,
+  GRAPH_FORMATS,
+  GitHubAuthRequiredError,
+  NotFoundError,
+  PipelineValidator,
+  ProfileRegistry,
+  SchemaCache,
+  SnapLogicApiError,
+  SnapLogicClient,
+  SnapValidator,
+  buildPipelineGraph,
+  clientOptionsFromEnv,
+  declaredParameters,
+  extractAccountRefs,
+  formatPipeline,
+  formatPipelineGraph,
+  formatSecretFindings,
+  redact,
+  relativeAccountPath,
+  requireProfileFields,
+  resolveAccountRefs,
+  resolveCredentials,
+  scanPlaintextSecrets,
+  summarizeAccountRefs,
+  summarizePipelineGraph
+} from 'snaplogic-common';
+import {
+  LOG_LEVELS,
+  RUN_MODES,
+  formatLogEntry,
+  formatRunSummary,
+  isTerminalState,
+  normalizeLogEntries,
+  summarizeRuntime
+} from './runtime.js';
+import {
+  TASK_KINDS,
+  buildTaskDocument,
+  checkSchedule,
+  formatTask,
+  invocationUrl,
+  normalizeRuns,
+  normalizeTask
+} from './tasks.js';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Used when .snaplogic-config.json has no sync section
+const DEFAULT_SYNC_SETTINGS = {
+  auto_commit: false,
+  commit_prefix: '',
+  validate_before_push: true
+};
+
+// Asset types list_assets and export_project filter on (repo-status asset_type, lowercased)
+const ASSET_TYPES = ['pipeline', 'account', 'task', 'file'];
+const ASSET_TYPE_LABELS = { pipeline: 'Pipelines', account: 'Accounts', task: 'Tasks', file: 'Files' };
+
+// Git states derived from repo-status metadata (see syncState)
+const GIT_STATES = ['in_sync', 'out_of_sync', 'tracked', 'untracked'];
+
+// Written by export_project next to the downloaded pipelines
+const EXPORT_MANIFEST = '.snaplogic-export.json';
 
-class SnapLogicGitServer {
-  constructor() {
+// Runtime state polling: first interval, growth per poll, longest interval, default wait in seconds
+// The default wait stays well inside typical MCP client request timeouts; pass timeout to wait longer
+const RUN_POLL = { interval: 2000, factor: 1.5, maxInterval: 10000, timeout: 30 };
+
+// Profile settings the project API needs (credentials are checked by resolveCredentials)
+const REQUIRED_PROFILE_FIELDS = [
+  'project_api.base_url',
+  'project_api.org',
+  'project_api.project_space',
+  'project_api.project_id'
+];
+
+// Optional per-call profile argument shared by every tool
+const PROFILE_PROPERTY = {
+  profile: {
+    type: 'string',
+    description: 'Profile to use (see list_profiles); defaults to the default profile',
+  },
+};
+
+export class SnapLogicGitServer {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.transport] - fetch-compatible transport for the API client (e.g. createMockTransport)
+   */
+  constructor(options = {}) {
+    this.transport = options.transport;
+    this.profiles = new ProfileRegistry();
+    this.profileContexts = new Map();
     this.config = this.loadConfig();
+    this.pipelineValidator = new PipelineValidator();
+    this.client = this.createClient(this.config);
     
     this.server = new Server(
       {
@@ -33,36 +130,109 @@ class SnapLogicGitServer {
   }
 
   /**
-   * Load configuration from .snaplogic-config.json
+   * Load configuration for a profile (default profile when no name is given)
+   * Sync settings come from .snaplogic-config.json, overridden by the profile's own sync section
    */
-  loadConfig() {
-    const required = [
-      'SNAPLOGIC_USERNAME',
-      'SNAPLOGIC_PASSWORD',
-      'SNAPLOGIC_PROJECT_BASE_URL', 
-      'SNAPLOGIC_PROJECT_ORG',
-      'SNAPLOGIC_PROJECT_SPACE',
-      'SNAPLOGIC_PROJECT_ID'
-    ];
+  loadConfig(profileName) {
+    const profile = this.profiles.get(profileName);
+    const credentials = resolveCredentials(profile);
+    requireProfileFields(profile, REQUIRED_PROFILE_FIELDS);
     
-    for (const envVar of required) {
-      if (!process.env[envVar]) {
-        throw new Error(`Missing required environment variable: ${envVar}. Please export all SnapLogic environment variables before starting Claude Code.`);
+    return {
+      profile: profile.name,
+      credentials,
+      project_api: {
+        ...profile.project_api,
+        project_path: profile.project_api.project_path || `snapLogic4snapLogic/${profile.project_api.project_space}`
+      },
+      sync: { ...this.loadSyncSettings(), ...profile.sync },
+      // Snap catalog persisted by the schema server, used for import_pipeline's schema checks
+      schema_cache: {
+        file: profile.cache_file ||
+          (profile.name === this.profiles.defaultName && process.env.SNAPLOGIC_SCHEMA_CACHE_FILE) ||
+          path.join(SERVER_DIR, '..', 'mcp-snaplogic-schema', '.cache', `catalog-${profile.schema_api.org || 'default'}.json`),
+        org: profile.schema_api.org || null
       }
+    };
+  }
+
+  createClient(config) {
+    return new SnapLogicClient({
+      credentials: config.credentials,
+      ...clientOptionsFromEnv(),
+      transport: this.transport
+    });
+  }
+
+  /**
+   * Server view bound to one profile
+   * The returned object inherits every method and only swaps config and client,
+   * so tool implementations stay profile-agnostic.
+   */
+  forProfile(profileName) {
+    if (!profileName || profileName === this.config.profile) {
+      return this;
     }
+
+    if (!this.profileContexts.has(profileName)) {
+      const config = this.loadConfig(profileName);
+      this.profileContexts.set(profileName, Object.assign(Object.create(this), {
+        config,
+        client: this.createClient(config)
+      }));
+    }
+    return this.profileContexts.get(profileName);
+  }
+
+  /**
+   * Describe the configured profiles (secrets omitted)
+   */
+  listProfiles() {
+    let text = `SnapLogic profiles (${this.profiles.file}):\n\n`;
     
+    for (const profile of this.profiles.list()) {
+      const project = profile.project_api;
+      text += `${profile.default ? '*' : '-'} ${profile.name}${profile.default ? ' (default)' : ''}\n`;
+      text += `  Project: ${project.org || '?'}/${project.project_space || '?'} at ${project.base_url || '?'}\n`;
+      text += `  Auth:    ${profile.auth}${profile.username ? ` (${profile.username})` : ''}\n`;
+      text += `  Source:  ${profile.source}\n`;
+    }
+
     return {
-      credentials: {
-        username: process.env.SNAPLOGIC_USERNAME,
-        password: process.env.SNAPLOGIC_PASSWORD
-      },
-      project_api: {
-        base_url: process.env.SNAPLOGIC_PROJECT_BASE_URL,
-        org: process.env.SNAPLOGIC_PROJECT_ORG,
-        project_space: process.env.SNAPLOGIC_PROJECT_SPACE,
-        project_path: process.env.SNAPLOGIC_PROJECT_PATH || `snapLogic4snapLogic/${process.env.SNAPLOGIC_PROJECT_SPACE}`,
-        project_id: process.env.SNAPLOGIC_PROJECT_ID
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Read the sync section of .snaplogic-config.json (SNAPLOGIC_CONFIG_FILE overrides the location)
+   */
+  loadSyncSettings() {
+    const configFile = process.env.SNAPLOGIC_CONFIG_FILE || path.join(SERVER_DIR, '.snaplogic-config.json');
+
+    let fileConfig = {};
+    try {
+      fileConfig = JSON.parse(readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Cannot read ${configFile}: ${error.message}`);
       }
+    }
+
+    return { ...DEFAULT_SYNC_SETTINGS, ...fileConfig.sync };
+  }
+
+  /**
+   * Report plaintext secrets in tracked files of the repository holding this server
+   */
+  checkPlaintextSecrets() {
+    return {
+      content: [{
+        type: 'text',
+        text: formatSecretFindings(scanPlaintextSecrets(SERVER_DIR))
+      }]
     };
   }
 
@@ -73,7 +243,7 @@ class SnapLogicGitServer {
     return {
       content: [{
         type: 'text',
-        text: `GitHub authentication required. Please log into SnapLogic UI and authorize GitHub access for user: ${this.config.credentials.username}
+        text: `GitHub authentication required. Please log into SnapLogic UI and authorize GitHub access for user: ${this.config.credentials.username || `of profile ${this.config.profile}`}
 
 Steps:
 1. Go to SnapLogic Manager
@@ -89,94 +259,28 @@ Note: GitHub authorization expires after ~55 minutes and must be renewed through
   }
 
   /**
-   * Make authenticated request to SnapLogic API
+   * Build a project API URL: <base_url>/api/1/rest/public/project/<operation>/<org>/<project_path>
    */
-  async makeRequest(url, options = {}) {
-    const auth = Buffer.from(
-      `${this.config.credentials.username}:${this.config.credentials.password}`
-    ).toString('base64');
-
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
+  projectUrl(operation) {
+    return `${this.config.project_api.base_url}/api/1/rest/public/project/${operation}/${this.config.project_api.org}/${this.config.project_api.project_path}`;
+  }
 
-    if (!response.ok) {
-      const data = await response.json();
-      
-      // Check for GitHub auth error
-      if (data.response_map?.error_id === 'github-auth-required') {
-        return { githubAuthRequired: true };
-      }
-      
-      throw new Error(
-        data.response_map?.error_list?.[0]?.message || 
-        `API error: ${response.status} ${response.statusText}`
-      );
-    }
+  /**
+   * Fetch the repo-status entries of the project
+   */
+  async fetchRepoStatus() {
+    const result = await this.client.request(this.projectUrl('repo-status'));
 
-    return response.json();
+    return { entries: result.response_map?.entries || [] };
   }
 
   /**
    * Get Git repository status
    */
   async getGitStatus() {
-    const url = `${this.config.project_api.base_url}/api/1/rest/public/project/repo-status/${this.config.project_api.org}/${this.config.project_api.project_path}`;
-    
-    const result = await this.makeRequest(url);
-    
-    if (result.githubAuthRequired) {
-      return this.formatGitHubAuthError();
-    }
+    const result = await this.fetchRepoStatus();
 
-    // Process the status response
-    const entries = result.response_map?.entries || [];
-    
-    const status = {
-      inSync: [],
-      outOfSync: [],
-      untracked: [],
-      tracked: []
-    };
-
-    for (const entry of entries) {
-      if (entry.metadata?.git) {
-        const git = entry.metadata.git;
-        
-        if (git.status === 'untracked') {
-          status.untracked.push({
-            name: entry.name,
-            path: entry.path,
-            type: entry.asset_type
-          });
-        } else if (git.status === 'tracked') {
-          status.tracked.push(entry.name);
-          
-          // Check if in sync
-          if (git.current_sha && git.latest_repo_sha) {
-            if (git.current_sha === git.latest_repo_sha) {
-              status.inSync.push({
-                name: entry.name,
-                path: git.path,
-                sha: git.current_sha
-              });
-            } else {
-              status.outOfSync.push({
-                name: entry.name,
-                path: git.path,
-                currentSha: git.current_sha,
-                latestSha: git.latest_repo_sha
-              });
-            }
-          }
-        }
-      }
-    }
+    const status = classifyEntries(result.entries);
 
     // Format the response
     let text = `Git Sync Status for ${this.config.project_api.project_space} project:\n\n`;
@@ -204,20 +308,42 @@ Note: GitHub authorization expires after ~55 minutes and must be renewed through
 
   /**
    * Pull changes from GitHub
+   * `assets` (names/paths) or `path` (path prefix) limit the pull; without them the
+   * whole project is pulled. `dry_run` only reports the assets that would change.
    */
-  async gitPull() {
-    const url = `${this.config.project_api.base_url}/api/1/rest/public/project/pull/${this.config.project_api.org}/${this.config.project_api.project_path}`;
-    
-    const result = await this.makeRequest(url, { method: 'POST' });
-    
-    if (result.githubAuthRequired) {
-      return this.formatGitHubAuthError();
+  async gitPull({ assets, path: pathPrefix, dry_run: dryRun = false } = {}) {
+    const selective = (Array.isArray(assets) && assets.length > 0) || Boolean(pathPrefix);
+    let selected = null;
+
+    if (selective || dryRun) {
+      const status = await this.fetchRepoStatus();
+
+      selected = selective ? this.filterEntries(status.entries, { assets, path: pathPrefix }) : status.entries;
+      
+      if (dryRun) {
+        return this.formatPullPreview(selected, selective);
+      }
+      
+      if (selected.length === 0) {
+        const filters = [
+          Array.isArray(assets) && assets.length > 0 ? `assets ${assets.join(', ')}` : null,
+          pathPrefix ? `path ${pathPrefix}` : null
+        ].filter(Boolean);
+        throw new Error(`No assets match ${filters.join(' or ')}`);
+      }
+    }
+
+    const options = { method: 'POST' };
+    if (selected) {
+      options.body = JSON.stringify({ asset_paths: selected.map(entry => entry.path) });
     }
 
+    const result = await this.client.request(this.projectUrl('pull'), options);
+
     // Process the pull response
     const responseMap = result.response_map || {};
     
-    let text = 'Git Pull Result:\n\n';
+    let text = selected ? `Git Pull Result (${selected.length} selected assets):\n\n` : 'Git Pull Result:\n\n';
     
     if (responseMap.updated_assets?.length > 0) {
       text += `Updated ${responseMap.updated_assets.length} assets:\n`;
@@ -243,62 +369,2054 @@ Note: GitHub authorization expires after ~55 minutes and must be renewed through
     };
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
-        {
-          name: 'git_status',
-          description: 'Check Git sync status between SnapLogic and GitHub repository',
-          inputSchema: {
-            type: 'object',
-            properties: {},
-          },
-        },
-        {
-          name: 'git_pull',
-          description: 'Pull latest changes from GitHub repository to SnapLogic project',
-          inputSchema: {
-            type: 'object',
-            properties: {},
-          },
-        },
-      ],
-    }));
+  /**
+   * Describe what a pull would change, from the current_sha/latest_repo_sha of each asset
+   */
+  formatPullPreview(entries, selective) {
+    const status = classifyEntries(entries);
+    
+    let text = `Git Pull Dry Run (${selective ? `${entries.length} selected assets` : 'whole project'}) - nothing was modified:\n\n`;
+    
+    if (status.outOfSync.length > 0) {
+      text += `Would update ${status.outOfSync.length} assets:\n`;
+      for (const item of status.outOfSync) {
+        text += `- ${item.name} (${item.path})\n`;
+        text += `  SnapLogic: ${item.currentSha.substring(0, 8)}... -> GitHub: ${item.latestSha.substring(0, 8)}...\n`;
+      }
+    } else {
+      text += 'No updates needed - all selected assets are already in sync.\n';
+    }
+    
+    text += `\nUnchanged: ${status.inSync.length} assets\n`;
+    if (status.untracked.length > 0) {
+      text += `Untracked (not pulled): ${status.untracked.length} assets\n`;
+    }
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name } = request.params;
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
 
-      try {
-        switch (name) {
-          case 'git_status':
-            return await this.getGitStatus();
-            
-          case 'git_pull':
-            return await this.gitPull();
-            
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+  /**
+   * List the repository branches and the one the project is on
+   */
+  async listBranches() {
+    const result = await this.client.request(this.projectUrl('branches'));
+
+    const responseMap = result.response_map || {};
+    const branches = responseMap.branches || [];
+    const current = responseMap.current_branch;
+    
+    let text = `Branches for ${this.config.project_api.project_space} project:\n\n`;
+    for (const branch of branches) {
+      const branchName = typeof branch === 'string' ? branch : branch.name;
+      text += `${branchName === current ? '*' : '-'} ${branchName}\n`;
+    }
+    if (current) {
+      text += `\nCurrent: ${current}`;
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Switch the project to another branch
+   * Refuses when tracked assets are out of sync (they would be overwritten) unless force is set
+   */
+  async switchBranch({ branch, force = false, dry_run: dryRun = false } = {}) {
+    if (!branch) {
+      throw new Error('branch is required');
+    }
+
+    const status = await this.fetchRepoStatus();
+
+    const { outOfSync } = classifyEntries(status.entries);
+    
+    if (dryRun || (outOfSync.length > 0 && !force)) {
+      let text = dryRun
+        ? `Branch Switch Dry Run (${branch}) - nothing was modified:\n\n`
+        : `Branch switch to ${branch} refused: ${outOfSync.length} assets are out of sync and would be overwritten. Commit or pull them first, or pass force: true.\n\n`;
+      
+      if (outOfSync.length > 0) {
+        text += `Out of Sync (${outOfSync.length}):\n`;
+        for (const item of outOfSync) {
+          text += `- ${item.name} (${item.path})\n`;
         }
-      } catch (error) {
+      } else {
+        text += 'All tracked assets are in sync - switching is safe.\n';
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text
+        }],
+        isError: !dryRun
+      };
+    }
+
+    const result = await this.client.request(this.projectUrl('checkout'), {
+      method: 'POST',
+      body: JSON.stringify({ branch })
+    });
+
+    const responseMap = result.response_map || {};
+    
+    let text = `Switched ${this.config.project_api.project_space} project to branch ${branch}\n`;
+    if (responseMap.updated_assets?.length > 0) {
+      text += `\nUpdated ${responseMap.updated_assets.length} assets:\n`;
+      for (const asset of responseMap.updated_assets) {
+        text += `- ${asset}\n`;
+      }
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Restore one asset to its content at a given commit SHA
+   */
+  async checkoutAsset({ asset, sha, dry_run: dryRun = false } = {}) {
+    if (!asset || !sha) {
+      throw new Error('asset and sha are required');
+    }
+
+    const status = await this.fetchRepoStatus();
+
+    const [entry] = this.selectAssets(status.entries, [asset]);
+    const currentSha = entry.metadata?.git?.current_sha;
+    
+    if (dryRun) {
+      const unchanged = currentSha && currentSha.startsWith(sha);
+      return {
+        content: [{
+          type: 'text',
+          text: `Checkout Dry Run - nothing was modified:\n\n` +
+            `${entry.name} (${entry.path})\n` +
+            `  SnapLogic: ${currentSha ? `${currentSha.substring(0, 8)}...` : 'untracked'}\n` +
+            `  Target:    ${sha.substring(0, 8)}...\n\n` +
+            (unchanged ? 'Asset is already at this commit.' : 'Asset would be replaced with its content at the target commit.')
+        }]
+      };
+    }
+
+    await this.client.request(this.projectUrl('checkout'), {
+      method: 'POST',
+      body: JSON.stringify({ sha, asset_paths: [entry.path] })
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `Checked out ${entry.name} at ${sha}`
+      }]
+    };
+  }
+
+  /**
+   * Select entries by exact asset names/paths and/or a path prefix
+   */
+  filterEntries(entries, { assets, path: pathPrefix }) {
+    const selected = Array.isArray(assets) && assets.length > 0 ? this.selectAssets(entries, assets) : [];
+    
+    if (pathPrefix) {
+      const prefix = pathPrefix.replace(/\/+$/, '');
+      for (const entry of entries) {
+        const paths = [entry.path, entry.metadata?.git?.path].filter(Boolean);
+        const matches = paths.some(candidate => candidate === prefix || candidate.startsWith(`${prefix}/`));
+        if (matches && !selected.includes(entry)) selected.push(entry);
+      }
+    }
+    
+    return selected;
+  }
+
+  /**
+   * Commit selected assets to the tracked repository and push
+   * Honors the sync settings: commit_prefix is prepended to the message,
+   * validate_before_push blocks invalid pipelines, and without auto_commit
+   * the call only previews the commit unless confirm is true.
+   */
+  async gitCommitPush({ assets, message, confirm = false } = {}) {
+    if (!Array.isArray(assets) || assets.length === 0) {
+      throw new Error('assets is required: list the asset names or paths to commit');
+    }
+    if (!message || !String(message).trim()) {
+      throw new Error('message is required');
+    }
+
+    const sync = this.config.sync;
+    const status = await this.fetchRepoStatus();
+
+    const selected = this.selectAssets(status.entries, assets);
+    const commitMessage = [sync.commit_prefix, String(message).trim()].filter(Boolean).join(' ');
+
+    let text = '';
+
+    if (sync.validate_before_push) {
+      const failures = [];
+      for (const entry of selected.filter(isPipelineEntry)) {
+        const pipeline = await this.getPipelineDocument(entry);
+        
+        const report = this.pipelineValidator.validate(pipeline);
+        if (!report.valid) {
+          failures.push({ entry, report });
+        }
+      }
+
+      if (failures.length > 0) {
         return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: ${error instanceof Error ? error.message : String(error)}`,
-            },
-          ],
-          isError: true,
+          content: [{
+            type: 'text',
+            text: formatValidationFailures(failures)
+          }],
+          isError: true
         };
       }
+
+      text += `Validated ${selected.filter(isPipelineEntry).length} pipelines - no errors.\n\n`;
+    }
+
+    if (!sync.auto_commit && !confirm) {
+      text += `Commit preview (sync.auto_commit is off - call again with confirm: true to push):\n\n`;
+      text += `Message: ${commitMessage}\n`;
+      text += `Assets (${selected.length}):\n`;
+      for (const entry of selected) {
+        text += `- ${entry.name} (${entry.path})\n`;
+      }
+      return {
+        content: [{
+          type: 'text',
+          text
+        }]
+      };
+    }
+
+    const result = await this.client.request(this.projectUrl('commit'), {
+      method: 'POST',
+      body: JSON.stringify({
+        message: commitMessage,
+        asset_paths: selected.map(entry => entry.path)
+      })
     });
-  }
 
-  async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error('SnapLogic Git MCP server running on stdio');
+    const responseMap = result.response_map || {};
+    
+    text += 'Git Commit & Push Result:\n\n';
+    text += `Message: ${commitMessage}\n`;
+    if (responseMap.commit_sha) {
+      text += `Commit: ${responseMap.commit_sha}\n`;
+    }
+    
+    const committed = responseMap.committed_assets || selected.map(entry => entry.name);
+    text += `Committed ${committed.length} assets:\n`;
+    for (const asset of committed) {
+      text += `- ${asset}\n`;
+    }
+    
+    if (responseMap.errors?.length > 0) {
+      text += `\nErrors:\n`;
+      for (const error of responseMap.errors) {
+        text += `- ${error}\n`;
+      }
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
   }
-}
 
-const server = new SnapLogicGitServer();
-server.run().catch(console.error);
\ No newline at end of file
+  /**
+   * Build the Pipeline Execute call graph of the project's pipelines
+   * `path` limits the pipelines read to a path prefix; callers outside it show up as missing children.
+   */
+  async pipelineDependencies({ format = 'json', impact, path: pathPrefix } = {}) {
+    if (!GRAPH_FORMATS.includes(format)) {
+      throw new Error(`Unknown format: ${format} (expected ${GRAPH_FORMATS.join(', ')})`);
+    }
+
+    const status = await this.fetchRepoStatus();
+    const entries = (pathPrefix ? this.filterEntries(status.entries, { path: pathPrefix }) : status.entries)
+      .filter(isPipelineEntry);
+
+    const pipelines = [];
+    const unreadable = [];
+    for (const entry of entries) {
+      try {
+        pipelines.push({ name: entry.name, path: entry.path, pipeline: await this.getPipelineDocument(entry) });
+      } catch (error) {
+        // A missing or unreadable asset is reported; auth and server failures stop the scan
+        if (error instanceof SnapLogicApiError && !(error instanceof NotFoundError)) throw error;
+        unreadable.push({ path: entry.path || entry.name, message: error.message });
+      }
+    }
+
+    const graph = buildPipelineGraph(pipelines, { impact, unreadable });
+    if (format === 'json') {
+      return {
+        content: [{
+          type: 'text',
+          text: formatPipelineGraph(graph, format)
+        }]
+      };
+    }
+
+    let text = `Pipeline dependencies for ${this.config.project_api.project_space} project:\n\n`;
+    text += formatPipelineGraph(graph, format);
+    text += `\n\n${summarizePipelineGraph(graph)}`;
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * List the project's assets with their git metadata, filtered by type, path prefix and git state
+   */
+  async listAssets({ type, path: pathPrefix, git_status: gitStatus } = {}) {
+    const status = await this.fetchRepoStatus();
+    const entries = this.findAssets(status.entries, { type, path: pathPrefix, git_status: gitStatus });
+
+    const groups = new Map();
+    for (const entry of entries) {
+      const group = assetType(entry);
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(entry);
+    }
+
+    let text = `Assets in ${this.config.project_api.project_space} project (${entries.length} of ${status.entries.length}):\n`;
+    if (entries.length === 0) {
+      text += '\nNo assets match.\n';
+    }
+    for (const [group, members] of groups) {
+      text += `\n${ASSET_TYPE_LABELS[group] || group} (${members.length}):\n`;
+      for (const entry of members) {
+        const gitPath = entry.metadata?.git?.path;
+        text += `- ${entry.name} (${entry.path})\n`;
+        text += `  Git: ${describeGit(entry)}${gitPath ? ` - ${gitPath}` : ''}\n`;
+      }
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Download one pipeline's .slp document, returned as text or saved to output_path
+   */
+  async getAsset({ asset, output_path: outputPath } = {}) {
+    if (!asset) {
+      throw new Error('asset is required');
+    }
+
+    const status = await this.fetchRepoStatus();
+    const [entry] = this.selectAssets(status.entries, [asset]);
+    if (!isPipelineEntry(entry)) {
+      throw new Error(`${entry.name} is not a pipeline (asset type ${assetType(entry)}); get_asset downloads pipelines only`);
+    }
+
+    const document = formatPipeline(await this.getPipelineDocument(entry));
+    let text = `${entry.name} (${entry.path})\nGit: ${describeGit(entry)}\n`;
+
+    if (outputPath) {
+      await mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+      await writeFile(outputPath, document);
+      text += `Saved to ${outputPath}`;
+      return {
+        content: [{
+          type: 'text',
+          text
+        }]
+      };
+    }
+
+    return {
+      content: [
+        { type: 'text', text },
+        { type: 'text', text: document }
+      ]
+    };
+  }
+
+  /**
+   * Download the project's pipelines into a local directory, laid out by their git path
+   * Every selected asset (accounts, tasks and files too) is recorded with its git
+   * metadata in .snaplogic-export.json. Local files that differ are kept unless overwrite is set.
+   */
+  async exportProject({ directory, type, path: pathPrefix, overwrite = false, dry_run: dryRun = false } = {}) {
+    if (!directory) {
+      throw new Error('directory is required');
+    }
+
+    const status = await this.fetchRepoStatus();
+    const entries = this.findAssets(status.entries, { type, path: pathPrefix });
+    const root = path.resolve(directory);
+    const manifest = {
+      project_space: this.config.project_api.project_space,
+      exported_at: new Date().toISOString(),
+      assets: []
+    };
+    const result = { written: [], unchanged: [], kept: [], failed: [] };
+
+    for (const entry of entries) {
+      const record = { name: entry.name, path: entry.path, type: assetType(entry), git: entry.metadata?.git || null, file: null };
+      manifest.assets.push(record);
+      if (!isPipelineEntry(entry)) continue;
+
+      const relative = this.localAssetPath(entry);
+      const file = path.resolve(root, relative);
+      if (!file.startsWith(root + path.sep)) {
+        result.failed.push({ name: entry.name, message: `local path ${relative} is outside the export directory` });
+        continue;
+      }
+
+      const existing = await readFile(file, 'utf8').catch(() => null);
+      if (dryRun) {
+        (existing === null || overwrite ? result.written : result.kept).push(relative);
+        continue;
+      }
+
+      let document;
+      try {
+        document = formatPipeline(await this.getPipelineDocument(entry));
+      } catch (error) {
+        // A missing or unreadable asset is reported; auth and server failures stop the export
+        if (error instanceof SnapLogicApiError && !(error instanceof NotFoundError)) throw error;
+        result.failed.push({ name: entry.name, message: error.message });
+        continue;
+      }
+
+      record.file = relative;
+      if (existing === document) {
+        result.unchanged.push(relative);
+      } else if (existing !== null && !overwrite) {
+        result.kept.push(relative);
+      } else {
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeFile(file, document);
+        result.written.push(relative);
+      }
+    }
+
+    if (!dryRun) {
+      await mkdir(root, { recursive: true });
+      await writeFile(path.join(root, EXPORT_MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: formatExportResult(result, {
+          directory,
+          projectSpace: this.config.project_api.project_space,
+          assets: entries.length,
+          dryRun
+        })
+      }]
+    };
+  }
+
+  /**
+   * Upload a local .slp to a pipeline path in the project, creating or overwriting it
+   * The file is validated first (structure, plus snap settings when the schema server
+   * has a persisted catalog) and refused on errors unless force is set. Overwriting
+   * requires the asset's current instance_version, passed as expected_version or kept
+   * in the file, so changes made in SnapLogic since it was read are never lost.
+   * The file's label is kept; rename_label sets it to the asset name, which is
+   * also used when the file has no label.
+   */
+  async importPipeline({
+    file,
+    path: assetPath,
+    overwrite = false,
+    expected_version: expectedVersion,
+    force = false,
+    dry_run: dryRun = false,
+    rename_label: renameLabel = false
+  } = {}) {
+    if (!file) {
+      throw new Error('file is required: the local .slp to upload');
+    }
+    if (!assetPath) {
+      throw new Error('path is required: the pipeline path in the project to import to, e.g. orders');
+    }
+
+    const source = await readFile(file, 'utf8');
+    const target = this.projectAssetPath(assetPath);
+    const { validator, schema } = await this.loadImportValidator();
+    const report = validator.validate(source);
+
+    let pipeline;
+    try {
+      pipeline = JSON.parse(source);
+    } catch (error) {
+      pipeline = null;
+    }
+    if (!pipeline || (!report.valid && !force)) {
+      return {
+        content: [{
+          type: 'text',
+          text: formatImportRefusal(file, report, { forceable: Boolean(pipeline) })
+        }],
+        isError: true
+      };
+    }
+
+    const status = await this.fetchRepoStatus();
+    const existing = this.findEntryAt(status.entries, target.path);
+    if (existing && !isPipelineEntry(existing)) {
+      throw new Error(`${target.path} is not a pipeline (asset type ${assetType(existing)})`);
+    }
+    if (existing && !overwrite) {
+      throw new Error(`${target.path} already exists; pass overwrite: true to replace it`);
+    }
+
+    let currentVersion = null;
+    if (existing) {
+      currentVersion = (await this.getPipelineDocument(existing)).instance_version ?? null;
+      const expected = expectedVersion ?? pipeline.instance_version ?? null;
+      if (currentVersion !== null && expected === null) {
+        throw new Error(`${target.path} is at version ${currentVersion}; pass expected_version: ${currentVersion} once you have checked that overwriting it loses nothing (get_asset shows the current pipeline)`);
+      }
+      // Versions from the file or the arguments may be strings ("7")
+      if (currentVersion !== null && Number(expected) !== Number(currentVersion)) {
+        throw new Error(`${target.path} changed in SnapLogic: expected version ${expected}, found ${currentVersion}. Review it with get_asset before overwriting`);
+      }
+    }
+
+    const [verb, done] = existing ? ['overwrite', 'Overwrote'] : ['create', 'Created'];
+    let text = `${dryRun ? `Dry run: would ${verb}` : done} ${target.path} from ${file}\n`;
+    const fileLabel = pipeline.property_map?.info?.label?.value;
+    const label = renameLabel || typeof fileLabel !== 'string' || fileLabel.trim() === '' ? target.name : fileLabel;
+    if (label !== target.name) {
+      text += `Label "${label}" kept; the asset is named ${target.name} (rename_label: true sets the label to the asset name)\n`;
+    }
+    text += formatImportValidation(report, schema);
+    text += await this.importAccountWarnings(pipeline, path.posix.dirname(target.path));
+
+    if (dryRun) {
+      return {
+        content: [{
+          type: 'text',
+          text
+        }]
+      };
+    }
+
+    const document = JSON.parse(JSON.stringify(pipeline));
+    document.property_map = { ...document.property_map };
+    document.property_map.info = { ...document.property_map.info, label: { value: label } };
+
+    let result;
+    try {
+      if (existing) {
+        if (currentVersion !== null) document.instance_version = currentVersion;
+        result = await this.client.request(`${this.config.project_api.base_url}/api/1/rest/pipeline/update/${existing.snode_id}`, {
+          method: 'PUT',
+          body: JSON.stringify(document)
+        });
+      } else {
+        delete document.instance_version;
+        result = await this.client.request(`${this.config.project_api.base_url}/api/1/rest/pipeline/create?path=${encodeURIComponent(target.path)}`, {
+          method: 'POST',
+          body: JSON.stringify(document)
+        });
+      }
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        throw new Error(`${target.path} was changed in SnapLogic during the import; nothing was overwritten. Review it with get_asset and retry (${error.message})`);
+      }
+      throw error;
+    }
+
+    const responseMap = result.response_map || {};
+    const snodeId = responseMap.snode_id || existing?.snode_id || null;
+    text += `\nAsset id: ${snodeId || 'not returned'}\n`;
+    if (responseMap.instance_version !== undefined) {
+      text += `Version: ${responseMap.instance_version}\n`;
+    }
+    if (snodeId) {
+      text += `Link: ${this.config.project_api.base_url}/sl/designer.html#pipe_snode=${snodeId}\n`;
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Pipeline validator for import_pipeline
+   * Snap settings are checked against the catalog the schema server persisted for
+   * the profile's org; without one only the pipeline structure is checked.
+   */
+  async loadImportValidator() {
+    const cache = await this.loadSchemaCache();
+    if (!cache) {
+      return { validator: this.pipelineValidator, schema: false };
+    }
+
+    return {
+      validator: new PipelineValidator({ snapValidator: new SnapValidator(cache) }),
+      schema: true
+    };
+  }
+
+  /**
+   * Snap catalog the schema server persisted for the profile's org, or null
+   */
+  async loadSchemaCache() {
+    const store = new CacheStore(this.config.schema_cache.file, { org: this.config.schema_cache.org });
+    const snapshot = await store.load();
+    if (!snapshot) return null;
+
+    const cache = new SchemaCache();
+    cache.loadSnapshot(snapshot);
+    return cache;
+  }
+
+  /**
+   * Full path of an asset given relative to the project (orders, shared/orders)
+   * or absolute (/<org>/<project_path>/orders)
+   */
+  projectAssetPath(assetPath) {
+    const root = this.projectRoot();
+    let relative = String(assetPath);
+    if (relative.startsWith('/')) {
+      if (!relative.startsWith(`${root}/`)) {
+        throw new Error(`${assetPath} is outside the project ${root}`);
+      }
+      relative = relative.slice(root.length);
+    }
+
+    const segments = relative.replace(/\.slp$/, '').split('/').filter(Boolean);
+    if (segments.length === 0) {
+      throw new Error(`path must name the asset, e.g. orders (got ${assetPath})`);
+    }
+
+    return {
+      path: `${root}/${segments.join('/')}`,
+      name: segments[segments.length - 1]
+    };
+  }
+
+  projectRoot() {
+    return `/${this.config.project_api.org}/${this.config.project_api.project_path}`;
+  }
+
+  /**
+   * Asset path without the org: repo-status paths may be given with or without it
+   */
+  orgRelativePath(assetPath) {
+    const relative = String(assetPath || '').replace(/^\/+/, '');
+    const org = `${this.config.project_api.org}/`;
+    return relative.startsWith(org) ? relative.slice(org.length) : relative;
+  }
+
+  fullAssetPath(assetPath) {
+    return `/${this.config.project_api.org}/${this.orgRelativePath(assetPath)}`;
+  }
+
+  /**
+   * Repo-status entry of the asset at a full path, if any
+   */
+  findEntryAt(entries, fullPath) {
+    const wanted = this.orgRelativePath(fullPath);
+    return entries.find(entry => this.orgRelativePath(entry.path) === wanted);
+  }
+
+  /**
+   * Repo-status entries filtered by asset type, path prefix and git state
+   */
+  findAssets(entries, { type, path: pathPrefix, git_status: gitStatus }) {
+    if (type && !ASSET_TYPES.includes(type)) {
+      throw new Error(`Unknown asset type: ${type} (expected ${ASSET_TYPES.join(', ')})`);
+    }
+    if (gitStatus && !GIT_STATES.includes(gitStatus)) {
+      throw new Error(`Unknown git status: ${gitStatus} (expected ${GIT_STATES.join(', ')})`);
+    }
+
+    const selected = pathPrefix ? this.filterEntries(entries, { path: pathPrefix }) : entries;
+    return selected.filter(entry =>
+      (!type || assetType(entry) === type) &&
+      (!gitStatus || syncState(entry) === gitStatus)
+    );
+  }
+
+  /**
+   * Local file for a pipeline: its git path, else its path below the project
+   */
+  localAssetPath(entry) {
+    const gitPath = entry.metadata?.git?.path;
+    if (gitPath) return gitPath;
+
+    const projectPath = `${this.config.project_api.project_path}/`;
+    let relative = this.orgRelativePath(entry.path || entry.name);
+    if (relative.startsWith(projectPath)) relative = relative.slice(projectPath.length);
+    return relative.endsWith('.slp') ? relative : `${relative}.slp`;
+  }
+
+  /**
+   * Match requested asset names/paths against repo-status entries
+   */
+  selectAssets(entries, requested) {
+    const selected = [];
+    const unknown = [];
+
+    for (const ref of requested) {
+      const entry = entries.find(candidate =>
+        candidate.name === ref ||
+        candidate.path === ref ||
+        candidate.metadata?.git?.path === ref
+      );
+      if (entry) {
+        if (!selected.includes(entry)) selected.push(entry);
+      } else {
+        unknown.push(ref);
+      }
+    }
+
+    if (unknown.length > 0) {
+      throw new Error(`Assets not found in project ${this.config.project_api.project_space}: ${unknown.join(', ')}`);
+    }
+    return selected;
+  }
+
+  /**
+   * Start a run, or a Designer-style validate run, of a pipeline in a Snaplex
+   * With wait (the default) the runtime state is polled until the run ends or
+   * timeout seconds (30 by default) pass, and the summary lists failures per snap instance id.
+   */
+  async runPipeline({ asset, mode = 'run', snaplex, parameters = {}, wait = true, timeout = RUN_POLL.timeout } = {}) {
+    if (!asset) {
+      throw new Error('asset is required');
+    }
+    if (!RUN_MODES.includes(mode)) {
+      throw new Error(`Unknown mode: ${mode} (expected ${RUN_MODES.join(', ')})`);
+    }
+
+    const plexPath = snaplex || this.config.project_api.snaplex;
+    if (!plexPath) {
+      throw new Error('snaplex is required: pass the Snaplex path or set project_api.snaplex in the profile');
+    }
+
+    const status = await this.fetchRepoStatus();
+    const [entry] = this.selectAssets(status.entries, [asset]);
+    if (!isPipelineEntry(entry)) {
+      throw new Error(`${entry.name} is not a pipeline (asset type ${assetType(entry)})`);
+    }
+    if (!entry.snode_id) {
+      throw new Error(`Cannot run pipeline ${entry.name}: repo-status entry has no snode_id`);
+    }
+
+    const result = await this.client.request(`${this.config.project_api.base_url}/api/1/rest/pipeline/execute/${entry.snode_id}`, {
+      method: 'POST',
+      body: JSON.stringify({ plex_path: plexPath, mode, params: parameters })
+    });
+    const runId = result.response_map?.ruuid;
+    if (!runId) {
+      throw new Error(`SnapLogic did not return a run id for ${entry.name}`);
+    }
+
+    if (!wait) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Started ${mode === 'validate' ? 'validation run' : 'run'} ${runId} of ${entry.name} on ${plexPath}\nFollow it with get_pipeline_run({ run_id: "${runId}", wait: true })`
+        }]
+      };
+    }
+
+    return this.getPipelineRun({ run_id: runId, wait: true, timeout });
+  }
+
+  /**
+   * Runtime state of a run with per-snap document counts, errors and error view output
+   * The runtime log is read for failed runs (or when log is set) to attach each
+   * snap's error lines to its failure.
+   */
+  async getPipelineRun({ run_id: runId, wait = false, timeout = RUN_POLL.timeout, log = false } = {}) {
+    if (!runId) {
+      throw new Error('run_id is required');
+    }
+
+    let detail = await this.fetchRuntime(runId);
+    let delay = RUN_POLL.interval;
+    const deadline = Date.now() + timeout * 1000;
+    while (wait && !isTerminalState(detail.state) && Date.now() + delay <= deadline) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay = Math.min(delay * RUN_POLL.factor, RUN_POLL.maxInterval);
+      detail = await this.fetchRuntime(runId);
+    }
+
+    let summary = summarizeRuntime(detail);
+    if (log || summary.failures.length > 0 || summary.error) {
+      summary = summarizeRuntime(detail, await this.fetchRunLog(runId));
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: formatRunSummary(summary, { timedOut: wait && !isTerminalState(detail.state), timeout })
+      }]
+    };
+  }
+
+  /**
+   * Runtime log of a run, optionally limited to one snap and a minimum level
+   */
+  async getRunLog({ run_id: runId, snap, level, limit = 100 } = {}) {
+    if (!runId) {
+      throw new Error('run_id is required');
+    }
+    if (level && !LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown level: ${level} (expected ${LOG_LEVELS.join(', ')})`);
+    }
+
+    const entries = (await this.fetchRunLog(runId)).filter(entry =>
+      (!snap || entry.snap_id === snap) &&
+      (!level || LOG_LEVELS.indexOf(entry.level) <= LOG_LEVELS.indexOf(level))
+    );
+    const shown = entries.slice(-limit);
+
+    let text = `Runtime log of ${runId}${snap ? ` for snap ${snap}` : ''}${level ? ` (${level} and above)` : ''}: `;
+    text += shown.length < entries.length ? `last ${shown.length} of ${entries.length} entries\n\n` : `${entries.length} entries\n\n`;
+    text += shown.map(entry => `${formatLogEntry(entry)}\n`).join('');
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * List the project's tasks with their kind, pipeline, state and invocation URL
+   */
+  async listTasks({ path: pathPrefix, kind } = {}) {
+    if (kind && !TASK_KINDS.includes(kind)) {
+      throw new Error(`Unknown task kind: ${kind} (expected ${TASK_KINDS.join(', ')})`);
+    }
+
+    const status = await this.fetchRepoStatus();
+    const entries = this.findAssets(status.entries, { type: 'task', path: pathPrefix });
+
+    const tasks = [];
+    const failed = [];
+    for (const entry of entries) {
+      try {
+        tasks.push(await this.readTask(entry));
+      } catch (error) {
+        // A task that cannot be read is reported; auth and server failures stop the listing
+        if (error instanceof SnapLogicApiError && !(error instanceof NotFoundError)) throw error;
+        failed.push({ name: entry.name, message: error.message });
+      }
+    }
+    const selected = tasks.filter(task => !kind || task.kind === kind);
+
+    let text = `Tasks in ${this.config.project_api.project_space} project (${selected.length}):\n`;
+    for (const task of selected) {
+      const url = invocationUrl(this.config.project_api.base_url, task);
+      text += `\n- ${task.name} (${task.kind}, ${task.enabled ? 'enabled' : 'disabled'}) runs ${task.pipeline.path || '?'} on ${task.snaplex || '?'}\n`;
+      text += `  Path: ${task.path}\n`;
+      if (url) text += `  URL:  ${url}\n`;
+      if (task.schedule) text += `  Schedule: ${task.schedule.cron}${task.schedule.timezone ? ` (${task.schedule.timezone})` : ''}\n`;
+    }
+    if (failed.length > 0) {
+      text += `\nCould not read ${failed.length} tasks:\n`;
+      text += failed.map(({ name, message }) => `- ${name}: ${message}\n`).join('');
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Show a task's settings, invocation URL and recent run history
+   */
+  async getTask({ task: taskRef, history = 10 } = {}) {
+    if (!taskRef) {
+      throw new Error('task is required');
+    }
+
+    const status = await this.fetchRepoStatus();
+    const [entry] = this.selectAssets(status.entries, [taskRef]);
+    if (assetType(entry) !== 'task') {
+      throw new Error(`${entry.name} is not a task (asset type ${assetType(entry)})`);
+    }
+
+    const task = await this.readTask(entry);
+    const runs = history > 0 ? await this.fetchTaskRuns(entry, history) : null;
+
+    return {
+      content: [{
+        type: 'text',
+        text: formatTask(task, { url: invocationUrl(this.config.project_api.base_url, task), runs })
+      }]
+    };
+  }
+
+  /**
+   * Create a task for a pipeline, or update the given settings of an existing one
+   * Parameters are checked against the pipeline's param_table; names it does not
+   * declare and declared parameters without a default that are not set are reported.
+   */
+  async saveTask({ path: taskPath, kind, pipeline: pipelineRef, parameters, snaplex, schedule, enabled, dry_run: dryRun = false } = {}) {
+    if (!taskPath) {
+      throw new Error('path is required: the task path in the project, e.g. orders_api');
+    }
+    if (kind && !TASK_KINDS.includes(kind)) {
+      throw new Error(`Unknown task kind: ${kind} (expected ${TASK_KINDS.join(', ')})`);
+    }
+
+    const target = this.projectAssetPath(taskPath);
+    const status = await this.fetchRepoStatus();
+    const existing = this.findEntryAt(status.entries, target.path);
+    if (existing && assetType(existing) !== 'task') {
+      throw new Error(`${target.path} is not a task (asset type ${assetType(existing)})`);
+    }
+
+    let task;
+    if (existing) {
+      task = await this.readTask(existing);
+      if (kind && kind !== task.kind) {
+        throw new Error(`${task.name} is a ${task.kind} task; its kind cannot change, create a new task instead`);
+      }
+    } else {
+      if (!kind || !pipelineRef) {
+        throw new Error(`${target.path} does not exist yet: kind and pipeline are required to create it`);
+      }
+      task = normalizeTask({ name: target.name, job_type: kind, enabled: true }, target.path);
+    }
+
+    if (pipelineRef) {
+      const [entry] = this.selectAssets(status.entries, [pipelineRef]);
+      if (!isPipelineEntry(entry)) {
+        throw new Error(`${entry.name} is not a pipeline (asset type ${assetType(entry)})`);
+      }
+      task.pipeline = { path: entry.path, snode_id: entry.snode_id || null };
+    }
+    if (parameters !== undefined) task.parameters = parameters;
+    if (schedule !== undefined) task.schedule = schedule;
+    if (enabled !== undefined) task.enabled = enabled;
+    task.snaplex = snaplex || task.snaplex || this.config.project_api.snaplex || null;
+
+    if (!task.snaplex) {
+      throw new Error('snaplex is required: pass the Snaplex path or set project_api.snaplex in the profile');
+    }
+    checkSchedule(task.kind, task.schedule);
+
+    const warnings = task.pipeline.snode_id && (pipelineRef || parameters !== undefined)
+      ? this.checkTaskParameters(task, await this.getPipelineDocument({ name: task.pipeline.path, snode_id: task.pipeline.snode_id }))
+      : [];
+
+    let text = '';
+    if (!dryRun) {
+      const document = buildTaskDocument(task);
+      const result = existing
+        ? await this.client.request(`${this.config.project_api.base_url}/api/1/rest/task/update/${existing.snode_id}`, {
+          method: 'PUT',
+          body: JSON.stringify(document)
+        })
+        : await this.client.request(`${this.config.project_api.base_url}/api/1/rest/task/create?path=${encodeURIComponent(target.path)}`, {
+          method: 'POST',
+          body: JSON.stringify(document)
+        });
+      task.url = result.response_map?.url || task.url;
+      text += `${existing ? 'Updated' : 'Created'} ${task.kind} task ${target.path}${result.response_map?.snode_id ? ` (asset id ${result.response_map.snode_id})` : ''}\n\n`;
+    } else {
+      text += `Dry run: would ${existing ? 'update' : 'create'} ${task.kind} task ${target.path}\n\n`;
+    }
+
+    text += formatTask(task, { url: invocationUrl(this.config.project_api.base_url, task) });
+    if (warnings.length > 0) {
+      text += `\nWarnings:\n${warnings.map(warning => `- ${warning}\n`).join('')}`;
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Enable or disable a task without changing its other settings
+   */
+  async setTaskEnabled({ task: taskRef, enabled } = {}) {
+    if (!taskRef) {
+      throw new Error('task is required');
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled is required: true or false');
+    }
+
+    const status = await this.fetchRepoStatus();
+    const [entry] = this.selectAssets(status.entries, [taskRef]);
+    return this.saveTask({ path: this.fullAssetPath(entry.path), enabled });
+  }
+
+  async readTask(entry) {
+    if (!entry.snode_id) {
+      throw new Error(`Cannot read task ${entry.name}: repo-status entry has no snode_id`);
+    }
+
+    const result = await this.client.request(`${this.config.project_api.base_url}/api/1/rest/task/${entry.snode_id}`);
+    return normalizeTask(result.response_map || result, this.fullAssetPath(entry.path));
+  }
+
+  async fetchTaskRuns(entry, limit) {
+    const { base_url: baseUrl, org } = this.config.project_api;
+    const result = await this.client.request(`${baseUrl}/api/1/rest/public/runtime/${org}?task_id=${encodeURIComponent(entry.snode_id)}&limit=${limit}`);
+    return normalizeRuns(result.response_map || result);
+  }
+
+  /**
+   * Task parameters the pipeline does not declare, and declared ones without a default left unset
+   */
+  checkTaskParameters(task, pipeline) {
+    const declared = declaredParameters(pipeline);
+    const names = declared.map(parameter => parameter.name);
+    const warnings = Object.keys(task.parameters)
+      .filter(name => !names.includes(name))
+      .map(name => `Parameter ${name} is not in the param_table of ${task.pipeline.path}${names.length > 0 ? ` (declared: ${names.join(', ')})` : ''}`);
+
+    for (const parameter of declared) {
+      if ((parameter.default === null || parameter.default === '') && !(parameter.name in task.parameters)) {
+        warnings.push(`Parameter ${parameter.name} has no default and is not set by the task`);
+      }
+    }
+    return warnings;
+  }
+
+  async fetchRuntime(runId) {
+    const { base_url: baseUrl, org } = this.config.project_api;
+    const result = await this.client.request(`${baseUrl}/api/1/rest/public/runtime/${org}/${encodeURIComponent(runId)}?level=detail`);
+    return { ruuid: runId, ...(result.response_map || result) };
+  }
+
+  async fetchRunLog(runId) {
+    const { base_url: baseUrl, org } = this.config.project_api;
+    const result = await this.client.request(`${baseUrl}/api/1/rest/public/runtime/logs/${org}/${encodeURIComponent(runId)}`);
+    return normalizeLogEntries(result.response_map || result);
+  }
+
+  /**
+   * List the accounts the project's pipelines can reference: the project's own,
+   * those in its project space's shared folder and those in the org's shared folder
+   * Only name, path and account type are read; account settings are never requested.
+   */
+  async listAccounts({ type } = {}) {
+    const { locations, accounts } = await this.fetchVisibleAccounts();
+    const projectPath = this.projectRoot();
+    const filter = type ? String(type).toLowerCase() : null;
+    const selected = accounts.filter(account => !filter || String(account.class_id).toLowerCase().includes(filter));
+
+    let text = `Accounts visible to ${projectPath}${filter ? ` matching "${type}"` : ''} (${selected.length}):\n`;
+    for (const location of locations) {
+      const inLocation = selected.filter(account => account.location === location.path);
+      text += `\n${location.path} (${location.label}):\n`;
+      if (location.missing) {
+        text += '- folder not found or not visible\n';
+        continue;
+      }
+      for (const account of inLocation) {
+        text += `- ${account.name} [${account.class_id || 'unknown type'}] - reference as ${relativeAccountPath(account.path, projectPath)}\n`;
+      }
+      if (inLocation.length === 0) {
+        text += '- none\n';
+      }
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Check the account every snap of a pipeline references: that it exists where the
+   * reference points and is of a type the snap accepts, suggesting matches if not
+   * A local .slp is checked as if imported to path (default: the project root);
+   * relative references resolve against the folder the pipeline lives in.
+   */
+  async checkAccountRefs({ file, asset, path: assetPath } = {}) {
+    if (Boolean(file) === Boolean(asset)) {
+      throw new Error('Pass either file (a local .slp) or asset (a pipeline in the project)');
+    }
+
+    let pipeline;
+    let name;
+    let projectPath;
+    if (file) {
+      pipeline = JSON.parse(await readFile(file, 'utf8'));
+      name = file;
+      projectPath = assetPath ? path.posix.dirname(this.projectAssetPath(assetPath).path) : this.projectRoot();
+    } else {
+      const status = await this.fetchRepoStatus();
+      const [entry] = this.selectAssets(status.entries, [asset]);
+      if (!isPipelineEntry(entry)) {
+        throw new Error(`${entry.name} is not a pipeline (asset type ${assetType(entry)})`);
+      }
+      pipeline = await this.getPipelineDocument(entry);
+      name = entry.name;
+      projectPath = path.posix.dirname(this.fullAssetPath(entry.path));
+    }
+
+    if (extractAccountRefs(pipeline).length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: `No snap in ${name} uses an account.\n`
+        }]
+      };
+    }
+
+    const { locations, accounts } = await this.fetchVisibleAccounts(projectPath);
+    const cache = await this.loadSchemaCache();
+    const results = resolveAccountRefs(pipeline, { projectPath, accounts, cache });
+    const summary = summarizeAccountRefs(results);
+    const problems = summary.not_found + summary.wrong_type;
+
+    let text = `Account references in ${name} (${summary.snaps} snaps with an account, ${problems === 0 ? 'none' : problems} to fix):\n`;
+    text += `Relative references resolve from ${projectPath}\n\n`;
+    text += formatAccountResults(results);
+    if (!cache) {
+      text += '\nAccount types not checked: no schema catalog cached; start the schema server once to enable them\n';
+    }
+    const missing = locations.filter(location => location.missing);
+    if (missing.length > 0) {
+      text += `\nNot visible: ${missing.map(location => location.path).join(', ')}\n`;
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Account problems of a pipeline about to be imported, as a report section
+   * Failing to list accounts does not stop the import; the section says so instead.
+   */
+  async importAccountWarnings(pipeline, projectPath) {
+    if (!extractAccountRefs(pipeline).some(ref => ref.reference)) return '';
+
+    let results;
+    try {
+      const { accounts } = await this.fetchVisibleAccounts(projectPath);
+      results = resolveAccountRefs(pipeline, { projectPath, accounts, cache: await this.loadSchemaCache() });
+    } catch (error) {
+      return `\nAccount references not checked: ${error.message}\n`;
+    }
+
+    const problems = results.filter(result => result.status === 'not_found' || result.status === 'wrong_type');
+    if (problems.length === 0) {
+      return `\nAccount references: all ${results.filter(result => result.reference).length} found\n`;
+    }
+    return `\nAccount references to fix before running (${problems.length}):\n${formatAccountResults(problems)}`;
+  }
+
+  /**
+   * Folders whose accounts the project at projectPath can reference, with their accounts
+   * A folder that does not exist (or the profile cannot see) is marked missing.
+   */
+  async fetchVisibleAccounts(projectPath = this.projectRoot()) {
+    const org = this.config.project_api.org;
+    const space = projectPath.split('/')[2];
+    const locations = [
+      { path: projectPath, label: 'project' },
+      { path: `/${org}/${space}/shared`, label: 'project space shared' },
+      { path: `/${org}/shared`, label: 'org shared' }
+    ].filter((location, index, all) => all.findIndex(other => other.path === location.path) === index);
+
+    const accounts = [];
+    for (const location of locations) {
+      let result;
+      try {
+        result = await this.client.request(`${this.config.project_api.base_url}/api/1/rest/public/assets/list${encodeURI(location.path)}?asset_type=Account`);
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+        location.missing = true;
+        continue;
+      }
+
+      const responseMap = result.response_map || result;
+      const entries = Array.isArray(responseMap) ? responseMap : responseMap.entries || [];
+      for (const entry of entries) {
+        // Only identifying fields are kept, whatever else the listing returns
+        accounts.push({
+          name: entry.name,
+          path: this.fullAssetPath(entry.path || `${location.path}/${entry.name}`),
+          class_id: entry.class_id || null,
+          location: location.path
+        });
+      }
+    }
+
+    return { locations, accounts };
+  }
+
+  /**
+   * Read a pipeline's .slp document from SnapLogic
+   */
+  async getPipelineDocument(entry) {
+    if (!entry.snode_id) {
+      throw new Error(`Cannot read pipeline ${entry.name}: repo-status entry has no snode_id`);
+    }
+
+    const url = `${this.config.project_api.base_url}/api/1/rest/pipeline/${entry.snode_id}`;
+    const result = await this.client.request(url);
+    return result.response_map || result;
+  }
+
+  setupToolHandlers() {
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: [
+        {
+          name: 'list_profiles',
+          description: 'List the configured SnapLogic profiles (environments/orgs); pass a profile name to any tool to target it',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'check_plaintext_secrets',
+          description: 'Scan git-tracked configuration files (JSON, .env, shell, YAML) for plaintext passwords, tokens and secrets. Reports file, line and key only',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'git_status',
+          description: 'Check Git sync status between SnapLogic and GitHub repository',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+            },
+          },
+        },
+        {
+          name: 'git_pull',
+          description: 'Pull latest changes from GitHub repository to SnapLogic project. Limit the pull with assets or path; dry_run reports which assets would change without modifying anything',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              assets: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Asset names or paths to pull (default: whole project)',
+              },
+              path: {
+                type: 'string',
+                description: 'Pull only assets under this path',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Report the assets that would change without pulling',
+              },
+            },
+          },
+        },
+        {
+          name: 'git_list_branches',
+          description: 'List the branches of the tracked repository and the current one',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+            },
+          },
+        },
+        {
+          name: 'git_switch_branch',
+          description: 'Switch the SnapLogic project to another branch. Refuses when tracked assets are out of sync unless force is set',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              branch: {
+                type: 'string',
+                description: 'Branch to switch to',
+              },
+              force: {
+                type: 'boolean',
+                description: 'Switch even if out-of-sync assets would be overwritten',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Report the assets that would be overwritten without switching',
+              },
+            },
+            required: ['branch'],
+          },
+        },
+        {
+          name: 'git_checkout_asset',
+          description: 'Restore a single asset to its content at a specific commit SHA',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              asset: {
+                type: 'string',
+                description: 'Asset name or path (as shown by git_status)',
+              },
+              sha: {
+                type: 'string',
+                description: 'Commit SHA to check the asset out at',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Report the change without checking out',
+              },
+            },
+            required: ['asset', 'sha'],
+          },
+        },
+        {
+          name: 'git_pipeline_dependencies',
+          description: 'Read the project\'s pipelines from SnapLogic and build the Pipeline Execute call graph with passed parameters, cycles, missing child pipelines and parameter mismatches, as JSON, Mermaid or DOT. Use impact before changing a shared child pipeline',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              format: {
+                type: 'string',
+                enum: GRAPH_FORMATS,
+                description: 'Output format (default: json)',
+              },
+              impact: {
+                type: 'string',
+                description: 'Pipeline name to list the direct and indirect callers of',
+              },
+              path: {
+                type: 'string',
+                description: 'Only read pipelines under this path prefix',
+              },
+            },
+          },
+        },
+        {
+          name: 'list_assets',
+          description: 'List the project\'s pipelines, accounts, tasks and files with their git metadata (tracked path, sync state, commit SHAs), filtered by type, path prefix or git state',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              type: {
+                type: 'string',
+                enum: ASSET_TYPES,
+                description: 'Only list assets of this type',
+              },
+              path: {
+                type: 'string',
+                description: 'Only list assets under this path prefix',
+              },
+              git_status: {
+                type: 'string',
+                enum: GIT_STATES,
+                description: 'Only list assets in this git state',
+              },
+            },
+          },
+        },
+        {
+          name: 'get_asset',
+          description: 'Download a pipeline\'s .slp JSON from SnapLogic, returned as text or saved to a local file',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              asset: {
+                type: 'string',
+                description: 'Pipeline name or path (as shown by list_assets)',
+              },
+              output_path: {
+                type: 'string',
+                description: 'Save the .slp file here instead of returning it',
+              },
+            },
+            required: ['asset'],
+          },
+        },
+        {
+          name: 'export_project',
+          description: 'Download the project\'s pipelines into a local directory, laid out by their git path, with a .snaplogic-export.json manifest of every asset and its git metadata. Local files that differ are kept unless overwrite is true',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              directory: {
+                type: 'string',
+                description: 'Local directory to export into',
+              },
+              type: {
+                type: 'string',
+                enum: ASSET_TYPES,
+                description: 'Only export assets of this type',
+              },
+              path: {
+                type: 'string',
+                description: 'Only export assets under this path prefix',
+              },
+              overwrite: {
+                type: 'boolean',
+                description: 'Replace local files that differ from SnapLogic',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Report the files that would be written without downloading',
+              },
+            },
+            required: ['directory'],
+          },
+        },
+        {
+          name: 'import_pipeline',
+          description: 'Upload a local .slp to a pipeline path in the SnapLogic project. Validates it first (structure, plus snap settings against the schema server\'s cached catalog) and refuses on errors unless force is true. Overwriting an existing pipeline requires overwrite and its current version (expected_version), so changes made in SnapLogic are not lost. Returns the asset id and a Designer link',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              file: {
+                type: 'string',
+                description: 'Local .slp file to upload',
+              },
+              path: {
+                type: 'string',
+                description: 'Pipeline path in the project (orders) or absolute (/<org>/<project_path>/orders)',
+              },
+              overwrite: {
+                type: 'boolean',
+                description: 'Replace the pipeline if it already exists',
+              },
+              expected_version: {
+                type: 'integer',
+                description: 'instance_version the existing pipeline must still have (defaults to the file\'s instance_version)',
+              },
+              force: {
+                type: 'boolean',
+                description: 'Import even though validation reports errors',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Validate and check the target without uploading',
+              },
+              rename_label: {
+                type: 'boolean',
+                description: 'Set the pipeline label to the asset name instead of keeping the file\'s label (default: false)',
+              },
+            },
+            required: ['file', 'path'],
+          },
+        },
+        {
+          name: 'run_pipeline',
+          description: 'Run a pipeline, or start a Designer-style validate run, in a Snaplex. Waits for it to finish by default and summarizes document counts per snap and failures per snap instance id (error, reason, resolution, error view documents, log lines) to correlate with the .slp',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              asset: {
+                type: 'string',
+                description: 'Pipeline name or path (as shown by list_assets)',
+              },
+              mode: {
+                type: 'string',
+                enum: RUN_MODES,
+                description: 'run executes the pipeline; validate runs it on preview data like the Designer validate button (default: run)',
+              },
+              snaplex: {
+                type: 'string',
+                description: 'Snaplex path to run on (default: project_api.snaplex of the profile)',
+              },
+              parameters: {
+                type: 'object',
+                description: 'Pipeline parameter values',
+              },
+              wait: {
+                type: 'boolean',
+                description: 'Poll until the run ends (default: true)',
+              },
+              timeout: {
+                type: 'integer',
+                description: `Seconds to wait before returning the current state (default: ${RUN_POLL.timeout}; pass more, e.g. 300, for long runs)`,
+              },
+            },
+            required: ['asset'],
+          },
+        },
+        {
+          name: 'get_pipeline_run',
+          description: 'Runtime state of a pipeline run with document counts per snap, and failures per snap instance id with error view output and log lines',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              run_id: {
+                type: 'string',
+                description: 'Run id (ruuid) returned by run_pipeline',
+              },
+              wait: {
+                type: 'boolean',
+                description: 'Poll until the run ends or timeout passes (default: false, return the current state)',
+              },
+              timeout: {
+                type: 'integer',
+                description: `Seconds to wait with wait (default: ${RUN_POLL.timeout}; pass more, e.g. 300, for long runs)`,
+              },
+              log: {
+                type: 'boolean',
+                description: 'Read the runtime log even if nothing failed',
+              },
+            },
+            required: ['run_id'],
+          },
+        },
+        {
+          name: 'get_run_log',
+          description: 'Runtime log of a pipeline run, optionally for one snap instance id and from a minimum level',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              run_id: {
+                type: 'string',
+                description: 'Run id (ruuid) returned by run_pipeline',
+              },
+              snap: {
+                type: 'string',
+                description: 'Only entries of this snap instance id',
+              },
+              level: {
+                type: 'string',
+                enum: LOG_LEVELS,
+                description: 'Only entries at this level or more severe',
+              },
+              limit: {
+                type: 'integer',
+                description: 'Most recent entries to return (default: 100)',
+              },
+            },
+            required: ['run_id'],
+          },
+        },
+        {
+          name: 'list_tasks',
+          description: 'List the project\'s triggered, scheduled and ultra tasks with their pipeline, Snaplex, enabled state and invocation URL',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              path: {
+                type: 'string',
+                description: 'Only list tasks under this path prefix',
+              },
+              kind: {
+                type: 'string',
+                enum: TASK_KINDS,
+                description: 'Only list tasks of this kind',
+              },
+            },
+          },
+        },
+        {
+          name: 'get_task',
+          description: 'Show a task\'s pipeline, Snaplex, parameters, schedule, invocation URL and recent run history',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              task: {
+                type: 'string',
+                description: 'Task name or path (as shown by list_tasks)',
+              },
+              history: {
+                type: 'integer',
+                description: 'Number of recent runs to show (default: 10, 0 for none)',
+              },
+            },
+            required: ['task'],
+          },
+        },
+        {
+          name: 'save_task',
+          description: 'Create a triggered, scheduled or ultra task for a pipeline, or update the given settings of an existing task. Checks the parameters against the pipeline\'s param_table and returns the invocation URL',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              path: {
+                type: 'string',
+                description: 'Task path in the project (orders_api) or absolute (/<org>/<project_path>/orders_api)',
+              },
+              kind: {
+                type: 'string',
+                enum: TASK_KINDS,
+                description: 'Task kind (required to create a task; cannot change)',
+              },
+              pipeline: {
+                type: 'string',
+                description: 'Pipeline name or path the task runs (required to create a task)',
+              },
+              parameters: {
+                type: 'object',
+                description: 'Pipeline parameter values, replacing the task\'s current ones',
+              },
+              snaplex: {
+                type: 'string',
+                description: 'Snaplex path (default: the task\'s current one, else project_api.snaplex of the profile)',
+              },
+              schedule: {
+                type: 'object',
+                description: 'Scheduled tasks only: { cron: "0 2 * * *", timezone: "UTC" }',
+              },
+              enabled: {
+                type: 'boolean',
+                description: 'Whether the task is enabled (default for new tasks: true)',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Check the settings and show the result without saving',
+              },
+            },
+            required: ['path'],
+          },
+        },
+        {
+          name: 'set_task_enabled',
+          description: 'Enable or disable a task without changing its other settings',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              task: {
+                type: 'string',
+                description: 'Task name or path (as shown by list_tasks)',
+              },
+              enabled: {
+                type: 'boolean',
+                description: 'true to enable, false to disable',
+              },
+            },
+            required: ['task', 'enabled'],
+          },
+        },
+        {
+          name: 'list_accounts',
+          description: 'List the accounts pipelines in the project can reference - the project\'s own, its project space\'s shared folder and the org\'s shared folder - with each account\'s type and the path to reference it by. Never reads account settings or secrets',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              type: {
+                type: 'string',
+                description: 'Only accounts whose type (class id) contains this text, e.g. oracle or rest',
+              },
+            },
+          },
+        },
+        {
+          name: 'check_account_refs',
+          description: 'Check the account every snap of a pipeline references: that it exists at the referenced path and is of a type the snap accepts. Suggests matching accounts for broken references',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              file: {
+                type: 'string',
+                description: 'Local .slp file to check',
+              },
+              asset: {
+                type: 'string',
+                description: 'Pipeline in the project to check, by name or path (as shown by list_assets)',
+              },
+              path: {
+                type: 'string',
+                description: 'With file: where the pipeline will be imported, relative to the project (orders) or absolute (/<org>/<project_path>/orders). Relative account references resolve from its folder (default: the project)',
+              },
+            },
+          },
+        },
+        {
+          name: 'git_commit_push',
+          description: 'Commit selected SnapLogic assets to the tracked GitHub repository and push. Uses sync.commit_prefix, validates pipelines first when sync.validate_before_push is set, and only previews unless sync.auto_commit is set or confirm is true',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              assets: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Asset names or paths to commit (as shown by git_status)',
+              },
+              message: {
+                type: 'string',
+                description: 'Commit message (sync.commit_prefix is prepended)',
+              },
+              confirm: {
+                type: 'boolean',
+                description: 'Push even though sync.auto_commit is off',
+              },
+            },
+            required: ['assets', 'message'],
+          },
+        },
+      ],
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return this.handleToolCall(name, args);
+    });
+  }
+
+  /**
+   * Run a tool call for its profile; failures come back as isError results
+   */
+  async handleToolCall(name, args) {
+    let context = this;
+
+    try {
+      context = this.forProfile(args?.profile);
+      
+      switch (name) {
+        case 'list_profiles':
+          return this.listProfiles();
+          
+        case 'check_plaintext_secrets':
+          return this.checkPlaintextSecrets();
+          
+        case 'git_status':
+          return await context.getGitStatus();
+          
+        case 'git_pull':
+          return await context.gitPull(args);
+          
+        case 'git_list_branches':
+          return await context.listBranches();
+          
+        case 'git_switch_branch':
+          return await context.switchBranch(args);
+          
+        case 'git_checkout_asset':
+          return await context.checkoutAsset(args);
+          
+        case 'git_commit_push':
+          return await context.gitCommitPush(args);
+          
+        case 'git_pipeline_dependencies':
+          return await context.pipelineDependencies(args);
+          
+        case 'list_assets':
+          return await context.listAssets(args);
+          
+        case 'get_asset':
+          return await context.getAsset(args);
+          
+        case 'export_project':
+          return await context.exportProject(args);
+          
+        case 'import_pipeline':
+          return await context.importPipeline(args);
+          
+        case 'run_pipeline':
+          return await context.runPipeline(args);
+          
+        case 'get_pipeline_run':
+          return await context.getPipelineRun(args);
+          
+        case 'get_run_log':
+          return await context.getRunLog(args);
+          
+        case 'list_tasks':
+          return await context.listTasks(args);
+          
+        case 'get_task':
+          return await context.getTask(args);
+          
+        case 'save_task':
+          return await context.saveTask(args);
+          
+        case 'set_task_enabled':
+          return await context.setTaskEnabled(args);
+          
+        case 'list_accounts':
+          return await context.listAccounts(args);
+          
+        case 'check_account_refs':
+          return await context.checkAccountRefs(args);
+          
+        default:
+          throw new Error(`Unknown tool: ${name}`);
+      }
+    } catch (error) {
+      if (error instanceof GitHubAuthRequiredError) {
+        return context.formatGitHubAuthError();
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${redact(error instanceof Error ? error.message : String(error))}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  async run() {
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+    console.error('SnapLogic Git MCP server running on stdio');
+  }
+}
+
+function isPipelineEntry(entry) {
+  return String(entry.asset_type || '').toLowerCase() === 'pipeline' || /\.slp$/.test(entry.name || '');
+}
+
+function assetType(entry) {
+  return isPipelineEntry(entry) ? 'pipeline' : String(entry.asset_type || 'unknown').toLowerCase();
+}
+
+/**
+ * Git state of a repo-status entry, one of GIT_STATES
+ */
+function syncState(entry) {
+  const git = entry.metadata?.git;
+  if (!git || git.status === 'untracked') return 'untracked';
+  if (!git.current_sha || !git.latest_repo_sha) return 'tracked';
+  return git.current_sha === git.latest_repo_sha ? 'in_sync' : 'out_of_sync';
+}
+
+function describeGit(entry) {
+  const git = entry.metadata?.git;
+  switch (syncState(entry)) {
+    case 'in_sync':
+      return `in sync at ${git.current_sha.substring(0, 8)}`;
+    case 'out_of_sync':
+      return `out of sync (SnapLogic ${git.current_sha.substring(0, 8)}, GitHub ${git.latest_repo_sha.substring(0, 8)})`;
+    case 'tracked':
+      return 'tracked';
+    default:
+      return 'untracked';
+  }
+}
+
+/**
+ * Describe the files export_project wrote, kept and failed to download
+ */
+function formatExportResult(result, { directory, projectSpace, assets, dryRun }) {
+  let text = dryRun
+    ? `Dry run: export of ${projectSpace} project (${assets} assets) to ${directory}\n`
+    : `Exported ${projectSpace} project (${assets} assets) to ${directory}\n`;
+
+  if (result.written.length > 0) {
+    text += `\n${dryRun ? 'Would write' : 'Wrote'} ${result.written.length} pipelines:\n`;
+    text += result.written.map(file => `- ${file}\n`).join('');
+  }
+  if (result.unchanged.length > 0) {
+    text += `\nUnchanged: ${result.unchanged.length} pipelines already match SnapLogic\n`;
+  }
+  if (result.kept.length > 0) {
+    text += dryRun
+      ? `\nWould keep ${result.kept.length} existing local files (pass overwrite: true to replace them):\n`
+      : `\nKept ${result.kept.length} local files that differ from SnapLogic (pass overwrite: true to replace them):\n`;
+    text += result.kept.map(file => `- ${file}\n`).join('');
+  }
+  if (result.failed.length > 0) {
+    text += `\nFailed (${result.failed.length}):\n`;
+    text += result.failed.map(({ name, message }) => `- ${name}: ${message}\n`).join('');
+  }
+
+  text += dryRun
+    ? `\nNothing was downloaded or written.`
+    : `\nEvery asset and its git metadata is listed in ${path.join(directory, EXPORT_MANIFEST)}`;
+  return text;
+}
+
+/**
+ * Explain why import_pipeline refused a file
+ */
+function formatImportRefusal(file, report, { forceable }) {
+  let text = `Import refused: ${file} has ${report.summary.errors} validation errors.\n\n`;
+  text += formatReportIssues(report, 'errors');
+  if (forceable) {
+    text += `\nFix them (the schema server's fix_pipeline handles common ones) or pass force: true to import anyway.`;
+  }
+  return text;
+}
+
+function formatImportValidation(report, schema) {
+  let text = `Validation: ${report.summary.errors} errors, ${report.summary.warnings} warnings`;
+  text += schema ? '\n' : ' (structure only - no schema catalog cached; start the schema server once to enable snap settings checks)\n';
+  if (report.summary.errors > 0) {
+    text += `Imported despite errors (force):\n${formatReportIssues(report, 'errors')}`;
+  }
+  if (report.summary.warnings > 0) {
+    text += `Warnings:\n${formatReportIssues(report, 'warnings')}`;
+  }
+  return text;
+}
+
+/**
+ * One line per error or warning of a validation report
+ */
+function formatReportIssues(report, severity) {
+  let text = '';
+  for (const issue of report.pipeline[severity]) {
+    text += `- ${issue.path || '/'}: ${issue.message}\n`;
+  }
+  for (const [snapId, snap] of Object.entries(report.snaps)) {
+    for (const issue of snap[severity]) {
+      text += `- ${snap.label || snapId}: ${issue.message}\n`;
+    }
+  }
+  for (const [linkId, link] of Object.entries(report.links)) {
+    for (const issue of link[severity]) {
+      text += `- ${linkId}: ${issue.message}\n`;
+    }
+  }
+  return text;
+}
+
+/**
+ * One line per account reference, with suggested accounts under broken ones
+ */
+function formatAccountResults(results) {
+  let text = '';
+  for (const result of results) {
+    const snap = `${result.instance_id} ${result.label ? `"${result.label}"` : '(unlabeled)'}`;
+    if (result.status === 'unset') {
+      text += `- ${snap}: no account selected\n`;
+    } else if (result.status === 'ok') {
+      text += `- ${snap}: ${result.reference.path} → ${result.account.path} [${result.account.class_id || 'unknown type'}]\n`;
+    } else {
+      text += `- ${snap}: ${result.reference.path} - ${result.message}\n`;
+      for (const suggestion of result.suggestions) {
+        text += `  Did you mean ${suggestion.reference} (${suggestion.path}, ${suggestion.class_id || 'unknown type'})?\n`;
+      }
+    }
+  }
+  return text;
+}
+
+/**
+ * Describe pipelines that failed validation, grouped by asset
+ */
+function formatValidationFailures(failures) {
+  let text = `Push refused: ${failures.length} pipelines failed validation (sync.validate_before_push is on).\n`;
+  
+  for (const { entry, report } of failures) {
+    text += `\n${entry.name} (${report.summary.errors} errors):\n`;
+    text += formatReportIssues(report, 'errors');
+  }
+  
+  return text;
+}
+
+/**
+ * Group repo-status entries into in-sync, out-of-sync, untracked and tracked assets
+ */
+function classifyEntries(entries) {
+  const status = {
+    inSync: [],
+    outOfSync: [],
+    untracked: [],
+    tracked: []
+  };
+
+  for (const entry of entries) {
+    if (entry.metadata?.git) {
+      const git = entry.metadata.git;
+      
+      if (git.status === 'untracked') {
+        status.untracked.push({
+          name: entry.name,
+          path: entry.path,
+          type: entry.asset_type
+        });
+      } else if (git.status === 'tracked') {
+        status.tracked.push(entry.name);
+        
+        // Check if in sync
+        if (git.current_sha && git.latest_repo_sha) {
+          if (git.current_sha === git.latest_repo_sha) {
+            status.inSync.push({
+              name: entry.name,
+              path: git.path,
+              sha: git.current_sha
+            });
+          } else {
+            status.outOfSync.push({
+              name: entry.name,
+              path: git.path,
+              currentSha: git.current_sha,
+              latestSha: git.latest_repo_sha
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return status;
+}
+
+// Start only when run directly, so the class can be imported without starting a server.
+// The plaintext secret warning goes to stderr, like the startup message in run(), and to the
+// request log (SNAPLOGIC_API_LOG_FILE).
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new SnapLogicGitServer();
+  const secrets = scanPlaintextSecrets(SERVER_DIR);
+  if (secrets.length > 0) {
+    const files = [...new Set(secrets.map(secret => secret.file))];
+    const hint = 'run check_plaintext_secrets for details';
+    server.client.logger.log('plaintext_secrets', { count: secrets.length, files, hint });
+    console.error(`Warning: ${secrets.length} plaintext secrets in ${files.join(', ')}; ${hint}`);
+  }
+  server.run().catch(error => console.error(redact(error instanceof Error ? error.stack : String(error))));
+}
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * Pipeline run summaries for run_pipeline and get_pipeline_run
+ * The runtime detail of a run holds its state and, per snap instance id, the snap
+ * state, document counts per view, the error it failed with and the documents
+ * written to its error view. Summaries keep the instance ids so failures can be
+ * traced back to the snap_map of the .slp.
+ */
+
+export const RUN_MODES = ['run', 'validate'];
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// States after which a run no longer changes
+const TERMINAL_STATES = ['completed', 'failed', 'stopped', 'suspended'];
+const FAILED_STATES = ['failed', 'stopped'];
+
+// Error view documents and log lines shown per failed snap
+const MAX_ERROR_DOCUMENTS = 3;
+const MAX_SNAP_LOG_LINES = 5;
+
+export function isTerminalState(state) {
+  return TERMINAL_STATES.includes(String(state || '').toLowerCase());
+}
+
+/**
+ * Summarize a runtime detail response
+ *
+ * @param {object} detail - response_map of the runtime detail request
+ * @param {Array} [log] - entries from normalizeLogEntries, matched to snaps by snap_id
+ * @returns {{run_id, pipeline, mode, state, snaplex, duration_ms, error, snaps: Array, failures: Array}}
+ *   snaps are {instance_id, label, class_id, state, input_docs, output_docs, error_docs, error, error_documents, log}
+ */
+export function summarizeRuntime(detail, log = []) {
+  const snaps = Object.entries(detail.snap_map || {}).map(([instanceId, snap]) => {
+    const stats = snap.statistics || {};
+    const error = describeError(snap.error);
+    return {
+      instance_id: instanceId,
+      label: snap.label || null,
+      class_id: snap.class_id || null,
+      state: snap.state || null,
+      input_docs: countDocuments(stats.input),
+      output_docs: countDocuments(stats.output),
+      error_docs: countDocuments(stats.error),
+      error,
+      error_documents: Array.isArray(snap.error_documents) ? snap.error_documents : [],
+      log: log.filter(entry => entry.snap_id === instanceId && entry.level === 'error')
+    };
+  });
+
+  const failures = snaps.filter(snap =>
+    FAILED_STATES.includes(String(snap.state || '').toLowerCase()) || snap.error || snap.error_docs > 0
+  );
+
+  const started = Date.parse(detail.start_time || '');
+  const ended = Date.parse(detail.end_time || '');
+
+  return {
+    run_id: detail.ruuid || null,
+    pipeline: detail.label || null,
+    mode: detail.mode || 'run',
+    state: detail.state || 'Unknown',
+    snaplex: detail.plex_path || null,
+    duration_ms: Number.isNaN(started) || Number.isNaN(ended) ? null : ended - started,
+    error: describeError(detail.error),
+    snaps,
+    failures
+  };
+}
+
+/**
+ * Runtime log entries as {time, level, snap_id, message}, oldest first
+ */
+export function normalizeLogEntries(responseMap) {
+  const entries = Array.isArray(responseMap) ? responseMap : responseMap?.entries || [];
+  return entries.map(entry => ({
+    time: entry.time || entry.timestamp || null,
+    level: String(entry.level || 'info').toLowerCase().replace(/^warning$/, 'warn'),
+    snap_id: entry.snap_id || entry.instance_id || null,
+    message: entry.message ?? entry.msg ?? ''
+  }));
+}
+
+/**
+ * Text report of a run: state, per-snap document counts and the failures
+ */
+export function formatRunSummary(summary, { timedOut = false, timeout } = {}) {
+  const duration = summary.duration_ms === null ? '' : ` after ${(summary.duration_ms / 1000).toFixed(1)}s`;
+  let text = `${summary.mode === 'validate' ? 'Validation run' : 'Run'} ${summary.run_id || '?'}`;
+  text += `${summary.pipeline ? ` of ${summary.pipeline}` : ''}${summary.snaplex ? ` on ${summary.snaplex}` : ''}: ${summary.state}${duration}\n`;
+
+  if (timedOut) {
+    text += `Still running after ${timeout}s; check again with get_pipeline_run({ run_id: "${summary.run_id}" })\n`;
+  }
+  if (summary.error) {
+    text += `Error: ${summary.error.message}\n`;
+  }
+
+  if (summary.snaps.length > 0) {
+    text += `\nSnaps (${summary.snaps.length}):\n`;
+    for (const snap of summary.snaps) {
+      text += `- ${snap.instance_id} ${describeSnap(snap)}: in ${snap.input_docs}, out ${snap.output_docs}, errors ${snap.error_docs}${snap.state ? ` - ${snap.state}` : ''}\n`;
+    }
+  }
+
+  if (summary.failures.length > 0) {
+    text += `\nFailures (${summary.failures.length}):\n`;
+    for (const snap of summary.failures) {
+      text += `\n${snap.instance_id} ${describeSnap(snap)}${snap.class_id ? ` [${snap.class_id}]` : ''}\n`;
+      if (snap.error) {
+        text += `  Error: ${snap.error.message}\n`;
+        if (snap.error.reason) text += `  Reason: ${snap.error.reason}\n`;
+        if (snap.error.resolution) text += `  Resolution: ${snap.error.resolution}\n`;
+      }
+      if (snap.error_documents.length > 0) {
+        text += `  Error view (${snap.error_docs || snap.error_documents.length} documents${snap.error_documents.length > MAX_ERROR_DOCUMENTS ? `, first ${MAX_ERROR_DOCUMENTS} shown` : ''}):\n`;
+        for (const document of snap.error_documents.slice(0, MAX_ERROR_DOCUMENTS)) {
+          text += `    ${JSON.stringify(document)}\n`;
+        }
+      }
+      for (const entry of snap.log.slice(-MAX_SNAP_LOG_LINES)) {
+        text += `  Log: ${formatLogEntry(entry)}\n`;
+      }
+    }
+  } else if (isTerminalState(summary.state)) {
+    text += `\nNo snap failures.\n`;
+  }
+
+  return text;
+}
+
+export function formatLogEntry(entry) {
+  return [entry.time, entry.level.toUpperCase(), entry.snap_id, entry.message].filter(Boolean).join(' ');
+}
+
+// Document counts come per view ({output0: {docs: 10}}) or as a plain number
+function countDocuments(views) {
+  if (typeof views === 'number') return views;
+  if (!views || typeof views !== 'object') return 0;
+  return Object.values(views).reduce((total, view) =>
+    total + (typeof view === 'number' ? view : Number(view?.docs) || 0), 0);
+}
+
+// Errors come as a message string or as {message, reason, resolution}
+function describeError(error) {
+  if (!error) return null;
+  if (typeof error === 'string') return { message: error, reason: null, resolution: null };
+  return {
+    message: error.message || 'Unknown error',
+    reason: error.reason || null,
+    resolution: error.resolution || null
+  };
+}
+
+function describeSnap(snap) {
+  return snap.label ? `"${snap.label}"` : '(unlabeled)';
+}
@@ -0,0 +1,122 @@
+/**
+ * Task documents for the task tools
+ * A task makes a pipeline callable: a triggered task over an HTTPS URL, an ultra
+ * task as an always-running instance behind a queue URL, a scheduled task on a
+ * cron schedule. normalizeTask reads the document SnapLogic returns into the shape
+ * the tools report; buildTaskDocument writes that shape back for create/update.
+ */
+
+export const TASK_KINDS = ['triggered', 'scheduled', 'ultra'];
+
+/**
+ * @param {object} document - task document (response_map of the task request)
+ * @param {string} path - project path of the task
+ * @returns {{name, path, kind, pipeline: {path, snode_id}, snaplex, parameters, enabled, schedule, url}}
+ */
+export function normalizeTask(document, path) {
+  return {
+    name: document.name || path.split('/').pop(),
+    path,
+    kind: String(document.job_type || 'triggered').toLowerCase(),
+    pipeline: { path: document.pipeline || null, snode_id: document.pipeline_snode_id || null },
+    snaplex: document.plex_path || null,
+    parameters: document.params || {},
+    enabled: document.enabled !== false,
+    schedule: document.schedule || null,
+    url: document.url || null
+  };
+}
+
+export function buildTaskDocument(task) {
+  const document = {
+    name: task.name,
+    job_type: task.kind,
+    pipeline: task.pipeline.path,
+    pipeline_snode_id: task.pipeline.snode_id,
+    plex_path: task.snaplex,
+    params: task.parameters,
+    enabled: task.enabled
+  };
+  if (task.kind === 'scheduled') {
+    document.schedule = task.schedule;
+  }
+  return document;
+}
+
+/**
+ * Throw unless a scheduled task has a five-field cron schedule, and other kinds have none
+ */
+export function checkSchedule(kind, schedule) {
+  if (kind !== 'scheduled') {
+    if (schedule) throw new Error(`schedule only applies to scheduled tasks, not ${kind} tasks`);
+    return;
+  }
+
+  const fields = String(schedule?.cron || '').trim().split(/\s+/);
+  if (fields.length !== 5 || !fields.every(field => /^[\w*,/-]+$/.test(field))) {
+    throw new Error(`Scheduled tasks need schedule.cron with five fields (minute hour day month weekday), e.g. "0 2 * * *" (got ${schedule?.cron ?? 'none'})`);
+  }
+}
+
+/**
+ * URL that invokes the task: returned by SnapLogic, else the cloud URL for its kind
+ * Scheduled tasks have none.
+ */
+export function invocationUrl(baseUrl, task) {
+  if (task.url) return task.url;
+  if (task.kind === 'triggered') return `${baseUrl}/api/1/rest/slsched/feed${task.path}`;
+  if (task.kind === 'ultra') return `${baseUrl}/api/1/rest/feed-master/queue${task.path}`;
+  return null;
+}
+
+/**
+ * Recent runs as {run_id, state, start_time, duration_ms}, newest first
+ */
+export function normalizeRuns(responseMap) {
+  const entries = Array.isArray(responseMap) ? responseMap : responseMap?.entries || [];
+  return entries.map(run => {
+    const started = Date.parse(run.start_time || '');
+    const ended = Date.parse(run.end_time || '');
+    return {
+      run_id: run.ruuid || null,
+      state: run.state || 'Unknown',
+      start_time: run.start_time || null,
+      duration_ms: Number.isNaN(started) || Number.isNaN(ended) ? null : ended - started
+    };
+  });
+}
+
+/**
+ * Text report of a task, its invocation URL and (when given) its recent runs
+ */
+export function formatTask(task, { url, runs = null } = {}) {
+  let text = `${task.name} (${task.kind} task, ${task.enabled ? 'enabled' : 'disabled'})\n`;
+  text += `Path:       ${task.path}\n`;
+  text += `Pipeline:   ${task.pipeline.path || '?'}\n`;
+  text += `Snaplex:    ${task.snaplex || '?'}\n`;
+  if (task.schedule) {
+    text += `Schedule:   ${task.schedule.cron}${task.schedule.timezone ? ` (${task.schedule.timezone})` : ''}\n`;
+  }
+  if (url) {
+    text += `URL:        ${url}\n`;
+  }
+
+  const parameters = Object.entries(task.parameters);
+  text += parameters.length === 0 ? 'Parameters: none\n' : 'Parameters:\n';
+  for (const [name, value] of parameters) {
+    text += `- ${name} = ${JSON.stringify(value)}\n`;
+  }
+
+  if (runs) {
+    text += `\nRecent runs (${runs.length}):\n`;
+    for (const run of runs) {
+      const duration = run.duration_ms === null ? '' : `, ${(run.duration_ms / 1000).toFixed(1)}s`;
+      text += `- ${run.run_id || '?'} ${run.state}${run.start_time ? ` at ${run.start_time}` : ''}${duration}\n`;
+    }
+    if (runs.length === 0) {
+      text += '- none\n';
+    }
+  }
+
+  return text;
+}
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { createTestServer, entry, examplePipeline, text } from './helpers.js';
+
+const S3_ACCOUNT = 'com-snaplogic-snaps-binary-aws-s3account';
+const READER_ID = '11111111-1111-1111-1111-000000000000';
+
+const LISTINGS = {
+  '/TestOrg/TestSpace/orders_project': [{ name: 'orders_db', class_id: 'com-snaplogic-snaps-sql-jdbcaccount' }],
+  '/TestOrg/TestSpace/shared': [{ name: 's3_account', class_id: S3_ACCOUNT }]
+};
+
+const accountRoutes = {
+  'GET /api/1/rest/public/assets/list/*': request => {
+    const folder = request.path.slice('/api/1/rest/public/assets/list'.length);
+    return LISTINGS[folder]
+      ? { response_map: { entries: LISTINGS[folder] } }
+      : { status: 404, body: { response_map: { error_list: [{ message: 'Not found' }] } } };
+  }
+};
+
+/**
+ * The example pipeline with its File Reader pointing at an account
+ */
+function pipelineUsing(reference) {
+  const pipeline = examplePipeline();
+  pipeline.snap_map[READER_ID].property_map.account = {
+    account_ref: { value: { label: { value: reference }, ref_class_id: S3_ACCOUNT } }
+  };
+  return pipeline;
+}
+
+test('list_accounts lists the accounts of each visible folder with the reference to use', async () => {
+  const { server, transport } = await createTestServer({ routes: accountRoutes });
+
+  const result = await server.handleToolCall('list_accounts', {});
+
+  assert.equal(text(result), [
+    'Accounts visible to /TestOrg/TestSpace/orders_project (2):',
+    '',
+    '/TestOrg/TestSpace/orders_project (project):',
+    '- orders_db [com-snaplogic-snaps-sql-jdbcaccount] - reference as orders_db',
+    '',
+    '/TestOrg/TestSpace/shared (project space shared):',
+    `- s3_account [${S3_ACCOUNT}] - reference as ../shared/s3_account`,
+    '',
+    '/TestOrg/shared (org shared):',
+    '- folder not found or not visible',
+    ''
+  ].join('\n'));
+  assert.ok(transport.calls.every(call => call.query.asset_type === 'Account'));
+
+  const filtered = await server.handleToolCall('list_accounts', { type: 's3' });
+  assert.doesNotMatch(text(filtered), /orders_db/);
+});
+
+test('check_account_refs reports a missing account with the closest match', async () => {
+  const { server, dir } = await createTestServer({ routes: accountRoutes });
+  const file = path.join(dir, 'orders.slp');
+  writeFileSync(file, JSON.stringify(pipelineUsing('../shared/s3_acount')));
+
+  const result = await server.handleToolCall('check_account_refs', { file });
+
+  assert.match(text(result), /\(1 snaps with an account, 1 to fix\)/);
+  assert.match(text(result), new RegExp(`- ${READER_ID} "File Reader": \\.\\./shared/s3_acount - `));
+  assert.match(text(result), /  Did you mean \.\.\/shared\/s3_account \(\/TestOrg\/TestSpace\/shared\/s3_account, com-snaplogic-snaps-binary-aws-s3account\)\?/);
+  assert.match(text(result), /Account types not checked: no schema catalog cached/);
+});
+
+test('check_account_refs resolves a project pipeline reference from its folder', async () => {
+  const { server } = await createTestServer({
+    entries: [entry('orders')],
+    pipelines: { 'orders-id': pipelineUsing('../shared/s3_account') },
+    routes: accountRoutes
+  });
+
+  const result = await server.handleToolCall('check_account_refs', { asset: 'orders' });
+
+  assert.match(text(result), /\(1 snaps with an account, none to fix\)/);
+  assert.match(text(result), /Relative references resolve from \/TestOrg\/TestSpace\/orders_project\n/);
+  assert.match(text(result), new RegExp(`: \\.\\./shared/s3_account → /TestOrg/TestSpace/shared/s3_account \\[${S3_ACCOUNT}\\]`));
+});
+
+test('import_pipeline lists broken account references without refusing the import', async () => {
+  const { server, dir } = await createTestServer({ routes: accountRoutes });
+  const file = path.join(dir, 'orders.slp');
+  writeFileSync(file, JSON.stringify(pipelineUsing('s3_account')));
+
+  const result = await server.handleToolCall('import_pipeline', { file, path: 'orders', dry_run: true });
+
+  assert.equal(result.isError, undefined);
+  assert.match(text(result), /Account references to fix before running \(1\):\n/);
+  assert.match(text(result), /Did you mean \.\.\/shared\/s3_account/);
+});
@@ -0,0 +1,100 @@
+/**
+ * Shared fixtures for the git server tests
+ */
+
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockTransport } from 'snaplogic-common';
+
+export const BASE_URL = 'https://snaplogic.test';
+export const PROJECT_ROOT = '/TestOrg/TestSpace/orders_project';
+export const SNAPLEX = '/TestOrg/shared/cloudplex';
+
+const PIPELINE = readFileSync(new URL('../../../examples/3-snap-pipeline.slp', import.meta.url), 'utf8');
+
+/**
+ * The repository's 3-snap example pipeline (File Reader → CSV Parser → Mapper)
+ */
+export function examplePipeline() {
+  return JSON.parse(PIPELINE);
+}
+
+/**
+ * Repo-status entry of a tracked asset; sha and latest differ for out-of-sync assets
+ */
+export function entry(name, { type = 'Pipeline', snodeId = `${name}-id`, sha = 'a'.repeat(40), latest = sha, gitPath } = {}) {
+  return {
+    name,
+    asset_type: type,
+    snode_id: snodeId,
+    path: `TestSpace/orders_project/${name}`,
+    metadata: {
+      git: {
+        status: 'tracked',
+        path: gitPath || (type === 'Pipeline' ? `pipelines/${name}.slp` : `${type.toLowerCase()}s/${name}`),
+        current_sha: sha,
+        latest_repo_sha: latest
+      }
+    }
+  };
+}
+
+/**
+ * Mock API route for a project API operation (repo-status, pull, checkout, ...)
+ */
+export function projectRoute(method, operation) {
+  return `${method} /api/1/rest/public/project/${operation}${PROJECT_ROOT}`;
+}
+
+/**
+ * Git server for a test profile whose API is a mock transport answering the given
+ * routes; repo-status returns entries and every pipeline read returns pipelines[snode_id]
+ * (default: the example pipeline). Sync settings come from a temporary config file.
+ */
+export async function createTestServer({ entries = [], pipelines = {}, routes = {}, sync = {} } = {}) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'snaplogic-git-test-'));
+  const configFile = path.join(dir, '.snaplogic-config.json');
+  writeFileSync(configFile, JSON.stringify({ sync }));
+  Object.assign(process.env, {
+    SNAPLOGIC_PROFILES_FILE: path.join(dir, 'profiles.json'),
+    SNAPLOGIC_CREDENTIALS_FILE: path.join(dir, 'credentials.json'),
+    SNAPLOGIC_CONFIG_FILE: configFile,
+    SNAPLOGIC_SCHEMA_CACHE_FILE: path.join(dir, 'catalog.json'),
+    SNAPLOGIC_SCHEMA_BASE_URL: BASE_URL,
+    SNAPLOGIC_SCHEMA_ORG: 'TestOrg',
+    SNAPLOGIC_PROJECT_BASE_URL: BASE_URL,
+    SNAPLOGIC_PROJECT_ORG: 'TestOrg',
+    SNAPLOGIC_PROJECT_SPACE: 'TestSpace',
+    SNAPLOGIC_PROJECT_PATH: 'TestSpace/orders_project',
+    SNAPLOGIC_PROJECT_ID: '42',
+    SNAPLOGIC_SNAPLEX: SNAPLEX,
+    SNAPLOGIC_USERNAME: 'tester@example.com',
+    SNAPLOGIC_PASSWORD: 'test-password'
+  });
+
+  const transport = createMockTransport({
+    [projectRoute('GET', 'repo-status')]: { response_map: { entries } },
+    'GET /api/1/rest/pipeline/*': request => {
+      const snodeId = request.path.split('/').pop();
+      return { response_map: pipelines[snodeId] || examplePipeline() };
+    },
+    ...routes
+  });
+  const { SnapLogicGitServer } = await import('../index.js');
+  return { server: new SnapLogicGitServer({ transport }), transport, dir };
+}
+
+/**
+ * Text of a tool result
+ */
+export function text(result) {
+  return result.content.map(item => item.text).join('\n');
+}
+
+/**
+ * Requests the mock transport received, other than repo-status and pipeline reads
+ */
+export function writes(transport) {
+  return transport.calls.filter(call => call.method !== 'GET');
+}
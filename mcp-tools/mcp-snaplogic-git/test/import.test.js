@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { createTestServer, entry, examplePipeline, text, writes } from './helpers.js';
+
+const UPDATE_ROUTE = 'PUT /api/1/rest/pipeline/update/*';
+const CREATE_ROUTE = 'POST /api/1/rest/pipeline/create';
+
+function writePipeline(dir, changes = {}) {
+  const pipeline = examplePipeline();
+  pipeline.property_map.info.label = { value: 'Orders Load' };
+  Object.assign(pipeline, changes);
+  const file = path.join(dir, 'orders.slp');
+  writeFileSync(file, JSON.stringify(pipeline));
+  return file;
+}
+
+test('a new pipeline is created at the project path and keeps its label', async () => {
+  const { server, transport, dir } = await createTestServer({
+    routes: { [CREATE_ROUTE]: { response_map: { snode_id: 'new-id', instance_version: 1 } } }
+  });
+  const file = writePipeline(dir, { instance_version: 3 });
+
+  const result = await server.handleToolCall('import_pipeline', { file, path: 'orders' });
+
+  assert.match(text(result), /^Created \/TestOrg\/TestSpace\/orders_project\/orders from /);
+  assert.match(text(result), /Label "Orders Load" kept; the asset is named orders/);
+  assert.match(text(result), /Asset id: new-id/);
+  const [upload] = writes(transport);
+  assert.equal(upload.query.path, '/TestOrg/TestSpace/orders_project/orders');
+  assert.equal(upload.body.property_map.info.label.value, 'Orders Load');
+  assert.equal(upload.body.instance_version, undefined);
+});
+
+test('rename_label sets the label to the asset name', async () => {
+  const { server, transport, dir } = await createTestServer({
+    routes: { [CREATE_ROUTE]: { response_map: { snode_id: 'new-id' } } }
+  });
+
+  await server.handleToolCall('import_pipeline', { file: writePipeline(dir), path: 'orders', rename_label: true });
+
+  assert.equal(writes(transport)[0].body.property_map.info.label.value, 'orders');
+});
+
+test('an existing pipeline is only replaced with overwrite and its current version', async () => {
+  const existing = examplePipeline();
+  existing.instance_version = 7;
+  const { server, transport, dir } = await createTestServer({
+    entries: [entry('orders')],
+    pipelines: { 'orders-id': existing },
+    routes: { [UPDATE_ROUTE]: { response_map: { snode_id: 'orders-id', instance_version: 8 } } }
+  });
+  const file = writePipeline(dir);
+
+  const refused = await server.handleToolCall('import_pipeline', { file, path: 'orders' });
+  assert.match(text(refused), /already exists; pass overwrite: true/);
+
+  const unversioned = await server.handleToolCall('import_pipeline', { file, path: 'orders', overwrite: true });
+  assert.match(text(unversioned), /is at version 7; pass expected_version: 7/);
+
+  const stale = await server.handleToolCall('import_pipeline', { file, path: 'orders', overwrite: true, expected_version: 6 });
+  assert.match(text(stale), /changed in SnapLogic: expected version 6, found 7/);
+  assert.deepEqual(writes(transport), []);
+
+  // A version kept in the file as a string matches the number SnapLogic returns
+  const result = await server.handleToolCall('import_pipeline', { file: writePipeline(dir, { instance_version: '7' }), path: 'orders', overwrite: true });
+  assert.match(text(result), /^Overwrote \/TestOrg\/TestSpace\/orders_project\/orders/);
+  assert.match(text(result), /Version: 8/);
+  const [upload] = writes(transport);
+  assert.equal(upload.path, '/api/1/rest/pipeline/update/orders-id');
+  assert.equal(upload.body.instance_version, 7);
+});
+
+test('a pipeline that fails validation is refused unless forced', async () => {
+  const { server, transport, dir } = await createTestServer({
+    routes: { [CREATE_ROUTE]: { response_map: { snode_id: 'new-id' } } }
+  });
+  const file = writePipeline(dir, { link_map: { broken: { src_id: 'nope', dst_id: 'nope', src_view_id: 'output0', dst_view_id: 'input0' } } });
+
+  const refused = await server.handleToolCall('import_pipeline', { file, path: 'orders' });
+  assert.equal(refused.isError, true);
+  assert.match(text(refused), /^Import refused: .* has \d+ validation errors/);
+
+  const dryRun = await server.handleToolCall('import_pipeline', { file, path: 'orders', force: true, dry_run: true });
+  assert.match(text(dryRun), /^Dry run: would create/);
+  assert.deepEqual(writes(transport), []);
+
+  const forced = await server.handleToolCall('import_pipeline', { file, path: 'orders', force: true });
+  assert.match(text(forced), /Imported despite errors \(force\)/);
+  assert.equal(writes(transport).length, 1);
+});
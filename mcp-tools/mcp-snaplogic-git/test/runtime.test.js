@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SNAPLEX, createTestServer, entry, text } from './helpers.js';
+
+const RUNTIME_ROUTE = 'GET /api/1/rest/public/runtime/TestOrg/run-1';
+const LOG_ROUTE = 'GET /api/1/rest/public/runtime/logs/TestOrg/run-1';
+const MAPPER_ID = '11111111-1111-1111-1111-000000000002';
+
+function runtime(state, snapMap = {}) {
+  return {
+    response_map: {
+      label: 'orders',
+      state,
+      plex_path: SNAPLEX,
+      start_time: '2024-01-15T10:00:00Z',
+      end_time: state === 'Running' ? null : '2024-01-15T10:00:04Z',
+      snap_map: snapMap
+    }
+  };
+}
+
+async function runServer(routes) {
+  return createTestServer({
+    entries: [entry('orders')],
+    routes: {
+      'POST /api/1/rest/pipeline/execute/orders-id': { response_map: { ruuid: 'run-1' } },
+      ...routes
+    }
+  });
+}
+
+const runtimeCalls = transport => transport.calls.filter(call => call.path.endsWith('/TestOrg/run-1') && !call.path.includes('/logs/'));
+
+test('run_pipeline starts the run on the profile Snaplex and summarizes a finished run', async () => {
+  const { server, transport } = await runServer({
+    [RUNTIME_ROUTE]: runtime('Completed', {
+      [MAPPER_ID]: { label: 'Mapper', state: 'Completed', statistics: { input: { input0: { docs: 2 } }, output: { output0: { docs: 2 } } } }
+    })
+  });
+
+  const result = await server.handleToolCall('run_pipeline', { asset: 'orders', parameters: { region: 'EMEA' } });
+
+  assert.equal(text(result), [
+    `Run run-1 of orders on ${SNAPLEX}: Completed after 4.0s`,
+    '',
+    'Snaps (1):',
+    `- ${MAPPER_ID} "Mapper": in 2, out 2, errors 0 - Completed`,
+    '',
+    'No snap failures.',
+    ''
+  ].join('\n'));
+  const start = transport.calls.find(call => call.method === 'POST');
+  assert.deepEqual(start.body, { plex_path: SNAPLEX, mode: 'run', params: { region: 'EMEA' } });
+});
+
+test('a failed run lists the failing snap with its error view documents and log lines', async () => {
+  const { server } = await runServer({
+    [RUNTIME_ROUTE]: runtime('Failed', {
+      [MAPPER_ID]: {
+        label: 'Mapper',
+        class_id: 'com-snaplogic-snaps-transform-datatransform',
+        state: 'Failed',
+        error: { message: 'Failure: $customer_id is undefined', reason: 'Field not found', resolution: 'Check the input schema' },
+        statistics: { error: { error0: { docs: 1 } } },
+        error_documents: [{ id: 7 }]
+      }
+    }),
+    [LOG_ROUTE]: { response_map: { entries: [
+      { time: '10:00:03', level: 'ERROR', snap_id: MAPPER_ID, message: 'Expression failed' },
+      { time: '10:00:03', level: 'INFO', snap_id: MAPPER_ID, message: 'Ignored' }
+    ] } }
+  });
+
+  const result = await server.handleToolCall('run_pipeline', { asset: 'orders' });
+
+  assert.match(text(result), /Failures \(1\):\n\n11111111-1111-1111-1111-000000000002 "Mapper" \[com-snaplogic-snaps-transform-datatransform\]\n/);
+  assert.match(text(result), /  Reason: Field not found\n  Resolution: Check the input schema\n/);
+  assert.match(text(result), /  Error view \(1 documents\):\n    \{"id":7\}\n/);
+  assert.match(text(result), /  Log: 10:00:03 ERROR 11111111-1111-1111-1111-000000000002 Expression failed\n/);
+  assert.doesNotMatch(text(result), /Ignored/);
+});
+
+test('waiting stops at the timeout and reports the run as still running', async () => {
+  const { server, transport } = await runServer({ [RUNTIME_ROUTE]: runtime('Running') });
+
+  const result = await server.handleToolCall('run_pipeline', { asset: 'orders', timeout: 1 });
+
+  assert.match(text(result), /^Run run-1 of orders on .*: Running\nStill running after 1s; check again with get_pipeline_run\(\{ run_id: "run-1" \}\)/);
+  assert.equal(runtimeCalls(transport).length, 1);
+});
+
+test('get_pipeline_run returns the current state unless asked to wait', async () => {
+  const { server, transport } = await runServer({ [RUNTIME_ROUTE]: runtime('Running') });
+
+  const result = await server.handleToolCall('get_pipeline_run', { run_id: 'run-1' });
+
+  assert.match(text(result), /: Running\n/);
+  assert.doesNotMatch(text(result), /Still running/);
+  assert.equal(runtimeCalls(transport).length, 1);
+});
+
+test('run_pipeline without wait returns the run id to follow', async () => {
+  const { server, transport } = await runServer({});
+
+  const result = await server.handleToolCall('run_pipeline', { asset: 'orders', mode: 'validate', wait: false });
+
+  assert.equal(text(result), `Started validation run run-1 of orders on ${SNAPLEX}\nFollow it with get_pipeline_run({ run_id: "run-1", wait: true })`);
+  assert.equal(runtimeCalls(transport).length, 0);
+});
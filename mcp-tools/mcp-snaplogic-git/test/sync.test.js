@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestServer, entry, projectRoute, text, writes } from './helpers.js';
+
+const ENTRIES = [
+  entry('orders'),
+  entry('customers', { sha: 'b'.repeat(40), latest: 'c'.repeat(40) }),
+  entry('db', { type: 'Account' })
+];
+
+test('commit_push previews without confirm while auto_commit is off', async () => {
+  const { server, transport } = await createTestServer({ entries: ENTRIES, sync: { auto_commit: false } });
+
+  const result = await server.handleToolCall('git_commit_push', { assets: ['orders'], message: 'Update mapping' });
+
+  assert.equal(result.isError, undefined);
+  assert.match(text(result), /Commit preview \(sync.auto_commit is off - call again with confirm: true to push\)/);
+  assert.match(text(result), /- orders \(TestSpace\/orders_project\/orders\)/);
+  assert.deepEqual(writes(transport), []);
+});
+
+test('commit_push with confirm validates, prefixes the message and pushes the selected assets', async () => {
+  const { server, transport } = await createTestServer({
+    entries: ENTRIES,
+    sync: { commit_prefix: '[snaplogic]', validate_before_push: true },
+    routes: { [projectRoute('POST', 'commit')]: { response_map: { commit_sha: 'f00d' } } }
+  });
+
+  const result = await server.handleToolCall('git_commit_push', { assets: ['orders', 'db'], message: 'Update mapping', confirm: true });
+
+  assert.match(text(result), /Validated 1 pipelines - no errors/);
+  assert.match(text(result), /Commit: f00d/);
+  assert.deepEqual(writes(transport).map(call => call.body), [{
+    message: '[snaplogic] Update mapping',
+    asset_paths: ['TestSpace/orders_project/orders', 'TestSpace/orders_project/db']
+  }]);
+});
+
+test('commit_push refuses to push a pipeline that fails validation', async () => {
+  const { server, transport } = await createTestServer({
+    entries: ENTRIES,
+    pipelines: { 'orders-id': { snap_map: {}, link_map: {} } },
+    sync: { validate_before_push: true }
+  });
+
+  const result = await server.handleToolCall('git_commit_push', { assets: ['orders'], message: 'Update', confirm: true });
+
+  assert.equal(result.isError, true);
+  assert.match(text(result), /Push refused: 1 pipelines failed validation/);
+  assert.deepEqual(writes(transport), []);
+});
+
+test('pull by path sends only the matching assets', async () => {
+  const { server, transport } = await createTestServer({
+    entries: ENTRIES,
+    routes: { [projectRoute('POST', 'pull')]: { response_map: { updated_assets: ['customers'] } } }
+  });
+
+  const result = await server.handleToolCall('git_pull', { path: 'pipelines' });
+
+  assert.match(text(result), /Git Pull Result \(2 selected assets\)/);
+  assert.match(text(result), /Updated 1 assets:\n- customers/);
+  assert.deepEqual(writes(transport)[0].body, {
+    asset_paths: ['TestSpace/orders_project/orders', 'TestSpace/orders_project/customers']
+  });
+});
+
+test('pull dry run lists out-of-sync assets without pulling', async () => {
+  const { server, transport } = await createTestServer({ entries: ENTRIES });
+
+  const result = await server.handleToolCall('git_pull', { dry_run: true });
+
+  assert.match(text(result), /Would update 1 assets:\n- customers \(pipelines\/customers.slp\)/);
+  assert.deepEqual(writes(transport), []);
+});
+
+test('pull names the filters that matched nothing', async () => {
+  const { server } = await createTestServer({ entries: ENTRIES });
+
+  const result = await server.handleToolCall('git_pull', { path: 'reports' });
+
+  assert.equal(result.isError, true);
+  assert.equal(text(result), 'Error: No assets match path reports');
+});
+
+test('checkout restores one asset at a commit', async () => {
+  const { server, transport } = await createTestServer({
+    entries: ENTRIES,
+    routes: { [projectRoute('POST', 'checkout')]: { response_map: {} } }
+  });
+
+  const preview = await server.handleToolCall('git_checkout_asset', { asset: 'orders', sha: 'aaaaaaaa', dry_run: true });
+  assert.match(text(preview), /Asset is already at this commit/);
+  assert.deepEqual(writes(transport), []);
+
+  const result = await server.handleToolCall('git_checkout_asset', { asset: 'orders', sha: '1234567' });
+  assert.equal(text(result), 'Checked out orders at 1234567');
+  assert.deepEqual(writes(transport)[0].body, { sha: '1234567', asset_paths: ['TestSpace/orders_project/orders'] });
+});
+
+test('switch_branch checks out the branch and lists the updated assets', async () => {
+  const { server, transport } = await createTestServer({
+    entries: [entry('orders')],
+    routes: { [projectRoute('POST', 'checkout')]: { response_map: { updated_assets: ['orders', 'customers'] } } }
+  });
+
+  const result = await server.handleToolCall('git_switch_branch', { branch: 'feature/tax' });
+
+  assert.equal(result.isError, undefined);
+  assert.equal(text(result), 'Switched TestSpace project to branch feature/tax\n\nUpdated 2 assets:\n- orders\n- customers\n');
+  assert.deepEqual(writes(transport)[0].body, { branch: 'feature/tax' });
+});
+
+test('switch_branch refuses while tracked assets are out of sync unless forced', async () => {
+  const { server, transport } = await createTestServer({
+    entries: ENTRIES,
+    routes: { [projectRoute('POST', 'checkout')]: { response_map: {} } }
+  });
+
+  const refused = await server.handleToolCall('git_switch_branch', { branch: 'main' });
+  assert.equal(refused.isError, true);
+  assert.match(text(refused), /^Branch switch to main refused: 1 assets are out of sync/);
+  assert.match(text(refused), /- customers \(pipelines\/customers.slp\)/);
+  assert.deepEqual(writes(transport), []);
+
+  const forced = await server.handleToolCall('git_switch_branch', { branch: 'main', force: true });
+  assert.equal(text(forced), 'Switched TestSpace project to branch main\n');
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BASE_URL, SNAPLEX, createTestServer, entry, examplePipeline, text, writes } from './helpers.js';
+
+const PIPELINE_PATH = 'TestSpace/orders_project/orders';
+
+const TASKS = {
+  'orders_api-id': {
+    name: 'orders_api',
+    job_type: 'Triggered',
+    pipeline: PIPELINE_PATH,
+    pipeline_snode_id: 'orders-id',
+    plex_path: SNAPLEX,
+    params: { region: 'EMEA' }
+  },
+  'nightly-id': {
+    name: 'nightly',
+    job_type: 'Scheduled',
+    pipeline: PIPELINE_PATH,
+    pipeline_snode_id: 'orders-id',
+    plex_path: SNAPLEX,
+    enabled: false,
+    schedule: { cron: '0 2 * * *', timezone: 'UTC' }
+  }
+};
+
+function pipelineWithParameters(rows) {
+  const pipeline = examplePipeline();
+  pipeline.property_map.settings.param_table = {
+    value: rows.map(([key, value]) => ({ key: { value: key }, value: { value } }))
+  };
+  return pipeline;
+}
+
+async function taskServer(routes = {}) {
+  return createTestServer({
+    entries: [entry('orders'), entry('orders_api', { type: 'Task' }), entry('nightly', { type: 'Task' })],
+    pipelines: { 'orders-id': pipelineWithParameters([['region', 'EMEA'], ['batch', '']]) },
+    routes: {
+      'GET /api/1/rest/task/*': request => ({ response_map: TASKS[request.path.split('/').pop()] }),
+      ...routes
+    }
+  });
+}
+
+test('list_tasks shows each task with its kind, state and invocation URL', async () => {
+  const { server } = await taskServer();
+
+  const result = await server.handleToolCall('list_tasks', {});
+
+  assert.match(text(result), /^Tasks in TestSpace project \(2\):\n/);
+  assert.match(text(result), new RegExp(`- orders_api \\(triggered, enabled\\) runs ${PIPELINE_PATH} on ${SNAPLEX}\n` +
+    `  Path: /TestOrg/TestSpace/orders_project/orders_api\n` +
+    `  URL:  ${BASE_URL}/api/1/rest/slsched/feed/TestOrg/TestSpace/orders_project/orders_api\n`));
+  assert.match(text(result), /- nightly \(scheduled, disabled\)[^\n]*\n[^\n]*\n  Schedule: 0 2 \* \* \* \(UTC\)\n/);
+
+  const scheduled = await server.handleToolCall('list_tasks', { kind: 'scheduled' });
+  assert.doesNotMatch(text(scheduled), /orders_api/);
+});
+
+test('get_task includes the recent runs', async () => {
+  const { server, transport } = await taskServer({
+    'GET /api/1/rest/public/runtime/TestOrg': { response_map: { entries: [
+      { ruuid: 'run-9', state: 'Completed', start_time: '2024-01-15T10:00:00Z', end_time: '2024-01-15T10:00:02Z' }
+    ] } }
+  });
+
+  const result = await server.handleToolCall('get_task', { task: 'orders_api', history: 5 });
+
+  assert.match(text(result), /^orders_api \(triggered task, enabled\)\n/);
+  assert.match(text(result), /Parameters:\n- region = "EMEA"\n/);
+  assert.match(text(result), /Recent runs \(1\):\n- run-9 Completed at 2024-01-15T10:00:00Z, 2.0s\n/);
+  assert.deepEqual(transport.calls.at(-1).query, { task_id: 'orders_api-id', limit: '5' });
+});
+
+test('save_task creates a task and reports parameters the pipeline does not expect', async () => {
+  const { server, transport } = await taskServer({
+    'POST /api/1/rest/task/create': { response_map: { snode_id: 'new-task-id' } }
+  });
+
+  const result = await server.handleToolCall('save_task', {
+    path: 'orders_feed',
+    kind: 'triggered',
+    pipeline: 'orders',
+    parameters: { regoin: 'EMEA' }
+  });
+
+  assert.match(text(result), /^Created triggered task \/TestOrg\/TestSpace\/orders_project\/orders_feed \(asset id new-task-id\)/);
+  assert.match(text(result), /- Parameter regoin is not in the param_table of TestSpace\/orders_project\/orders \(declared: region, batch\)\n/);
+  assert.match(text(result), /- Parameter batch has no default and is not set by the task\n/);
+  const [create] = writes(transport);
+  assert.equal(create.query.path, '/TestOrg/TestSpace/orders_project/orders_feed');
+  assert.deepEqual(create.body, {
+    name: 'orders_feed',
+    job_type: 'triggered',
+    pipeline: PIPELINE_PATH,
+    pipeline_snode_id: 'orders-id',
+    plex_path: SNAPLEX,
+    params: { regoin: 'EMEA' },
+    enabled: true
+  });
+});
+
+test('scheduled tasks need a five-field cron schedule', async () => {
+  const { server, transport } = await taskServer();
+
+  const result = await server.handleToolCall('save_task', {
+    path: 'hourly', kind: 'scheduled', pipeline: 'orders', schedule: { cron: 'every hour' }
+  });
+
+  assert.equal(result.isError, true);
+  assert.match(text(result), /Scheduled tasks need schedule.cron with five fields/);
+  assert.deepEqual(writes(transport), []);
+});
+
+test('set_task_enabled updates only the enabled flag', async () => {
+  const { server, transport } = await taskServer({
+    'PUT /api/1/rest/task/update/*': { response_map: {} }
+  });
+
+  const result = await server.handleToolCall('set_task_enabled', { task: 'orders_api', enabled: false });
+
+  assert.match(text(result), /^Updated triggered task \/TestOrg\/TestSpace\/orders_project\/orders_api\n/);
+  const [update] = writes(transport);
+  assert.equal(update.path, '/api/1/rest/task/update/orders_api-id');
+  assert.deepEqual(update.body, {
+    name: 'orders_api',
+    job_type: 'triggered',
+    pipeline: PIPELINE_PATH,
+    pipeline_snode_id: 'orders-id',
+    plex_path: SNAPLEX,
+    params: { region: 'EMEA' },
+    enabled: false
+  });
+});
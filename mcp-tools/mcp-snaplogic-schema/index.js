@@ -11,13 +11,112 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import fetch from 'node-fetch';
-import { SchemaCache } from './cache.js';
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  CacheStore,
+  GRAPH_FORMATS,
+  PipelineBuilder,
+  PipelineValidator,
+  ProfileRegistry,
+  SchemaCache,
+  SnapLogicClient,
+  SnapValidator,
+  buildPipelineGraph,
+  checkExpression,
+  clientOptionsFromEnv,
+  evaluateExpression,
+  formatPipeline,
+  formatPipelineGraph,
+  loadPipelineDirectory,
+  redact,
+  requireProfileFields,
+  resolveCredentials,
+  scanPlaintextSecrets,
+  summarizePipelineGraph
+} from 'snaplogic-common';
+import { PipelineEditor } from './pipeline-editor.js';
+import { diffPipelines, mergePipelines, summarizeDiff, unifiedDiff } from './pipeline-diff.js';
+import { FIX_CATEGORIES, PipelineFixer } from './pipeline-fixer.js';
+import { SnapUpgrader, summarizeUpgrades } from './snap-upgrader.js';
+import { simulatePipeline, SIMULATED_SNAPS, DEFAULT_MAX_DOCUMENTS } from './pipeline-simulator.js';
+import { lintMappers } from './mapper-lint.js';
+import { LINT_FORMATS, PipelineLinter, collectPipelineFiles, formatLintResults } from './pipeline-linter.js';
+
+// Profile settings the schema API needs (not checked in offline mode; credentials are checked by resolveCredentials)
+const REQUIRED_PROFILE_FIELDS = [
+  'schema_api.base_url',
+  'schema_api.org'
+];
+
+// Tools that never need the snap catalog; they run without fetching it (and offline with no cache)
+const CATALOG_FREE_TOOLS = new Set([
+  'diff_pipeline',
+  'merge_pipeline',
+  'simulate_pipeline',
+  'lint_mappers',
+  'pipeline_dependencies',
+  'lint_pipeline',
+  'check_expression',
+  'evaluate_expression'
+]);
+
+// Optional per-call profile argument shared by every tool
+const PROFILE_PROPERTY = {
+  profile: {
+    type: 'string',
+    description: 'Profile to use (see list_profiles); defaults to the default profile',
+  },
+};
+
+// Input properties shared by tools that take an existing pipeline
+const PIPELINE_SOURCE_PROPERTIES = {
+  pipeline: {
+    type: ['object', 'string'],
+    description: 'The .slp document as an object or JSON text',
+  },
+  path: {
+    type: 'string',
+    description: 'Path to a .slp file (used when pipeline is not given)',
+  },
+};
+
+// Input properties shared by the pipeline editing tools
+const PIPELINE_EDIT_PROPERTIES = {
+  ...PIPELINE_SOURCE_PROPERTIES,
+  output_path: {
+    type: 'string',
+    description: 'Optional .slp file path to write the edited pipeline to (may equal path)',
+  },
+};
+
+/**
+ * Input properties for one named pipeline of a diff or merge (inline document or file path)
+ */
+function namedPipelineProperties(name, description) {
+  return {
+    [name]: {
+      type: ['object', 'string'],
+      description: `${description} as an object or JSON text`,
+    },
+    [`${name}_path`]: {
+      type: 'string',
+      description: `Path to the ${description.toLowerCase()} .slp file (used when ${name} is not given)`,
+    },
+  };
+}
 
-class SnapLogicSchemaServer {
-  constructor() {
-    this.cache = new SchemaCache();
-    this.config = this.loadConfig();
+export class SnapLogicSchemaServer {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.transport] - fetch-compatible transport for the API client (e.g. createMockTransport)
+   */
+  constructor(options = {}) {
+    this.transport = options.transport;
+    this.profiles = new ProfileRegistry();
+    this.profileContexts = new Map();
+    Object.assign(this, this.createProfileState(this.loadConfig()));
     
     this.server = new Server(
       {
@@ -35,34 +134,113 @@ class SnapLogicSchemaServer {
   }
 
   /**
-   * Load configuration from environment variables
+   * Load configuration for a profile (default profile when no name is given)
+   * In offline mode (SNAPLOGIC_SCHEMA_OFFLINE=true) the API is never called,
+   * so credentials are optional and only the cache file is used
    */
-  loadConfig() {
-    const required = [
-      'SNAPLOGIC_USERNAME',
-      'SNAPLOGIC_PASSWORD', 
-      'SNAPLOGIC_SCHEMA_BASE_URL',
-      'SNAPLOGIC_SCHEMA_ORG'
-    ];
+  loadConfig(profileName) {
+    const offline = ['1', 'true', 'yes'].includes(
+      (process.env.SNAPLOGIC_SCHEMA_OFFLINE || '').toLowerCase()
+    );
     
-    for (const envVar of required) {
-      if (!process.env[envVar]) {
-        throw new Error(`Missing required environment variable: ${envVar}. Please export all SnapLogic environment variables before starting Claude Code.`);
-      }
+    const profile = this.profiles.get(profileName);
+    const credentials = offline ? {} : resolveCredentials(profile);
+    if (!offline) {
+      requireProfileFields(profile, REQUIRED_PROFILE_FIELDS);
     }
     
+    const org = profile.schema_api.org || null;
+    const serverDir = path.dirname(fileURLToPath(import.meta.url));
+    const isDefault = profile.name === this.profiles.defaultName;
+    
     return {
-      credentials: {
-        username: process.env.SNAPLOGIC_USERNAME,
-        password: process.env.SNAPLOGIC_PASSWORD
-      },
+      profile: profile.name,
+      credentials,
       schema_api: {
-        base_url: process.env.SNAPLOGIC_SCHEMA_BASE_URL,
-        org: process.env.SNAPLOGIC_SCHEMA_ORG
+        base_url: profile.schema_api.base_url,
+        org
+      },
+      cache: {
+        file: profile.cache_file ||
+          (isDefault && process.env.SNAPLOGIC_SCHEMA_CACHE_FILE) ||
+          path.join(serverDir, '.cache', `catalog-${org || 'default'}.json`),
+        offline
+      }
+    };
+  }
+
+  /**
+   * Everything that depends on the profile: catalog cache, tools built on it, store and API client
+   */
+  createProfileState(config) {
+    const cache = new SchemaCache();
+    const validator = new SnapValidator(cache);
+    
+    return {
+      config,
+      cache,
+      validator,
+      pipelineValidator: new PipelineValidator({ snapValidator: validator }),
+      pipelineBuilder: new PipelineBuilder(cache),
+      pipelineEditor: new PipelineEditor(cache),
+      pipelineFixer: new PipelineFixer(cache),
+      snapUpgrader: new SnapUpgrader(cache),
+      store: new CacheStore(config.cache.file, { org: config.schema_api.org }),
+      client: new SnapLogicClient({
+        credentials: config.credentials,
+        ...clientOptionsFromEnv(),
+        transport: this.transport
+      }),
+      // Background refresh bookkeeping for stale catalogs
+      refresh: {
+        promise: null,
+        lastAttempt: 0,
+        lastError: null,
+        retryInterval: 5 * 60 * 1000 // 5 minutes between failed attempts
       }
     };
   }
 
+  /**
+   * Server view bound to one profile
+   * The returned object inherits every method and carries its own profile state,
+   * so tool implementations stay profile-agnostic.
+   */
+  async forProfile(profileName) {
+    if (!profileName || profileName === this.config.profile) {
+      return this;
+    }
+
+    if (!this.profileContexts.has(profileName)) {
+      const context = Object.assign(Object.create(this), this.createProfileState(this.loadConfig(profileName)));
+      await context.loadPersistedCache();
+      this.profileContexts.set(profileName, context);
+    }
+    return this.profileContexts.get(profileName);
+  }
+
+  /**
+   * Load the persisted catalog, if any, into memory
+   */
+  async loadPersistedCache() {
+    const snapshot = await this.store.load();
+    if (snapshot) {
+      this.cache.loadSnapshot(snapshot);
+    }
+  }
+
+  /**
+   * Persist the processed catalog and detailed schemas
+   * A failed write only costs a refetch on the next start, so errors are dropped
+   */
+  async persistCache() {
+    try {
+      await this.store.save(this.cache.toSnapshot());
+    } catch (error) {
+      // Cache directory not writable - keep serving from memory
+    }
+  }
+
   /**
    * Fetch snap catalog from SnapLogic API
    */
@@ -78,27 +256,12 @@ class SnapLogicSchemaServer {
     this.cache.isLoading = true;
     
     try {
-      const url = `${this.config.schema_api.base_url}/api/1/rest/admin/snappack/catalog/snaps?org_path=/${this.config.schema_api.org}&level=detail`;
-      
-      const auth = Buffer.from(
-        `${this.config.credentials.username}:${this.config.credentials.password}`
-      ).toString('base64');
-
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Basic ${auth}`,
-          'Accept': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await this.requestCatalog();
       
       // Process and cache the catalog
       this.cache.processCatalog(data);
+      this.refresh.lastError = null;
+      await this.persistCache();
       
     } catch (error) {
       throw error;
@@ -107,15 +270,160 @@ class SnapLogicSchemaServer {
     }
   }
 
+  /**
+   * Request the detail-level snap catalog from SnapLogic API
+   */
+  async requestCatalog() {
+    if (this.config.cache.offline) {
+      throw new Error('Offline mode: the SnapLogic API is not used (SNAPLOGIC_SCHEMA_OFFLINE is set)');
+    }
+    
+    const url = `${this.config.schema_api.base_url}/api/1/rest/admin/snappack/catalog/snaps?org_path=/${this.config.schema_api.org}&level=detail`;
+    
+    return this.client.get(url);
+  }
+
+  /**
+   * Get the detailed schema for one snap
+   * Details are built from the last catalog fetch and persisted with the catalog;
+   * only a cache loaded from disk without the snap's details refetches the catalog.
+   */
+  async getSnapSchema(classId) {
+    if (this.cache.detailCache.has(classId)) {
+      return this.cache.getDetailedSchema(classId);
+    }
+
+    if (!this.cache.getSnapInfo(classId)) {
+      throw new Error(`Unknown snap: ${classId}`);
+    }
+
+    let detail = this.cache.getDetailedSchema(classId);
+    if (!detail) {
+      if (this.config.cache.offline) {
+        throw new Error(`Offline mode: detailed schema for ${classId} is not in the cache`);
+      }
+
+      await this.fetchCatalog();
+      detail = this.cache.getDetailedSchema(classId);
+      if (!detail) {
+        throw new Error(`No schema returned for snap: ${classId}`);
+      }
+    }
+
+    await this.persistCache();
+    return detail;
+  }
+
   /**
    * Ensure catalog is loaded and fresh
+   * A stale catalog is served immediately while a refresh runs in the background
    */
   async ensureCatalog() {
-    if (this.cache.needsCatalogRefresh()) {
+    if (this.cache.catalog.size === 0) {
+      if (this.config.cache.offline) {
+        throw new Error(`Offline mode: no cached catalog found at ${this.config.cache.file}`);
+      }
       await this.fetchCatalog();
+      return;
+    }
+
+    if (this.cache.needsCatalogRefresh()) {
+      this.refreshInBackground();
+    }
+  }
+
+  /**
+   * Start a background catalog refresh unless one is running or recently failed
+   */
+  refreshInBackground() {
+    if (this.config.cache.offline || this.refresh.promise) return;
+    if (this.refresh.lastError && Date.now() - this.refresh.lastAttempt < this.refresh.retryInterval) return;
+
+    this.refresh.lastAttempt = Date.now();
+    this.refresh.promise = this.fetchCatalog()
+      .catch(error => {
+        this.refresh.lastError = error instanceof Error ? error.message : String(error);
+      })
+      .finally(() => {
+        this.refresh.promise = null;
+      });
+  }
+
+  /**
+   * Describe catalog freshness; null when the catalog is fresh
+   */
+  getStaleNotice() {
+    if (!this.cache.catalogLastFetch || !this.cache.needsCatalogRefresh()) {
+      return null;
+    }
+
+    const staleSince = new Date(this.cache.catalogLastFetch + this.cache.catalogTTL).toISOString();
+    let reason;
+    if (this.config.cache.offline) {
+      reason = 'offline mode';
+    } else if (this.refresh.lastError) {
+      reason = `SnapLogic API unreachable: ${this.refresh.lastError}`;
+    } else {
+      reason = 'refresh in progress';
+    }
+
+    return `Note: serving cached snap catalog (read-only), stale since ${staleSince} (${reason}).`;
+  }
+
+  /**
+   * Resolve a pipeline tool argument: inline document (object or JSON text) or .slp file path
+   */
+  async loadPipelineSource(args, key = 'pipeline', pathKey = 'path') {
+    if (args?.[key] !== undefined) {
+      return args[key];
+    }
+    if (args?.[pathKey]) {
+      return readFile(args[pathKey], 'utf8');
+    }
+    throw new Error(`${key} or ${pathKey} is required`);
+  }
+
+  /**
+   * Load a pipeline argument as an object for editing
+   */
+  async loadPipeline(args, key = 'pipeline', pathKey = 'path') {
+    const source = await this.loadPipelineSource(args, key, pathKey);
+    if (typeof source !== 'string') {
+      return source;
+    }
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      throw new Error(`${key === 'pipeline' ? 'Pipeline' : key} is not valid JSON: ${error.message}`);
     }
   }
 
+  /**
+   * Apply a PipelineEditor operation and report the changes with a validation run
+   */
+  async editPipeline(args, operation) {
+    const source = await this.loadPipeline(args);
+    const { pipeline, changes } = operation(source);
+    const validation = this.pipelineValidator.validate(pipeline);
+
+    if (args.output_path) {
+      await writeFile(args.output_path, formatPipeline(pipeline));
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            path: args.output_path || null,
+            changes,
+            validation,
+            pipeline
+          }, null, 2),
+        },
+      ],
+    };
+  }
 
   /**
    * Setup MCP tool handlers
@@ -123,12 +431,21 @@ class SnapLogicSchemaServer {
   setupToolHandlers() {
     this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: [
+        {
+          name: 'list_profiles',
+          description: 'List the configured SnapLogic profiles (environments/orgs); pass a profile name to any tool to target it',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
         {
           name: 'search_snaps',
-          description: 'Search for SnapLogic snaps by name or description',
+          description: 'Search for SnapLogic snaps by name or description. Supports multi-word queries, typos and synonyms (e.g. join/merge); results are ranked by relevance.',
           inputSchema: {
             type: 'object',
             properties: {
+              ...PROFILE_PROPERTY,
               query: {
                 type: 'string',
                 description: 'Search query for snap names or descriptions',
@@ -137,6 +454,14 @@ class SnapLogicSchemaServer {
                 type: 'string',
                 description: 'Optional category filter (e.g., transform, flow, binary)',
               },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of results to return (default 25)',
+              },
+              offset: {
+                type: 'number',
+                description: 'Number of ranked results to skip, for paging (default 0)',
+              },
             },
             required: ['query'],
           },
@@ -146,15 +471,33 @@ class SnapLogicSchemaServer {
           description: 'List all available snap categories',
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              ...PROFILE_PROPERTY,
+            },
+          },
+        },
+        {
+          name: 'get_snap_schema',
+          description: 'Get the full settings tree, input/output/error view definitions and default settings for one snap',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              class_id: {
+                type: 'string',
+                description: 'Snap class_id (e.g., com-snaplogic-snaps-transform-datatransform)',
+              },
+            },
+            required: ['class_id'],
           },
         },
         {
           name: 'validate_snap_config',
-          description: 'Validate a snap configuration against its schema',
+          description: 'Validate a snap configuration against its schema: required properties, unknown keys, value types, enum choices, expression flags and table settings. Errors carry JSON pointer paths.',
           inputSchema: {
             type: 'object',
             properties: {
+              ...PROFILE_PROPERTY,
               config: {
                 type: 'object',
                 description: 'The snap configuration to validate',
@@ -163,128 +506,844 @@ class SnapLogicSchemaServer {
             required: ['config'],
           },
         },
-      ],
-    }));
-
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        // Ensure catalog is loaded for all operations
-        await this.ensureCatalog();
-
-        switch (name) {
-          case 'search_snaps': {
-            const query = args?.query;
-            const category = args?.category;
-            
-            if (!query) {
-              throw new Error('query is required');
-            }
-
-            const results = this.cache.searchSnaps(query, category);
-            
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(results, null, 2),
-                },
-              ],
-            };
-          }
-
-
-          case 'list_categories': {
-            const categories = this.cache.getCategories();
-            
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(categories, null, 2),
-                },
-              ],
-            };
-          }
-
-          case 'validate_snap_config': {
-            const config = args?.config;
-            
-            if (!config) {
-              throw new Error('config is required');
-            }
-
-            const validation = {
-              valid: true,
-              errors: [],
-              warnings: []
-            };
-
-            // Basic validation
-            if (!config.class_id) {
-              validation.valid = false;
-              validation.errors.push('Missing class_id');
-            } else {
-              const snapInfo = this.cache.getSnapInfo(config.class_id);
-              if (!snapInfo) {
-                validation.valid = false;
-                validation.errors.push(`Unknown snap: ${config.class_id}`);
-              } else {
-                // Check version compatibility
-                if (config.class_version && config.class_version !== snapInfo.version) {
-                  validation.warnings.push(
-                    `Version mismatch: config has ${config.class_version}, current is ${snapInfo.version}`
-                  );
-                }
-              }
-            }
-
-            // Check required fields
-            if (!config.instance_id) {
-              validation.errors.push('Missing instance_id');
-              validation.valid = false;
-            }
-
-            if (!config.property_map) {
-              validation.errors.push('Missing property_map');
-              validation.valid = false;
-            }
-
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(validation, null, 2),
-                },
-              ],
-            };
-          }
-
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: ${error instanceof Error ? error.message : String(error)}`,
+        {
+          name: 'validate_pipeline',
+          description: 'Validate a whole .slp pipeline: JSON syntax, required fields, link_map UUIDs and views, link cycles and connectivity, the n-1 link count of linear pipelines, property_map.info fields and per-snap schema checks. Errors are grouped per snap instance id and link id.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_SOURCE_PROPERTIES,
             },
-          ],
-          isError: true,
-        };
-      }
-    });
-  }
-
-  async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    // Don't log to stderr as it interferes with MCP communication
-  }
-}
-
-const server = new SnapLogicSchemaServer();
-console.error('[MCP] SnapLogic Schema Server starting...');
-server.run().catch(() => process.exit(1));
\ No newline at end of file
+          },
+        },
+        {
+          name: 'create_pipeline',
+          description: 'Build a complete Designer-compatible .slp from an ordered list or DAG of snaps: sequential instance ids, link_map, render_map layout, view declarations and info block. Settings default to the snap schema. Returns the pipeline and its validation report.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              label: {
+                type: 'string',
+                description: 'Pipeline label (default "New Pipeline")',
+              },
+              author: {
+                type: 'string',
+                description: 'Pipeline author (property_map.info.author, default "snaplogic-schema")',
+              },
+              notes: {
+                type: 'string',
+                description: 'Pipeline notes (property_map.info.notes, default lists the snap labels)',
+              },
+              purpose: {
+                type: 'string',
+                description: 'Business purpose (property_map.info.purpose, default is the label)',
+              },
+              parameters: {
+                type: 'array',
+                description: 'Pipeline parameters as {key, value} (use _ prefix when referencing them in expressions)',
+                items: { type: 'object' },
+              },
+              snaps: {
+                type: 'array',
+                description: 'Snaps in order: {class_id, key?, label?, notes?, settings?, inputs?, outputs?, error_view?}. Settings may be raw values or {value, expression} wrappers; expressions need {"value": "$field", "expression": true}.',
+                items: { type: 'object' },
+              },
+              links: {
+                type: 'array',
+                description: 'Optional DAG links {from, to, from_view?, to_view?} referencing snap keys, labels or indexes. Omit for a sequential chain.',
+                items: { type: 'object' },
+              },
+              output_path: {
+                type: 'string',
+                description: 'Optional .slp file path to write the pipeline to',
+              },
+            },
+            required: ['snaps'],
+          },
+        },
+        {
+          name: 'add_snap',
+          description: 'Insert a snap after an existing snap, relinking the chain through it and updating views and layout',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_EDIT_PROPERTIES,
+              after: {
+                type: 'string',
+                description: 'Instance id or label of the snap to insert after',
+              },
+              after_view: {
+                type: 'string',
+                description: 'Output view of that snap to insert on (default output0)',
+              },
+              snap: {
+                type: 'object',
+                description: 'New snap: {class_id, label?, notes?, settings?}',
+              },
+            },
+            required: ['after', 'snap'],
+          },
+        },
+        {
+          name: 'remove_snap',
+          description: 'Remove a snap and heal the chain (its input is linked to its output when it had one of each)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_EDIT_PROPERTIES,
+              snap: {
+                type: 'string',
+                description: 'Instance id or label of the snap to remove',
+              },
+            },
+            required: ['snap'],
+          },
+        },
+        {
+          name: 'replace_snap',
+          description: 'Replace a snap with another snap class in place, keeping its instance id, links and compatible settings',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_EDIT_PROPERTIES,
+              snap: {
+                type: 'string',
+                description: 'Instance id or label of the snap to replace',
+              },
+              class_id: {
+                type: 'string',
+                description: 'class_id of the replacement snap',
+              },
+              label: {
+                type: 'string',
+                description: 'Optional label for the replacement snap (default: the current label)',
+              },
+              settings: {
+                type: 'object',
+                description: 'Optional settings overrides (raw values or {value, expression} wrappers)',
+              },
+            },
+            required: ['snap', 'class_id'],
+          },
+        },
+        {
+          name: 'update_snap_setting',
+          description: 'Set one snap setting by path, e.g. "pipeline" or "transformations/mappingTable/0/targetPath"',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_EDIT_PROPERTIES,
+              snap: {
+                type: 'string',
+                description: 'Instance id or label of the snap',
+              },
+              path: {
+                type: 'string',
+                description: 'Setting path below property_map.settings; {value} wrappers are stepped through implicitly',
+              },
+              value: {
+                description: 'New value',
+              },
+              expression: {
+                type: 'boolean',
+                description: 'Optional expression flag for the setting',
+              },
+            },
+            required: ['snap', 'path', 'value'],
+          },
+        },
+        {
+          name: 'rename_snap',
+          description: 'Change a snap label',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_EDIT_PROPERTIES,
+              snap: {
+                type: 'string',
+                description: 'Instance id or current label of the snap',
+              },
+              label: {
+                type: 'string',
+                description: 'New label',
+              },
+            },
+            required: ['snap', 'label'],
+          },
+        },
+        {
+          name: 'fix_pipeline',
+          description: 'Apply safe fixes for common validation problems and return the patched pipeline with a list of changes and a reviewable diff. Only the requested fix categories are applied',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_EDIT_PROPERTIES,
+              fixes: {
+                type: 'array',
+                items: { type: 'string', enum: FIX_CATEGORIES },
+                description: 'Fix categories to apply: dangling_links (remove links to missing snaps), instance_ids (renumber to the sequential pattern), views (declare views links use, re-derive pipeline views), render_map (place snaps missing from the layout), class_versions (raise to the catalog version), info (fill missing author/notes/purpose from info)',
+              },
+              info: {
+                type: 'object',
+                description: 'Values for missing pipeline info fields: {author?, notes?, purpose?}; existing values are kept',
+              },
+            },
+            required: ['fixes'],
+          },
+        },
+        {
+          name: 'upgrade_snaps',
+          description: 'Find snaps whose class_version is older than the catalog in a pipeline or a directory of .slp files, and show which settings were added, removed or renamed in the current schema. With migrate, renames and new settings are applied where the mapping is unambiguous; everything else is flagged and the snap keeps its version',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_EDIT_PROPERTIES,
+              directory: {
+                type: 'string',
+                description: 'Directory to scan recursively for .slp files (instead of pipeline or path)',
+              },
+              migrate: {
+                type: 'boolean',
+                description: 'Apply unambiguous migrations (default: false, report only)',
+              },
+              write: {
+                type: 'boolean',
+                description: 'With directory and migrate: write migrated pipelines back to their files',
+              },
+            },
+          },
+        },
+        {
+          name: 'diff_pipeline',
+          description: 'Semantic diff of two .slp documents: snaps added/removed/changed, settings changed per snap, links added/removed/rewired. Layout (render_map) and link renumbering are ignored',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...namedPipelineProperties('before', 'Original pipeline'),
+              ...namedPipelineProperties('after', 'Changed pipeline'),
+            },
+          },
+        },
+        {
+          name: 'merge_pipeline',
+          description: 'Three-way merge of two .slp documents that diverged from a common base, with conflicts reported per snap setting',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...namedPipelineProperties('base', 'Common ancestor pipeline'),
+              ...namedPipelineProperties('ours', 'Local pipeline'),
+              ...namedPipelineProperties('theirs', 'Incoming pipeline'),
+              prefer: {
+                type: 'string',
+                enum: ['ours', 'theirs'],
+                description: 'Side kept for conflicting settings (default: ours)',
+              },
+              output_path: {
+                type: 'string',
+                description: 'Optional .slp file path to write the merged pipeline to',
+              },
+            },
+          },
+        },
+        {
+          name: 'simulate_pipeline',
+          description: `Run a .slp locally against sample JSON documents, following link_map views, and return the documents on every output and error view. Simulated snaps: Mapper, Filter, Router, Copy, Sort, Group By N, Union, JSON/CSV Parser and Formatter (${Object.keys(SIMULATED_SNAPS).length} class ids); other snaps pass on sample output you supply`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_SOURCE_PROPERTIES,
+              inputs: {
+                type: 'object',
+                description: 'Sample documents keyed by snap label or instance id. An array feeds the first input view of a simulated snap, or becomes the output of any other snap (e.g. a File Reader); use {"output0": [...]} to pick the view. Binary views take strings (CSV/JSON text)',
+              },
+              parameters: {
+                type: 'object',
+                description: 'Pipeline parameter values (_name in expressions); defaults come from the pipeline param_table',
+              },
+              max_documents: {
+                type: 'number',
+                description: `Documents returned per view (default: ${DEFAULT_MAX_DOCUMENTS}); counts are always complete`,
+              },
+            },
+            required: ['inputs'],
+          },
+        },
+        {
+          name: 'lint_mappers',
+          description: 'Lint every Mapper mapping table in a .slp: target paths written twice, references to fields no upstream snap produces, unused or undeclared _parameters, expression: false on values that look like expressions, and pass-through/null-safe settings that conflict with field-transformation-rules.md. Also returns the field lineage (target field → source fields → snap) and the fields each Mapper drops',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_SOURCE_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'pipeline_dependencies',
+          description: 'Scan a directory of .slp files and build the Pipeline Execute call graph with the parameters each call passes. Reports cycles, missing child pipelines and parameter names that do not match the child param_table, as JSON, Mermaid or DOT. Use impact to list every pipeline that calls a shared child',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              directory: {
+                type: 'string',
+                description: 'Directory to scan recursively for .slp files',
+              },
+              format: {
+                type: 'string',
+                enum: GRAPH_FORMATS,
+                description: 'Output format (default: json); mermaid and dot add a text summary of the problems found',
+              },
+              impact: {
+                type: 'string',
+                description: 'Pipeline name to run impact analysis for: lists its direct and indirect callers',
+              },
+            },
+            required: ['directory'],
+          },
+        },
+        {
+          name: 'lint_pipeline',
+          description: 'Lint .slp pipelines against best-practice rule packs (missing notes/purpose, writer snaps without error views, default snap labels, Pipeline Execute without reuse, unbounded Sort, plus plugin rules). Rules, severities and plugins come from .snaplogic-lint.json; "snaplogic-lint-disable <rule>" in snap or pipeline notes suppresses findings. Output as JSON, SARIF or text',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              ...PIPELINE_SOURCE_PROPERTIES,
+              directory: {
+                type: 'string',
+                description: 'Lint every .slp file under this directory instead of a single pipeline',
+              },
+              format: {
+                type: 'string',
+                enum: LINT_FORMATS,
+                description: 'Output format (default: json)',
+              },
+              config: {
+                type: 'string',
+                description: 'Path to the lint config (default: .snaplogic-lint.json in the pipeline directory or a parent)',
+              },
+            },
+          },
+        },
+        {
+          name: 'check_expression',
+          description: 'Parse a SnapLogic expression and report syntax errors and common mistakes (unbalanced brackets, {{mustache}} syntax, = instead of ==, unquoted strings, empty arguments, unknown functions; match blocks are reported as unchecked) with their positions, plus the $fields and _parameters it reads',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              expression: {
+                type: 'string',
+                description: 'Expression text, e.g. "$amount > 100 ? \'high\' : \'low\'"',
+              },
+            },
+            required: ['expression'],
+          },
+        },
+        {
+          name: 'evaluate_expression',
+          description: 'Evaluate a SnapLogic expression against a sample document and pipeline parameters. Returns the check_expression result instead when the expression does not parse',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...PROFILE_PROPERTY,
+              expression: {
+                type: 'string',
+                description: 'Expression text',
+              },
+              document: {
+                description: 'Sample input document ($)',
+              },
+              parameters: {
+                type: 'object',
+                description: 'Pipeline parameter values, keyed without the leading underscore',
+              },
+              null_safe: {
+                type: 'boolean',
+                description: 'Read missing fields as null instead of failing, like the Mapper "Null-safe access" option (default: false)',
+              },
+            },
+            required: ['expression'],
+          },
+        },
+      ],
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return this.handleToolCall(name, args);
+    });
+  }
+
+  /**
+   * Run a tool call for its profile, loading the catalog first unless the tool
+   * never reads it; failures come back as isError results
+   */
+  async handleToolCall(name, args) {
+    try {
+      if (name === 'list_profiles') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ file: this.profiles.file, profiles: this.profiles.list() }, null, 2),
+            },
+          ],
+        };
+      }
+      
+      const context = await this.forProfile(args?.profile);
+      
+      if (CATALOG_FREE_TOOLS.has(name)) {
+        return await context.callTool(name, args);
+      }
+
+      // Ensure catalog is loaded for every tool that reads it
+      await context.ensureCatalog();
+
+      const result = await context.callTool(name, args);
+      
+      // Flag answers served from a stale catalog
+      const notice = context.getStaleNotice();
+      if (notice) {
+        result.content.push({ type: 'text', text: notice });
+      }
+      
+      return result;
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${redact(error instanceof Error ? error.message : String(error))}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Dispatch a tool call
+   */
+  async callTool(name, args) {
+    switch (name) {
+      case 'search_snaps': {
+        const query = args?.query;
+        const category = args?.category;
+        
+        if (!query) {
+          throw new Error('query is required');
+        }
+
+        const limit = args?.limit ?? 25;
+        const offset = args?.offset ?? 0;
+        
+        if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+          throw new Error('limit must be a positive integer and offset a non-negative integer');
+        }
+
+        const { total, results } = this.cache.searchSnaps(query, category, { limit, offset });
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ total, offset, limit, results }, null, 2),
+            },
+          ],
+        };
+      }
+
+
+      case 'list_categories': {
+        const categories = this.cache.getCategories();
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(categories, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'get_snap_schema': {
+        const classId = args?.class_id;
+        
+        if (!classId) {
+          throw new Error('class_id is required');
+        }
+
+        const schema = await this.getSnapSchema(classId);
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(schema, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'validate_snap_config': {
+        const config = args?.config;
+        
+        if (!config) {
+          throw new Error('config is required');
+        }
+
+        const validation = this.validator.validateSnapConfig(config);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(validation, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'validate_pipeline': {
+        const source = await this.loadPipelineSource(args);
+        const report = this.pipelineValidator.validate(source);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(report, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'create_pipeline': {
+        const pipeline = this.pipelineBuilder.build(args || {});
+        const validation = this.pipelineValidator.validate(pipeline);
+        
+        if (args.output_path) {
+          await writeFile(args.output_path, formatPipeline(pipeline));
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                path: args.output_path || null,
+                validation,
+                pipeline
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'add_snap':
+        return this.editPipeline(args, source => this.pipelineEditor.addSnap(source, args));
+
+      case 'remove_snap':
+        return this.editPipeline(args, source => this.pipelineEditor.removeSnap(source, args));
+
+      case 'replace_snap':
+        return this.editPipeline(args, source => this.pipelineEditor.replaceSnap(source, args));
+
+      case 'update_snap_setting':
+        return this.editPipeline(args, source => this.pipelineEditor.updateSnapSetting(source, args));
+
+      case 'rename_snap':
+        return this.editPipeline(args, source => this.pipelineEditor.renameSnap(source, args));
+
+      case 'fix_pipeline': {
+        const source = await this.loadPipeline(args);
+        const { pipeline, changes, skipped } = this.pipelineFixer.fix(source, args);
+        const validation = this.pipelineValidator.validate(pipeline);
+        const file = path.basename(args.output_path || args.path || 'pipeline.slp');
+
+        if (args.output_path) {
+          await writeFile(args.output_path, formatPipeline(pipeline));
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                path: args.output_path || null,
+                changes,
+                skipped,
+                diff: {
+                  summary: summarizeDiff(diffPipelines(source, pipeline)),
+                  unified: unifiedDiff(formatPipeline(source), formatPipeline(pipeline), { fromFile: file, toFile: file })
+                },
+                validation,
+                pipeline
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'upgrade_snaps': {
+        const migrate = args.migrate === true;
+
+        if (args.directory) {
+          const { pipelines, errors } = await loadPipelineDirectory(args.directory);
+          const results = [];
+          for (const { path: file, pipeline } of pipelines) {
+            const result = this.snapUpgrader.upgradePipeline(pipeline, { migrate });
+            const changed = migrate && JSON.stringify(result.pipeline) !== JSON.stringify(pipeline);
+            if (changed && args.write) {
+              await writeFile(path.join(args.directory, file), formatPipeline(result.pipeline));
+            }
+            results.push({ path: file, snaps: result.snaps, unknown: result.unknown, written: Boolean(changed && args.write) });
+          }
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  directory: args.directory,
+                  summary: summarizeUpgrades(results),
+                  pipelines: results.filter(result => result.snaps.length > 0 || result.unknown.length > 0),
+                  unreadable: errors
+                }, null, 2),
+              },
+            ],
+          };
+        }
+
+        const source = await this.loadPipeline(args);
+        const result = this.snapUpgrader.upgradePipeline(source, { migrate });
+        const response = {
+          path: null,
+          summary: summarizeUpgrades([result]),
+          snaps: result.snaps,
+          unknown: result.unknown
+        };
+
+        if (migrate) {
+          if (args.output_path) {
+            await writeFile(args.output_path, formatPipeline(result.pipeline));
+            response.path = args.output_path;
+          }
+          response.validation = this.pipelineValidator.validate(result.pipeline);
+          response.pipeline = result.pipeline;
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(response, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'diff_pipeline': {
+        const before = await this.loadPipeline(args, 'before', 'before_path');
+        const after = await this.loadPipeline(args, 'after', 'after_path');
+        const diff = diffPipelines(before, after);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ summary: summarizeDiff(diff), ...diff }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'merge_pipeline': {
+        const base = await this.loadPipeline(args, 'base', 'base_path');
+        const ours = await this.loadPipeline(args, 'ours', 'ours_path');
+        const theirs = await this.loadPipeline(args, 'theirs', 'theirs_path');
+        const result = mergePipelines(base, ours, theirs, { prefer: args.prefer });
+        // Snap settings are checked only against a catalog that is already loaded; merging never fetches one
+        const validator = this.cache.catalog.size > 0 ? this.pipelineValidator : new PipelineValidator();
+        const validation = validator.validate(result.pipeline);
+
+        if (args.output_path) {
+          await writeFile(args.output_path, formatPipeline(result.pipeline));
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                path: args.output_path || null,
+                clean: result.clean,
+                conflicts: result.conflicts,
+                notes: result.notes,
+                validation,
+                pipeline: result.pipeline
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'simulate_pipeline': {
+        const pipeline = await this.loadPipeline(args);
+        const result = simulatePipeline(pipeline, {
+          inputs: args.inputs,
+          parameters: args.parameters,
+          maxDocuments: args.max_documents
+        });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'lint_mappers': {
+        const pipeline = await this.loadPipeline(args);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(lintMappers(pipeline), null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'pipeline_dependencies': {
+        const { pipelines, errors } = await loadPipelineDirectory(args.directory);
+        const graph = buildPipelineGraph(pipelines, { impact: args.impact, unreadable: errors });
+        const format = args.format || 'json';
+
+        const content = [
+          {
+            type: 'text',
+            text: formatPipelineGraph(graph, format),
+          },
+        ];
+        if (format !== 'json') {
+          content.push({ type: 'text', text: summarizePipelineGraph(graph) });
+        }
+        return { content };
+      }
+
+      case 'lint_pipeline': {
+        const results = [];
+        let linter;
+
+        if (args.directory) {
+          linter = await PipelineLinter.fromConfig(args.directory, args.config);
+          for (const file of await collectPipelineFiles([args.directory])) {
+            results.push(linter.lint(await readFile(file, 'utf8'), { file: path.relative(args.directory, file) }));
+          }
+        } else {
+          linter = await PipelineLinter.fromConfig(args.path ? path.dirname(args.path) : process.cwd(), args.config);
+          results.push(linter.lint(await this.loadPipelineSource(args), { file: args.path }));
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatLintResults(results, args.format || 'json', linter),
+            },
+          ],
+        };
+      }
+
+      case 'check_expression': {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(checkExpression(args.expression), null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'evaluate_expression': {
+        const check = checkExpression(args.expression);
+        if (!check.valid) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(check, null, 2),
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        const result = evaluateExpression(args.expression, {
+          doc: args.document,
+          parameters: args.parameters,
+          nullSafe: args.null_safe
+        });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ result: result === undefined ? null : result, warnings: check.warnings }, null, 2),
+            },
+          ],
+        };
+      }
+
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  async run() {
+    await this.loadPersistedCache();
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+    // Don't log to stderr as it interferes with MCP communication
+  }
+}
+
+// Start only when run directly; the tests import the class and drive it with a mock transport.
+// Startup notes go to the request log (SNAPLOGIC_API_LOG_FILE). The plaintext secret warning is also
+// printed to stderr, which MCP clients show and which is not part of the stdio protocol.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new SnapLogicSchemaServer();
+  const { logger } = server.client;
+  logger.log('start', { server: 'snaplogic-schema' });
+  const secrets = scanPlaintextSecrets(path.dirname(fileURLToPath(import.meta.url)));
+  if (secrets.length > 0) {
+    const files = [...new Set(secrets.map(secret => secret.file))];
+    const hint = 'move them to ~/.snaplogic/credentials.json';
+    logger.log('plaintext_secrets', { count: secrets.length, files, hint });
+    console.error(`Warning: ${secrets.length} plaintext secrets in ${files.join(', ')}; ${hint}`);
+  }
+  server.run().catch(() => process.exit(1));
+}
\ No newline at end of file
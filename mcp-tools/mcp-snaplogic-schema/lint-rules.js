@@ -0,0 +1,124 @@
+/**
+ * Built-in lint rules for .slp pipelines (the "recommended" pack)
+ * Each rule is {id, description, severity, options, check}; check receives
+ * {pipeline, snaps, options, report} and calls report({snap, path, message})
+ * for every problem. Rule packs loaded as plugins use the same shape.
+ */
+
+import { PIPELINE_EXECUTE_CLASS_ID } from 'snaplogic-common';
+
+// Labels Designer gives new snaps; a snap still carrying one says nothing about its purpose
+const DEFAULT_SNAP_LABELS = [
+  'Mapper', 'Filter', 'Router', 'Copy', 'Sort', 'Group By N', 'Group By Fields', 'Union', 'Join',
+  'Head', 'Tail', 'Aggregate', 'Pipeline Execute', 'JSON Parser', 'JSON Formatter', 'CSV Parser',
+  'CSV Formatter', 'XML Parser', 'XML Formatter', 'File Reader', 'File Writer', 'REST Get', 'REST Post',
+  'Script', 'Snap'
+];
+
+const pipelineInfo = {
+  id: 'pipeline-info',
+  description: 'The pipeline documents its notes, purpose and author (snaplogic-pipeline-rules.md: "Clear purpose and business context")',
+  severity: 'error',
+  options: { fields: ['notes', 'purpose', 'author'] },
+  check({ pipeline, options, report }) {
+    const info = pipeline.property_map?.info || {};
+    for (const field of options.fields) {
+      const value = info[field]?.value;
+      if (typeof value !== 'string' || value.trim() === '') {
+        report({ path: `/property_map/info/${field}`, message: `Pipeline ${field} is missing` });
+      }
+    }
+  }
+};
+
+const writerErrorView = {
+  id: 'writer-error-view',
+  description: 'Snaps that write to external systems keep an error view, so failed writes are routed instead of lost',
+  severity: 'warning',
+  options: { classPattern: '(write|writer|insert|update|upsert|delete|merge|bulkload|put|post)$' },
+  check({ snaps, options, report }) {
+    const pattern = new RegExp(options.classPattern, 'i');
+    for (const { id, snap, classId } of snaps) {
+      if (!pattern.test(classId)) continue;
+
+      const error = snap.property_map?.error;
+      const views = isObject(error) ? Object.keys(error).filter(key => isObject(error[key]) && 'view_type' in error[key]) : [];
+      const behavior = error?.error_behavior?.value;
+      if (views.length === 0) {
+        report({ snap: id, path: `/snap_map/${id}/property_map/error`, message: 'Writer snap has no error view; failed writes cannot be routed or inspected' });
+      } else if (behavior === 'ignore') {
+        report({ snap: id, path: `/snap_map/${id}/property_map/error/error_behavior`, message: 'Writer snap ignores errors; failed writes are silently dropped' });
+      }
+    }
+  }
+};
+
+const defaultLabel = {
+  id: 'default-label',
+  description: 'Snaps have descriptive labels rather than the name Designer gives them (snaplogic-pipeline-rules.md: "Descriptive snap labels and notes")',
+  severity: 'warning',
+  options: { labels: [] },
+  check({ snaps, options, report }) {
+    const defaults = new Set([...DEFAULT_SNAP_LABELS, ...options.labels].map(label => label.toLowerCase()));
+    for (const { id, label } of snaps) {
+      if (!label) {
+        report({ snap: id, path: `/snap_map/${id}/property_map/info/label`, message: 'Snap has no label' });
+        continue;
+      }
+      // "Mapper", "Mapper1" and "Mapper 2" are all Designer defaults
+      const base = label.replace(/\s*\d+$/, '').toLowerCase();
+      if (defaults.has(base)) {
+        report({ snap: id, path: `/snap_map/${id}/property_map/info/label`, message: `Snap label "${label}" is the default; describe what the snap does` });
+      }
+    }
+  }
+};
+
+const pipelineExecuteReuse = {
+  id: 'pipeline-execute-reuse',
+  description: 'Pipeline Execute reuses child executions; each new one adds ~50-100ms (snaplogic-pipeline-rules.md: "Pipeline Execute Overhead")',
+  severity: 'info',
+  options: {},
+  check({ snaps, report }) {
+    for (const { id, snap, classId } of snaps) {
+      if (classId !== PIPELINE_EXECUTE_CLASS_ID) continue;
+      if (settingValue(snap.property_map?.settings?.reuse) !== true) {
+        report({ snap: id, path: `/snap_map/${id}/property_map/settings/reuse`, message: 'Pipeline Execute starts a new child execution per document; enable reuse unless the child must not be shared' });
+      }
+    }
+  }
+};
+
+const unboundedSort = {
+  id: 'unbounded-sort',
+  description: 'Sort snaps limit the memory they use; an unbounded Sort holds the whole input in memory',
+  severity: 'warning',
+  options: { classIds: ['com-snaplogic-snaps-transform-sort'], limitSettings: ['maxMemoryPercent', 'maxMemoryMB'] },
+  check({ snaps, options, report }) {
+    for (const { id, snap, classId } of snaps) {
+      if (!options.classIds.includes(classId)) continue;
+
+      const settings = snap.property_map?.settings || {};
+      const bounded = options.limitSettings.some(name => {
+        const value = Number(settingValue(settings[name]));
+        return Number.isFinite(value) && value > 0;
+      });
+      if (!bounded) {
+        report({ snap: id, path: `/snap_map/${id}/property_map/settings`, message: `Sort has no memory limit (${options.limitSettings.join(' or ')}); large inputs are sorted entirely in memory` });
+      }
+    }
+  }
+};
+
+export const RECOMMENDED_RULES = {
+  name: 'recommended',
+  rules: [pipelineInfo, writerErrorView, defaultLabel, pipelineExecuteReuse, unboundedSort]
+};
+
+function settingValue(setting) {
+  return isObject(setting) ? setting.value : setting;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line pipeline linter, used by the pre-commit hook from validation/install-hooks.sh
+ * Usage: lint-slp.js [--format text|json|sarif] [--config .snaplogic-lint.json] <file.slp|directory> ...
+ * Exits 1 when error findings remain, 2 when the arguments or the config are invalid
+ * or the linter cannot be loaded.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+
+async function main(argv) {
+  // Imported here so a missing dependency exits 2 like other setup errors, not 1 like findings
+  const {
+    LINT_FORMATS,
+    PipelineLinter,
+    collectPipelineFiles,
+    formatLintResults,
+    summarizeLintResults
+  } = await import('./pipeline-linter.js');
+
+  let format = 'text';
+  let configFile = null;
+  const targets = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      format = argv[++i];
+    } else if (argv[i] === '--config') {
+      configFile = argv[++i];
+    } else {
+      targets.push(argv[i]);
+    }
+  }
+
+  if (!LINT_FORMATS.includes(format) || targets.length === 0) {
+    console.error(`Usage: lint-slp.js [--format ${LINT_FORMATS.join('|')}] [--config file] <file.slp|directory> ...`);
+    return 2;
+  }
+
+  let linter;
+  try {
+    linter = await PipelineLinter.fromConfig(process.cwd(), configFile);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const results = [];
+  for (const file of await collectPipelineFiles(targets)) {
+    results.push(linter.lint(await readFile(file, 'utf8'), { file: path.relative(process.cwd(), file) }));
+  }
+
+  console.log(formatLintResults(results, format, linter));
+  return summarizeLintResults(results).errors > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => process.exit(code),
+  error => {
+    console.error(error.message);
+    process.exit(2);
+  }
+);
@@ -0,0 +1,358 @@
+/**
+ * Mapper mapping-table lint and field lineage for .slp pipelines
+ * Field sets are propagated along link_map from upstream to downstream snaps:
+ * Mappers write their target paths (plus their input with pass-through),
+ * flow snaps pass their input on, and snaps whose output is not known from
+ * the pipeline alone (readers, parsers, Pipeline Execute) produce "open" sets
+ * in which any field may exist.
+ */
+
+import {
+  checkExpression,
+  expressionReferences,
+  forEachExpression,
+  parseExpression,
+  pointer
+} from 'snaplogic-common';
+
+export const MAPPER_CLASS_ID = 'com-snaplogic-snaps-transform-datatransform';
+
+// Snaps whose output documents are their input documents
+const PASS_THROUGH_SNAPS = new Set([
+  'com-snaplogic-snaps-flow-filter',
+  'com-snaplogic-snaps-flow-router',
+  'com-snaplogic-snaps-flow-copy',
+  'com-snaplogic-snaps-flow-union',
+  'com-snaplogic-snaps-transform-sort'
+]);
+
+const GROUP_BY_N_CLASS_ID = 'com-snaplogic-snaps-transform-groupbyn';
+
+/**
+ * Lint every Mapper in a pipeline and trace where each mapped field comes from
+ *
+ * @param {object} pipeline - parsed .slp document
+ * @returns {object} {valid, summary, pipeline: {errors, warnings}, mappers: {instanceId: {label, errors, warnings, dropped}}, lineage}
+ *   lineage entries are {field, snap, instance_id, expression, sources: [{field, snap, instance_id, missing?}]}
+ */
+export function lintMappers(pipeline) {
+  if (!pipeline || typeof pipeline !== 'object' || !isObject(pipeline.snap_map)) {
+    throw new Error('pipeline must be a .slp object with a snap_map');
+  }
+
+  const report = {
+    valid: true,
+    summary: { mappers: 0, errors: 0, warnings: 0 },
+    pipeline: { errors: [], warnings: [] },
+    mappers: {},
+    lineage: []
+  };
+
+  const fieldSets = new Map(); // snapId → field set of its output documents
+  for (const snapId of snapOrder(pipeline, report)) {
+    const snap = pipeline.snap_map[snapId];
+    const input = inputFields(pipeline, snapId, fieldSets);
+
+    if (snap.class_id === MAPPER_CLASS_ID) {
+      fieldSets.set(snapId, lintMapper(pipeline, snapId, input, report));
+    } else if (PASS_THROUGH_SNAPS.has(snap.class_id) && input) {
+      fieldSets.set(snapId, input);
+    } else if (snap.class_id === GROUP_BY_N_CLASS_ID) {
+      const targetField = settingValue(snap.property_map?.settings?.targetField) || 'group';
+      fieldSets.set(snapId, {
+        fields: new Map([[targetField, origin(pipeline, snapId)]]),
+        open: false,
+        openedBy: []
+      });
+    } else {
+      fieldSets.set(snapId, { fields: new Map(), open: true, openedBy: [snapId] });
+    }
+  }
+
+  checkParameters(pipeline, report);
+
+  report.summary.mappers = Object.keys(report.mappers).length;
+  report.valid = report.summary.errors === 0;
+  return report;
+}
+
+/**
+ * Checks for one Mapper; returns the field set of its output
+ */
+function lintMapper(pipeline, snapId, input, report) {
+  const snap = pipeline.snap_map[snapId];
+  const entry = report.mappers[snapId] = {
+    label: snap.property_map?.info?.label?.value || null,
+    errors: [],
+    warnings: [],
+    dropped: []
+  };
+
+  const settingsPath = pointer('/snap_map', snapId) + '/property_map/settings';
+  const settings = snap.property_map?.settings || {};
+  const transformations = settings.transformations?.value || {};
+  const table = Array.isArray(transformations.mappingTable?.value) ? transformations.mappingTable.value : [];
+  const tablePath = `${settingsPath}/transformations/value/mappingTable/value`;
+  const passThrough = settingValue(settings.passThrough) === true;
+
+  // Settings the rules in field-transformation-rules.md require
+  if (settingValue(settings.nullSafeAccess) !== true) {
+    addIssue(entry, report, 'warnings', `${settingsPath}/nullSafeAccess`,
+      'nullSafeAccess should be true (field-transformation-rules.md: "CRITICAL: Always true"); missing fields fail the document otherwise');
+  }
+  const mappingRoot = settingValue(transformations.mappingRoot);
+  if (mappingRoot !== undefined && mappingRoot !== '$') {
+    addIssue(entry, report, 'warnings', `${settingsPath}/transformations/value/mappingRoot`,
+      `mappingRoot is "${mappingRoot}"; the rules use "$" and lineage assumes it`);
+  }
+  if (table.length === 0 && !passThrough) {
+    addIssue(entry, report, 'errors', tablePath,
+      'Empty mapping table without pass-through: every output document is empty');
+  }
+
+  const output = {
+    fields: passThrough && input ? new Map(input.fields) : new Map(),
+    open: passThrough ? (input ? input.open : true) : false,
+    openedBy: passThrough ? (input ? input.openedBy : [snapId]) : []
+  };
+  const targets = new Map(); // normalized target path → row index
+  const renamedSources = new Set();
+
+  table.forEach((row, index) => {
+    const rowPath = `${tablePath}/${index}`;
+    const targetPath = row?.targetPath?.value;
+    if (typeof targetPath !== 'string' || targetPath.trim() === '') {
+      addIssue(entry, report, 'errors', `${rowPath}/targetPath`, 'Mapping row has no targetPath');
+      return;
+    }
+
+    const target = normalizePath(targetPath);
+    if (targets.has(target)) {
+      addIssue(entry, report, 'errors', `${rowPath}/targetPath`,
+        `Target path ${targetPath} is already written by row ${targets.get(target)}; only the last value is kept`);
+    } else {
+      targets.set(target, index);
+    }
+
+    const expression = row.expression || {};
+    const value = expression.value;
+    let sources = [];
+
+    if (expression.expression === true && typeof value === 'string') {
+      let references = null;
+      try {
+        references = expressionReferences(parseExpression(value));
+      } catch (error) {
+        // Syntax errors are reported by validate_pipeline and check_expression
+      }
+
+      for (const field of references?.fields || []) {
+        const source = resolveField(pipeline, field, input);
+        sources.push(source);
+        if (source.missing) {
+          addIssue(entry, report, 'errors', `${rowPath}/expression/value`,
+            `$${field} is not produced by any upstream snap (${describeFields(input)})`);
+        }
+        if (field !== target && field !== '') renamedSources.add(field);
+      }
+    } else if (looksLikeExpression(value)) {
+      addIssue(entry, report, 'warnings', `${rowPath}/expression`,
+        `"${value}" looks like an expression but expression is false, so it is written as literal text`);
+    }
+
+    output.fields.set(target, origin(pipeline, snapId));
+    report.lineage.push({
+      field: target,
+      snap: entry.label,
+      instance_id: snapId,
+      expression: expression.expression === true ? value : null,
+      sources
+    });
+  });
+
+  if (passThrough) {
+    // Pass-through keeps the source of a rename next to its new name
+    for (const field of renamedSources) {
+      if (!targets.has(field) && input?.fields.has(field)) {
+        addIssue(entry, report, 'warnings', `${settingsPath}/passThrough`,
+          `passThrough is true, so $${field} is still passed on next to the fields mapped from it; ` +
+          'the rules default passThrough to false');
+      }
+    }
+  } else if (input) {
+    entry.dropped = [...input.fields.keys()].filter(field =>
+      ![...targets.keys()].some(target => overlaps(field, target))
+    );
+  }
+
+  return output;
+}
+
+/**
+ * Undeclared parameters referenced by expressions, and declared parameters no expression reads
+ */
+function checkParameters(pipeline, report) {
+  const declared = (pipeline.property_map?.settings?.param_table?.value || [])
+    .map(row => row?.key?.value)
+    .filter(Boolean);
+  const used = new Set();
+
+  for (const [snapId, snap] of Object.entries(pipeline.snap_map)) {
+    const settings = snap?.property_map?.settings;
+    if (!isObject(settings)) continue;
+
+    forEachExpression(settings, pointer('/snap_map', snapId) + '/property_map/settings', (expression, path) => {
+      const { parameters } = checkExpression(expression).references;
+      for (const name of parameters) {
+        used.add(name);
+        if (!declared.includes(name)) {
+          const target = report.mappers[snapId] || report.pipeline;
+          addIssue(target, report, 'warnings', path, `_${name} is not declared in the pipeline param_table`);
+        }
+      }
+    });
+  }
+
+  declared.forEach((name, index) => {
+    if (!used.has(name)) {
+      addIssue(report.pipeline, report, 'warnings', `/property_map/settings/param_table/value/${index}`,
+        `Pipeline parameter _${name} is not used by any expression`);
+    }
+  });
+}
+
+/**
+ * Merged field set of every link into a snap, or null for snaps with no inputs
+ */
+function inputFields(pipeline, snapId, fieldSets) {
+  const links = Object.values(pipeline.link_map || {}).filter(link => link?.dst_id === snapId);
+  if (links.length === 0) return null;
+
+  const merged = { fields: new Map(), open: false, openedBy: [] };
+  for (const link of links) {
+    const source = pipeline.snap_map[link.src_id];
+    const isErrorView = isObject(source?.property_map?.error) && link.src_view_id in source.property_map.error;
+    const set = isErrorView || !fieldSets.has(link.src_id)
+      ? { fields: new Map(), open: true, openedBy: [link.src_id] }
+      : fieldSets.get(link.src_id);
+
+    for (const [field, from] of set.fields) {
+      if (!merged.fields.has(field)) merged.fields.set(field, from);
+    }
+    merged.open = merged.open || set.open;
+    merged.openedBy = [...new Set([...merged.openedBy, ...set.openedBy])];
+  }
+  return merged;
+}
+
+/**
+ * The snap a referenced field comes from
+ * A reference matches a known field, one of its parents ($customer for $customer.name) or children.
+ */
+function resolveField(pipeline, field, input) {
+  if (!input || field === '') {
+    return { field, snap: null, instance_id: null };
+  }
+
+  const known = input.fields.get(field)
+    || [...input.fields].find(([path]) => overlaps(path, field))?.[1];
+  if (known) {
+    return { field, ...known };
+  }
+  if (input.open) {
+    const from = input.openedBy.map(snapId => origin(pipeline, snapId));
+    return { field, snap: from.map(item => item.snap).join(' | ') || null, instance_id: from[0]?.instance_id ?? null };
+  }
+  return { field, snap: null, instance_id: null, missing: true };
+}
+
+function describeFields(input) {
+  const fields = [...input.fields.keys()];
+  if (fields.length === 0) return 'upstream documents have no known fields';
+  const shown = fields.slice(0, 10).map(field => `$${field}`).join(', ');
+  return `available: ${shown}${fields.length > 10 ? `, ... (${fields.length - 10} more)` : ''}`;
+}
+
+/**
+ * Snap ids upstream-first; snaps on a cycle are linted last
+ */
+function snapOrder(pipeline, report) {
+  const snapIds = Object.keys(pipeline.snap_map);
+  const indegree = new Map(snapIds.map(snapId => [snapId, 0]));
+  const downstream = new Map(snapIds.map(snapId => [snapId, []]));
+
+  for (const link of Object.values(pipeline.link_map || {})) {
+    if (!indegree.has(link?.src_id) || !indegree.has(link?.dst_id)) continue;
+    indegree.set(link.dst_id, indegree.get(link.dst_id) + 1);
+    downstream.get(link.src_id).push(link.dst_id);
+  }
+
+  const ready = snapIds.filter(snapId => indegree.get(snapId) === 0);
+  const order = [];
+  while (ready.length > 0) {
+    const snapId = ready.shift();
+    order.push(snapId);
+    for (const next of downstream.get(snapId)) {
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) ready.push(next);
+    }
+  }
+
+  const cyclic = snapIds.filter(snapId => !order.includes(snapId));
+  if (cyclic.length > 0) {
+    addIssue(report.pipeline, report, 'warnings', '/link_map',
+      `Links form a cycle through ${cyclic.join(', ')}; fields on the cycle are treated as unknown`);
+  }
+  return [...order, ...cyclic];
+}
+
+/**
+ * Dotted form of a target path: $customer.name, customer.name and $['customer']['name'] → customer.name
+ * Array indexes are dropped, matching expression references.
+ */
+function normalizePath(targetPath) {
+  const segments = [];
+  const pattern = /\.?([^.[\]]+)|\[(\d+)\]|\[(['"])(.*?)\3\]/g;
+  for (const match of targetPath.trim().replace(/^\$/, '').matchAll(pattern)) {
+    if (match[2] === undefined) segments.push(match[4] ?? match[1]);
+  }
+  return segments.join('.');
+}
+
+/**
+ * Whether one path is the other or contains it
+ */
+function overlaps(a, b) {
+  return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+}
+
+/**
+ * Literal values that were probably meant as expressions ($field, _param, function calls, quoted strings)
+ */
+function looksLikeExpression(value) {
+  if (typeof value !== 'string' || value.trim() === '') return false;
+
+  const { valid, references } = checkExpression(value);
+  if (!valid) return false;
+  return references.fields.length > 0
+    || references.parameters.length > 0
+    || /[\w)]\s*\(/.test(value)
+    || /^\s*(["']).*\1\s*$/.test(value);
+}
+
+function origin(pipeline, snapId) {
+  return { snap: pipeline.snap_map[snapId]?.property_map?.info?.label?.value || snapId, instance_id: snapId };
+}
+
+function addIssue(target, report, kind, path, message) {
+  target[kind].push({ path, message });
+  report.summary[kind]++;
+}
+
+function settingValue(setting) {
+  return isObject(setting) ? setting.value : setting;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,568 @@
+/**
+ * Semantic diff and three-way merge for .slp pipelines
+ * Snaps are matched by instance id and links by their endpoints, so link
+ * renumbering and render_map (layout) changes never show up as differences.
+ */
+
+import { nextLinkId, placeSnaps, pointer, syncPipelineViews } from 'snaplogic-common';
+
+// Derived from links and snap views; recomputed rather than diffed or merged
+const DERIVED_PIPELINE_SECTIONS = new Set(['input', 'output']);
+
+/**
+ * Compare two pipelines
+ *
+ * @returns {object} {identical, pipeline, snaps: {added, removed, changed}, links: {added, removed, rewired}}
+ */
+export function diffPipelines(before, after) {
+  const result = {
+    identical: true,
+    pipeline: [],
+    snaps: { added: [], removed: [], changed: [] },
+    links: { added: [], removed: [], rewired: [] }
+  };
+
+  // Pipeline-level properties
+  diffValues(
+    pipelineProperties(before),
+    pipelineProperties(after),
+    '/property_map',
+    result.pipeline
+  );
+
+  // Snaps by instance id
+  const beforeSnaps = before.snap_map || {};
+  const afterSnaps = after.snap_map || {};
+
+  for (const [snapId, snap] of Object.entries(afterSnaps)) {
+    if (!beforeSnaps[snapId]) {
+      result.snaps.added.push(describeSnap(snapId, snap));
+    }
+  }
+
+  for (const [snapId, snap] of Object.entries(beforeSnaps)) {
+    const other = afterSnaps[snapId];
+    if (!other) {
+      result.snaps.removed.push(describeSnap(snapId, snap));
+      continue;
+    }
+
+    const changes = [];
+    diffValues(snapProperties(snap), snapProperties(other), '', changes);
+    if (changes.length > 0) {
+      result.snaps.changed.push({ ...describeSnap(snapId, other), changes });
+    }
+  }
+
+  // Links by endpoints
+  const beforeLinks = linkSignatures(before);
+  const afterLinks = linkSignatures(after);
+
+  for (const [signature, entry] of afterLinks) {
+    if (!beforeLinks.has(signature)) result.links.added.push(entry);
+  }
+  for (const [signature, entry] of beforeLinks) {
+    if (!afterLinks.has(signature)) result.links.removed.push(entry);
+  }
+  pairRewiredLinks(result.links);
+
+  result.identical =
+    result.pipeline.length === 0 &&
+    result.snaps.added.length === 0 &&
+    result.snaps.removed.length === 0 &&
+    result.snaps.changed.length === 0 &&
+    result.links.added.length === 0 &&
+    result.links.removed.length === 0 &&
+    result.links.rewired.length === 0;
+
+  return result;
+}
+
+/**
+ * Three-way merge of two pipelines that diverged from a common base
+ * Changes are merged per unit: a snap's class_id, class_version, and each
+ * entry of its property_map sections (one setting, one view, one info field).
+ * Conflicting units keep the `prefer` side ('ours' by default) and are reported.
+ *
+ * @returns {{pipeline: object, clean: boolean, conflicts: Array, notes: string[]}}
+ */
+export function mergePipelines(base, ours, theirs, options = {}) {
+  const prefer = options.prefer === 'theirs' ? 'theirs' : 'ours';
+  const conflicts = [];
+  const notes = [];
+
+  const merged = JSON.parse(JSON.stringify(ours));
+  merged.snap_map = {};
+  merged.link_map = {};
+
+  // Pipeline-level property_map
+  const pipelineUnits = mergeUnits(
+    pipelineUnitMap(base), pipelineUnitMap(ours), pipelineUnitMap(theirs),
+    prefer, (unit, values) => conflicts.push({ scope: 'pipeline', path: `/property_map/${unit}`, ...values })
+  );
+  merged.property_map = {
+    ...unitsToPropertyMap(pipelineUnits),
+    input: ours.property_map?.input || {},
+    output: ours.property_map?.output || {}
+  };
+
+  // Snaps
+  const baseSnaps = base.snap_map || {};
+  const ourSnaps = ours.snap_map || {};
+  const theirSnaps = theirs.snap_map || {};
+  const snapIds = new Set([...Object.keys(baseSnaps), ...Object.keys(ourSnaps), ...Object.keys(theirSnaps)]);
+
+  for (const snapId of snapIds) {
+    const [b, o, t] = [baseSnaps[snapId], ourSnaps[snapId], theirSnaps[snapId]];
+    const label = (o || t || b)?.property_map?.info?.label?.value || null;
+    const snapConflict = (path, values) => conflicts.push({ scope: 'snap', snap: snapId, label, path, ...values });
+
+    if (!b) {
+      // Added on one or both sides
+      if (o && t && !sameValue(o, t)) {
+        snapConflict('', { base: null, ours: 'added', theirs: 'added (different)' });
+        merged.snap_map[snapId] = prefer === 'ours' ? o : t;
+      } else {
+        merged.snap_map[snapId] = o || t;
+      }
+      continue;
+    }
+
+    if (!o || !t) {
+      // Deleted on at least one side
+      const survivor = o || t;
+      if (survivor && !sameValue(survivor, b)) {
+        snapConflict('', {
+          base: 'present',
+          ours: o ? 'modified' : 'deleted',
+          theirs: t ? 'modified' : 'deleted'
+        });
+        const keep = prefer === 'ours' ? o : t;
+        if (keep) merged.snap_map[snapId] = keep;
+      } else if (survivor) {
+        notes.push(`Removed snap ${snapId} (deleted on ${o ? 'their' : 'our'} side)`);
+      }
+      continue;
+    }
+
+    const units = mergeUnits(snapUnitMap(b), snapUnitMap(o), snapUnitMap(t), prefer, snapConflict);
+    merged.snap_map[snapId] = unitsToSnap(units, o);
+  }
+
+  // Links: base plus each side's additions, minus each side's removals
+  const baseLinks = linkSignatures(base);
+  const ourLinks = linkSignatures(ours);
+  const theirLinks = linkSignatures(theirs);
+  const keptLinks = new Map();
+
+  for (const [signature, entry] of [...ourLinks, ...theirLinks]) {
+    const removedByOther = baseLinks.has(signature) && (!ourLinks.has(signature) || !theirLinks.has(signature));
+    if (!removedByOther && !keptLinks.has(signature)) keptLinks.set(signature, entry);
+  }
+
+  for (const entry of keptLinks.values()) {
+    if (!merged.snap_map[entry.src_id] || !merged.snap_map[entry.dst_id]) {
+      notes.push(`Dropped link ${entry.id}: it references a snap that is not in the merged pipeline`);
+      continue;
+    }
+    const linkId = merged.link_map[entry.id] ? nextLinkId(merged) : entry.id;
+    merged.link_map[linkId] = {
+      dst_id: entry.dst_id,
+      dst_view_id: entry.dst_view_id,
+      src_id: entry.src_id,
+      src_view_id: entry.src_view_id
+    };
+  }
+
+  // Layout: keep our positions; place only merged snaps that have none
+  const detailMap = merged.render_map?.detail_map || {};
+  for (const snapId of Object.keys(detailMap)) {
+    if (!merged.snap_map[snapId]) delete detailMap[snapId];
+  }
+  placeSnaps(merged, Object.keys(merged.snap_map).filter(snapId => !detailMap[snapId]));
+  syncPipelineViews(merged);
+
+  return { pipeline: merged, clean: conflicts.length === 0, conflicts, notes };
+}
+
+/**
+ * Render a diff as short human-readable lines
+ */
+export function summarizeDiff(diff) {
+  if (diff.identical) {
+    return ['No semantic differences (layout-only changes are ignored)'];
+  }
+
+  const lines = [];
+  for (const change of diff.pipeline) {
+    lines.push(`pipeline ${change.path}: ${formatChange(change)}`);
+  }
+  for (const snap of diff.snaps.added) {
+    lines.push(`+ snap ${snap.label || snap.instance_id} (${snap.class_id})`);
+  }
+  for (const snap of diff.snaps.removed) {
+    lines.push(`- snap ${snap.label || snap.instance_id} (${snap.class_id})`);
+  }
+  for (const snap of diff.snaps.changed) {
+    for (const change of snap.changes) {
+      lines.push(`~ snap ${snap.label || snap.instance_id} ${change.path}: ${formatChange(change)}`);
+    }
+  }
+  for (const link of diff.links.added) {
+    lines.push(`+ link ${link.id}: ${describeLink(link)}`);
+  }
+  for (const link of diff.links.removed) {
+    lines.push(`- link ${link.id}: ${describeLink(link)}`);
+  }
+  for (const link of diff.links.rewired) {
+    lines.push(`~ link ${link.id}: ${describeLink(link.from)} ⇒ ${describeLink(link.to)}`);
+  }
+  return lines;
+}
+
+/**
+ * Line diff of two texts in unified format (---/+++ headers, @@ hunks), as git shows it
+ * Meant for formatted .slp files, where it also covers the layout and ids the
+ * semantic diff ignores. Returns '' for identical texts.
+ */
+export function unifiedDiff(before, after, { fromFile = 'before', toFile = 'after', context = 3 } = {}) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  const ops = [];
+  diffLines(a, 0, a.length, b, 0, b.length, ops);
+  if (ops.every(op => op[0] === ' ')) return '';
+
+  // Group changed lines into hunks, merging those with at most 2 * context lines between them
+  const changed = ops.map((op, index) => (op[0] === ' ' ? -1 : index)).filter(index => index >= 0);
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end - 1 <= 2 * context) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  let text = `--- a/${fromFile}\n+++ b/${toFile}\n`;
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length, hunk.end + context + 1);
+    const lineA = ops.slice(0, from).filter(op => op[0] !== '+').length;
+    const lineB = ops.slice(0, from).filter(op => op[0] !== '-').length;
+    const lines = ops.slice(from, to);
+    const countA = lines.filter(op => op[0] !== '+').length;
+    const countB = lines.filter(op => op[0] !== '-').length;
+
+    text += `@@ -${countA ? lineA + 1 : lineA},${countA} +${countB ? lineB + 1 : lineB},${countB} @@\n`;
+    text += lines.map(([mark, line]) => mark + line).join('\n') + '\n';
+  }
+  return text;
+}
+
+/**
+ * Append the edit script turning a[aLo, aHi) into b[bLo, bHi) to ops as [mark, line]
+ * Myers' diff in linear space: common ends are trimmed, then the ranges are split
+ * at the middle of a shortest edit script and each half is diffed on its own.
+ */
+function diffLines(a, aLo, aHi, b, bLo, bHi, ops) {
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    ops.push([' ', a[aLo++]]);
+    bLo++;
+  }
+  const end = aHi;
+  while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) {
+    aHi--;
+    bHi--;
+  }
+
+  if (aLo === aHi || bLo === bHi) {
+    for (let i = aLo; i < aHi; i++) ops.push(['-', a[i]]);
+    for (let j = bLo; j < bHi; j++) ops.push(['+', b[j]]);
+  } else {
+    const [x, y] = middleSnake(a, aLo, aHi, b, bLo, bHi);
+    diffLines(a, aLo, x, b, bLo, y, ops);
+    diffLines(a, x, aHi, b, y, bHi, ops);
+  }
+
+  for (let i = aHi; i < end; i++) ops.push([' ', a[i]]);
+}
+
+/**
+ * Point where the forward and reverse searches for a shortest edit script meet
+ * Both ranges are non-empty and differ at both ends, so the point splits them
+ * into two smaller problems. forward[k] / reverse[k] hold the furthest x reached
+ * on diagonal k (reverse counts from the ends).
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  const forward = new Int32Array(2 * max + 3);
+  const reverse = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      const opposite = delta - k;
+      if (odd && opposite >= 1 - d && opposite <= d - 1 && x + reverse[offset + opposite] >= n) {
+        return [aLo + x, bLo + y];
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && reverse[offset + k - 1] < reverse[offset + k + 1])
+        ? reverse[offset + k + 1]
+        : reverse[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      reverse[offset + k] = x;
+
+      const opposite = delta - k;
+      if (!odd && opposite >= -d && opposite <= d && x + forward[offset + opposite] >= n) {
+        const forwardX = forward[offset + opposite];
+        return [aLo + forwardX, bLo + forwardX - opposite];
+      }
+    }
+  }
+
+  // Not reached: the searches meet by d = ceil((n + m) / 2)
+  return [aHi, bLo];
+}
+
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function describeLink(link) {
+  return `${link.src_id}/${link.src_view_id} → ${link.dst_id}/${link.dst_view_id}`;
+}
+
+function formatChange({ from, to }) {
+  if (from === undefined) return `added ${JSON.stringify(to)}`;
+  if (to === undefined) return `removed ${JSON.stringify(from)}`;
+  return `${JSON.stringify(from)} → ${JSON.stringify(to)}`;
+}
+
+/**
+ * Recursive structural diff producing {path, from, to} leaf changes
+ */
+function diffValues(a, b, path, out) {
+  if (sameValue(a, b)) return;
+
+  const bothObjects = isObject(a) && isObject(b);
+  const bothArrays = Array.isArray(a) && Array.isArray(b);
+
+  if (bothObjects) {
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      diffValues(a[key], b[key], pointer(path, key), out);
+    }
+  } else if (bothArrays) {
+    const length = Math.max(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      diffValues(a[i], b[i], pointer(path, i), out);
+    }
+  } else {
+    const change = { path };
+    if (a !== undefined) change.from = a;
+    if (b !== undefined) change.to = b;
+    out.push(change);
+  }
+}
+
+/**
+ * Pipeline property_map without derived view sections
+ */
+function pipelineProperties(pipeline) {
+  const properties = {};
+  for (const [section, value] of Object.entries(pipeline.property_map || {})) {
+    if (!DERIVED_PIPELINE_SECTIONS.has(section)) properties[section] = value;
+  }
+  return properties;
+}
+
+/**
+ * The parts of a snap that matter semantically
+ */
+function snapProperties(snap) {
+  return {
+    class_id: snap.class_id,
+    class_version: snap.class_version,
+    property_map: snap.property_map || {}
+  };
+}
+
+function describeSnap(snapId, snap) {
+  return {
+    instance_id: snapId,
+    label: snap?.property_map?.info?.label?.value || null,
+    class_id: snap?.class_id || null
+  };
+}
+
+/**
+ * Map "src_id/src_view → dst_id/dst_view" to link entries
+ */
+function linkSignatures(pipeline) {
+  const signatures = new Map();
+  for (const [linkId, link] of Object.entries(pipeline.link_map || {})) {
+    const signature = `${link.src_id}/${link.src_view_id}→${link.dst_id}/${link.dst_view_id}`;
+    signatures.set(signature, { id: linkId, ...link });
+  }
+  return signatures;
+}
+
+/**
+ * Turn removed/added link pairs into rewirings
+ * A pair is a rewiring when it keeps the link id or one of its two endpoints.
+ */
+function pairRewiredLinks(links) {
+  const sameEnd = (a, b) =>
+    (a.src_id === b.src_id && a.src_view_id === b.src_view_id) ||
+    (a.dst_id === b.dst_id && a.dst_view_id === b.dst_view_id);
+
+  for (const removed of [...links.removed]) {
+    const added =
+      links.added.find(entry => entry.id === removed.id) ||
+      links.added.find(entry => sameEnd(removed, entry));
+    if (!added) continue;
+
+    links.removed.splice(links.removed.indexOf(removed), 1);
+    links.added.splice(links.added.indexOf(added), 1);
+    links.rewired.push({ id: added.id, from: stripId(removed), to: stripId(added) });
+  }
+}
+
+function stripId({ id, ...link }) {
+  return link;
+}
+
+/**
+ * Split a property_map into merge units: "section/key" → value
+ * Scalar sections (e.g. view_serial) are a unit of their own.
+ */
+function propertyUnits(propertyMap, skipSections = new Set()) {
+  const units = new Map();
+  for (const [section, value] of Object.entries(propertyMap || {})) {
+    if (skipSections.has(section)) continue;
+    if (isObject(value) && Object.keys(value).length > 0) {
+      for (const [key, entry] of Object.entries(value)) {
+        units.set(`${section}/${key}`, entry);
+      }
+    } else {
+      units.set(section, value);
+    }
+  }
+  return units;
+}
+
+function pipelineUnitMap(pipeline) {
+  return propertyUnits(pipeline.property_map, DERIVED_PIPELINE_SECTIONS);
+}
+
+function snapUnitMap(snap) {
+  const units = new Map();
+  units.set('class_id', snap.class_id);
+  units.set('class_version', snap.class_version);
+  for (const [unit, value] of propertyUnits(snap.property_map)) {
+    units.set(`property_map/${unit}`, value);
+  }
+  return units;
+}
+
+/**
+ * Merge unit maps; undefined values mean "unit absent"
+ */
+function mergeUnits(base, ours, theirs, prefer, onConflict) {
+  const merged = new Map();
+  const units = new Set([...base.keys(), ...ours.keys(), ...theirs.keys()]);
+
+  for (const unit of units) {
+    const [b, o, t] = [base.get(unit), ours.get(unit), theirs.get(unit)];
+    const oursChanged = !sameValue(b, o);
+    const theirsChanged = !sameValue(b, t);
+
+    let value;
+    if (!theirsChanged || sameValue(o, t)) {
+      value = o;
+    } else if (!oursChanged) {
+      value = t;
+    } else {
+      onConflict(`/${unit}`, { base: b ?? null, ours: o ?? null, theirs: t ?? null });
+      value = prefer === 'ours' ? o : t;
+    }
+
+    if (value !== undefined) merged.set(unit, value);
+  }
+
+  return merged;
+}
+
+function unitsToPropertyMap(units) {
+  const propertyMap = {};
+  for (const [unit, value] of units) {
+    const slash = unit.indexOf('/');
+    if (slash === -1) {
+      propertyMap[unit] = value;
+      continue;
+    }
+    const section = unit.slice(0, slash);
+    const key = unit.slice(slash + 1);
+    if (!isObject(propertyMap[section])) propertyMap[section] = {};
+    propertyMap[section][key] = value;
+  }
+  return propertyMap;
+}
+
+function unitsToSnap(units, template) {
+  const propertyUnitsOnly = new Map();
+  for (const [unit, value] of units) {
+    if (unit.startsWith('property_map/')) {
+      propertyUnitsOnly.set(unit.slice('property_map/'.length), value);
+    }
+  }
+
+  return {
+    ...template,
+    class_id: units.get('class_id'),
+    class_version: units.get('class_version'),
+    property_map: unitsToPropertyMap(propertyUnitsOnly)
+  };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+/**
+ * Key-order independent form for comparisons
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!isObject(value)) return value;
+  const sorted = {};
+  for (const key of Object.keys(value).sort()) sorted[key] = canonical(value[key]);
+  return sorted;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,402 @@
+/**
+ * Structural editing of existing .slp pipelines
+ * Every operation keeps link_map, render_map and view declarations consistent
+ */
+
+import {
+  buildSettingDefaults,
+  inferViewTypes,
+  instanceId,
+  mergeSettings,
+  nextLinkId,
+  placeSnaps,
+  syncPipelineViews,
+  viewDeclaration
+} from 'snaplogic-common';
+
+export class PipelineEditor {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  /**
+   * Insert a snap after an existing one and relink the chain through it
+   * The links leaving `after` from `after_view` (default output0) now leave the new snap,
+   * which takes the cell right of `after`; the snaps downstream of it shift right to make room.
+   *
+   * @returns {{pipeline: object, changes: string[]}}
+   */
+  addSnap(source, { after, after_view: afterView = 'output0', snap: snapSpec }) {
+    const pipeline = clonePipeline(source);
+    const changes = [];
+
+    if (!snapSpec?.class_id) {
+      throw new Error('snap.class_id is required');
+    }
+    const afterId = resolveSnap(pipeline, after);
+    const newId = nextInstanceId(pipeline);
+
+    const newSnap = this.createSnap(snapSpec, newId);
+    const newInput = Object.keys(newSnap.property_map.input)[0] || 'input0';
+    const newOutput = Object.keys(newSnap.property_map.output)[0] || 'output0';
+    ensureView(newSnap, 'input', newInput);
+    pipeline.snap_map[newId] = newSnap;
+    changes.push(`Added ${describeSnap(pipeline, newId)}`);
+
+    const afterSnap = pipeline.snap_map[afterId];
+    if (!afterSnap.property_map.output?.[afterView]) {
+      const viewType = inferViewTypes(afterSnap.class_id).output;
+      afterSnap.property_map.output = {
+        ...afterSnap.property_map.output,
+        [afterView]: viewDeclaration(afterView, viewType)
+      };
+      changes.push(`Declared ${afterView} on ${describeSnap(pipeline, afterId)}`);
+    }
+
+    // Move links leaving after/afterView to leave the new snap
+    for (const [linkId, link] of Object.entries(pipeline.link_map)) {
+      if (link.src_id === afterId && link.src_view_id === afterView) {
+        ensureView(newSnap, 'output', newOutput);
+        link.src_id = newId;
+        link.src_view_id = newOutput;
+        changes.push(`Relinked ${linkId} to start at ${describeSnap(pipeline, newId)}`);
+      }
+    }
+
+    const linkId = nextLinkId(pipeline);
+    pipeline.link_map[linkId] = {
+      dst_id: newId,
+      dst_view_id: newInput,
+      src_id: afterId,
+      src_view_id: afterView
+    };
+    changes.push(`Linked ${describeSnap(pipeline, afterId)} → ${describeSnap(pipeline, newId)} (${linkId})`);
+
+    const afterCell = pipeline.render_map?.detail_map?.[afterId];
+    if (afterCell) {
+      shiftDownstream(pipeline, newId, afterCell.grid_x_int + 1);
+    }
+
+    return finish(pipeline, changes, [], [newId]);
+  }
+
+  /**
+   * Remove a snap, healing the chain when it had exactly one input and one output link
+   */
+  removeSnap(source, { snap }) {
+    const pipeline = clonePipeline(source);
+    const changes = [];
+    const snapId = resolveSnap(pipeline, snap);
+    const label = describeSnap(pipeline, snapId);
+
+    const incoming = Object.entries(pipeline.link_map).filter(([, link]) => link.dst_id === snapId);
+    const outgoing = Object.entries(pipeline.link_map).filter(([, link]) => link.src_id === snapId);
+
+    for (const [linkId] of [...incoming, ...outgoing]) {
+      delete pipeline.link_map[linkId];
+    }
+
+    if (incoming.length === 1 && outgoing.length === 1) {
+      const [, inLink] = incoming[0];
+      const [outLinkId, outLink] = outgoing[0];
+      pipeline.link_map[outLinkId] = {
+        dst_id: outLink.dst_id,
+        dst_view_id: outLink.dst_view_id,
+        src_id: inLink.src_id,
+        src_view_id: inLink.src_view_id
+      };
+      changes.push(
+        `Healed chain: ${describeSnap(pipeline, inLink.src_id)} → ${describeSnap(pipeline, outLink.dst_id)} (${outLinkId})`
+      );
+    } else if (incoming.length > 0 && outgoing.length > 0) {
+      changes.push(
+        `Removed ${incoming.length + outgoing.length} links without healing: ${label} had ${incoming.length} input and ${outgoing.length} output links`
+      );
+    } else if (incoming.length + outgoing.length > 0) {
+      changes.push(`Removed ${incoming.length + outgoing.length} links of ${label}`);
+    }
+
+    delete pipeline.snap_map[snapId];
+    if (pipeline.render_map?.detail_map) {
+      delete pipeline.render_map.detail_map[snapId];
+    }
+    changes.unshift(`Removed ${label}`);
+
+    return finish(pipeline, changes);
+  }
+
+  /**
+   * Swap a snap's class in place, keeping its instance id, links and the
+   * settings the new snap also defines
+   */
+  replaceSnap(source, { snap, class_id: classId, label, settings = {} }) {
+    const pipeline = clonePipeline(source);
+    const changes = [];
+    const snapId = resolveSnap(pipeline, snap);
+    const oldSnap = pipeline.snap_map[snapId];
+    const snapInfo = this.requireSnapInfo(classId);
+
+    const specs = this.cache.getSettingsSchema(classId) || {};
+    const kept = {};
+    const dropped = [];
+    for (const [name, setting] of Object.entries(oldSnap.property_map?.settings || {})) {
+      if (specs[name]) {
+        kept[name] = setting;
+      } else {
+        dropped.push(name);
+      }
+    }
+
+    const newSnap = this.createSnap({
+      class_id: classId,
+      label: label || oldSnap.property_map?.info?.label?.value || snapInfo.name,
+      notes: oldSnap.property_map?.info?.notes?.value,
+      settings: { ...kept, ...settings }
+    }, snapId);
+
+    // Keep every view the links still use
+    for (const link of Object.values(pipeline.link_map)) {
+      if (link.src_id === snapId) ensureView(newSnap, 'output', link.src_view_id);
+      if (link.dst_id === snapId) ensureView(newSnap, 'input', link.dst_view_id);
+    }
+
+    pipeline.snap_map[snapId] = newSnap;
+    changes.push(`Replaced ${oldSnap.class_id} with ${classId} at ${snapId}`);
+    if (dropped.length > 0) {
+      changes.push(`Dropped settings not defined by ${classId}: ${dropped.join(', ')}`);
+    }
+
+    return finish(pipeline, changes, [snapId]);
+  }
+
+  /**
+   * Set one setting value
+   * `path` walks settings by name, stepping through each {value} wrapper implicitly
+   * (e.g. "transformations/mappingTable/0/targetPath"); '.' also separates segments.
+   */
+  updateSnapSetting(source, { snap, path, value, expression }) {
+    const pipeline = clonePipeline(source);
+    const snapId = resolveSnap(pipeline, snap);
+    const segments = String(path || '').split(/[/.]/).filter(Boolean);
+
+    if (segments.length === 0) {
+      throw new Error('path is required');
+    }
+
+    const propertyMap = pipeline.snap_map[snapId].property_map;
+    let container = propertyMap.settings || (propertyMap.settings = {});
+
+    segments.forEach((segment, index) => {
+      const isLast = index === segments.length - 1;
+
+      if (Array.isArray(container)) {
+        const rowIndex = Number(segment);
+        if (!Number.isInteger(rowIndex) || rowIndex < 0 || rowIndex > container.length) {
+          throw new Error(`Invalid row index "${segment}" in path ${path}`);
+        }
+        if (isLast) {
+          throw new Error(`Path ${path} must end at a setting, not a table row`);
+        }
+        if (rowIndex === container.length) container.push({});
+        container = container[rowIndex];
+        return;
+      }
+
+      if (container === null || typeof container !== 'object') {
+        throw new Error(`Cannot descend into "${segment}" in path ${path}`);
+      }
+
+      if (isLast) {
+        const setting = { ...(container[segment] || {}), value };
+        if (expression !== undefined) setting.expression = expression;
+        container[segment] = setting;
+        return;
+      }
+
+      if (!container[segment]) {
+        const nextIsRow = /^\d+$/.test(segments[index + 1]);
+        container[segment] = { value: nextIsRow ? [] : {} };
+      }
+      container = container[segment].value;
+    });
+
+    return finish(pipeline, [`Set ${segments.join('/')} on ${describeSnap(pipeline, snapId)}`]);
+  }
+
+  /**
+   * Change a snap's label (and the labels of pipeline views it exposes)
+   */
+  renameSnap(source, { snap, label }) {
+    if (!label) {
+      throw new Error('label is required');
+    }
+
+    const pipeline = clonePipeline(source);
+    const snapId = resolveSnap(pipeline, snap);
+    const oldLabel = describeSnap(pipeline, snapId);
+    const propertyMap = pipeline.snap_map[snapId].property_map;
+
+    propertyMap.info = { ...propertyMap.info, label: { value: label } };
+
+    return finish(pipeline, [`Renamed ${oldLabel} to "${label}"`], [snapId]);
+  }
+
+  /**
+   * Build a snap entry with schema defaults and the views its schema declares
+   */
+  createSnap(snapSpec, snapId) {
+    const snapInfo = this.requireSnapInfo(snapSpec.class_id);
+    const specs = this.cache.getSettingsSchema(snapSpec.class_id) || {};
+    const viewTypes = inferViewTypes(snapSpec.class_id);
+    const views = this.cache.getDetailedSchema(snapSpec.class_id)?.views;
+
+    const propertyMap = {
+      error: {
+        ...declareViews('error', views?.error, 'document'),
+        error_behavior: { value: 'fail' }
+      },
+      info: {
+        label: { value: snapSpec.label || snapInfo.name }
+      },
+      input: declareViews('input', views?.input, viewTypes.input),
+      output: declareViews('output', views?.output, viewTypes.output),
+      settings: mergeSettings(buildSettingDefaults(specs), snapSpec.settings || {}, specs),
+      view_serial: 100
+    };
+    if (snapSpec.notes) {
+      propertyMap.info.notes = { value: snapSpec.notes };
+    }
+
+    return {
+      class_id: snapSpec.class_id,
+      class_version: snapInfo.version,
+      instance_id: snapId,
+      property_map: propertyMap
+    };
+  }
+
+  requireSnapInfo(classId) {
+    const snapInfo = this.cache.getSnapInfo(classId);
+    if (!snapInfo) {
+      throw new Error(`Unknown snap: ${classId}`);
+    }
+    return snapInfo;
+  }
+}
+
+/**
+ * Resolve a snap reference: instance id or unique label
+ */
+export function resolveSnap(pipeline, ref) {
+  if (!ref) {
+    throw new Error('snap reference is required (instance id or label)');
+  }
+  if (pipeline.snap_map[ref]) {
+    return ref;
+  }
+
+  const matches = Object.entries(pipeline.snap_map)
+    .filter(([, snap]) => snap.property_map?.info?.label?.value === ref)
+    .map(([snapId]) => snapId);
+
+  if (matches.length === 0) {
+    throw new Error(`No snap with instance id or label "${ref}"`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Label "${ref}" matches ${matches.length} snaps; use the instance id (${matches.join(', ')})`);
+  }
+  return matches[0];
+}
+
+/**
+ * Next sequential instance id after the highest one in use
+ */
+function nextInstanceId(pipeline) {
+  let max = -1;
+  for (const snapId of Object.keys(pipeline.snap_map)) {
+    const match = snapId.match(/^11111111-1111-1111-1111-(\d{12})$/);
+    if (match) max = Math.max(max, Number(match[1]));
+  }
+  return instanceId(max + 1);
+}
+
+/**
+ * View declarations for one kind from the snap schema's view description
+ * ({views, min}); without a description the snap gets <kind>0
+ */
+function declareViews(kind, described, viewType) {
+  const viewIds = described ? [...described.views] : [`${kind}0`];
+  while (described && viewIds.length < described.min) {
+    viewIds.push(`${kind}${viewIds.length}`);
+  }
+  return Object.fromEntries(viewIds.map(viewId => [viewId, viewDeclaration(viewId, viewType)]));
+}
+
+/**
+ * Move every placed snap downstream of snapId right by the same number of columns,
+ * so the nearest one sits right of `column`; relative positions are kept
+ */
+function shiftDownstream(pipeline, snapId, column) {
+  const detailMap = pipeline.render_map.detail_map;
+  const downstream = new Set();
+  const pending = [snapId];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    for (const link of Object.values(pipeline.link_map)) {
+      if (link.src_id === current && link.dst_id !== snapId && !downstream.has(link.dst_id)) {
+        downstream.add(link.dst_id);
+        pending.push(link.dst_id);
+      }
+    }
+  }
+
+  const placed = [...downstream].filter(id => detailMap[id]);
+  if (placed.length === 0) return;
+
+  const shift = column + 1 - Math.min(...placed.map(id => detailMap[id].grid_x_int));
+  if (shift <= 0) return;
+  for (const id of placed) {
+    detailMap[id].grid_x_int += shift;
+  }
+}
+
+function ensureView(snap, kind, viewId) {
+  const views = snap.property_map[kind] || (snap.property_map[kind] = {});
+  if (!views[viewId]) {
+    views[viewId] = viewDeclaration(viewId, inferViewTypes(snap.class_id)[kind]);
+  }
+}
+
+function describeSnap(pipeline, snapId) {
+  const label = pipeline.snap_map[snapId]?.property_map?.info?.label?.value;
+  return label ? `"${label}" (${snapId})` : snapId;
+}
+
+function clonePipeline(source) {
+  if (!source || typeof source !== 'object' || !source.snap_map) {
+    throw new Error('pipeline must be a .slp object with a snap_map');
+  }
+  const pipeline = JSON.parse(JSON.stringify(source));
+  pipeline.link_map = pipeline.link_map || {};
+  return pipeline;
+}
+
+/**
+ * Re-derive pipeline views after an edit and place `placed` snaps
+ * Exposed views of `relabeled` snaps are regenerated so their labels follow the snap;
+ * the other snaps keep their grid positions.
+ */
+function finish(pipeline, changes, relabeled = [], placed = []) {
+  for (const kind of ['input', 'output']) {
+    const views = pipeline.property_map?.[kind];
+    if (!views) continue;
+    for (const key of Object.keys(views)) {
+      if (relabeled.some(snapId => key.startsWith(`${snapId}_`))) delete views[key];
+    }
+  }
+
+  syncPipelineViews(pipeline);
+  const unplaced = Object.keys(pipeline.snap_map).filter(snapId => !pipeline.render_map?.detail_map?.[snapId]);
+  placeSnaps(pipeline, [...new Set([...placed, ...unplaced])]);
+  return { pipeline, changes };
+}
@@ -0,0 +1,288 @@
+/**
+ * Safe automatic fixes for common .slp defects reported by validate_pipeline
+ * Each fix belongs to a category the caller opts into; nothing outside the
+ * requested categories is touched, and values that cannot be derived (such as
+ * a missing pipeline purpose) are reported as skipped rather than invented.
+ */
+
+import {
+  PIPELINE_CLASS_VERSION,
+  REQUIRED_INFO_FIELDS,
+  inferViewTypes,
+  instanceId,
+  layoutPipeline,
+  placeSnaps,
+  syncPipelineViews,
+  viewDeclaration
+} from 'snaplogic-common';
+
+// Categories in the order they are applied: later fixes rely on links and ids being sound
+export const FIX_CATEGORIES = ['dangling_links', 'instance_ids', 'views', 'render_map', 'class_versions', 'info'];
+
+export class PipelineFixer {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  /**
+   * Apply the requested fix categories to a copy of the pipeline
+   *
+   * @param {object} source - parsed .slp document
+   * @param {object} options
+   * @param {string[]} options.fixes - categories from FIX_CATEGORIES
+   * @param {object} [options.info] - values for missing pipeline info fields ({author, notes, purpose})
+   * @returns {{pipeline: object, changes: Array<{fix, message}>, skipped: Array<{fix, message}>}}
+   */
+  fix(source, { fixes, info = {} } = {}) {
+    if (!Array.isArray(fixes) || fixes.length === 0) {
+      throw new Error(`fixes must list at least one category: ${FIX_CATEGORIES.join(', ')}`);
+    }
+    for (const fix of fixes) {
+      if (!FIX_CATEGORIES.includes(fix)) {
+        throw new Error(`Unknown fix category "${fix}" (expected ${FIX_CATEGORIES.join(', ')})`);
+      }
+    }
+    if (!isObject(source) || !isObject(source.snap_map)) {
+      throw new Error('pipeline must be a .slp object with a snap_map');
+    }
+
+    const pipeline = JSON.parse(JSON.stringify(source));
+    pipeline.link_map = isObject(pipeline.link_map) ? pipeline.link_map : {};
+    const result = { pipeline, changes: [], skipped: [] };
+
+    for (const fix of FIX_CATEGORIES.filter(category => fixes.includes(category))) {
+      const log = {
+        change: message => result.changes.push({ fix, message }),
+        skip: message => result.skipped.push({ fix, message })
+      };
+
+      switch (fix) {
+        case 'dangling_links': this.fixDanglingLinks(pipeline, log); break;
+        case 'instance_ids': this.fixInstanceIds(pipeline, log); break;
+        case 'views': this.fixViews(pipeline, log); break;
+        case 'render_map': this.fixRenderMap(pipeline, log); break;
+        case 'class_versions': this.fixClassVersions(pipeline, log); break;
+        case 'info': this.fixInfo(pipeline, info, log); break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove links whose source or destination snap is not in snap_map
+   */
+  fixDanglingLinks(pipeline, log) {
+    for (const [linkId, link] of Object.entries(pipeline.link_map)) {
+      if (!isObject(link)) {
+        delete pipeline.link_map[linkId];
+        log.change(`Removed ${linkId}: link is not an object`);
+        continue;
+      }
+
+      const problems = ['src_id', 'dst_id']
+        .filter(field => !pipeline.snap_map[link[field]])
+        .map(field => (link[field] ? `${field} ${link[field]} is not in snap_map` : `${field} is missing`));
+      if (problems.length > 0) {
+        delete pipeline.link_map[linkId];
+        log.change(`Removed ${linkId}: ${problems.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Renumber snaps to 11111111-1111-1111-1111-000000000000, ...000001, ... in flow order
+   * Links, render_map entries and pipeline view keys follow the new ids. Pipelines
+   * whose ids are already sequential only get mismatched instance_id fields corrected.
+   */
+  fixInstanceIds(pipeline, log) {
+    const snapIds = Object.keys(pipeline.snap_map);
+    const expected = new Set(snapIds.map((_, index) => instanceId(index)));
+
+    if (!snapIds.every(snapId => expected.has(snapId))) {
+      const renamed = new Map(flowOrder(pipeline).map((snapId, index) => [snapId, instanceId(index)]));
+
+      const snapMap = {};
+      for (const [oldId, newId] of renamed) {
+        snapMap[newId] = pipeline.snap_map[oldId];
+        if (oldId !== newId) log.change(`Renumbered ${describeSnap(pipeline, oldId)} to ${newId}`);
+        if (isObject(snapMap[newId])) snapMap[newId].instance_id = newId;
+      }
+      pipeline.snap_map = snapMap;
+
+      for (const link of Object.values(pipeline.link_map)) {
+        if (renamed.has(link.src_id)) link.src_id = renamed.get(link.src_id);
+        if (renamed.has(link.dst_id)) link.dst_id = renamed.get(link.dst_id);
+      }
+
+      const detailMap = pipeline.render_map?.detail_map;
+      if (isObject(detailMap)) {
+        pipeline.render_map.detail_map = renameKeys(detailMap, key => renamed.get(key) ?? key);
+      }
+
+      for (const viewKind of ['input', 'output']) {
+        const views = pipeline.property_map?.[viewKind];
+        if (!isObject(views)) continue;
+        pipeline.property_map[viewKind] = renameKeys(views, key => {
+          const match = key.match(/^(.+)_([^_]+)$/);
+          return match && renamed.has(match[1]) ? `${renamed.get(match[1])}_${match[2]}` : key;
+        });
+      }
+    }
+
+    for (const [snapId, snap] of Object.entries(pipeline.snap_map)) {
+      if (isObject(snap) && snap.instance_id !== snapId) {
+        log.change(`Set instance_id of ${describeSnap(pipeline, snapId)} to its snap_map key (was ${snap.instance_id ?? 'missing'})`);
+        snap.instance_id = snapId;
+      }
+    }
+  }
+
+  /**
+   * Declare the snap views links use, add output0 to snaps without an output
+   * section, and re-derive the pipeline-level input/output views
+   */
+  fixViews(pipeline, log) {
+    const declare = (snapId, viewKind, viewId) => {
+      const snap = pipeline.snap_map[snapId];
+      if (!isObject(snap)) return;
+      const propertyMap = snap.property_map || (snap.property_map = {});
+      const views = isObject(propertyMap[viewKind]) ? propertyMap[viewKind] : (propertyMap[viewKind] = {});
+      if (views[viewId] || (viewKind === 'output' && propertyMap.error?.[viewId])) return;
+
+      views[viewId] = viewDeclaration(viewId, inferViewTypes(snap.class_id || '')[viewKind]);
+      log.change(`Declared ${viewKind} view ${viewId} on ${describeSnap(pipeline, snapId)}`);
+    };
+
+    for (const [snapId, snap] of Object.entries(pipeline.snap_map)) {
+      if (isObject(snap) && !isObject(snap.property_map?.output)) {
+        declare(snapId, 'output', 'output0');
+      }
+    }
+
+    for (const link of Object.values(pipeline.link_map)) {
+      if (pipeline.snap_map[link.src_id] && link.src_view_id) declare(link.src_id, 'output', link.src_view_id);
+      if (pipeline.snap_map[link.dst_id] && link.dst_view_id) declare(link.dst_id, 'input', link.dst_view_id);
+    }
+
+    const before = {
+      input: Object.keys(pipeline.property_map?.input || {}),
+      output: Object.keys(pipeline.property_map?.output || {})
+    };
+    syncPipelineViews(pipeline);
+    for (const viewKind of ['input', 'output']) {
+      const after = Object.keys(pipeline.property_map[viewKind]);
+      for (const key of after.filter(key => !before[viewKind].includes(key))) {
+        log.change(`Exposed pipeline ${viewKind} view ${key}`);
+      }
+      for (const key of before[viewKind].filter(key => !after.includes(key))) {
+        log.change(`Removed pipeline ${viewKind} view ${key}: it is linked or references no declared snap view`);
+      }
+    }
+  }
+
+  /**
+   * Give snaps without a render_map entry a free grid position and drop entries of removed snaps
+   * Existing positions are kept; a pipeline without any layout is laid out from scratch.
+   */
+  fixRenderMap(pipeline, log) {
+    if (!isObject(pipeline.render_map?.detail_map)) {
+      layoutPipeline(pipeline);
+      log.change(`Generated render_map layout for ${Object.keys(pipeline.snap_map).length} snaps`);
+      return;
+    }
+
+    const detailMap = pipeline.render_map.detail_map;
+    for (const snapId of Object.keys(detailMap)) {
+      if (!pipeline.snap_map[snapId]) {
+        delete detailMap[snapId];
+        log.change(`Removed render_map entry of ${snapId}: snap is not in snap_map`);
+      }
+    }
+
+    const missing = Object.keys(pipeline.snap_map).filter(snapId => !detailMap[snapId]);
+    if (missing.length === 0) return;
+
+    placeSnaps(pipeline, missing);
+    for (const snapId of missing) {
+      const entry = detailMap[snapId];
+      log.change(`Placed ${describeSnap(pipeline, snapId)} at grid ${entry.grid_x_int},${entry.grid_y_int}`);
+    }
+  }
+
+  /**
+   * Raise snap class_version to the catalog version (settings are left as they are)
+   * and add a missing pipeline class_version
+   */
+  fixClassVersions(pipeline, log) {
+    if (pipeline.class_version === undefined) {
+      pipeline.class_version = PIPELINE_CLASS_VERSION;
+      log.change(`Set pipeline class_version to ${PIPELINE_CLASS_VERSION}`);
+    }
+
+    for (const [snapId, snap] of Object.entries(pipeline.snap_map)) {
+      if (!isObject(snap)) continue;
+
+      const snapInfo = snap.class_id ? this.cache.getSnapInfo(snap.class_id) : null;
+      if (!snapInfo) {
+        log.skip(`${describeSnap(pipeline, snapId)}: ${snap.class_id || 'class_id missing'} is not in the snap catalog`);
+      } else if (!Number.isInteger(snap.class_version) || snap.class_version < snapInfo.version) {
+        log.change(`Updated ${describeSnap(pipeline, snapId)} class_version ${snap.class_version ?? 'missing'} → ${snapInfo.version}`);
+        snap.class_version = snapInfo.version;
+      } else if (snap.class_version > snapInfo.version) {
+        log.skip(`${describeSnap(pipeline, snapId)}: class_version ${snap.class_version} is newer than the catalog (${snapInfo.version})`);
+      }
+    }
+  }
+
+  /**
+   * Fill missing pipeline info fields from the supplied values; existing values are never overwritten
+   */
+  fixInfo(pipeline, values, log) {
+    const propertyMap = isObject(pipeline.property_map) ? pipeline.property_map : (pipeline.property_map = {});
+    if (!isObject(propertyMap.info)) {
+      propertyMap.info = { label: {}, pipeline_doc_uri: { value: null } };
+      log.change('Added property_map.info');
+    }
+
+    for (const field of REQUIRED_INFO_FIELDS) {
+      const current = propertyMap.info[field]?.value;
+      if (current !== undefined && current !== null && current !== '') continue;
+
+      const value = values?.[field];
+      if (typeof value === 'string' && value.trim() !== '') {
+        propertyMap.info[field] = { value };
+        log.change(`Set pipeline ${field}`);
+      } else {
+        log.skip(`Pipeline ${field} is missing; pass info.${field} to fill it in`);
+      }
+    }
+  }
+}
+
+/**
+ * Snap ids in flow order: by distance from the first snap of the chain, then by snap_map order
+ */
+function flowOrder(pipeline) {
+  const layout = layoutPipeline(JSON.parse(JSON.stringify(pipeline))).render_map.detail_map;
+  return Object.keys(pipeline.snap_map).sort((a, b) =>
+    layout[a].grid_x_int - layout[b].grid_x_int || layout[a].grid_y_int - layout[b].grid_y_int
+  );
+}
+
+function renameKeys(object, rename) {
+  const renamed = {};
+  for (const [key, value] of Object.entries(object)) {
+    renamed[rename(key)] = value;
+  }
+  return renamed;
+}
+
+function describeSnap(pipeline, snapId) {
+  const label = pipeline.snap_map[snapId]?.property_map?.info?.label?.value;
+  return label ? `"${label}" (${snapId})` : snapId;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
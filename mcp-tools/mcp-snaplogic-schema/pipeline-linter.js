@@ -0,0 +1,380 @@
+/**
+ * Rule-based linter for .slp pipelines
+ * Rules come in packs: the built-in "recommended" pack and plugin modules named
+ * in the project's .snaplogic-lint.json, which also turns rules off or sets
+ * their severity and options. A line "snaplogic-lint-disable [rule ...]" in the
+ * notes of a snap suppresses findings on that snap; in the pipeline notes it
+ * suppresses them for the whole pipeline.
+ */
+
+import { readdir, readFile, stat } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { RECOMMENDED_RULES } from './lint-rules.js';
+
+export const LINT_CONFIG_FILE = '.snaplogic-lint.json';
+export const LINT_FORMATS = ['json', 'sarif', 'text'];
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const BUILTIN_PACKS = { recommended: RECOMMENDED_RULES };
+const DEFAULT_CONFIG = { extends: ['recommended'], plugins: [], rules: {} };
+const SUPPRESSION_PATTERN = /snaplogic-lint-disable\b([^\n]*)/g;
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Find and read the lint config: an explicit file, or .snaplogic-lint.json in `startDir` or a parent directory
+ *
+ * @returns {Promise<{file: string|null, config: object}>} the built-in defaults when no file is found
+ */
+export async function loadLintConfig(startDir, configFile) {
+  let file = configFile ? path.resolve(configFile) : null;
+
+  if (!file) {
+    for (let dir = path.resolve(startDir); ; dir = path.dirname(dir)) {
+      const candidate = path.join(dir, LINT_CONFIG_FILE);
+      try {
+        await readFile(candidate);
+        file = candidate;
+        break;
+      } catch (error) {
+        if (path.dirname(dir) === dir) break;
+      }
+    }
+  }
+  if (!file) {
+    return { file: null, config: DEFAULT_CONFIG };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read lint config ${file}: ${error.message}`);
+  }
+  return { file, config: { ...DEFAULT_CONFIG, ...config } };
+}
+
+export class PipelineLinter {
+  /**
+   * @param {object} [options]
+   * @param {Array<{name: string, rules: Array}>} [options.packs] - rule packs (default: the recommended pack)
+   * @param {object} [options.rules] - per-rule settings: "off", a severity, or [severity, options]
+   */
+  constructor(options = {}) {
+    this.rules = [];
+
+    const settings = options.rules || {};
+    const known = new Set();
+    for (const pack of options.packs || [RECOMMENDED_RULES]) {
+      for (const rule of pack.rules) {
+        known.add(rule.id);
+        const { severity, options: ruleOptions } = parseRuleSetting(rule, settings[rule.id]);
+        if (severity !== 'off') {
+          this.rules.push({ ...rule, pack: pack.name, severity, options: ruleOptions });
+        }
+      }
+    }
+
+    const unknown = Object.keys(settings).filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown lint rules in config: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Build a linter from the config that applies to `startDir`; plugin paths are relative to the config file
+   */
+  static async fromConfig(startDir, configFile) {
+    const { file, config } = await loadLintConfig(startDir, configFile);
+    const packs = [];
+
+    for (const name of config.extends || []) {
+      if (!BUILTIN_PACKS[name]) {
+        throw new Error(`Unknown rule pack "${name}" (built-in packs: ${Object.keys(BUILTIN_PACKS).join(', ')})`);
+      }
+      packs.push(BUILTIN_PACKS[name]);
+    }
+    for (const plugin of config.plugins || []) {
+      packs.push(await loadPlugin(plugin, file ? path.dirname(file) : startDir));
+    }
+
+    const linter = new PipelineLinter({ packs, rules: config.rules });
+    linter.configFile = file;
+    return linter;
+  }
+
+  /**
+   * Lint one pipeline
+   *
+   * @param {object|string} source - parsed .slp or its JSON text
+   * @param {object} [options]
+   * @param {string} [options.file] - reported as the location of the findings
+   * @returns {{file, findings: Array, suppressed: Array}} findings are {rule, severity, message, snap, label, path, line}
+   */
+  lint(source, options = {}) {
+    const text = typeof source === 'string' ? source : null;
+    const file = options.file || null;
+    const result = { file, findings: [], suppressed: [] };
+
+    let pipeline = source;
+    if (text !== null) {
+      try {
+        pipeline = JSON.parse(text);
+      } catch (error) {
+        result.findings.push({ rule: 'json-syntax', severity: 'error', message: `Invalid JSON: ${error.message}`, snap: null, label: null, path: '', line: 1 });
+        return result;
+      }
+    }
+    if (!isObject(pipeline) || !isObject(pipeline.snap_map)) {
+      result.findings.push({ rule: 'json-syntax', severity: 'error', message: 'Not a .slp pipeline: snap_map is missing', snap: null, label: null, path: '', line: 1 });
+      return result;
+    }
+
+    const snaps = Object.entries(pipeline.snap_map).filter(([, snap]) => isObject(snap)).map(([id, snap]) => ({
+      id,
+      snap,
+      label: snap.property_map?.info?.label?.value || null,
+      classId: snap.class_id || ''
+    }));
+    const pipelineSuppressions = suppressions(pipeline.property_map?.info?.notes?.value);
+    const snapSuppressions = new Map(snaps.map(({ id, snap }) => [id, suppressions(snap.property_map?.info?.notes?.value)]));
+    const labels = new Map(snaps.map(({ id, label }) => [id, label]));
+
+    for (const rule of this.rules) {
+      const report = ({ snap = null, path: pointer = '', message }) => {
+        const finding = {
+          rule: rule.id,
+          severity: rule.severity,
+          message,
+          snap,
+          label: snap ? labels.get(snap) ?? null : null,
+          path: pointer,
+          line: text !== null ? lineOf(text, snap) : null
+        };
+        const suppressed = isSuppressed(pipelineSuppressions, rule.id)
+          || (snap && isSuppressed(snapSuppressions.get(snap), rule.id));
+        (suppressed ? result.suppressed : result.findings).push(finding);
+      };
+
+      try {
+        rule.check({ pipeline, snaps, options: rule.options, report });
+      } catch (error) {
+        result.findings.push({
+          rule: rule.id, severity: 'error', message: `Rule failed: ${error.message}`, snap: null, label: null, path: '', line: null
+        });
+      }
+    }
+
+    result.findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || (a.line ?? 0) - (b.line ?? 0));
+    return result;
+  }
+
+  /**
+   * Rule metadata for reports
+   */
+  describeRules() {
+    return this.rules.map(({ id, pack, severity, description }) => ({ id, pack, severity, description }));
+  }
+}
+
+/**
+ * .slp files named directly or found under the given directories (absolute paths)
+ */
+export async function collectPipelineFiles(targets) {
+  const files = [];
+  const visit = async (target, named) => {
+    if ((await stat(target)).isDirectory()) {
+      for (const entry of (await readdir(target)).sort()) {
+        if (entry !== 'node_modules' && !entry.startsWith('.')) await visit(path.join(target, entry), false);
+      }
+    } else if (named || target.endsWith('.slp')) {
+      files.push(path.resolve(target));
+    }
+  };
+
+  for (const target of targets) {
+    await visit(target, true);
+  }
+  return files;
+}
+
+/**
+ * Render lint results for several files
+ *
+ * @param {Array} results - from PipelineLinter.lint
+ * @param {string} format - json, sarif or text
+ * @param {PipelineLinter} linter - supplies rule metadata for SARIF
+ */
+export function formatLintResults(results, format, linter) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ summary: summarizeLintResults(results), files: results }, null, 2);
+    case 'sarif':
+      return JSON.stringify(toSarif(results, linter), null, 2);
+    case 'text':
+      return formatText(results);
+    default:
+      throw new Error(`Unknown format: ${format} (expected ${LINT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Finding counts by severity across files
+ */
+export function summarizeLintResults(results) {
+  const summary = { files: results.length, errors: 0, warnings: 0, infos: 0, suppressed: 0 };
+  for (const result of results) {
+    for (const finding of result.findings) {
+      summary[{ error: 'errors', warning: 'warnings', info: 'infos' }[finding.severity]]++;
+    }
+    summary.suppressed += result.suppressed.length;
+  }
+  return summary;
+}
+
+function formatText(results) {
+  let text = '';
+  for (const result of results.filter(item => item.findings.length > 0)) {
+    text += `${result.file || '(pipeline)'}\n`;
+    for (const finding of result.findings) {
+      const where = finding.snap ? `${finding.label || finding.snap}: ` : '';
+      const line = finding.line ? `${finding.line}`.padStart(5) : '     ';
+      text += `${line}  ${finding.severity.padEnd(7)}  ${where}${finding.message}  [${finding.rule}]\n`;
+    }
+    text += '\n';
+  }
+
+  const summary = summarizeLintResults(results);
+  text += `${summary.errors} errors, ${summary.warnings} warnings, ${summary.infos} infos in ${summary.files} pipelines`;
+  if (summary.suppressed > 0) text += ` (${summary.suppressed} suppressed)`;
+  return text;
+}
+
+/**
+ * SARIF 2.1.0 log with one run; suppressed findings are kept with an inSource suppression
+ */
+function toSarif(results, linter) {
+  const rules = linter.describeRules();
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const sarifResults = results.flatMap(result => [
+    ...result.findings.map(finding => sarifResult(result, finding, ruleIndex, false)),
+    ...result.suppressed.map(finding => sarifResult(result, finding, ruleIndex, true))
+  ]);
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'snaplogic-lint',
+          informationUri: 'https://github.com/jarcega-snaplogic/vibe-coding-snaplogic',
+          rules: rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+            properties: { pack: rule.pack }
+          }))
+        }
+      },
+      results: sarifResults
+    }]
+  };
+}
+
+function sarifResult(result, finding, ruleIndex, suppressed) {
+  const location = {
+    physicalLocation: {
+      artifactLocation: { uri: result.file || 'pipeline.slp' },
+      ...(finding.line ? { region: { startLine: finding.line } } : {})
+    },
+    logicalLocations: [{
+      name: finding.label || finding.snap || 'pipeline',
+      fullyQualifiedName: finding.path || '/',
+      kind: 'object'
+    }]
+  };
+
+  return {
+    ruleId: finding.rule,
+    ...(ruleIndex.has(finding.rule) ? { ruleIndex: ruleIndex.get(finding.rule) } : {}),
+    level: SARIF_LEVELS[finding.severity],
+    message: { text: finding.message },
+    locations: [location],
+    ...(suppressed ? { suppressions: [{ kind: 'inSource' }] } : {})
+  };
+}
+
+/**
+ * Severity and options for a rule from its config entry
+ */
+function parseRuleSetting(rule, setting) {
+  const [severity, options] = Array.isArray(setting) ? setting : [setting, {}];
+  const resolved = severity === undefined ? rule.severity : severity;
+
+  if (resolved !== 'off' && !SEVERITIES.includes(resolved)) {
+    throw new Error(`Invalid severity "${resolved}" for lint rule ${rule.id} (expected off, ${SEVERITIES.join(', ')})`);
+  }
+  return { severity: resolved, options: { ...rule.options, ...options } };
+}
+
+/**
+ * Import a plugin module exporting a rule pack ({name, rules}) as default or as named exports
+ */
+async function loadPlugin(specifier, baseDir) {
+  const target = specifier.startsWith('.') || path.isAbsolute(specifier)
+    ? pathToFileURL(path.resolve(baseDir, specifier)).href
+    : specifier;
+
+  let module;
+  try {
+    module = await import(target);
+  } catch (error) {
+    throw new Error(`Cannot load lint plugin ${specifier}: ${error.message}`);
+  }
+
+  const pack = module.default?.rules ? module.default : module;
+  if (!Array.isArray(pack.rules)) {
+    throw new Error(`Lint plugin ${specifier} does not export a rules array`);
+  }
+  for (const rule of pack.rules) {
+    if (!rule?.id || typeof rule.check !== 'function') {
+      throw new Error(`Lint plugin ${specifier} has a rule without an id or check function`);
+    }
+  }
+  return { name: pack.name || specifier, rules: pack.rules };
+}
+
+/**
+ * Rule ids disabled by "snaplogic-lint-disable [rule ...] [-- reason]" lines in notes; '*' when no ids are given
+ */
+function suppressions(notes) {
+  const disabled = new Set();
+  if (typeof notes !== 'string') return disabled;
+
+  for (const match of notes.matchAll(SUPPRESSION_PATTERN)) {
+    // Anything after "--" is the reason
+    const ids = match[1].split('--')[0].split(/[\s,]+/).filter(Boolean);
+    if (ids.length === 0) disabled.add('*');
+    ids.forEach(id => disabled.add(id));
+  }
+  return disabled;
+}
+
+function isSuppressed(disabled, ruleId) {
+  return Boolean(disabled) && (disabled.has('*') || disabled.has(ruleId));
+}
+
+/**
+ * Line of a snap's snap_map entry in the file text (1 for pipeline-level findings)
+ */
+function lineOf(text, snapId) {
+  if (!snapId) return 1;
+  const index = text.indexOf(`"${snapId}"`, Math.max(text.indexOf('"snap_map"'), 0));
+  return index === -1 ? 1 : text.slice(0, index).split('\n').length;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,579 @@
+/**
+ * Local execution of .slp pipelines built from common transform snaps
+ * Sample documents flow along link_map views through Mapper, Filter, Router,
+ * Copy, Sort, Group By N, Union and the JSON/CSV parsers and formatters.
+ * Binary views carry strings. Other snaps are not run: their output documents
+ * can be supplied as sample input instead.
+ */
+
+import { compileExpression } from 'snaplogic-common';
+import { resolveSnap } from './pipeline-editor.js';
+
+export const DEFAULT_MAX_DOCUMENTS = 100;
+
+/**
+ * Thrown when a snap with error_behavior "fail" hits a document error
+ */
+class SnapFailure extends Error {}
+
+/**
+ * Expressions of one run, compiled once and evaluated with the pipeline parameters
+ */
+class ExpressionRunner {
+  constructor(parameters = {}) {
+    this.parameters = parameters;
+    this.compiled = new Map();
+  }
+
+  /**
+   * @param {string} source - SnapLogic expression
+   * @param {*} doc - the current document ($)
+   * @param {object} [options]
+   * @param {boolean} [options.nullSafe] - missing fields read as null instead of failing
+   */
+  evaluate(source, doc, options = {}) {
+    let compiled = this.compiled.get(source);
+    if (!compiled) {
+      compiled = compileExpression(source);
+      this.compiled.set(source, compiled);
+    }
+    return compiled({ doc, parameters: this.parameters, nullSafe: options.nullSafe });
+  }
+}
+
+/**
+ * Snap implementations by class_id
+ * Each receives (snap, inputs by view, context) and returns documents by output view.
+ */
+export const SIMULATED_SNAPS = {
+  'com-snaplogic-snaps-transform-datatransform': simulateMapper,
+  'com-snaplogic-snaps-flow-filter': simulateFilter,
+  'com-snaplogic-snaps-flow-router': simulateRouter,
+  'com-snaplogic-snaps-flow-copy': simulateCopy,
+  'com-snaplogic-snaps-transform-sort': simulateSort,
+  'com-snaplogic-snaps-transform-groupbyn': simulateGroupByN,
+  'com-snaplogic-snaps-flow-union': simulateUnion,
+  'com-snaplogic-snaps-transform-jsonparser': simulateJsonParser,
+  'com-snaplogic-snaps-transform-jsonformatter': simulateJsonFormatter,
+  'com-snaplogic-snaps-transform-csvparser': simulateCsvParser,
+  'com-snaplogic-snaps-transform-csvformatter': simulateCsvFormatter
+};
+
+/**
+ * Run a pipeline against sample documents
+ *
+ * @param {object} pipeline - parsed .slp document
+ * @param {object} [options]
+ * @param {object} [options.inputs] - sample documents keyed by snap label or instance id; an array feeds
+ *   the snap's first input view (first output view for snaps that are not simulated), an object maps view ids to arrays
+ * @param {object} [options.parameters] - pipeline parameter values, overriding the param_table defaults
+ * @param {number} [options.maxDocuments] - documents returned per view (counts are always complete)
+ * @returns {object} {status, failure, snaps: [{instance_id, label, class_id, mode, inputs, outputs, errors}], notes}
+ */
+export function simulatePipeline(pipeline, options = {}) {
+  if (!pipeline || typeof pipeline !== 'object' || !pipeline.snap_map) {
+    throw new Error('pipeline must be a .slp object with a snap_map');
+  }
+
+  const maxDocuments = options.maxDocuments ?? DEFAULT_MAX_DOCUMENTS;
+  const expressions = new ExpressionRunner({ ...pipelineParameters(pipeline), ...options.parameters });
+  const provided = resolveInputs(pipeline, options.inputs || {});
+  const order = executionOrder(pipeline);
+  const produced = new Map(); // "snapId/viewId" → documents
+  const result = { status: 'completed', failure: null, snaps: [], notes: [] };
+
+  for (const snapId of order) {
+    const snap = pipeline.snap_map[snapId];
+    const label = snap.property_map?.info?.label?.value || snapId;
+    const simulate = SIMULATED_SNAPS[snap.class_id];
+    const entry = { instance_id: snapId, label, class_id: snap.class_id, mode: 'simulated', inputs: {}, outputs: {}, errors: {} };
+    result.snaps.push(entry);
+
+    if (result.failure) {
+      entry.mode = 'not_run';
+      continue;
+    }
+
+    // Gather input documents from upstream links and sample input
+    const inputs = {};
+    for (const viewId of viewIds(snap, 'input')) {
+      inputs[viewId] = [];
+    }
+    for (const link of Object.values(pipeline.link_map || {})) {
+      if (link.dst_id !== snapId) continue;
+      inputs[link.dst_view_id] = (inputs[link.dst_view_id] || []).concat(produced.get(`${link.src_id}/${link.src_view_id}`) || []);
+    }
+
+    let outputs;
+    const errors = {};
+    const sample = provided.get(snapId);
+
+    if (!simulate) {
+      entry.mode = sample ? 'provided' : 'not_simulated';
+      outputs = sample ? { ...sample } : {};
+      if (!sample) {
+        result.notes.push(
+          `${describe(snap, snapId)} (${snap.class_id}) is not simulated; supply its output documents in inputs["${label}"]`
+        );
+      }
+    } else {
+      if (sample) {
+        for (const [viewId, docs] of Object.entries(sample)) {
+          inputs[viewId] = (inputs[viewId] || []).concat(docs);
+        }
+      }
+
+      const errorViews = viewIds(snap, 'error');
+      const behavior = snap.property_map?.error?.error_behavior?.value || 'fail';
+      const context = {
+        expressions,
+        // Route a failed document according to the snap's error_behavior
+        fail(original, error) {
+          const reason = error instanceof Error ? error.message : String(error);
+          if (behavior === 'continue' && errorViews.length > 0) {
+            (errors[errorViews[0]] = errors[errorViews[0]] || []).push({
+              error: reason,
+              reason,
+              original,
+              snap_details: { label, instance_id: snapId, class_id: snap.class_id }
+            });
+          } else if (behavior !== 'ignore') {
+            throw new SnapFailure(reason);
+          }
+        }
+      };
+
+      try {
+        outputs = simulate(snap, inputs, context);
+      } catch (error) {
+        if (!(error instanceof SnapFailure)) throw error;
+        outputs = {};
+        result.status = 'failed';
+        result.failure = { instance_id: snapId, label, message: error.message };
+      }
+    }
+
+    for (const [viewId, docs] of Object.entries(inputs)) {
+      entry.inputs[viewId] = docs.length;
+    }
+    for (const [viewId, docs] of Object.entries(outputs)) {
+      produced.set(`${snapId}/${viewId}`, docs);
+      entry.outputs[viewId] = summarizeView(docs, maxDocuments);
+    }
+    for (const [viewId, docs] of Object.entries(errors)) {
+      produced.set(`${snapId}/${viewId}`, docs);
+      entry.errors[viewId] = summarizeView(docs, maxDocuments);
+    }
+  }
+
+  return result;
+}
+
+function simulateMapper(snap, inputs, context) {
+  const settings = snap.property_map?.settings || {};
+  const transformations = settings.transformations?.value || {};
+  const table = transformations.mappingTable?.value || [];
+  const passThrough = settingValue(settings.passThrough) === true;
+  const nullSafe = settingValue(settings.nullSafeAccess) === true;
+  const output = [];
+
+  for (const doc of allDocuments(inputs)) {
+    try {
+      const target = passThrough && isObject(doc) ? cloneJson(doc) : {};
+      for (const row of table) {
+        const targetPath = row.targetPath?.value;
+        if (!targetPath) continue;
+        const value = row.expression?.expression
+          ? context.expressions.evaluate(String(row.expression.value), doc, { nullSafe })
+          : row.expression?.value ?? null;
+        setPath(target, targetPath, value);
+      }
+      output.push(target);
+    } catch (error) {
+      context.fail(doc, error);
+    }
+  }
+
+  return { output0: output };
+}
+
+function simulateFilter(snap, inputs, context) {
+  const expression = snap.property_map?.settings?.expression;
+  const output = [];
+
+  for (const doc of allDocuments(inputs)) {
+    try {
+      const keep = expression?.expression === false
+        ? Boolean(expression.value)
+        : context.expressions.evaluate(String(expression?.value ?? 'true'), doc);
+      if (keep) output.push(doc);
+    } catch (error) {
+      context.fail(doc, error);
+    }
+  }
+
+  return { output0: output };
+}
+
+function simulateRouter(snap, inputs, context) {
+  const settings = snap.property_map?.settings || {};
+  const routes = settings.routes?.value || [];
+  const firstMatch = settingValue(settings.firstMatch) === true;
+  const outputs = Object.fromEntries(viewIds(snap, 'output').map(viewId => [viewId, []]));
+
+  for (const doc of allDocuments(inputs)) {
+    try {
+      for (const route of routes) {
+        const viewId = route.outputViewName?.value || 'output0';
+        if (context.expressions.evaluate(String(route.expression?.value ?? 'false'), doc)) {
+          (outputs[viewId] = outputs[viewId] || []).push(doc);
+          if (firstMatch) break;
+        }
+      }
+    } catch (error) {
+      context.fail(doc, error);
+    }
+  }
+
+  return outputs;
+}
+
+function simulateCopy(snap, inputs) {
+  const docs = allDocuments(inputs);
+  const views = viewIds(snap, 'output');
+  return Object.fromEntries((views.length > 0 ? views : ['output0']).map(viewId => [viewId, cloneJson(docs)]));
+}
+
+function simulateSort(snap, inputs, context) {
+  const sortPaths = snap.property_map?.settings?.sortPaths?.value || [];
+  const keyed = [];
+
+  for (const doc of allDocuments(inputs)) {
+    try {
+      keyed.push({
+        doc,
+        keys: sortPaths.map(row => context.expressions.evaluate(String(row.sortPath?.value ?? '$'), doc, { nullSafe: true }))
+      });
+    } catch (error) {
+      context.fail(doc, error);
+    }
+  }
+
+  const directions = sortPaths.map(row => /^desc/i.test(row.sortOrder?.value || '') ? -1 : 1);
+  keyed.sort((a, b) => {
+    for (let i = 0; i < directions.length; i++) {
+      const order = compareValues(a.keys[i], b.keys[i]) * directions[i];
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+
+  return { output0: keyed.map(({ doc }) => doc) };
+}
+
+function simulateGroupByN(snap, inputs) {
+  const settings = snap.property_map?.settings || {};
+  const size = Number(settingValue(settings.groupSize)) || 0;
+  const targetField = settingValue(settings.targetField) || 'group';
+  const docs = allDocuments(inputs);
+  const groups = [];
+
+  // Group size 0 collects every document into one group
+  const step = size > 0 ? size : Math.max(docs.length, 1);
+  for (let i = 0; i < docs.length; i += step) {
+    groups.push({ [targetField]: docs.slice(i, i + step) });
+  }
+
+  return { output0: groups };
+}
+
+function simulateUnion(snap, inputs) {
+  return { output0: allDocuments(inputs) };
+}
+
+function simulateJsonParser(snap, inputs, context) {
+  const processArray = settingValue(snap.property_map?.settings?.processArray) !== false;
+  const output = [];
+
+  for (const content of allDocuments(inputs)) {
+    try {
+      const data = JSON.parse(binaryText(content));
+      if (Array.isArray(data) && processArray) {
+        output.push(...data);
+      } else {
+        output.push(data);
+      }
+    } catch (error) {
+      context.fail(content, error);
+    }
+  }
+
+  return { output0: output };
+}
+
+function simulateJsonFormatter(snap, inputs) {
+  const settings = snap.property_map?.settings || {};
+  const docs = allDocuments(inputs);
+  const indent = settingValue(settings.prettyPrint) === true ? 2 : 0;
+
+  if (settingValue(settings.jsonLines) === true) {
+    return { output0: [docs.map(doc => JSON.stringify(doc)).join('\n')] };
+  }
+  return { output0: [JSON.stringify(docs, null, indent)] };
+}
+
+function simulateCsvParser(snap, inputs, context) {
+  const settings = snap.property_map?.settings || {};
+  const delimiter = settingValue(settings.delimiter) || ',';
+  const quote = settingValue(settings.quoteCharacter) || '"';
+  const skipLines = Number(settingValue(settings.skipLines)) || 0;
+  const containsHeader = settingValue(settings.containsHeader) !== false;
+  const ignoreEmpty = settingValue(settings.ignoreEmptyData) !== false;
+  const output = [];
+
+  for (const content of allDocuments(inputs)) {
+    try {
+      let rows = parseCsv(binaryText(content), delimiter, quote).slice(skipLines);
+      if (ignoreEmpty) {
+        rows = rows.filter(row => row.some(cell => cell !== ''));
+      }
+
+      const header = containsHeader
+        ? rows.shift() || []
+        : [];
+      for (const row of rows) {
+        const doc = {};
+        row.forEach((cell, index) => {
+          doc[header[index] ?? `field${String(index + 1).padStart(3, '0')}`] = cell;
+        });
+        output.push(doc);
+      }
+    } catch (error) {
+      context.fail(content, error);
+    }
+  }
+
+  return { output0: output };
+}
+
+function simulateCsvFormatter(snap, inputs) {
+  const settings = snap.property_map?.settings || {};
+  const delimiter = settingValue(settings.delimiter) || ',';
+  const quote = settingValue(settings.quoteCharacter) || '"';
+  const writeHeader = settingValue(settings.writeHeader) !== false;
+  const docs = allDocuments(inputs);
+
+  const columns = [];
+  for (const doc of docs) {
+    for (const key of Object.keys(isObject(doc) ? doc : {})) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+
+  const formatCell = value => {
+    const text = value === null || value === undefined
+      ? ''
+      : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.includes(delimiter) || text.includes(quote) || /[\r\n]/.test(text)
+      ? quote + text.split(quote).join(quote + quote) + quote
+      : text;
+  };
+
+  const lines = docs.map(doc => columns.map(column => formatCell(doc?.[column])).join(delimiter));
+  if (writeHeader) {
+    lines.unshift(columns.map(formatCell).join(delimiter));
+  }
+
+  return { output0: [lines.join('\n') + (lines.length > 0 ? '\n' : '')] };
+}
+
+/**
+ * Split CSV text into rows of cells, honoring quoted cells with delimiters, quotes and newlines
+ */
+function parseCsv(text, delimiter, quote) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === quote && text[i + 1] === quote) {
+        cell += quote;
+        i++;
+      } else if (ch === quote) {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === quote && cell === '') {
+      quoted = true;
+    } else if (text.startsWith(delimiter, i)) {
+      row.push(cell);
+      cell = '';
+      i += delimiter.length - 1;
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted CSV field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Pipeline parameter defaults from property_map.settings.param_table
+ */
+function pipelineParameters(pipeline) {
+  const parameters = {};
+  for (const row of pipeline.property_map?.settings?.param_table?.value || []) {
+    const key = row.key?.value;
+    if (key) parameters[key] = row.value?.value ?? null;
+  }
+  return parameters;
+}
+
+/**
+ * Map sample input keys (label or instance id) to {viewId: documents}
+ */
+function resolveInputs(pipeline, inputs) {
+  const resolved = new Map();
+
+  for (const [ref, value] of Object.entries(inputs)) {
+    const snapId = resolveSnap(pipeline, ref);
+    const snap = pipeline.snap_map[snapId];
+    let views = value;
+
+    if (Array.isArray(value) || typeof value === 'string') {
+      const kind = SIMULATED_SNAPS[snap.class_id] ? 'input' : 'output';
+      const viewId = viewIds(snap, kind)[0] || `${kind}0`;
+      views = { [viewId]: value };
+    }
+    if (!isObject(views)) {
+      throw new Error(`inputs["${ref}"] must be an array of documents or an object of arrays by view id`);
+    }
+
+    resolved.set(snapId, Object.fromEntries(
+      Object.entries(views).map(([viewId, docs]) => [viewId, Array.isArray(docs) ? docs : [docs]])
+    ));
+  }
+
+  return resolved;
+}
+
+/**
+ * Snap ids in dependency order (upstream before downstream)
+ */
+function executionOrder(pipeline) {
+  const snapIds = Object.keys(pipeline.snap_map);
+  const indegree = new Map(snapIds.map(snapId => [snapId, 0]));
+  const downstream = new Map(snapIds.map(snapId => [snapId, []]));
+
+  for (const link of Object.values(pipeline.link_map || {})) {
+    if (!indegree.has(link.src_id) || !indegree.has(link.dst_id)) continue;
+    indegree.set(link.dst_id, indegree.get(link.dst_id) + 1);
+    downstream.get(link.src_id).push(link.dst_id);
+  }
+
+  const ready = snapIds.filter(snapId => indegree.get(snapId) === 0);
+  const order = [];
+  while (ready.length > 0) {
+    const snapId = ready.shift();
+    order.push(snapId);
+    for (const next of downstream.get(snapId)) {
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) ready.push(next);
+    }
+  }
+
+  if (order.length < snapIds.length) {
+    const cyclic = snapIds.filter(snapId => !order.includes(snapId));
+    throw new Error(`Cannot simulate: links form a cycle through ${cyclic.map(snapId => describe(pipeline.snap_map[snapId], snapId)).join(', ')}`);
+  }
+  return order;
+}
+
+/**
+ * Declared view ids of a snap (input, output or error)
+ */
+function viewIds(snap, kind) {
+  const views = snap.property_map?.[kind];
+  if (!isObject(views)) return [];
+  return Object.keys(views).filter(viewId => isObject(views[viewId]) && ('label' in views[viewId] || 'view_type' in views[viewId])).sort();
+}
+
+function allDocuments(inputs) {
+  return Object.keys(inputs).sort().flatMap(viewId => inputs[viewId]);
+}
+
+function summarizeView(docs, maxDocuments) {
+  return {
+    count: docs.length,
+    documents: docs.slice(0, maxDocuments),
+    ...(docs.length > maxDocuments ? { truncated: true } : {})
+  };
+}
+
+/**
+ * Write a value at a Mapper target path ($a.b, a.b, $['x y'], $items[0])
+ */
+function setPath(target, targetPath, value) {
+  const segments = [];
+  const pattern = /\.?([^.[\]]+)|\[(\d+)\]|\[(['"])(.*?)\3\]/g;
+  for (const match of targetPath.replace(/^\$/, '').matchAll(pattern)) {
+    segments.push(match[2] !== undefined ? Number(match[2]) : match[4] ?? match[1]);
+  }
+  if (segments.length === 0) return;
+
+  let node = target;
+  segments.slice(0, -1).forEach((segment, index) => {
+    if (!isObject(node[segment]) && !Array.isArray(node[segment])) {
+      node[segment] = typeof segments[index + 1] === 'number' ? [] : {};
+    }
+    node = node[segment];
+  });
+  node[segments[segments.length - 1]] = value;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function cloneJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function binaryText(content) {
+  return typeof content === 'string' ? content : JSON.stringify(content);
+}
+
+function settingValue(setting) {
+  return isObject(setting) ? setting.value : setting;
+}
+
+function describe(snap, snapId) {
+  const label = snap?.property_map?.info?.label?.value;
+  return label ? `"${label}" (${snapId})` : snapId;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
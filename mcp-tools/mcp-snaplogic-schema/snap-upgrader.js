@@ -0,0 +1,207 @@
+/**
+ * Snap version upgrade assistant
+ * The catalog only holds the current schema of each snap, so the settings stored
+ * with an outdated snap are compared against that schema: settings it no longer
+ * defines were removed or renamed, settings the snap lacks were added. A removed
+ * and an added setting at the same level count as a rename when their names are
+ * near-identical, neither has another candidate and the value fits the new spec.
+ */
+
+import { SnapValidator, buildSettingDefaults, editDistance } from 'snaplogic-common';
+
+const RENAME_MAX_DISTANCE = 2;
+
+export class SnapUpgrader {
+  constructor(cache) {
+    this.cache = cache;
+    this.validator = new SnapValidator(cache);
+  }
+
+  /**
+   * Find the outdated snaps of a pipeline and plan their settings migration
+   * With `migrate`, unambiguous migrations are applied to a copy of the pipeline;
+   * a snap's class_version is raised only once nothing about it is flagged.
+   *
+   * @param {object} source - parsed .slp document
+   * @param {object} [options]
+   * @param {boolean} [options.migrate]
+   * @returns {{snaps: Array, unknown: Array<{instance_id, class_id}>, pipeline: object|null}}
+   *   snaps are {instance_id, label, class_id, from_version, to_version, added, removed, renamed, flagged, status, migrated}
+   */
+  upgradePipeline(source, { migrate = false } = {}) {
+    if (!isObject(source) || !isObject(source.snap_map)) {
+      throw new Error('pipeline must be a .slp object with a snap_map');
+    }
+
+    const pipeline = JSON.parse(JSON.stringify(source));
+    const snaps = [];
+    const unknown = [];
+
+    for (const [snapId, snap] of Object.entries(pipeline.snap_map)) {
+      if (!isObject(snap) || !snap.class_id) continue;
+
+      const snapInfo = this.cache.getSnapInfo(snap.class_id);
+      if (!snapInfo) {
+        unknown.push({ instance_id: snapId, class_id: snap.class_id });
+      } else if (!Number.isInteger(snap.class_version) || snap.class_version < snapInfo.version) {
+        snaps.push(this.upgradeSnap(snapId, snap, snapInfo.version));
+      }
+    }
+
+    return { snaps, unknown, pipeline: migrate ? pipeline : null };
+  }
+
+  /**
+   * Compare one snap's settings with the current schema, migrating them in place
+   */
+  upgradeSnap(snapId, snap, version) {
+    const report = {
+      instance_id: snapId,
+      label: snap.property_map?.info?.label?.value ?? null,
+      class_id: snap.class_id,
+      from_version: snap.class_version ?? null,
+      to_version: version,
+      added: [],
+      removed: [],
+      renamed: [],
+      flagged: [],
+      status: 'ready',
+      migrated: false
+    };
+
+    const specs = this.cache.getSettingsSchema(snap.class_id);
+    if (!specs) {
+      report.flagged.push({ path: '', message: `No settings schema available for ${snap.class_id}; settings cannot be compared` });
+      report.status = 'needs_review';
+      return report;
+    }
+
+    const propertyMap = isObject(snap.property_map) ? snap.property_map : (snap.property_map = {});
+    const settings = isObject(propertyMap.settings) ? propertyMap.settings : (propertyMap.settings = {});
+    this.compareSettings([settings], specs, '', report);
+
+    // Whatever the new schema still rejects (wrong type, enum value, required without default)
+    this.validator.validateSettings(settings, specs, '', (path, message) => {
+      if (!message.startsWith('Unknown property')) {
+        report.flagged.push({ path: settingsPath(path), message });
+      }
+    });
+
+    if (report.flagged.length > 0) {
+      report.status = 'needs_review';
+    } else {
+      snap.class_version = version;
+      report.migrated = true;
+    }
+    return report;
+  }
+
+  /**
+   * Diff one level of settings against its spec map and migrate it
+   * `containers` holds the settings objects sharing the spec: one for top-level and
+   * composite settings, one per row for table columns (shown as "table/*" in paths).
+   */
+  compareSettings(containers, specs, path, report) {
+    const present = new Set(containers.flatMap(container => Object.keys(container)));
+    const removed = [...present].filter(name => !specs[name]);
+    const added = Object.keys(specs).filter(name => !present.has(name));
+    const candidates = new Map(removed.map(name => [name, added.filter(other => similarNames(name, other))]));
+
+    for (const name of removed) {
+      const matches = candidates.get(name);
+      const target = matches.length === 1 ? matches[0] : null;
+      const unique = target && removed.filter(other => candidates.get(other).includes(target)).length === 1;
+      const fits = unique && containers.every(container => !(name in container) || this.fitsSpec(container[name], specs[target]));
+
+      if (fits) {
+        for (const container of containers) {
+          if (!(name in container)) continue;
+          container[target] = container[name];
+          delete container[name];
+        }
+        added.splice(added.indexOf(target), 1);
+        report.renamed.push({ from: joinPath(path, name), to: joinPath(path, target) });
+        continue;
+      }
+
+      report.removed.push(joinPath(path, name));
+      report.flagged.push({
+        path: joinPath(path, name),
+        message: matches.length > 0
+          ? `No longer defined; possibly renamed to ${matches.join(' or ')}, but the mapping is ambiguous or the value does not fit`
+          : 'No longer defined by the current schema; carry its value over by hand, then remove it'
+      });
+    }
+
+    const defaults = buildSettingDefaults(specs);
+    for (const name of added) {
+      report.added.push({ path: joinPath(path, name), default: defaults[name].value });
+      for (const container of containers) {
+        container[name] = JSON.parse(JSON.stringify(defaults[name]));
+      }
+    }
+
+    for (const [name, spec] of Object.entries(specs)) {
+      if (spec.properties) {
+        const nested = containers.map(container => container[name]?.value).filter(isObject);
+        if (nested.length > 0) this.compareSettings(nested, spec.properties, joinPath(path, name), report);
+      } else if (spec.type === 'table' && spec.columns) {
+        const rows = containers.flatMap(container => (Array.isArray(container[name]?.value) ? container[name].value : []));
+        const objects = rows.filter(isObject);
+        if (objects.length > 0) this.compareSettings(objects, spec.columns, joinPath(path, `${name}/*`), report);
+      }
+    }
+  }
+
+  fitsSpec(setting, spec) {
+    let fits = true;
+    this.validator.validateSetting(setting, spec, '', () => {
+      fits = false;
+    });
+    return fits;
+  }
+}
+
+/**
+ * Totals over upgrade results ({snaps, unknown} per pipeline)
+ */
+export function summarizeUpgrades(results) {
+  const summary = { pipelines: results.length, outdated: 0, ready: 0, needs_review: 0, migrated: 0, unknown: 0 };
+  for (const result of results) {
+    summary.outdated += result.snaps.length;
+    summary.unknown += result.unknown.length;
+    for (const snap of result.snaps) {
+      summary[snap.status]++;
+      if (snap.migrated) summary.migrated++;
+    }
+  }
+  return summary;
+}
+
+// Same name apart from case and separators, a small typo-sized edit, or one name extending the other
+function similarNames(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (left === right) return true;
+
+  const shorter = Math.min(left.length, right.length);
+  if (shorter >= 5 && (left.includes(right) || right.includes(left))) return true;
+  return shorter >= 4 && editDistance(left, right, RENAME_MAX_DISTANCE) <= RENAME_MAX_DISTANCE;
+}
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function joinPath(path, name) {
+  return path ? `${path}/${name}` : name;
+}
+
+// Validator pointers step through {value} wrappers; paths here name settings only
+function settingsPath(pointer) {
+  return pointer.replace(/\/value(?=\/|$)/g, '').slice(1);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
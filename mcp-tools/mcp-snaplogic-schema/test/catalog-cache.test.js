@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'fs';
+import { CACHE_FORMAT_VERSION, CacheStore, createMockTransport } from 'snaplogic-common';
+import { createTestServer } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Offline mode is read from the environment each time a profile config is loaded
+function offline(t) {
+  process.env.SNAPLOGIC_SCHEMA_OFFLINE = 'true';
+  t.after(() => delete process.env.SNAPLOGIC_SCHEMA_OFFLINE);
+}
+
+async function restartedServer() {
+  const { SnapLogicSchemaServer } = await import('../index.js');
+  const transport = createMockTransport();
+  const server = new SnapLogicSchemaServer({ transport });
+  await server.loadPersistedCache();
+  return { server, transport };
+}
+
+test('a fetched catalog is written to disk and loaded on the next start without a request', async () => {
+  const { server } = await createTestServer();
+  await server.ensureCatalog();
+  await server.getSnapSchema('com-snaplogic-snaps-flow-filter');
+
+  const saved = JSON.parse(readFileSync(process.env.SNAPLOGIC_SCHEMA_CACHE_FILE, 'utf8'));
+  assert.equal(saved.format_version, CACHE_FORMAT_VERSION);
+  assert.equal(saved.org, 'TestOrg');
+
+  const { server: restarted, transport } = await restartedServer();
+  const result = await restarted.handleToolCall('search_snaps', { query: 'filter' });
+
+  assert.equal(JSON.parse(result.content[0].text).results[0].class_id, 'com-snaplogic-snaps-flow-filter');
+  assert.equal((await restarted.getSnapSchema('com-snaplogic-snaps-flow-filter')).name, 'Filter');
+  assert.equal(transport.calls.length, 0);
+});
+
+test('offline mode serves a stale cache with a notice and never calls the API', async t => {
+  const { server } = await createTestServer();
+  await server.ensureCatalog();
+  server.cache.catalogLastFetch = Date.now() - 2 * DAY;
+  await server.persistCache();
+  offline(t);
+
+  const { server: restarted, transport } = await restartedServer();
+  const result = await restarted.handleToolCall('list_categories', {});
+
+  assert.equal(result.isError, undefined);
+  assert.match(result.content.at(-1).text, /^Note: serving cached snap catalog \(read-only\), stale since .* \(offline mode\)\.$/);
+  await assert.rejects(restarted.getSnapSchema('com-snaplogic-snaps-rest-get'), /Offline mode: detailed schema for com-snaplogic-snaps-rest-get is not in the cache/);
+  assert.equal(transport.calls.length, 0);
+});
+
+test('offline mode without a cache file names the file it looked for', async t => {
+  await createTestServer();
+  offline(t);
+
+  const { server } = await restartedServer();
+  const result = await server.handleToolCall('search_snaps', { query: 'mapper' });
+
+  assert.equal(result.isError, true);
+  assert.equal(result.content[0].text, `Error: Offline mode: no cached catalog found at ${process.env.SNAPLOGIC_SCHEMA_CACHE_FILE}`);
+});
+
+test('cache files from another org or format version are ignored', async () => {
+  await createTestServer();
+  const file = process.env.SNAPLOGIC_SCHEMA_CACHE_FILE;
+  const snapshot = { catalog_last_fetch: Date.now(), snaps: {}, details: [] };
+
+  await new CacheStore(file, { org: 'OtherOrg' }).save(snapshot);
+  assert.equal(await new CacheStore(file, { org: 'TestOrg' }).load(), null);
+  assert.deepEqual(await new CacheStore(file, { org: 'OtherOrg' }).load(), snapshot);
+
+  writeFileSync(file, JSON.stringify({ format_version: CACHE_FORMAT_VERSION - 1, org: 'TestOrg', snapshot }));
+  assert.equal(await new CacheStore(file, { org: 'TestOrg' }).load(), null);
+});
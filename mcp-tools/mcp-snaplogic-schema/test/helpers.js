@@ -0,0 +1,131 @@
+/**
+ * Shared fixtures for the schema server tests
+ */
+
+import { mkdtempSync, readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  SchemaCache,
+  createMockTransport,
+  instanceId
+} from 'snaplogic-common';
+
+const CATALOG = JSON.parse(readFileSync(new URL('./fixtures/catalog.json', import.meta.url), 'utf8'));
+
+/**
+ * SchemaCache loaded with the fixture catalog (Mapper, Pipeline Execute, Filter,
+ * CSV Parser, File Reader and REST Get)
+ */
+export function loadCatalog() {
+  const cache = new SchemaCache();
+  cache.processCatalog(JSON.parse(JSON.stringify(CATALOG)));
+  return cache;
+}
+
+export function catalogResponse() {
+  return JSON.parse(JSON.stringify(CATALOG));
+}
+
+/**
+ * Mapper snap config with the given mapping rows ([expression, targetPath])
+ */
+export function mapperConfig(rows = [['$id', '$id']], instanceId = '11111111-1111-1111-1111-000000000000') {
+  return {
+    class_id: 'com-snaplogic-snaps-transform-datatransform',
+    class_version: 4,
+    instance_id: instanceId,
+    property_map: {
+      info: { label: { value: 'Mapper' } },
+      settings: {
+        transformations: {
+          value: {
+            mappingRoot: { value: '$' },
+            mappingTable: {
+              value: rows.map(([expression, targetPath]) => ({
+                expression: { expression: true, value: expression },
+                targetPath: { value: targetPath }
+              }))
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Snap entry for snap_map: instance id n, declared views and optional error_behavior
+ * (which also declares error0); classId is the part after com-snaplogic-snaps-
+ */
+export function snapEntry(n, label, classId, settings = {}, { inputs = ['input0'], outputs = ['output0'], error } = {}) {
+  const view = viewId => ({ label: { value: viewId }, view_type: { value: 'document' } });
+  const propertyMap = {
+    info: { label: { value: label } },
+    input: Object.fromEntries(inputs.map(viewId => [viewId, view(viewId)])),
+    output: Object.fromEntries(outputs.map(viewId => [viewId, view(viewId)])),
+    settings
+  };
+  if (error) {
+    propertyMap.error = { error0: view('error0'), error_behavior: { value: error } };
+  }
+  return { class_id: `com-snaplogic-snaps-${classId}`, instance_id: instanceId(n), property_map: propertyMap };
+}
+
+/**
+ * Mapper entry with the given mapping rows ([expression, targetPath]); options.settings
+ * adds Mapper settings such as passThrough
+ */
+export function mapperEntry(n, label, rows, { settings = {}, ...options } = {}) {
+  const mappingTable = rows.map(([expression, targetPath]) => ({
+    expression: { expression: true, value: expression },
+    targetPath: { value: targetPath }
+  }));
+  return snapEntry(n, label, 'transform-datatransform', {
+    nullSafeAccess: { value: true },
+    transformations: { value: { mappingRoot: { value: '$' }, mappingTable: { value: mappingTable } } },
+    ...settings
+  }, options);
+}
+
+/**
+ * Pipeline of the given snap entries, links ([src, srcView, dst, dstView] by instance
+ * id number) and param_table defaults
+ */
+export function linkedPipeline(snaps, links = [], parameters = {}) {
+  return {
+    property_map: {
+      settings: {
+        param_table: { value: Object.entries(parameters).map(([key, value]) => ({ key: { value: key }, value: { value } })) }
+      }
+    },
+    snap_map: Object.fromEntries(snaps.map(entry => [entry.instance_id, entry])),
+    link_map: Object.fromEntries(links.map(([src, srcView, dst, dstView], index) => [`link${index}`, {
+      src_id: instanceId(src), src_view_id: srcView, dst_id: instanceId(dst), dst_view_id: dstView
+    }]))
+  };
+}
+
+/**
+ * Schema server for a test profile whose API is a mock transport serving the
+ * fixture catalog; the catalog cache goes to a fresh temporary directory
+ */
+export async function createTestServer(routes = {}) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'snaplogic-schema-test-'));
+  Object.assign(process.env, {
+    SNAPLOGIC_PROFILES_FILE: path.join(dir, 'profiles.json'),
+    SNAPLOGIC_CREDENTIALS_FILE: path.join(dir, 'credentials.json'),
+    SNAPLOGIC_SCHEMA_CACHE_FILE: path.join(dir, 'catalog.json'),
+    SNAPLOGIC_SCHEMA_BASE_URL: 'https://snaplogic.test',
+    SNAPLOGIC_SCHEMA_ORG: 'TestOrg',
+    SNAPLOGIC_USERNAME: 'tester@example.com',
+    SNAPLOGIC_PASSWORD: 'test-password'
+  });
+
+  const transport = createMockTransport({
+    'GET /api/1/rest/admin/snappack/catalog/snaps': () => ({ response_map: catalogResponse().response_map || catalogResponse() }),
+    ...routes
+  });
+  const { SnapLogicSchemaServer } = await import('../index.js');
+  return { server: new SnapLogicSchemaServer({ transport }), transport };
+}
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { instanceId } from 'snaplogic-common';
+import { lintMappers } from '../mapper-lint.js';
+import { createTestServer, linkedPipeline, mapperEntry, snapEntry } from './helpers.js';
+
+const messages = issues => issues.map(issue => issue.message);
+
+function chain(...snaps) {
+  return linkedPipeline(snaps, snaps.slice(1).map((snap, index) => [index, 'output0', index + 1, 'input0']));
+}
+
+test('lineage traces each mapped field to the snap that produced it', () => {
+  const report = lintMappers(chain(
+    snapEntry(0, 'Parse', 'transform-csvparser'),
+    mapperEntry(1, 'Shape', [['$id', 'id'], ['$first + " " + $last', 'name']]),
+    mapperEntry(2, 'Out', [['$name', 'full_name']])
+  ));
+
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.lineage.map(({ field, snap, sources }) => [field, snap, sources.map(source => `${source.snap}.${source.field}`)]), [
+    ['id', 'Shape', ['Parse.id']],
+    ['name', 'Shape', ['Parse.first', 'Parse.last']],
+    ['full_name', 'Out', ['Shape.name']]
+  ]);
+  assert.deepEqual(report.mappers[instanceId(2)].dropped, ['id', 'name']);
+});
+
+test('fields no upstream snap produces and targets written twice are errors', () => {
+  const report = lintMappers(chain(
+    mapperEntry(0, 'Shape', [['$id', 'id'], ['$name', 'name']]),
+    mapperEntry(1, 'Out', [['$id', 'id'], ['$email', 'contact'], ['$name', '$id']])
+  ));
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(messages(report.mappers[instanceId(1)].errors), [
+    '$email is not produced by any upstream snap (available: $id, $name)',
+    'Target path $id is already written by row 0; only the last value is kept'
+  ]);
+  assert.equal(report.lineage.find(entry => entry.field === 'contact').sources[0].missing, true);
+});
+
+test('Mapper settings the rules require are checked', () => {
+  const report = lintMappers(chain(
+    mapperEntry(0, 'Loose', [], { settings: { nullSafeAccess: { value: false } } })
+  ));
+
+  const entry = report.mappers[instanceId(0)];
+  assert.deepEqual(messages(entry.errors), ['Empty mapping table without pass-through: every output document is empty']);
+  assert.match(entry.warnings[0].message, /^nullSafeAccess should be true/);
+});
+
+test('pass-through renames and literal text that looks like an expression are warnings', () => {
+  const source = chain(
+    mapperEntry(0, 'Source', [['$in', 'cust_id']]),
+    mapperEntry(1, 'Rename', [['$cust_id', 'customer_id']], { settings: { passThrough: { value: true } } }),
+    mapperEntry(2, 'Literal', [['$customer_id', 'id']])
+  );
+  source.snap_map[instanceId(2)].property_map.settings.transformations.value.mappingTable.value[0].expression.expression = false;
+
+  const report = lintMappers(source);
+
+  assert.match(report.mappers[instanceId(1)].warnings[0].message, /^passThrough is true, so \$cust_id is still passed on/);
+  assert.deepEqual(messages(report.mappers[instanceId(2)].warnings), [
+    '"$customer_id" looks like an expression but expression is false, so it is written as literal text'
+  ]);
+});
+
+test('parameters must be declared in the param_table and declared ones used', () => {
+  const source = linkedPipeline([mapperEntry(0, 'Tag', [['_region', 'region'], ['_env', 'env']])], [], { region: 'EMEA', unused: 'x' });
+
+  const report = lintMappers(source);
+
+  assert.deepEqual(messages(report.mappers[instanceId(0)].warnings), ['_env is not declared in the pipeline param_table']);
+  assert.deepEqual(messages(report.pipeline.warnings), ['Pipeline parameter _unused is not used by any expression']);
+});
+
+test('lint_mappers runs without the snap catalog', async () => {
+  const { server, transport } = await createTestServer();
+
+  const result = await server.handleToolCall('lint_mappers', { pipeline: chain(mapperEntry(0, 'Only', [['$id', 'id']])) });
+
+  assert.equal(JSON.parse(result.content[0].text).summary.mappers, 1);
+  assert.equal(transport.calls.length, 0);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PipelineBuilder, PipelineValidator, SnapValidator } from 'snaplogic-common';
+import { loadCatalog } from './helpers.js';
+
+const cache = loadCatalog();
+const builder = new PipelineBuilder(cache);
+const validator = new PipelineValidator({ snapValidator: new SnapValidator(cache) });
+
+const snaps = [
+  { class_id: 'com-snaplogic-snaps-transform-csvparser' },
+  { class_id: 'com-snaplogic-snaps-transform-datatransform', label: 'Rename fields' }
+];
+
+test('fills the info block so a bare spec passes validation', () => {
+  const pipeline = builder.build({ snaps });
+  const { info } = pipeline.property_map;
+
+  assert.equal(info.label.value, 'New Pipeline');
+  assert.equal(info.author.value, 'snaplogic-schema');
+  assert.equal(info.notes.value, `Snaps: ${cache.getSnapInfo(snaps[0].class_id).name}, Rename fields`);
+  assert.equal(info.purpose.value, 'New Pipeline');
+
+  const report = validator.validate(pipeline);
+  assert.deepEqual(report.pipeline.errors, []);
+});
+
+test('keeps the info values given in the spec', () => {
+  const pipeline = builder.build({
+    snaps,
+    label: 'Orders',
+    author: 'jane@example.com',
+    notes: 'Parses order files',
+    purpose: 'Order reporting'
+  });
+
+  assert.deepEqual(
+    Object.fromEntries(['label', 'author', 'notes', 'purpose'].map(field => [field, pipeline.property_map.info[field].value])),
+    { label: 'Orders', author: 'jane@example.com', notes: 'Parses order files', purpose: 'Order reporting' }
+  );
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { instanceId } from 'snaplogic-common';
+import { createTestServer, linkedPipeline, snapEntry } from './helpers.js';
+
+/**
+ * Pipeline Execute entry calling `child` (expression: true for a dynamic target) with the given parameters
+ */
+function pipelineExecute(n, label, child, parameters = {}, expression = false) {
+  return snapEntry(n, label, 'flow-pipeexec', {
+    pipeline: { expression, value: child },
+    params: { value: Object.entries(parameters).map(([name, value]) => ({ paramName: { value: name }, paramValue: { value } })) }
+  });
+}
+
+/**
+ * Project directory: Orchestrator → Load ⇄ Audit, plus a missing child, a dynamic child and an unreadable file
+ */
+function projectDirectory() {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'snaplogic-dependencies-test-'));
+  const files = {
+    'Orchestrator.slp': linkedPipeline([
+      pipelineExecute(0, 'Run load', 'shared/Load', { Region: '"EMEA"' }),
+      pipelineExecute(1, 'Run archive', 'Archive'),
+      pipelineExecute(2, 'Run by name', '_child', {}, true)
+    ]),
+    'shared/Load.slp': linkedPipeline([pipelineExecute(0, 'Run audit', '"Audit"', { run_id: '$id' }, true)], [], { region: '', batch: '100' }),
+    'Audit.slp': linkedPipeline([pipelineExecute(0, 'Reload', 'Load', { region: '"APAC"' })], [], { run_id: '' })
+  };
+
+  for (const [file, pipeline] of Object.entries(files)) {
+    mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    writeFileSync(path.join(dir, file), JSON.stringify(pipeline));
+  }
+  writeFileSync(path.join(dir, 'Broken.slp'), '{ "snap_map": ');
+  return dir;
+}
+
+test('calls are resolved by name or path, with missing, dynamic and unreadable pipelines reported', async () => {
+  const { server, transport } = await createTestServer();
+
+  const result = await server.handleToolCall('pipeline_dependencies', { directory: projectDirectory() });
+  const graph = JSON.parse(result.content[0].text);
+
+  assert.deepEqual(graph.summary, { pipelines: 3, calls: 5, cycles: 1, missing: 1, dynamic: 1, parameter_mismatches: 1, unreadable: 1 });
+  assert.deepEqual(graph.pipelines.map(({ name, path: file, calls, called_by: calledBy }) => [name, file, calls, calledBy]), [
+    ['Audit', 'Audit.slp', ['Load'], ['Load']],
+    ['Orchestrator', 'Orchestrator.slp', ['Load'], []],
+    ['Load', 'shared/Load.slp', ['Audit'], ['Audit', 'Orchestrator']]
+  ]);
+  assert.deepEqual(graph.missing, [{ from: 'Orchestrator', to: 'Archive', snap: 'Run archive', instance_id: instanceId(1) }]);
+  assert.deepEqual(graph.dynamic, [{ from: 'Orchestrator', snap: 'Run by name', instance_id: instanceId(2), expression: '_child' }]);
+  assert.equal(graph.unreadable[0].path, 'Broken.slp');
+  assert.equal(transport.calls.length, 0);
+});
+
+test('parameters a child does not declare or needs without a default are mismatches', async () => {
+  const { server } = await createTestServer();
+
+  const result = await server.handleToolCall('pipeline_dependencies', { directory: projectDirectory() });
+
+  assert.deepEqual(JSON.parse(result.content[0].text).parameter_mismatches, [{
+    from: 'Orchestrator',
+    to: 'Load',
+    snap: 'Run load',
+    instance_id: instanceId(0),
+    unknown: [{ name: 'Region', did_you_mean: 'region' }],
+    not_passed: ['region']
+  }]);
+});
+
+test('impact lists every pipeline that calls the given one, nearest first', async () => {
+  const { server } = await createTestServer();
+
+  const result = await server.handleToolCall('pipeline_dependencies', { directory: projectDirectory(), impact: 'Audit' });
+
+  assert.deepEqual(JSON.parse(result.content[0].text).impact, { pipeline: 'Audit', callers: ['Load', 'Orchestrator'] });
+
+  const unknown = await server.handleToolCall('pipeline_dependencies', { directory: projectDirectory(), impact: 'Nope' });
+  assert.equal(unknown.content[0].text, 'Error: No pipeline named "Nope" in the graph');
+});
+
+test('Mermaid and DOT renderings come with a plain-text summary of the problems', async () => {
+  const { server } = await createTestServer();
+  const directory = projectDirectory();
+
+  const mermaid = await server.handleToolCall('pipeline_dependencies', { directory, format: 'mermaid' });
+  assert.match(mermaid.content[0].text, /^flowchart LR\n/);
+  assert.match(mermaid.content[0].text, /\n  p\d+\["Archive \(missing\)"\]:::missing\n/);
+  assert.match(mermaid.content[0].text, /-->\|"Run load \(Region\)"\|/);
+  assert.ok(mermaid.content[1].text.startsWith([
+    '3 pipelines, 5 Pipeline Execute calls',
+    '',
+    'Cycles (1):',
+    '- Audit → Load → Audit',
+    '',
+    'Missing child pipelines (1):',
+    '- Orchestrator / Run archive → Archive',
+    '',
+    'Child pipeline chosen at runtime (1):',
+    '- Orchestrator / Run by name: _child',
+    '',
+    'Parameter mismatches (1):',
+    '- Orchestrator / Run load → Load',
+    '    passes Region, not declared by Load (did you mean region?)',
+    '    does not pass region, which has no default',
+    '',
+    'Unreadable pipelines (1):',
+    '- Broken.slp: '
+  ].join('\n')));
+
+  const dot = await server.handleToolCall('pipeline_dependencies', { directory, format: 'dot' });
+  assert.match(dot.content[0].text, /^digraph pipelines \{\n  rankdir=LR;/);
+  assert.match(dot.content[0].text, /"Load" \[color=orange, penwidth=2\];/);
+  assert.match(dot.content[0].text, /"Orchestrator" -> d3 \[style=dashed, label="Run by name"\];/);
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PipelineBuilder, instanceId } from 'snaplogic-common';
+import { diffPipelines, mergePipelines, unifiedDiff } from '../pipeline-diff.js';
+import { createTestServer, loadCatalog } from './helpers.js';
+
+const MAPPER = 'com-snaplogic-snaps-transform-datatransform';
+const FILTER = 'com-snaplogic-snaps-flow-filter';
+
+const builder = new PipelineBuilder(loadCatalog());
+
+function basePipeline() {
+  return builder.build({
+    label: 'Orders',
+    snaps: [
+      { class_id: MAPPER, label: 'Source' },
+      { class_id: MAPPER, label: 'Target' }
+    ]
+  });
+}
+
+function copy(pipeline) {
+  return JSON.parse(JSON.stringify(pipeline));
+}
+
+function setLabel(pipeline, index, label) {
+  pipeline.snap_map[instanceId(index)].property_map.info.label.value = label;
+}
+
+/**
+ * Rebuild both sides of a unified diff from its hunks (context 1000 gives one hunk)
+ */
+function sides(text) {
+  const body = text.split('\n').slice(3, -1);
+  return [
+    body.filter(line => line[0] !== '+').map(line => line.slice(1)),
+    body.filter(line => line[0] !== '-').map(line => line.slice(1))
+  ];
+}
+
+test('diff ignores layout and reports changed settings, added snaps and links', () => {
+  const before = basePipeline();
+  const moved = copy(before);
+  moved.render_map.detail_map[instanceId(1)].grid_y_int = 5;
+  assert.equal(diffPipelines(before, moved).identical, true);
+
+  const after = copy(before);
+  setLabel(after, 1, 'Renamed');
+  after.snap_map[instanceId(2)] = { ...copy(after.snap_map[instanceId(1)]), instance_id: instanceId(2) };
+  after.link_map.link101 = { src_id: instanceId(1), src_view_id: 'output0', dst_id: instanceId(2), dst_view_id: 'input0' };
+
+  const diff = diffPipelines(before, after);
+  assert.equal(diff.identical, false);
+  assert.deepEqual(diff.snaps.added.map(snap => snap.instance_id), [instanceId(2)]);
+  assert.deepEqual(diff.snaps.changed.map(snap => snap.instance_id), [instanceId(1)]);
+  assert.equal(diff.links.added.length, 1);
+  assert.deepEqual(diff.snaps.removed, []);
+});
+
+test('merge combines independent changes from both sides', () => {
+  const base = basePipeline();
+  const ours = copy(base);
+  const theirs = copy(base);
+  setLabel(ours, 0, 'Read orders');
+  setLabel(theirs, 1, 'Write orders');
+
+  const { pipeline, clean, conflicts } = mergePipelines(base, ours, theirs);
+  assert.equal(clean, true);
+  assert.deepEqual(conflicts, []);
+  assert.equal(pipeline.snap_map[instanceId(0)].property_map.info.label.value, 'Read orders');
+  assert.equal(pipeline.snap_map[instanceId(1)].property_map.info.label.value, 'Write orders');
+  assert.equal(Object.keys(pipeline.link_map).length, 1);
+});
+
+test('merge reports a conflict and keeps the preferred side', () => {
+  const base = basePipeline();
+  const ours = copy(base);
+  const theirs = copy(base);
+  setLabel(ours, 1, 'Ours');
+  setLabel(theirs, 1, 'Theirs');
+
+  const merged = mergePipelines(base, ours, theirs);
+  assert.equal(merged.clean, false);
+  assert.equal(merged.conflicts.length, 1);
+  assert.equal(merged.conflicts[0].snap, instanceId(1));
+  assert.equal(merged.pipeline.snap_map[instanceId(1)].property_map.info.label.value, 'Ours');
+
+  const preferTheirs = mergePipelines(base, ours, theirs, { prefer: 'theirs' });
+  assert.equal(preferTheirs.pipeline.snap_map[instanceId(1)].property_map.info.label.value, 'Theirs');
+});
+
+test('merge keeps our layout and places snaps only the other side added', () => {
+  const base = basePipeline();
+  const ours = copy(base);
+  ours.render_map.detail_map[instanceId(1)].grid_y_int = 6;
+  const theirs = copy(base);
+  theirs.snap_map[instanceId(2)] = builder.buildSnap({ class_id: FILTER }, 2, { inputs: ['input0'], outputs: [] });
+  theirs.link_map.link101 = { src_id: instanceId(1), src_view_id: 'output0', dst_id: instanceId(2), dst_view_id: 'input0' };
+
+  const { pipeline } = mergePipelines(base, ours, theirs);
+  const detailMap = pipeline.render_map.detail_map;
+  assert.equal(detailMap[instanceId(1)].grid_y_int, 6);
+  assert.equal(detailMap[instanceId(2)].grid_x_int, detailMap[instanceId(1)].grid_x_int + 1);
+  assert.equal(detailMap[instanceId(2)].grid_y_int, 6);
+});
+
+test('unified diff shows changed lines in hunks with context', () => {
+  const before = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+  const after = 'a\nb\nc\nD\ne\nf\ng\nh\ni\n';
+
+  assert.equal(unifiedDiff(before, before), '');
+  assert.equal(
+    unifiedDiff(before, after, { fromFile: 'x.slp', toFile: 'x.slp', context: 1 }),
+    '--- a/x.slp\n+++ b/x.slp\n@@ -3,3 +3,3 @@\n c\n-d\n+D\n e\n@@ -8,1 +8,2 @@\n h\n+i\n'
+  );
+});
+
+test('unified diff is a shortest edit script that rebuilds both texts', () => {
+  const before = ['x', 'a', 'b', 'c', 'a', 'b', 'b', 'a', 'y'];
+  const after = ['c', 'b', 'a', 'b', 'a', 'c', 'y', 'z'];
+  const text = unifiedDiff(before.join('\n'), after.join('\n'), { context: 1000 });
+
+  assert.deepEqual(sides(text), [before, after]);
+  // The LCS of the two sequences has 5 lines, so 4 + 3 lines change
+  assert.equal(text.split('\n').slice(3).filter(line => /^[-+]/.test(line)).length, 7);
+});
+
+test('unified diff handles large files in linear space', () => {
+  const before = Array.from({ length: 20000 }, (_, index) => `line ${index}`);
+  const after = before.map((line, index) => (index % 500 === 0 ? `${line} changed` : line));
+  const text = unifiedDiff(before.join('\n'), after.join('\n'), { context: 0 });
+
+  assert.equal(text.split('\n').filter(line => line.startsWith('@@')).length, 40);
+});
+
+test('diff and merge run without fetching the catalog', async () => {
+  const { server, transport } = await createTestServer();
+  const base = basePipeline();
+  const ours = copy(base);
+  setLabel(ours, 1, 'Cleanse');
+
+  const diff = await server.handleToolCall('diff_pipeline', { before: base, after: ours });
+  const merge = await server.handleToolCall('merge_pipeline', { base, ours, theirs: copy(base) });
+
+  assert.equal(diff.isError, undefined);
+  const { clean, validation } = JSON.parse(merge.content[0].text);
+  assert.equal(clean, true);
+  assert.equal(validation.summary.errors, 0);
+  assert.equal(transport.calls.length, 0);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PipelineBuilder, instanceId } from 'snaplogic-common';
+import { PipelineEditor } from '../pipeline-editor.js';
+import { loadCatalog } from './helpers.js';
+
+const MAPPER = 'com-snaplogic-snaps-transform-datatransform';
+const PIPEEXEC = 'com-snaplogic-snaps-flow-pipeexec';
+
+const cache = loadCatalog();
+const editor = new PipelineEditor(cache);
+
+function twoMappers() {
+  return new PipelineBuilder(cache).build({
+    snaps: [{ class_id: MAPPER, label: 'First' }, { class_id: MAPPER, label: 'Second' }]
+  });
+}
+
+function grid(pipeline, snapId) {
+  const { grid_x_int: x, grid_y_int: y } = pipeline.render_map.detail_map[snapId];
+  return [x, y];
+}
+
+test('a new snap declares the views of its schema', () => {
+  const mapper = editor.createSnap({ class_id: MAPPER }, instanceId(5));
+  assert.deepEqual(Object.keys(mapper.property_map.input), ['input0']);
+  assert.deepEqual(Object.keys(mapper.property_map.output), ['output0']);
+  assert.ok(mapper.property_map.error.error0);
+
+  // Pipeline Execute has an optional input: none is declared until a link needs one
+  const pipeExec = editor.createSnap({ class_id: PIPEEXEC }, instanceId(6));
+  assert.deepEqual(Object.keys(pipeExec.property_map.input), []);
+  assert.deepEqual(Object.keys(pipeExec.property_map.output), ['output0']);
+});
+
+test('add_snap declares the input its link uses', () => {
+  const { pipeline } = editor.addSnap(twoMappers(), { after: 'Second', snap: { class_id: PIPEEXEC } });
+  const added = pipeline.snap_map[instanceId(2)];
+
+  assert.deepEqual(Object.keys(added.property_map.input), ['input0']);
+  assert.ok(Object.values(pipeline.link_map).some(link => link.dst_id === instanceId(2) && link.dst_view_id === 'input0'));
+});
+
+test('edits keep the grid positions the user set', () => {
+  const source = twoMappers();
+  source.render_map.detail_map[instanceId(0)].grid_y_int = 7;
+  source.render_map.detail_map[instanceId(1)].grid_x_int = 9;
+  source.render_map.detail_map[instanceId(1)].grid_y_int = 4;
+
+  const { pipeline } = editor.addSnap(source, { after: 'First', snap: { class_id: MAPPER, label: 'Middle' } });
+
+  assert.deepEqual(grid(pipeline, instanceId(0)), grid(source, instanceId(0)));
+  assert.deepEqual(grid(pipeline, instanceId(1)), [9, 4]);
+  assert.deepEqual(grid(pipeline, instanceId(2)), [grid(source, instanceId(0))[0] + 1, 7]);
+
+  const renamed = editor.renameSnap(pipeline, { snap: 'Middle', label: 'Renamed' }).pipeline;
+  assert.deepEqual(renamed.render_map.detail_map, pipeline.render_map.detail_map);
+});
+
+test('add_snap shifts the downstream snaps right to make room', () => {
+  const source = new PipelineBuilder(cache).build({
+    snaps: [{ class_id: MAPPER, label: 'First' }, { class_id: MAPPER, label: 'Second' }, { class_id: MAPPER, label: 'Third' }]
+  });
+  const [x, y] = grid(source, instanceId(0));
+  source.render_map.detail_map[instanceId(2)].grid_y_int = y + 2;
+
+  const { pipeline } = editor.addSnap(source, { after: 'First', snap: { class_id: MAPPER, label: 'Middle' } });
+
+  assert.deepEqual(grid(pipeline, instanceId(0)), [x, y]);
+  assert.deepEqual(grid(pipeline, instanceId(3)), [x + 1, y]);
+  assert.deepEqual(grid(pipeline, instanceId(1)), [x + 2, y]);
+  assert.deepEqual(grid(pipeline, instanceId(2)), [x + 3, y + 2]);
+});
+
+test('replace_snap keeps a custom label unless a new one is given', () => {
+  const source = twoMappers();
+
+  const kept = editor.replaceSnap(source, { snap: 'Second', class_id: PIPEEXEC }).pipeline;
+  assert.equal(kept.snap_map[instanceId(1)].property_map.info.label.value, 'Second');
+
+  const relabeled = editor.replaceSnap(source, { snap: 'Second', class_id: PIPEEXEC, label: 'Child' }).pipeline;
+  assert.equal(relabeled.snap_map[instanceId(1)].property_map.info.label.value, 'Child');
+});
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { instanceId } from 'snaplogic-common';
+import { PipelineFixer } from '../pipeline-fixer.js';
+import { createTestServer, linkedPipeline, loadCatalog, mapperEntry, snapEntry } from './helpers.js';
+
+const fixer = new PipelineFixer(loadCatalog());
+
+const messages = entries => entries.map(entry => entry.message);
+
+/**
+ * Mapper entry keyed by an arbitrary id instead of a sequential instance id
+ */
+function keyed(snapId, label) {
+  return { ...mapperEntry(0, label, []), instance_id: snapId };
+}
+
+test('fixes must name known categories and the source must be a pipeline', () => {
+  const pipeline = linkedPipeline([mapperEntry(0, 'Rename', [])]);
+
+  assert.throws(() => fixer.fix(pipeline, { fixes: [] }), /^Error: fixes must list at least one category: dangling_links, instance_ids, views, render_map, class_versions, info$/);
+  assert.throws(() => fixer.fix(pipeline, { fixes: ['labels'] }), /Unknown fix category "labels"/);
+  assert.throws(() => fixer.fix({ link_map: {} }, { fixes: ['views'] }), /pipeline must be a \.slp object with a snap_map/);
+});
+
+test('dangling_links removes links to missing snaps and leaves the source untouched', () => {
+  const source = linkedPipeline([mapperEntry(0, 'Rename', []), mapperEntry(1, 'Trim', [])], [
+    [0, 'output0', 1, 'input0'],
+    [1, 'output0', 7, 'input0']
+  ]);
+  source.link_map.orphan = { src_id: instanceId(0) };
+  source.link_map.broken = 'link';
+
+  const { pipeline, changes } = fixer.fix(source, { fixes: ['dangling_links'] });
+
+  assert.deepEqual(Object.keys(pipeline.link_map), ['link0']);
+  assert.deepEqual(messages(changes), [
+    `Removed link1: dst_id ${instanceId(7)} is not in snap_map`,
+    'Removed orphan: dst_id is missing',
+    'Removed broken: link is not an object'
+  ]);
+  assert.equal(Object.keys(source.link_map).length, 4);
+});
+
+test('instance_ids renumbers snaps in flow order and carries links, layout and pipeline views along', () => {
+  const source = linkedPipeline([keyed('load', 'Load'), keyed('extract', 'Extract')]);
+  source.link_map = { link0: { src_id: 'extract', src_view_id: 'output0', dst_id: 'load', dst_view_id: 'input0' } };
+  source.render_map = { detail_map: { extract: { grid_x_int: 1, grid_y_int: 1 }, load: { grid_x_int: 2, grid_y_int: 1 } } };
+  source.property_map.output = { load_output0: { label: { value: 'output0' } } };
+
+  const { pipeline, changes } = fixer.fix(source, { fixes: ['instance_ids'] });
+
+  assert.deepEqual(Object.keys(pipeline.snap_map), [instanceId(0), instanceId(1)]);
+  assert.equal(pipeline.snap_map[instanceId(0)].property_map.info.label.value, 'Extract');
+  assert.equal(pipeline.snap_map[instanceId(1)].instance_id, instanceId(1));
+  assert.deepEqual(pipeline.link_map.link0, { src_id: instanceId(0), src_view_id: 'output0', dst_id: instanceId(1), dst_view_id: 'input0' });
+  assert.deepEqual(Object.keys(pipeline.render_map.detail_map), [instanceId(0), instanceId(1)]);
+  assert.deepEqual(Object.keys(pipeline.property_map.output), [`${instanceId(1)}_output0`]);
+  assert.deepEqual(messages(changes), [
+    `Renumbered "Extract" (extract) to ${instanceId(0)}`,
+    `Renumbered "Load" (load) to ${instanceId(1)}`
+  ]);
+});
+
+test('instance_ids only corrects instance_id fields when the keys are already sequential', () => {
+  const source = linkedPipeline([mapperEntry(0, 'Rename', [])]);
+  source.snap_map[instanceId(0)].instance_id = 'stale';
+
+  const { pipeline, changes } = fixer.fix(source, { fixes: ['instance_ids'] });
+
+  assert.equal(pipeline.snap_map[instanceId(0)].instance_id, instanceId(0));
+  assert.deepEqual(messages(changes), [`Set instance_id of "Rename" (${instanceId(0)}) to its snap_map key (was stale)`]);
+});
+
+test('views declares the views links use and exposes the unlinked ones on the pipeline', () => {
+  const source = linkedPipeline([
+    snapEntry(0, 'Keep paid', 'flow-filter', {}, { inputs: [], outputs: [] }),
+    mapperEntry(1, 'Rename', [])
+  ], [[0, 'output1', 1, 'input0']]);
+  delete source.snap_map[instanceId(0)].property_map.output;
+
+  const { pipeline, changes } = fixer.fix(source, { fixes: ['views'] });
+
+  assert.deepEqual(Object.keys(pipeline.snap_map[instanceId(0)].property_map.output), ['output0', 'output1']);
+  assert.deepEqual(messages(changes).slice(0, 2), [
+    `Declared output view output0 on "Keep paid" (${instanceId(0)})`,
+    `Declared output view output1 on "Keep paid" (${instanceId(0)})`
+  ]);
+  assert.ok(messages(changes).includes(`Exposed pipeline output view ${instanceId(1)}_output0`));
+  assert.ok(Object.keys(pipeline.property_map.output).includes(`${instanceId(0)}_output0`));
+});
+
+test('render_map places snaps without a position, drops entries of removed snaps and lays out pipelines without one', () => {
+  const source = linkedPipeline([mapperEntry(0, 'Rename', []), mapperEntry(1, 'Trim', [])], [[0, 'output0', 1, 'input0']]);
+
+  const generated = fixer.fix(source, { fixes: ['render_map'] });
+  assert.deepEqual(messages(generated.changes), ['Generated render_map layout for 2 snaps']);
+
+  source.render_map = { detail_map: { [instanceId(0)]: { grid_x_int: 1, grid_y_int: 1 }, gone: { grid_x_int: 2, grid_y_int: 1 } } };
+  const { pipeline, changes } = fixer.fix(source, { fixes: ['render_map'] });
+
+  assert.deepEqual(pipeline.render_map.detail_map[instanceId(0)], { grid_x_int: 1, grid_y_int: 1 });
+  assert.equal(pipeline.render_map.detail_map.gone, undefined);
+  const placed = pipeline.render_map.detail_map[instanceId(1)];
+  assert.deepEqual(messages(changes), [
+    'Removed render_map entry of gone: snap is not in snap_map',
+    `Placed "Trim" (${instanceId(1)}) at grid ${placed.grid_x_int},${placed.grid_y_int}`
+  ]);
+});
+
+test('class_versions raises old snaps to the catalog version and skips unknown or newer ones', () => {
+  const source = linkedPipeline([
+    { ...mapperEntry(0, 'Rename', []), class_version: 2 },
+    { ...snapEntry(1, 'Keep paid', 'flow-filter'), class_version: 3 },
+    snapEntry(2, 'Custom', 'acme-custom')
+  ]);
+
+  const { pipeline, changes, skipped } = fixer.fix(source, { fixes: ['class_versions'] });
+
+  assert.equal(pipeline.class_version, 9);
+  assert.equal(pipeline.snap_map[instanceId(0)].class_version, 4);
+  assert.equal(pipeline.snap_map[instanceId(1)].class_version, 3);
+  assert.deepEqual(messages(changes), [
+    'Set pipeline class_version to 9',
+    `Updated "Rename" (${instanceId(0)}) class_version 2 → 4`
+  ]);
+  assert.deepEqual(messages(skipped), [
+    `"Keep paid" (${instanceId(1)}): class_version 3 is newer than the catalog (1)`,
+    `"Custom" (${instanceId(2)}): com-snaplogic-snaps-acme-custom is not in the snap catalog`
+  ]);
+});
+
+test('info fills missing fields from the given values, never overwrites and skips what it cannot derive', () => {
+  const source = linkedPipeline([mapperEntry(0, 'Rename', [])]);
+  source.property_map.info = { label: { value: 'Orders' }, author: { value: 'owner@example.com' } };
+
+  const { pipeline, changes, skipped } = fixer.fix(source, {
+    fixes: ['info'],
+    info: { author: 'someone@example.com', notes: 'Loads orders', purpose: '  ' }
+  });
+
+  assert.equal(pipeline.property_map.info.author.value, 'owner@example.com');
+  assert.equal(pipeline.property_map.info.notes.value, 'Loads orders');
+  assert.deepEqual(messages(changes), ['Set pipeline notes']);
+  assert.deepEqual(messages(skipped), ['Pipeline purpose is missing; pass info.purpose to fill it in']);
+});
+
+test('fix_pipeline writes the fixed pipeline and returns the diff and its validation', async () => {
+  const { server } = await createTestServer();
+  const outputPath = path.join(mkdtempSync(path.join(os.tmpdir(), 'snaplogic-fix-test-')), 'fixed.slp');
+  const source = linkedPipeline([mapperEntry(0, 'Rename', [])], [[0, 'output0', 3, 'input0']]);
+
+  const result = await server.handleToolCall('fix_pipeline', { pipeline: source, fixes: ['dangling_links'], output_path: outputPath });
+
+  const report = JSON.parse(result.content[0].text);
+  assert.equal(report.path, outputPath);
+  assert.deepEqual(report.changes, [{ fix: 'dangling_links', message: `Removed link0: dst_id ${instanceId(3)} is not in snap_map` }]);
+  assert.match(report.diff.unified, /^--- a\/fixed\.slp\n\+\+\+ b\/fixed\.slp\n/);
+  assert.deepEqual(JSON.parse(readFileSync(outputPath, 'utf8')).link_map, {});
+  assert.deepEqual(report.validation, server.pipelineValidator.validate(report.pipeline));
+});
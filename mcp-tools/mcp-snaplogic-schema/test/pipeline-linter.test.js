@@ -0,0 +1,232 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { instanceId } from 'snaplogic-common';
+import { PipelineLinter, formatLintResults, summarizeLintResults } from '../pipeline-linter.js';
+import { linkedPipeline, mapperEntry, snapEntry } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../lint-slp.js', import.meta.url));
+
+/**
+ * Pipeline with notes, purpose and author set, so pipeline-info has nothing to report
+ */
+function documented(snaps, notes = 'Loads orders') {
+  const pipeline = linkedPipeline(snaps);
+  pipeline.property_map.info = { notes: { value: notes }, purpose: { value: 'Orders' }, author: { value: 'dev@example.com' } };
+  return pipeline;
+}
+
+function withNotes(entry, notes) {
+  entry.property_map.info.notes = { value: notes };
+  return entry;
+}
+
+const ruleIds = result => result.findings.map(finding => finding.rule);
+
+function project(files) {
+  const root = mkdtempSync(path.join(os.tmpdir(), 'snaplogic-lint-test-'));
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    writeFileSync(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  return root;
+}
+
+function lintCli(cwd, args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf8', timeout: 30000 });
+}
+
+test('the recommended pack reports each rule, errors first', () => {
+  const pipeline = linkedPipeline([
+    mapperEntry(0, 'Mapper 2', []),
+    snapEntry(1, 'Post orders', 'rest-post'),
+    snapEntry(2, 'Sort by id', 'transform-sort'),
+    snapEntry(3, 'Run child', 'flow-pipeexec')
+  ]);
+
+  const result = new PipelineLinter().lint(pipeline);
+
+  assert.deepEqual(ruleIds(result), [
+    'pipeline-info', 'pipeline-info', 'pipeline-info',
+    'writer-error-view', 'default-label', 'unbounded-sort',
+    'pipeline-execute-reuse'
+  ]);
+  assert.deepEqual(result.findings[4], {
+    rule: 'default-label',
+    severity: 'warning',
+    message: 'Snap label "Mapper 2" is the default; describe what the snap does',
+    snap: instanceId(0),
+    label: 'Mapper 2',
+    path: `/snap_map/${instanceId(0)}/property_map/info/label`,
+    line: null
+  });
+});
+
+test('a documented pipeline with bounded, descriptive snaps is clean', () => {
+  const pipeline = documented([
+    mapperEntry(0, 'Rename fields', []),
+    snapEntry(1, 'Post orders', 'rest-post', {}, { error: 'continue' }),
+    snapEntry(2, 'Sort by id', 'transform-sort', { maxMemoryPercent: { value: 20 } }),
+    snapEntry(3, 'Run child', 'flow-pipeexec', { reuse: { value: true } })
+  ]);
+
+  assert.deepEqual(new PipelineLinter().lint(pipeline).findings, []);
+});
+
+test('rules can be turned off, given another severity or options, and unknown ones are rejected', () => {
+  const pipeline = linkedPipeline([mapperEntry(0, 'Lookup', []), snapEntry(1, 'Sort by id', 'transform-sort')]);
+
+  const linter = new PipelineLinter({
+    rules: {
+      'unbounded-sort': 'off',
+      'pipeline-info': ['warning', { fields: ['author'] }],
+      'default-label': [undefined, { labels: ['Lookup'] }]
+    }
+  });
+
+  assert.deepEqual(linter.lint(pipeline).findings.map(({ rule, severity, message }) => ({ rule, severity, message })), [
+    { rule: 'pipeline-info', severity: 'warning', message: 'Pipeline author is missing' },
+    { rule: 'default-label', severity: 'warning', message: 'Snap label "Lookup" is the default; describe what the snap does' }
+  ]);
+  assert.throws(() => new PipelineLinter({ rules: { 'no-such-rule': 'error' } }), /^Error: Unknown lint rules in config: no-such-rule$/);
+  assert.throws(() => new PipelineLinter({ rules: { 'default-label': 'fatal' } }), /Invalid severity "fatal" for lint rule default-label/);
+});
+
+test('snaplogic-lint-disable in snap or pipeline notes suppresses findings', () => {
+  const snapLevel = documented([
+    withNotes(mapperEntry(0, 'Mapper', []), 'Kept for the migration\nsnaplogic-lint-disable default-label -- renamed in v2'),
+    withNotes(snapEntry(1, 'Sort', 'transform-sort'), 'snaplogic-lint-disable unbounded-sort')
+  ]);
+
+  const result = new PipelineLinter().lint(snapLevel);
+  assert.deepEqual(ruleIds(result), ['default-label']);
+  assert.equal(result.findings[0].label, 'Sort');
+  assert.deepEqual(result.suppressed.map(finding => finding.rule), ['default-label', 'unbounded-sort']);
+
+  const pipelineLevel = documented([mapperEntry(0, 'Mapper', []), snapEntry(1, 'Sort', 'transform-sort')], 'snaplogic-lint-disable');
+  assert.deepEqual(new PipelineLinter().lint(pipelineLevel).findings, []);
+});
+
+test('findings in .slp text carry the line of their snap, and unparseable files are reported', () => {
+  const text = JSON.stringify(documented([mapperEntry(0, 'Rename fields', []), mapperEntry(1, 'Filter', [])]), null, 2);
+
+  const [finding] = new PipelineLinter().lint(text, { file: 'orders.slp' }).findings;
+  assert.equal(finding.rule, 'default-label');
+  assert.equal(text.split('\n')[finding.line - 1].trim().startsWith(`"${finding.snap}"`), true);
+
+  const broken = new PipelineLinter().lint('{"snap_map": ', { file: 'broken.slp' });
+  assert.equal(broken.findings[0].rule, 'json-syntax');
+  assert.match(broken.findings[0].message, /^Invalid JSON: /);
+  assert.equal(new PipelineLinter().lint({ link_map: {} }).findings[0].message, 'Not a .slp pipeline: snap_map is missing');
+});
+
+test('a rule that throws is reported as an error finding', () => {
+  const linter = new PipelineLinter({ packs: [{ name: 'broken', rules: [{ id: 'crash', severity: 'info', options: {}, check: () => { throw new Error('boom'); } }] }] });
+
+  assert.deepEqual(linter.lint(documented([])).findings, [
+    { rule: 'crash', severity: 'error', message: 'Rule failed: boom', snap: null, label: null, path: '', line: null }
+  ]);
+});
+
+test('.snaplogic-lint.json from a parent directory adds plugin packs and rule settings', async () => {
+  const root = project({
+    '.snaplogic-lint.json': { plugins: ['./rules/naming.js'], rules: { 'pipeline-info': 'off', 'snake-case-label': 'info' } },
+    'rules/naming.js': `export default {
+  name: 'naming',
+  rules: [{
+    id: 'snake-case-label',
+    description: 'Labels are snake_case',
+    severity: 'error',
+    options: {},
+    check({ snaps, report }) {
+      for (const { id, label } of snaps) {
+        if (!/^[a-z_]+$/.test(label)) report({ snap: id, message: 'Label is not snake_case' });
+      }
+    }
+  }]
+};
+`,
+    'pipelines/orders/.keep': ''
+  });
+
+  const linter = await PipelineLinter.fromConfig(path.join(root, 'pipelines', 'orders'));
+
+  assert.equal(linter.configFile, path.join(root, '.snaplogic-lint.json'));
+  assert.deepEqual(linter.describeRules().map(({ id, pack, severity }) => `${pack}/${id}:${severity}`), [
+    'recommended/writer-error-view:warning',
+    'recommended/default-label:warning',
+    'recommended/pipeline-execute-reuse:info',
+    'recommended/unbounded-sort:warning',
+    'naming/snake-case-label:info'
+  ]);
+  assert.deepEqual(linter.lint(linkedPipeline([mapperEntry(0, 'Rename Fields', [])])).findings.map(finding => finding.message), [
+    'Label is not snake_case'
+  ]);
+});
+
+test('unknown packs, missing plugins and unreadable configs are rejected', async () => {
+  const root = project({
+    'pack.json': { extends: ['strict'] },
+    'plugin.json': { plugins: ['./missing.js'] },
+    'broken.json': '{ "rules": '
+  });
+
+  await assert.rejects(PipelineLinter.fromConfig(root, path.join(root, 'pack.json')), /Unknown rule pack "strict" \(built-in packs: recommended\)/);
+  await assert.rejects(PipelineLinter.fromConfig(root, path.join(root, 'plugin.json')), /Cannot load lint plugin \.\/missing\.js/);
+  await assert.rejects(PipelineLinter.fromConfig(root, path.join(root, 'broken.json')), /Cannot read lint config .*broken\.json/);
+});
+
+test('results render as text, JSON with a summary, or SARIF with suppressions', () => {
+  const linter = new PipelineLinter();
+  const results = [
+    linter.lint(documented([mapperEntry(0, 'Mapper', []), withNotes(snapEntry(1, 'Sort', 'transform-sort'), 'snaplogic-lint-disable')]), { file: 'orders.slp' }),
+    linter.lint(documented([mapperEntry(0, 'Rename fields', [])]), { file: 'clean.slp' })
+  ];
+
+  assert.deepEqual(summarizeLintResults(results), { files: 2, errors: 0, warnings: 1, infos: 0, suppressed: 2 });
+  assert.equal(
+    formatLintResults(results, 'text', linter),
+    'orders.slp\n       warning  Mapper: Snap label "Mapper" is the default; describe what the snap does  [default-label]\n\n'
+      + '0 errors, 1 warnings, 0 infos in 2 pipelines (2 suppressed)'
+  );
+  assert.deepEqual(JSON.parse(formatLintResults(results, 'json', linter)).summary.warnings, 1);
+
+  const [run] = JSON.parse(formatLintResults(results, 'sarif', linter)).runs;
+  assert.equal(run.tool.driver.rules[run.results[0].ruleIndex].id, 'default-label');
+  assert.deepEqual(run.results.map(({ ruleId, level, suppressions }) => ({ ruleId, level, suppressed: Boolean(suppressions) })), [
+    { ruleId: 'default-label', level: 'warning', suppressed: false },
+    { ruleId: 'default-label', level: 'warning', suppressed: true },
+    { ruleId: 'unbounded-sort', level: 'warning', suppressed: true }
+  ]);
+  assert.throws(() => formatLintResults(results, 'xml', linter), /Unknown format: xml \(expected json, sarif, text\)/);
+});
+
+test('lint-slp exits 1 on error findings, 0 without them and 2 on bad arguments or config', () => {
+  const root = project({
+    'clean/orders.slp': documented([mapperEntry(0, 'Rename fields', [])]),
+    'dirty/orders.slp': linkedPipeline([mapperEntry(0, 'Rename fields', [])]),
+    'bad-config.json': { extends: ['strict'] }
+  });
+
+  const clean = lintCli(root, ['clean']);
+  assert.equal(clean.status, 0);
+  assert.equal(clean.stdout.trim(), '0 errors, 0 warnings, 0 infos in 1 pipelines');
+
+  const dirty = lintCli(root, ['--format', 'json', 'clean', 'dirty/orders.slp']);
+  assert.equal(dirty.status, 1);
+  const report = JSON.parse(dirty.stdout);
+  assert.deepEqual(report.summary, { files: 2, errors: 3, warnings: 0, infos: 0, suppressed: 0 });
+  assert.equal(report.files[1].file, path.join('dirty', 'orders.slp'));
+
+  const usage = lintCli(root, ['--format', 'xml', 'clean']);
+  assert.equal(usage.status, 2);
+  assert.match(usage.stderr, /^Usage: lint-slp\.js/);
+
+  const config = lintCli(root, ['--config', 'bad-config.json', 'clean']);
+  assert.equal(config.status, 2);
+  assert.match(config.stderr, /Unknown rule pack "strict"/);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { instanceId } from 'snaplogic-common';
+import { simulatePipeline } from '../pipeline-simulator.js';
+import { createTestServer, linkedPipeline, mapperEntry, snapEntry } from './helpers.js';
+
+const EXAMPLE = readFileSync(new URL('../../../examples/3-snap-pipeline.slp', import.meta.url), 'utf8');
+
+const documents = (result, label, viewId = 'output0') => result.snaps.find(entry => entry.label === label).outputs[viewId].documents;
+
+test('sample file content flows through the CSV Parser and Mapper of the example pipeline', () => {
+  const result = simulatePipeline(JSON.parse(EXAMPLE), {
+    inputs: { 'File Reader': ['Column Name,Other\nid,1\n"last, first",2\n'] }
+  });
+
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(result.snaps.map(entry => entry.mode), ['provided', 'simulated', 'simulated']);
+  assert.deepEqual(documents(result, 'CSV Parser'), [{ 'Column Name': 'id', Other: '1' }, { 'Column Name': 'last, first', Other: '2' }]);
+  assert.deepEqual(documents(result, 'Mapper'), [{ field_name: 'id' }, { field_name: 'last, first' }]);
+});
+
+test('snaps that are not simulated and have no sample output are noted', () => {
+  const result = simulatePipeline(JSON.parse(EXAMPLE));
+
+  assert.equal(result.snaps[0].mode, 'not_simulated');
+  assert.deepEqual(result.notes, [
+    `"File Reader" (${instanceId(0)}) (com-snaplogic-snaps-binary-simpleread) is not simulated; supply its output documents in inputs["File Reader"]`
+  ]);
+  assert.equal(result.snaps[2].outputs.output0.count, 0);
+});
+
+test('Mapper expressions read pipeline parameters, with call parameters overriding the defaults', () => {
+  const source = linkedPipeline([mapperEntry(0, 'Tag', [['$id', 'id'], ['_region + "-" + $id', 'key']])], [], { region: 'EMEA' });
+  const inputs = { Tag: [{ id: 1 }] };
+
+  assert.deepEqual(documents(simulatePipeline(source, { inputs }), 'Tag'), [{ id: 1, key: 'EMEA-1' }]);
+  assert.deepEqual(documents(simulatePipeline(source, { inputs, parameters: { region: 'APAC' } }), 'Tag'), [{ id: 1, key: 'APAC-1' }]);
+});
+
+test('Filter, Router and Copy send each document to the matching views', () => {
+  const source = linkedPipeline([
+    snapEntry(0, 'Paid', 'flow-filter', { expression: { expression: true, value: '$paid' } }),
+    snapEntry(1, 'Route', 'flow-router', {
+      firstMatch: { value: true },
+      routes: { value: [
+        { expression: { value: '$total > 100' }, outputViewName: { value: 'output0' } },
+        { expression: { value: 'true' }, outputViewName: { value: 'output1' } }
+      ] }
+    }, { outputs: ['output0', 'output1'] }),
+    snapEntry(2, 'Copy', 'flow-copy', {}, { outputs: ['output0', 'output1'] })
+  ], [
+    [0, 'output0', 1, 'input0'],
+    [1, 'output0', 2, 'input0']
+  ]);
+
+  const result = simulatePipeline(source, {
+    inputs: { Paid: [{ total: 500, paid: true }, { total: 50, paid: true }, { total: 900, paid: false }] }
+  });
+
+  assert.deepEqual(documents(result, 'Paid'), [{ total: 500, paid: true }, { total: 50, paid: true }]);
+  assert.deepEqual(documents(result, 'Route', 'output1'), [{ total: 50, paid: true }]);
+  assert.deepEqual(documents(result, 'Copy', 'output0'), [{ total: 500, paid: true }]);
+  assert.deepEqual(documents(result, 'Copy', 'output1'), [{ total: 500, paid: true }]);
+});
+
+test('error_behavior continue sends failed documents to the error view', () => {
+  const source = linkedPipeline([mapperEntry(0, 'Upper', [['$name.toUpperCase()', 'name']], { error: 'continue' })], []);
+
+  const result = simulatePipeline(source, { inputs: { Upper: [{ name: 'ann' }, { id: 2 }] } });
+
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(documents(result, 'Upper'), [{ name: 'ANN' }]);
+  const [failed] = result.snaps[0].errors.error0.documents;
+  assert.deepEqual(failed.original, { id: 2 });
+  assert.deepEqual(failed.snap_details, { label: 'Upper', instance_id: instanceId(0), class_id: 'com-snaplogic-snaps-transform-datatransform' });
+});
+
+test('a snap that fails stops the run and the snaps after it do not run', () => {
+  const source = linkedPipeline([
+    mapperEntry(0, 'Upper', [['$name.toUpperCase()', 'name']], { error: 'fail' }),
+    mapperEntry(1, 'Next', [['$name', 'name']])
+  ], [[0, 'output0', 1, 'input0']]);
+
+  const result = simulatePipeline(source, { inputs: { Upper: [{ id: 2 }] } });
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.failure.instance_id, instanceId(0));
+  assert.equal(result.failure.label, 'Upper');
+  assert.equal(result.snaps[1].mode, 'not_run');
+});
+
+test('documents beyond max_documents are counted but not returned', async () => {
+  const { server, transport } = await createTestServer();
+  const source = linkedPipeline([mapperEntry(0, 'Copy id', [['$id', 'id']])], []);
+
+  const result = await server.handleToolCall('simulate_pipeline', {
+    pipeline: source,
+    inputs: { 'Copy id': [{ id: 1 }, { id: 2 }, { id: 3 }] },
+    max_documents: 2
+  });
+
+  const output = JSON.parse(result.content[0].text).snaps[0].outputs.output0;
+  assert.deepEqual(output, { count: 3, documents: [{ id: 1 }, { id: 2 }], truncated: true });
+  assert.equal(transport.calls.length, 0);
+});
+
+test('links that form a cycle cannot be simulated', () => {
+  const source = linkedPipeline([mapperEntry(0, 'A', []), mapperEntry(1, 'B', [])], [
+    [0, 'output0', 1, 'input0'],
+    [1, 'output0', 0, 'input0']
+  ]);
+
+  assert.throws(() => simulatePipeline(source), /Cannot simulate: links form a cycle through "A" \(.*\), "B" \(.*\)/);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PipelineValidator } from 'snaplogic-common';
+
+const validator = new PipelineValidator();
+
+function snapId(n) {
+  return `11111111-1111-1111-1111-${String(n).padStart(12, '0')}`;
+}
+
+function snap(n, label, inputs, outputs) {
+  const views = ids => Object.fromEntries(ids.map(id => [id, { label: { value: id } }]));
+  return {
+    class_id: 'com-snaplogic-snaps-transform-datatransform',
+    instance_id: snapId(n),
+    property_map: {
+      info: { label: { value: label } },
+      input: views(inputs),
+      output: views(outputs)
+    }
+  };
+}
+
+function pipeline(snaps, links) {
+  return {
+    class_id: 'com-snaplogic-pipeline',
+    class_version: 8,
+    property_map: {
+      info: {
+        label: { value: 'Test' },
+        author: { value: 'tests' },
+        notes: { value: 'Built by the validator tests' },
+        purpose: { value: 'Link checks' }
+      }
+    },
+    snap_map: Object.fromEntries(snaps.map(entry => [entry.instance_id, entry])),
+    link_map: Object.fromEntries(links.map(([src, srcView, dst, dstView], index) => [`link${index}`, {
+      src_id: snapId(src), src_view_id: srcView, dst_id: snapId(dst), dst_view_id: dstView
+    }]))
+  };
+}
+
+test('accepts a Copy/Union diamond with more links than snaps - 1', () => {
+  const report = validator.validate(pipeline(
+    [
+      snap(1, 'Copy', ['input0'], ['output0', 'output1']),
+      snap(2, 'Left', ['input0'], ['output0']),
+      snap(3, 'Right', ['input0'], ['output0']),
+      snap(4, 'Union', ['input0', 'input1'], ['output0'])
+    ],
+    [
+      [1, 'output0', 2, 'input0'],
+      [1, 'output1', 3, 'input0'],
+      [2, 'output0', 4, 'input0'],
+      [3, 'output0', 4, 'input1']
+    ]
+  ));
+
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.pipeline.errors, []);
+  assert.deepEqual(report.pipeline.warnings, []);
+  assert.equal(report.summary.links, 4);
+});
+
+test('reports a cycle with the snap labels along it', () => {
+  const report = validator.validate(pipeline(
+    [
+      snap(1, 'Start', [], ['output0']),
+      snap(2, 'A', ['input0', 'input1'], ['output0']),
+      snap(3, 'B', ['input0'], ['output0'])
+    ],
+    [
+      [1, 'output0', 2, 'input0'],
+      [2, 'output0', 3, 'input0'],
+      [3, 'output0', 2, 'input1']
+    ]
+  ));
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.pipeline.errors.map(issue => issue.message), ['Links form a cycle: "A" → "B" → "A"']);
+});
+
+test('warns about separate flows and unconnected snaps', () => {
+  const report = validator.validate(pipeline(
+    [
+      snap(1, 'A', [], ['output0']),
+      snap(2, 'B', ['input0'], []),
+      snap(3, 'C', [], ['output0']),
+      snap(4, 'D', ['input0'], []),
+      snap(5, 'Lonely', ['input0'], ['output0'])
+    ],
+    [
+      [1, 'output0', 2, 'input0'],
+      [3, 'output0', 4, 'input0']
+    ]
+  ));
+
+  assert.equal(report.valid, true);
+  assert.match(report.pipeline.warnings[0].message, /2 separate flows/);
+  assert.deepEqual(report.snaps[snapId(5)].warnings.map(issue => issue.message), ['Snap is not connected to any other snap']);
+});
+
+test('warns when a linear pipeline does not have one link fewer than snaps', () => {
+  const report = validator.validate(pipeline(
+    [
+      snap(1, 'Read', [], ['output0']),
+      snap(2, 'Parse', ['input0'], ['output0']),
+      snap(3, 'Map', ['input0'], ['output0'])
+    ],
+    [
+      [1, 'output0', 2, 'input0']
+    ]
+  ));
+
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.pipeline.warnings.map(issue => issue.message), [
+    'Snap/link count mismatch: 3 snaps should have 2 links, found 1'
+  ]);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { createTestServer, loadCatalog } from './helpers.js';
+
+test('one catalog fetch serves the detailed schema of every snap', async () => {
+  const { server, transport } = await createTestServer();
+  await server.ensureCatalog();
+
+  const mapper = await server.getSnapSchema('com-snaplogic-snaps-transform-datatransform');
+  const filter = await server.getSnapSchema('com-snaplogic-snaps-flow-filter');
+  const reader = await server.getSnapSchema('com-snaplogic-snaps-binary-simpleread');
+
+  assert.equal(transport.calls.length, 1);
+  assert.equal(mapper.name, 'Mapper');
+  assert.equal(filter.settings.expression.type, 'string');
+  assert.deepEqual(reader.account_types, [
+    'com-snaplogic-snaps-binary-aws-s3account',
+    'com-snaplogic-snaps-binary-basicauthaccount'
+  ]);
+});
+
+test('detailed schemas are built on first lookup, not when the catalog is fetched', async () => {
+  const { server } = await createTestServer();
+  await server.ensureCatalog();
+  assert.equal(server.cache.detailCache.size, 0);
+
+  await server.getSnapSchema('com-snaplogic-snaps-flow-filter');
+  assert.deepEqual([...server.cache.detailCache.keys()], ['com-snaplogic-snaps-flow-filter']);
+});
+
+test('a snap evicted from the LRU store is rebuilt without a request', async () => {
+  const { server, transport } = await createTestServer();
+  await server.ensureCatalog();
+  const first = await server.getSnapSchema('com-snaplogic-snaps-flow-filter');
+  server.cache.detailCache.delete('com-snaplogic-snaps-flow-filter');
+
+  assert.deepEqual(await server.getSnapSchema('com-snaplogic-snaps-flow-filter'), first);
+  assert.equal(transport.calls.length, 1);
+});
+
+test('a detail built after the catalog fetch is persisted with it', async () => {
+  const { server } = await createTestServer();
+  await server.ensureCatalog();
+  await server.getSnapSchema('com-snaplogic-snaps-flow-filter');
+
+  const saved = JSON.parse(readFileSync(process.env.SNAPLOGIC_SCHEMA_CACHE_FILE, 'utf8'));
+  assert.deepEqual(saved.snapshot.details.map(detail => detail.class_id), ['com-snaplogic-snaps-flow-filter']);
+});
+
+test('a cache loaded from disk refetches the catalog once for a missing detail', async () => {
+  const { server, transport } = await createTestServer();
+  await server.ensureCatalog();
+  server.cache.loadSnapshot(server.cache.toSnapshot());
+
+  await server.getSnapSchema('com-snaplogic-snaps-flow-filter');
+  await server.getSnapSchema('com-snaplogic-snaps-transform-csvparser');
+  assert.equal(transport.calls.length, 2);
+});
+
+test('unknown snaps are rejected without a request', async () => {
+  const { server, transport } = await createTestServer();
+  await server.ensureCatalog();
+  await assert.rejects(server.getSnapSchema('com-snaplogic-snaps-nope'), /Unknown snap/);
+  assert.equal(transport.calls.length, 1);
+});
+
+test('the detail store keeps its size bound, evicting least recently used first', () => {
+  const cache = loadCatalog();
+  cache.detailCacheLimit = 2;
+  cache.setDetailedSchema('a', { class_id: 'a' });
+  cache.setDetailedSchema('b', { class_id: 'b' });
+  cache.getDetailedSchema('a');
+  cache.setDetailedSchema('c', { class_id: 'c' });
+  assert.deepEqual([...cache.detailCache.keys()], ['a', 'c']);
+});
+
+test('expression tools answer without fetching the catalog', async () => {
+  const { server, transport } = await createTestServer();
+
+  const checked = await server.handleToolCall('check_expression', { expression: '$a.substring(0,)' });
+  const evaluated = await server.handleToolCall('evaluate_expression', { expression: '$a + 1', document: { a: 1 } });
+
+  assert.equal(JSON.parse(checked.content[0].text).valid, false);
+  assert.equal(JSON.parse(evaluated.content[0].text).result, 2);
+  assert.equal(transport.calls.length, 0);
+
+  await server.handleToolCall('list_categories', {});
+  assert.equal(transport.calls.length, 1);
+});
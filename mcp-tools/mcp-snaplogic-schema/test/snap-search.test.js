@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCatalog } from './helpers.js';
+
+const cache = loadCatalog();
+
+function ranking(query, category, options) {
+  return cache.searchSnaps(query, category, options).results.map(snap => snap.name);
+}
+
+test('a name match outranks matches in the class id or description', () => {
+  assert.deepEqual(ranking('read'), ['File Reader', 'REST Get']);
+  assert.deepEqual(ranking('transform'), ['Mapper', 'CSV Parser']);
+});
+
+test('snaps matching every query term rank above partial matches', () => {
+  const { results } = cache.searchSnaps('file reader');
+
+  assert.deepEqual(results.map(snap => snap.name), ['File Reader', 'REST Get']);
+  assert.ok(results[0].score > 10 * results[1].score);
+});
+
+test('synonyms, prefixes and close spellings match with a lower score', () => {
+  assert.deepEqual(ranking('condition'), ['Filter']);
+  assert.deepEqual(ranking('http'), ['REST Get']);
+  assert.deepEqual(ranking('mapp'), ['Mapper']);
+  assert.deepEqual(ranking('filtr'), ['Filter']);
+
+  const [exact] = cache.searchSnaps('filter').results;
+  const [typo] = cache.searchSnaps('filtr').results;
+  assert.ok(typo.score < exact.score);
+});
+
+test('stop words and queries shorter than two characters are ignored', () => {
+  assert.deepEqual(ranking('the mapper'), ranking('mapper'));
+  assert.deepEqual(cache.searchSnaps('x'), { total: 0, results: [] });
+});
+
+test('category filter and paging apply to the ranked list', () => {
+  assert.deepEqual(ranking('read', 'binary'), ['File Reader']);
+
+  const page = cache.searchSnaps('read', null, { limit: 1, offset: 1 });
+  assert.equal(page.total, 2);
+  assert.deepEqual(page.results.map(snap => snap.name), ['REST Get']);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { instanceId } from 'snaplogic-common';
+import { SnapUpgrader, summarizeUpgrades } from '../snap-upgrader.js';
+import { createTestServer, linkedPipeline, loadCatalog, mapperEntry, snapEntry } from './helpers.js';
+
+const upgrader = new SnapUpgrader(loadCatalog());
+
+/**
+ * Snap entry saved with an older class_version
+ */
+function outdated(entry, version) {
+  return { ...entry, class_version: version };
+}
+
+const csvParser = (n, settings, version = 1) => outdated(snapEntry(n, 'Parse orders', 'transform-csvparser', settings), version);
+
+test('only snaps older than the catalog are reported; unknown classes are listed apart', () => {
+  const source = linkedPipeline([
+    csvParser(0, { delimiter: { value: ';' }, containsHeader: { value: true } }),
+    outdated(mapperEntry(1, 'Rename', []), 4),
+    snapEntry(2, 'Custom', 'acme-custom')
+  ]);
+
+  const { snaps, unknown, pipeline } = upgrader.upgradePipeline(source);
+
+  assert.deepEqual(snaps.map(({ instance_id, from_version, to_version, status }) => ({ instance_id, from_version, to_version, status })), [
+    { instance_id: instanceId(0), from_version: 1, to_version: 3, status: 'ready' }
+  ]);
+  assert.deepEqual(unknown, [{ instance_id: instanceId(2), class_id: 'com-snaplogic-snaps-acme-custom' }]);
+  assert.equal(pipeline, null);
+  assert.throws(() => upgrader.upgradePipeline({ link_map: {} }), /pipeline must be a \.slp object with a snap_map/);
+});
+
+test('near-identical names are migrated as renames and new settings get their defaults', () => {
+  const source = linkedPipeline([csvParser(0, { delimeter: { value: ';' } })]);
+
+  const { snaps: [report], pipeline } = upgrader.upgradePipeline(source, { migrate: true });
+
+  assert.deepEqual(report.renamed, [{ from: 'delimeter', to: 'delimiter' }]);
+  assert.deepEqual(report.added, [{ path: 'containsHeader', default: true }]);
+  assert.deepEqual(report.removed, []);
+  assert.equal(report.migrated, true);
+
+  const snap = pipeline.snap_map[instanceId(0)];
+  assert.deepEqual(snap.property_map.settings, { delimiter: { value: ';' }, containsHeader: { value: true } });
+  assert.equal(snap.class_version, 3);
+  assert.equal(source.snap_map[instanceId(0)].class_version, 1);
+});
+
+test('table columns are compared across every row', () => {
+  const source = linkedPipeline([outdated(snapEntry(0, 'Run child', 'flow-pipeexec', {
+    pipeline: { value: 'Child' },
+    params: { value: [
+      { paramNme: { value: 'region' }, paramValue: { value: '_region' } },
+      { paramNme: { value: 'day' }, paramValue: { value: '_day' } }
+    ] }
+  }), 0)]);
+
+  const { snaps: [report], pipeline } = upgrader.upgradePipeline(source, { migrate: true });
+
+  assert.deepEqual(report.renamed, [{ from: 'params/*/paramNme', to: 'params/*/paramName' }]);
+  assert.deepEqual(pipeline.snap_map[instanceId(0)].property_map.settings.params.value.map(row => row.paramName.value), ['region', 'day']);
+});
+
+test('settings that cannot be migrated safely are flagged and keep the old class_version', () => {
+  const source = linkedPipeline([
+    csvParser(0, { legacyQuoting: { value: true }, containsHeaders: { value: 'yes' } }),
+    outdated(snapEntry(1, 'Read orders', 'binary-simpleread'), 1)
+  ]);
+
+  const { snaps, pipeline } = upgrader.upgradePipeline(source, { migrate: true });
+
+  assert.deepEqual(snaps.map(report => report.status), ['needs_review', 'needs_review']);
+  assert.deepEqual(snaps[0].flagged, [
+    { path: 'legacyQuoting', message: 'No longer defined by the current schema; carry its value over by hand, then remove it' },
+    { path: 'containsHeaders', message: 'No longer defined; possibly renamed to containsHeader, but the mapping is ambiguous or the value does not fit' }
+  ]);
+  assert.deepEqual(snaps[1].flagged.map(flag => flag.path), ['filename']);
+  assert.equal(pipeline.snap_map[instanceId(0)].class_version, 1);
+  assert.equal(pipeline.snap_map[instanceId(1)].class_version, 1);
+});
+
+test('summaries count outdated, ready, flagged, migrated and unknown snaps', () => {
+  const results = [
+    upgrader.upgradePipeline(linkedPipeline([csvParser(0, {}), snapEntry(1, 'Custom', 'acme-custom')]), { migrate: true }),
+    upgrader.upgradePipeline(linkedPipeline([outdated(snapEntry(0, 'Read orders', 'binary-simpleread'), 1)]))
+  ];
+
+  assert.deepEqual(summarizeUpgrades(results), { pipelines: 2, outdated: 2, ready: 1, needs_review: 1, migrated: 1, unknown: 1 });
+});
+
+test('upgrade_snaps over a directory writes only the pipelines its migration changed', async () => {
+  const { server } = await createTestServer();
+  const directory = mkdtempSync(path.join(os.tmpdir(), 'snaplogic-upgrade-test-'));
+  const current = JSON.stringify(linkedPipeline([outdated(mapperEntry(0, 'Rename', []), 4)]));
+  writeFileSync(path.join(directory, 'Current.slp'), current);
+  writeFileSync(path.join(directory, 'Old.slp'), JSON.stringify(linkedPipeline([csvParser(0, { delimiter: { value: ';' } })])));
+
+  const result = await server.handleToolCall('upgrade_snaps', { directory, migrate: true, write: true });
+
+  const report = JSON.parse(result.content[0].text);
+  assert.deepEqual(report.summary, { pipelines: 2, outdated: 1, ready: 1, needs_review: 0, migrated: 1, unknown: 0 });
+  assert.deepEqual(report.pipelines.map(({ path: file, written }) => ({ file, written })), [{ file: 'Old.slp', written: true }]);
+  assert.equal(JSON.parse(readFileSync(path.join(directory, 'Old.slp'), 'utf8')).snap_map[instanceId(0)].class_version, 3);
+  assert.equal(readFileSync(path.join(directory, 'Current.slp'), 'utf8'), current);
+});
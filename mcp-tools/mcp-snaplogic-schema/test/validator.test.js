@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapValidator } from 'snaplogic-common';
+import { loadCatalog, mapperConfig } from './helpers.js';
+
+const validator = new SnapValidator(loadCatalog());
+
+test('accepts a Mapper config that matches the schema', () => {
+  const result = validator.validateSnapConfig(mapperConfig());
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.errors, []);
+});
+
+test('reports unknown, mistyped and missing settings with JSON pointers', () => {
+  const config = mapperConfig();
+  config.property_map.settings.passThrough = { value: 'yes' };
+  config.property_map.settings.colour = { value: 'red' };
+  delete config.property_map.settings.transformations;
+
+  const { valid, errors } = validator.validateSnapConfig(config);
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(issue => issue.path).sort(), [
+    '/property_map/settings/colour',
+    '/property_map/settings/passThrough/value',
+    '/property_map/settings/transformations'
+  ]);
+});
+
+test('checks enum values and expression support', () => {
+  const config = mapperConfig();
+  config.property_map.settings.execution_mode = { value: 'Sometimes' };
+  config.property_map.settings.passThrough = { expression: true, value: 'true' };
+
+  const messages = validator.validateSnapConfig(config).errors.map(issue => issue.message);
+  assert.ok(messages.some(message => message.startsWith('Invalid value "Sometimes"')));
+  assert.ok(messages.includes('Property does not support expressions'));
+});
+
+test('validates every row of a table setting', () => {
+  const config = mapperConfig([['$id', '$id'], ['$name', '$name']]);
+  config.property_map.settings.transformations.value.mappingTable.value[1].targetPath = { value: 42 };
+
+  const { errors } = validator.validateSnapConfig(config);
+  assert.deepEqual(errors.map(issue => issue.path), [
+    '/property_map/settings/transformations/value/mappingTable/value/1/targetPath/value'
+  ]);
+});
+
+test('warns on a class_version that differs from the catalog', () => {
+  const config = mapperConfig();
+  config.class_version = 3;
+  const { valid, warnings } = validator.validateSnapConfig(config);
+  assert.equal(valid, true);
+  assert.deepEqual(warnings.map(issue => issue.path), ['/class_version']);
+});
+
+test('rejects unknown snaps', () => {
+  const { valid, errors } = validator.validateSnapConfig({ ...mapperConfig(), class_id: 'com-snaplogic-snaps-nope' });
+  assert.equal(valid, false);
+  assert.equal(errors[0].message, 'Unknown snap: com-snaplogic-snaps-nope');
+});
@@ -0,0 +1,143 @@
+/**
+ * Account references of a pipeline
+ * A snap that connects to an external system selects its account in
+ * property_map.account.account_ref: {label: {value: path}, ref_id, ref_class_id}.
+ * The path is absolute (/org/space/project/name) or relative to the project the
+ * pipeline lives in (name, ../shared/name, ../../shared/name). Checking resolves
+ * each path, looks it up among the accounts visible to that project and compares
+ * the account's class with the ones the snap's schema accepts.
+ */
+
+import path from 'path';
+import { editDistance } from './cache.js';
+
+const SUGGESTION_MAX_DISTANCE = 3;
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Snaps with an account section, and the account each one selects
+ *
+ * @param {object} pipeline - parsed .slp document
+ * @returns {Array<{instance_id, label, class_id, reference: {path, ref_id, class_id}|null}>}
+ *   reference is null when the snap has no account selected
+ */
+export function extractAccountRefs(pipeline) {
+  const refs = [];
+
+  for (const [snapId, snap] of Object.entries(pipeline?.snap_map || {})) {
+    const account = snap?.property_map?.account;
+    if (!isObject(account)) continue;
+
+    const accountRef = isObject(account.account_ref?.value) ? account.account_ref.value : {};
+    const refPath = accountRef.label?.value ?? (typeof accountRef.label === 'string' ? accountRef.label : null);
+
+    refs.push({
+      instance_id: snapId,
+      label: snap.property_map.info?.label?.value ?? null,
+      class_id: snap.class_id || null,
+      reference: refPath
+        ? { path: refPath, ref_id: accountRef.ref_id ?? null, class_id: accountRef.ref_class_id ?? null }
+        : null
+    });
+  }
+
+  return refs;
+}
+
+/**
+ * Absolute path of an account reference made from the project at projectPath
+ */
+export function resolveAccountPath(refPath, projectPath) {
+  return path.posix.normalize(refPath.startsWith('/') ? refPath : path.posix.join(projectPath, refPath));
+}
+
+/**
+ * The reference a snap in the project at projectPath would use for accountPath
+ */
+export function relativeAccountPath(accountPath, projectPath) {
+  return path.posix.relative(projectPath, accountPath);
+}
+
+/**
+ * Check every account reference of a pipeline
+ *
+ * @param {object} pipeline - parsed .slp document
+ * @param {object} options
+ * @param {string} options.projectPath - /org/space/project the pipeline lives in
+ * @param {Array<{name, path, class_id}>} options.accounts - accounts visible to the project, absolute paths
+ * @param {SchemaCache} [options.cache] - snap catalog; without it account classes are not checked
+ * @returns {Array<{instance_id, label, class_id, reference, status, message, account, accepted, suggestions}>}
+ *   status is ok, unset, not_found or wrong_type; suggestions are {path, reference, class_id}
+ */
+export function resolveAccountRefs(pipeline, { projectPath, accounts, cache = null }) {
+  return extractAccountRefs(pipeline).map(ref => {
+    const accepted = cache?.getSnapInfo(ref.class_id)?.account_types ?? null;
+    const result = { ...ref, status: 'ok', message: null, account: null, accepted, suggestions: [] };
+
+    if (!ref.reference) {
+      result.status = 'unset';
+      result.message = 'No account selected';
+      return result;
+    }
+
+    const resolved = resolveAccountPath(ref.reference.path, projectPath);
+    const account = accounts.find(candidate => candidate.path === resolved);
+    const acceptedAccounts = accepted?.length ? accounts.filter(candidate => accepted.includes(candidate.class_id)) : accounts;
+
+    if (!account) {
+      result.status = 'not_found';
+      result.message = `${resolved} does not exist or is not visible to ${projectPath}`;
+      result.suggestions = suggestAccounts(path.posix.basename(resolved), acceptedAccounts, projectPath);
+    } else if (accepted?.length && !accepted.includes(account.class_id)) {
+      result.account = account;
+      result.status = 'wrong_type';
+      result.message = `${resolved} is a ${account.class_id}; ${ref.class_id} accepts ${accepted.join(', ')}`;
+      result.suggestions = suggestAccounts(account.name, acceptedAccounts, projectPath, { anyName: true });
+    } else {
+      result.account = account;
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Totals over resolveAccountRefs results
+ */
+export function summarizeAccountRefs(results) {
+  const summary = { snaps: results.length, ok: 0, unset: 0, not_found: 0, wrong_type: 0 };
+  for (const result of results) {
+    summary[result.status]++;
+  }
+  return summary;
+}
+
+// Accounts of the same name in another location first, then near-identical names;
+// with anyName, accounts of any name when none is similar
+function suggestAccounts(name, accounts, projectPath, { anyName = false } = {}) {
+  const target = normalizeName(name);
+
+  return accounts
+    .map(account => {
+      const candidate = normalizeName(account.name);
+      const contains = Math.min(target.length, candidate.length) >= 4 && (target.includes(candidate) || candidate.includes(target));
+      const distance = target === candidate ? 0 : contains ? 1 : editDistance(target, candidate, SUGGESTION_MAX_DISTANCE);
+      return { account, distance };
+    })
+    .filter(({ distance }, _, all) => distance <= SUGGESTION_MAX_DISTANCE || (anyName && all.every(other => other.distance > SUGGESTION_MAX_DISTANCE)))
+    .sort((a, b) => a.distance - b.distance || a.account.path.localeCompare(b.account.path))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ account }) => ({
+      path: account.path,
+      reference: relativeAccountPath(account.path, projectPath),
+      class_id: account.class_id
+    }));
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
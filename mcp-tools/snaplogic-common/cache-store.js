@@ -0,0 +1,62 @@
+/**
+ * On-disk persistence for the processed snap catalog
+ * Lets the server start from the last fetched catalog and keep working offline
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+
+// Bump when the snapshot layout produced by SchemaCache.toSnapshot() changes
+export const CACHE_FORMAT_VERSION = 2;
+
+export class CacheStore {
+  /**
+   * @param {string} filePath - cache file location
+   * @param {object} [options]
+   * @param {string} [options.org] - org the catalog belongs to; files for other orgs are ignored
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.org = options.org || null;
+  }
+
+  /**
+   * Read a snapshot from disk
+   * Returns null when the file is missing, unreadable or from another format/org
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (data?.format_version !== CACHE_FORMAT_VERSION) {
+      return null;
+    }
+    if (this.org && data.org && data.org !== this.org) {
+      return null;
+    }
+
+    return data.snapshot || null;
+  }
+
+  /**
+   * Write a snapshot atomically (temp file + rename) so a crash never leaves a torn cache
+   */
+  async save(snapshot) {
+    const payload = {
+      format_version: CACHE_FORMAT_VERSION,
+      org: this.org,
+      saved_at: new Date().toISOString(),
+      snapshot
+    };
+
+    await mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(payload));
+    await rename(tempPath, this.filePath);
+  }
+}
@@ -0,0 +1,633 @@
+/**
+ * Intelligent caching module for SnapLogic snap schemas
+ * Optimizes memory usage and API calls with multi-index caching
+ */
+
+// BM25 ranking parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const SEARCH_FIELD_WEIGHTS = {
+  name: 3,
+  classId: 2,
+  description: 1
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'into', 'of', 'on',
+  'or', 'the', 'to', 'with', 'snap', 'snaps'
+]);
+
+// Groups of interchangeable search terms
+const SYNONYM_GROUPS = [
+  ['join', 'merge', 'combine'],
+  ['filter', 'router', 'route', 'condition'],
+  ['read', 'reader', 'get', 'fetch', 'download'],
+  ['write', 'writer', 'put', 'upload'],
+  ['insert', 'upsert', 'write'],
+  ['parse', 'parser'],
+  ['format', 'formatter'],
+  ['map', 'mapper', 'transform', 'datatransform'],
+  ['group', 'groupby', 'aggregate'],
+  ['sort', 'order'],
+  ['split', 'splitter'],
+  ['union', 'combine'],
+  ['copy', 'duplicate'],
+  ['db', 'database', 'sql', 'jdbc'],
+  ['rest', 'http', 'api'],
+  ['pipeline', 'pipeexec']
+];
+
+const SYNONYMS = new Map(); // term → Set of synonyms
+for (const group of SYNONYM_GROUPS) {
+  for (const term of group) {
+    if (!SYNONYMS.has(term)) SYNONYMS.set(term, new Set());
+    for (const other of group) {
+      if (other !== term) SYNONYMS.get(term).add(other);
+    }
+  }
+}
+
+export class SchemaCache {
+  constructor() {
+    // Compact catalog storage - only essential fields
+    this.catalog = new Map(); // class_id → {name, category, description, version}
+    this.settingsSchemas = new Map(); // class_id → compact settings spec
+    
+    // Fast lookup indexes
+    this.byCategory = new Map(); // category → Set of class_ids
+    this.searchIndex = new Map(); // token → Map of class_id → weighted term frequency
+    this.docLengths = new Map(); // class_id → weighted token count (for BM25 length normalization)
+    
+    // Detailed schemas - built on first lookup, size-bounded, least recently used evicted first
+    this.snapSources = new Map(); // class_id → raw schema from the last catalog fetch
+    this.detailCache = new Map(); // class_id → detailed schema
+    this.detailCacheLimit = 50;
+    
+    // Cache metadata
+    this.catalogLastFetch = null;
+    this.catalogTTL = 24 * 60 * 60 * 1000; // 24 hours
+    this.isLoading = false;
+  }
+
+  /**
+   * Check if catalog needs refresh
+   */
+  needsCatalogRefresh() {
+    if (!this.catalogLastFetch) return true;
+    const age = Date.now() - this.catalogLastFetch;
+    return age > this.catalogTTL;
+  }
+
+  /**
+   * Process and index the catalog response
+   * Extracts only essential fields to minimize memory usage; the raw snap schemas
+   * are kept so detailed schemas can be built when they are first requested
+   */
+  processCatalog(apiResponse) {
+    this.catalog.clear();
+    this.settingsSchemas.clear();
+    this.snapSources.clear();
+    this.detailCache.clear();
+    this.byCategory.clear();
+    this.searchIndex.clear();
+    this.docLengths.clear();
+    
+    // Handle the actual API response structure
+    const snapData = apiResponse.response_map || apiResponse;
+    
+    // Process each snap directly from response_map
+    for (const [classId, snapSchema] of Object.entries(snapData)) {
+      // Skip if this doesn't look like a snap schema
+      if (!snapSchema || typeof snapSchema !== 'object' || !snapSchema.class_map) {
+        continue;
+      }
+      
+      // Extract snap name from class_map info
+      let snapName = classId;
+      let description = snapSchema.description || '';
+      
+      if (snapSchema.class_map && snapSchema.class_map.info) {
+        snapName = snapSchema.class_map.info.label?.value || snapName;
+        description = snapSchema.class_map.info.notes?.value || description;
+      }
+      
+      // Determine category from class_id
+      const categoryMatch = classId.match(/com-snaplogic-snaps-([^-]+)/);
+      const category = categoryMatch ? categoryMatch[1] : 'unknown';
+      
+      // Extract essential fields only
+      const compactSnap = {
+        name: snapName,
+        category: category,
+        description: description,
+        version: snapSchema.class_version || 1
+      };
+
+      // Account classes the snap can be bound to, for checking account references
+      const accountTypes = findAccountTypes(snapSchema);
+      if (accountTypes) {
+        compactSnap.account_types = accountTypes;
+      }
+      
+      // Keep a compact settings spec for property_map validation
+      const settingsSchema = findSettingsSchema(snapSchema);
+      const settingsSpec = settingsSchema ? compactSettingsMap(settingsSchema) : null;
+      
+      this.addSnap(classId, compactSnap, settingsSpec);
+      this.snapSources.set(classId, snapSchema);
+    }
+    
+    this.catalogLastFetch = Date.now();
+  }
+
+  /**
+   * Store a compact snap and add it to the category and search indexes
+   */
+  addSnap(classId, compactSnap, settingsSpec) {
+    this.catalog.set(classId, compactSnap);
+    
+    if (settingsSpec) {
+      this.settingsSchemas.set(classId, settingsSpec);
+    }
+    
+    if (!this.byCategory.has(compactSnap.category)) {
+      this.byCategory.set(compactSnap.category, new Set());
+    }
+    this.byCategory.get(compactSnap.category).add(classId);
+    
+    this.indexSnapForSearch(classId, compactSnap);
+  }
+
+  /**
+   * Export the processed catalog and detailed schemas for persistence
+   */
+  toSnapshot() {
+    const snaps = {};
+    for (const [classId, snap] of this.catalog) {
+      snaps[classId] = {
+        ...snap,
+        settings: this.settingsSchemas.get(classId) || null
+      };
+    }
+    
+    return {
+      catalog_last_fetch: this.catalogLastFetch,
+      snaps,
+      // Least recently used first, so reloading preserves eviction order
+      details: Array.from(this.detailCache.values())
+    };
+  }
+
+  /**
+   * Replace cache contents with a snapshot produced by toSnapshot()
+   */
+  loadSnapshot(snapshot) {
+    this.clear();
+    
+    for (const [classId, entry] of Object.entries(snapshot.snaps || {})) {
+      const { settings, ...compactSnap } = entry;
+      this.addSnap(classId, compactSnap, settings);
+    }
+    
+    for (const detail of snapshot.details || []) {
+      if (detail?.class_id && this.catalog.has(detail.class_id)) {
+        this.setDetailedSchema(detail.class_id, detail);
+      }
+    }
+    
+    this.catalogLastFetch = snapshot.catalog_last_fetch || null;
+  }
+
+  /**
+   * Build search index for a snap
+   * Name tokens weigh more than class_id tokens, which weigh more than description tokens
+   */
+  indexSnapForSearch(classId, snap) {
+    const fields = [
+      [snap.name, SEARCH_FIELD_WEIGHTS.name],
+      [classId.replace(/^com-snaplogic-snaps-/, ''), SEARCH_FIELD_WEIGHTS.classId],
+      [snap.description, SEARCH_FIELD_WEIGHTS.description]
+    ];
+    
+    let length = 0;
+    for (const [text, weight] of fields) {
+      for (const token of this.tokenize(text || '')) {
+        if (!this.searchIndex.has(token)) {
+          this.searchIndex.set(token, new Map());
+        }
+        const postings = this.searchIndex.get(token);
+        postings.set(classId, (postings.get(classId) || 0) + weight);
+        length += weight;
+      }
+    }
+    
+    this.docLengths.set(classId, length);
+  }
+
+  /**
+   * Simple tokenization for search
+   */
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+  }
+
+  /**
+   * Search snaps with BM25 ranking over the token index
+   * Every query term is expanded with synonyms, prefix matches and close spellings;
+   * snaps matching more of the query terms rank higher.
+   *
+   * @returns {{total: number, results: Array}} one page of ranked results
+   */
+  searchSnaps(query, category = null, options = {}) {
+    const { limit = 25, offset = 0 } = options;
+    const searchQuery = query.toLowerCase().trim();
+    
+    // Return empty results for very short queries
+    if (searchQuery.length < 2) {
+      return { total: 0, results: [] };
+    }
+    
+    const terms = [...new Set(this.tokenize(searchQuery))];
+    if (terms.length === 0) {
+      return { total: 0, results: [] };
+    }
+    
+    const categoryFilter = category ? category.toLowerCase() : null;
+    const docCount = this.docLengths.size;
+    let totalLength = 0;
+    for (const length of this.docLengths.values()) totalLength += length;
+    const avgLength = totalLength / (docCount || 1);
+    
+    const scores = new Map(); // class_id → accumulated score
+    const matchedTerms = new Map(); // class_id → number of query terms matched
+    
+    for (const term of terms) {
+      // Best score per snap for this term, so synonyms and typo matches don't stack
+      const termScores = new Map();
+      
+      for (const [token, weight] of this.expandTerm(term)) {
+        const postings = this.searchIndex.get(token);
+        const idf = Math.log(1 + (docCount - postings.size + 0.5) / (postings.size + 0.5));
+        
+        for (const [classId, tf] of postings) {
+          if (categoryFilter && this.catalog.get(classId)?.category !== categoryFilter) continue;
+          
+          const length = this.docLengths.get(classId) || avgLength;
+          const bm25 = idf * (tf * (BM25_K1 + 1)) /
+            (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+          const score = weight * bm25;
+          
+          if (score > (termScores.get(classId) || 0)) {
+            termScores.set(classId, score);
+          }
+        }
+      }
+      
+      for (const [classId, score] of termScores) {
+        scores.set(classId, (scores.get(classId) || 0) + score);
+        matchedTerms.set(classId, (matchedTerms.get(classId) || 0) + 1);
+      }
+    }
+    
+    const ranked = [];
+    for (const [classId, score] of scores) {
+      const snapInfo = this.catalog.get(classId);
+      const coverage = matchedTerms.get(classId) / terms.length;
+      let finalScore = score * coverage * coverage;
+      
+      // Bonus when the whole query appears in the display name
+      if (snapInfo.name.toLowerCase().includes(searchQuery)) {
+        finalScore *= 1.5;
+      }
+      
+      ranked.push([classId, finalScore]);
+    }
+    
+    // Sort by score (descending) then alphabetically by class_id
+    ranked.sort((a, b) => {
+      const scoreDiff = b[1] - a[1];
+      return scoreDiff !== 0 ? scoreDiff : a[0].localeCompare(b[0]);
+    });
+    
+    const results = ranked
+      .slice(offset, offset + limit)
+      .map(([classId, score]) => ({
+        class_id: classId,
+        ...this.catalog.get(classId),
+        score: Math.round(score * 1000) / 1000
+      }));
+    
+    return { total: ranked.length, results };
+  }
+
+  /**
+   * Expand a query term to index tokens with match weights:
+   * exact 1.0, synonym 0.8, prefix 0.7, close spelling 0.6
+   */
+  expandTerm(term) {
+    const expansions = new Map();
+    const add = (token, weight) => {
+      if (this.searchIndex.has(token) && weight > (expansions.get(token) || 0)) {
+        expansions.set(token, weight);
+      }
+    };
+    
+    add(term, 1);
+    
+    for (const synonym of SYNONYMS.get(term) || []) {
+      add(synonym, 0.8);
+    }
+    
+    // Typo tolerance scales with term length
+    const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    
+    for (const token of this.searchIndex.keys()) {
+      if (expansions.has(token)) continue;
+      
+      if (term.length >= 3 && token.startsWith(term)) {
+        add(token, 0.7);
+      } else if (maxDistance > 0 && Math.abs(token.length - term.length) <= maxDistance &&
+                 editDistance(term, token, maxDistance) <= maxDistance) {
+        add(token, 0.6);
+      }
+    }
+    
+    return expansions;
+  }
+
+  /**
+   * Get a detailed schema from the LRU store, building it from the last
+   * catalog fetch on a miss; null when neither has the snap
+   */
+  getDetailedSchema(classId) {
+    const detail = this.detailCache.get(classId);
+    if (!detail) {
+      const snapSchema = this.snapSources.get(classId);
+      if (!snapSchema) return null;
+
+      const built = this.buildDetailedSchema(classId, snapSchema);
+      this.setDetailedSchema(classId, built);
+      return built;
+    }
+
+    // Move to most recently used position
+    this.detailCache.delete(classId);
+    this.detailCache.set(classId, detail);
+    return detail;
+  }
+
+  /**
+   * Store a detailed schema, evicting the least recently used entries
+   */
+  setDetailedSchema(classId, detail) {
+    this.detailCache.delete(classId);
+    this.detailCache.set(classId, detail);
+
+    while (this.detailCache.size > this.detailCacheLimit) {
+      const oldest = this.detailCache.keys().next().value;
+      this.detailCache.delete(oldest);
+    }
+  }
+
+  /**
+   * Reduce a raw snap schema to a compact, LLM-friendly description:
+   * settings tree, view definitions and a ready-to-use settings block of defaults
+   */
+  buildDetailedSchema(classId, snapSchema) {
+    const info = this.catalog.get(classId);
+    const settingsSchema = findSettingsSchema(snapSchema);
+    const settings = settingsSchema ? compactSettingsMap(settingsSchema, { detailed: true }) : {};
+    const propertyMap = snapSchema.property_map?.properties || snapSchema.property_map || {};
+
+    return {
+      class_id: classId,
+      name: info?.name || snapSchema.class_map?.info?.label?.value || classId,
+      category: info?.category || 'unknown',
+      version: snapSchema.class_version || info?.version || 1,
+      description: info?.description || '',
+      account_types: findAccountTypes(snapSchema) || [],
+      settings,
+      views: {
+        input: describeViews(propertyMap.input),
+        output: describeViews(propertyMap.output),
+        error: describeViews(propertyMap.error)
+      },
+      defaults: {
+        settings: buildSettingDefaults(settings)
+      }
+    };
+  }
+
+  /**
+   * Get all categories with counts
+   */
+  getCategories() {
+    const categories = [];
+    for (const [category, snaps] of this.byCategory) {
+      categories.push({
+        name: category,
+        count: snaps.size
+      });
+    }
+    return categories.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get basic info for a snap
+   */
+  getSnapInfo(classId) {
+    return this.catalog.get(classId) || null;
+  }
+
+  /**
+   * Get the compact settings spec for a snap
+   */
+  getSettingsSchema(classId) {
+    return this.settingsSchemas.get(classId) || null;
+  }
+
+  /**
+   * Clear all caches
+   */
+  clear() {
+    this.catalog.clear();
+    this.settingsSchemas.clear();
+    this.snapSources.clear();
+    this.detailCache.clear();
+    this.byCategory.clear();
+    this.searchIndex.clear();
+    this.docLengths.clear();
+    this.catalogLastFetch = null;
+  }
+}
+
+/**
+ * Locate the JSON schema of a snap's settings.
+ * The detail catalog describes property_map as a JSON schema
+ * (property_map.properties.settings); older responses omit the wrapper.
+ */
+export function findSettingsSchema(snapSchema) {
+  const propertyMap = snapSchema.property_map;
+  if (!propertyMap || typeof propertyMap !== 'object') return null;
+
+  const settings = propertyMap.properties?.settings || propertyMap.settings;
+  return settings && typeof settings.properties === 'object' ? settings : null;
+}
+
+/**
+ * Account class ids a snap accepts, or null if it takes no account.
+ * The account section of property_map lists them as account_types, or as the
+ * enum of account_ref's ref_class_id; both are collected wherever they appear.
+ */
+export function findAccountTypes(snapSchema) {
+  const propertyMap = snapSchema.property_map;
+  const account = propertyMap?.properties?.account || propertyMap?.account;
+  if (!account || typeof account !== 'object') return null;
+
+  const types = new Set();
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    for (const [key, child] of Object.entries(node)) {
+      const listed = key === 'account_types' ? child : key === 'ref_class_id' ? child?.enum : null;
+      if (Array.isArray(listed)) {
+        listed.filter(type => typeof type === 'string').forEach(type => types.add(type));
+      } else {
+        visit(child);
+      }
+    }
+  };
+  visit(account);
+
+  return [...types].sort();
+}
+
+/**
+ * Reduce an object schema of settings to name → spec.
+ * A spec keeps only what validation needs:
+ * {type, required, expression, enum, default, properties (nested), columns (tables)}
+ * The detailed form also keeps each setting's title and description.
+ */
+export function compactSettingsMap(objectSchema, options = {}) {
+  const required = new Set(Array.isArray(objectSchema.required) ? objectSchema.required : []);
+  const specs = {};
+
+  for (const [name, settingSchema] of Object.entries(objectSchema.properties || {})) {
+    if (!settingSchema || typeof settingSchema !== 'object') continue;
+
+    const spec = compactSetting(settingSchema, options);
+    if (
+      required.has(name) ||
+      settingSchema.required === true ||
+      settingSchema.properties?.value?.required === true
+    ) {
+      spec.required = true;
+    }
+    specs[name] = spec;
+  }
+
+  return specs;
+}
+
+/**
+ * Reduce a single {value, expression} setting schema to a spec
+ */
+function compactSetting(settingSchema, options) {
+  const valueSchema = settingSchema.properties?.value || {};
+  const spec = { type: valueSchema.type || 'any' };
+
+  // Flags are only recorded when set, keeping the specs small
+  if (settingSchema.properties?.expression) {
+    spec.expression = true;
+  }
+
+  if (options.detailed) {
+    const title = settingSchema.title || valueSchema.title;
+    const description = settingSchema.description || valueSchema.description;
+    if (title) spec.title = title;
+    if (description) spec.description = description;
+  }
+
+  if (Array.isArray(valueSchema.enum)) {
+    spec.enum = valueSchema.enum;
+  }
+  if (valueSchema.default !== undefined) {
+    spec.default = valueSchema.default;
+  }
+
+  // Table settings: array of rows, each row a map of column settings
+  if (valueSchema.type === 'array' && valueSchema.items?.properties) {
+    spec.type = 'table';
+    spec.columns = compactSettingsMap(valueSchema.items, options);
+  }
+  // Composite settings: object of nested settings (e.g. Mapper transformations)
+  else if (valueSchema.type === 'object' && valueSchema.properties) {
+    spec.properties = compactSettingsMap(valueSchema, options);
+  }
+
+  return spec;
+}
+
+/**
+ * Describe the views a snap declares for one view kind (input, output or error)
+ */
+function describeViews(viewSchema) {
+  if (!viewSchema || typeof viewSchema !== 'object') {
+    return { views: [], min: 0, max: 0 };
+  }
+
+  const views = Object.keys(viewSchema.properties || {});
+  return {
+    views,
+    min: viewSchema.minItems ?? views.length,
+    max: viewSchema.maxItems ?? null
+  };
+}
+
+/**
+ * Build a property_map.settings block populated with each setting's default
+ */
+export function buildSettingDefaults(specs) {
+  const settings = {};
+
+  for (const [name, spec] of Object.entries(specs)) {
+    let value;
+    if (spec.properties) {
+      value = buildSettingDefaults(spec.properties);
+    } else if (spec.default !== undefined) {
+      value = spec.default;
+    } else {
+      value = spec.type === 'table' ? [] : null;
+    }
+
+    settings[name] = spec.expression ? { expression: false, value } : { value };
+  }
+
+  return settings;
+}
+
+/**
+ * Levenshtein distance with early exit once every candidate exceeds maxDistance
+ */
+export function editDistance(a, b, maxDistance) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -0,0 +1,247 @@
+/**
+ * SnapLogic REST API client shared by the MCP servers
+ * Adds timeouts, retries with exponential backoff (honoring Retry-After),
+ * typed errors and file logging on top of a pluggable fetch-compatible transport.
+ */
+
+import fetch from 'node-fetch';
+import {
+  AuthError,
+  GitHubAuthRequiredError,
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+  ServerError,
+  SnapLogicApiError
+} from './errors.js';
+import { createAuthProvider } from './credentials.js';
+import { FileLogger, nullLogger } from './logger.js';
+
+export const DEFAULT_CLIENT_OPTIONS = {
+  timeout: 30000, // per attempt, in ms
+  retries: 3,
+  backoffBase: 500,
+  backoffMax: 30000
+};
+
+// Safe to repeat after a 5xx or timeout; other methods are only retried on 429
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+export class SnapLogicClient {
+  /**
+   * @param {object} options
+   * @param {string} [options.baseUrl] - prefix for relative request paths
+   * @param {object} [options.credentials] - resolved credentials (see resolveCredentials)
+   * @param {{header: Function, invalidate?: Function}} [options.auth] - auth provider; overrides credentials
+   * @param {Function} [options.transport] - fetch-compatible function (default node-fetch)
+   * @param {number} [options.timeout] - per-attempt timeout in ms
+   * @param {number} [options.retries] - retries after the first attempt
+   * @param {number} [options.backoffBase] - first backoff delay in ms
+   * @param {number} [options.backoffMax] - longest wait in ms; a longer Retry-After fails the request
+   * @param {FileLogger} [options.logger]
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.transport = options.transport || fetch;
+    this.timeout = options.timeout ?? DEFAULT_CLIENT_OPTIONS.timeout;
+    this.auth = options.auth || createAuthProvider(options.credentials, { transport: this.transport, timeout: this.timeout });
+    this.retries = options.retries ?? DEFAULT_CLIENT_OPTIONS.retries;
+    this.backoffBase = options.backoffBase ?? DEFAULT_CLIENT_OPTIONS.backoffBase;
+    this.backoffMax = options.backoffMax ?? DEFAULT_CLIENT_OPTIONS.backoffMax;
+    this.logger = options.logger || nullLogger;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Send a request and return the parsed JSON body (or text when it is not JSON)
+   *
+   * @param {string} pathOrUrl - absolute URL or path relative to baseUrl
+   * @param {object} [options] - method, headers, body (object bodies are sent as JSON),
+   *   timeout and retries override the client defaults
+   */
+  async request(pathOrUrl, options = {}) {
+    const url = this.resolveUrl(pathOrUrl);
+    const method = (options.method || 'GET').toUpperCase();
+    const retries = options.retries ?? this.retries;
+    let reauthenticated = false;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.send(url, method, options, attempt);
+      } catch (error) {
+        // An expired cached token gets one fresh token, without counting as a retry
+        if (error instanceof AuthError && error.status === 401 && !reauthenticated && this.auth?.invalidate?.()) {
+          reauthenticated = true;
+          attempt--;
+          continue;
+        }
+
+        const repeatable = IDEMPOTENT_METHODS.has(method) || error instanceof RateLimitedError;
+        if (!(error instanceof SnapLogicApiError) || !error.retryable || !repeatable || attempt > retries) {
+          throw error;
+        }
+
+        const delay = this.backoffDelay(attempt, error.retryAfter);
+        if (delay === null) {
+          throw error;
+        }
+
+        this.logger.log('retry', { method, url, attempt, delay, reason: error.message });
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  get(pathOrUrl, options = {}) {
+    return this.request(pathOrUrl, { ...options, method: 'GET' });
+  }
+
+  post(pathOrUrl, body, options = {}) {
+    return this.request(pathOrUrl, { ...options, method: 'POST', body });
+  }
+
+  /**
+   * One attempt: transport call under a timeout, then status → typed error mapping
+   */
+  async send(url, method, options, attempt) {
+    const headers = { 'Accept': 'application/json' };
+    let body = options.body;
+    if (body !== undefined && body !== null && typeof body !== 'string') {
+      body = JSON.stringify(body);
+    }
+    if (body !== undefined && body !== null) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const authorization = this.auth ? await this.auth.header() : null;
+    if (authorization) {
+      headers['Authorization'] = authorization;
+    }
+    Object.assign(headers, options.headers);
+
+    // Armed after the auth header, whose failures would otherwise skip the clearTimeout below.
+    // Rejects on timeout even if the transport ignores the abort signal
+    const timeout = options.timeout ?? this.timeout;
+    const controller = new AbortController();
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error('timeout'));
+      }, timeout);
+    });
+    const started = Date.now();
+
+    let response;
+    let data;
+    try {
+      response = await Promise.race([
+        this.transport(url, { method, headers, body, signal: controller.signal }),
+        expired
+      ]);
+      data = await Promise.race([readBody(response), expired]);
+    } catch (error) {
+      const timedOut = controller.signal.aborted;
+      this.logger.log('request', {
+        method, url, attempt, duration: Date.now() - started,
+        error: timedOut ? 'timeout' : error.message
+      });
+      throw new ServerError(
+        timedOut
+          ? `Request timed out after ${timeout}ms: ${method} ${url}`
+          : `Network error: ${error.message}`,
+        { url, code: timedOut ? 'timeout' : 'network' }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this.logger.log('request', {
+      method, url, attempt, status: response.status, duration: Date.now() - started
+    });
+
+    if (!response.ok) {
+      throw errorFromResponse(response, data, url);
+    }
+    return data;
+  }
+
+  resolveUrl(pathOrUrl) {
+    if (/^https?:\/\//.test(pathOrUrl)) return pathOrUrl;
+    return `${this.baseUrl}${pathOrUrl.startsWith('/') ? '' : '/'}${pathOrUrl}`;
+  }
+
+  /**
+   * Wait before retry `attempt`: Retry-After when given, else exponential with jitter
+   * Returns null when the server asks for a longer wait than backoffMax
+   */
+  backoffDelay(attempt, retryAfter) {
+    if (retryAfter !== null && retryAfter !== undefined) {
+      return retryAfter > this.backoffMax ? null : retryAfter;
+    }
+    const ceiling = Math.min(this.backoffMax, this.backoffBase * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+}
+
+/**
+ * Client options from SNAPLOGIC_API_* environment variables
+ */
+export function clientOptionsFromEnv(env = process.env) {
+  const options = {};
+  if (env.SNAPLOGIC_API_TIMEOUT_MS) options.timeout = Number(env.SNAPLOGIC_API_TIMEOUT_MS);
+  if (env.SNAPLOGIC_API_RETRIES) options.retries = Number(env.SNAPLOGIC_API_RETRIES);
+  if (env.SNAPLOGIC_API_LOG_FILE) options.logger = new FileLogger(env.SNAPLOGIC_API_LOG_FILE);
+  return options;
+}
+
+/**
+ * Parse Retry-After (delta seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Map a failed response to a typed error; works for JSON and non-JSON bodies
+ */
+function errorFromResponse(response, body, url) {
+  const responseMap = body && typeof body === 'object' ? body.response_map : null;
+  const message =
+    responseMap?.error_list?.[0]?.message ||
+    `API error: ${response.status} ${response.statusText || ''}`.trim();
+  const details = { status: response.status, url, body };
+  const retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+
+  if (responseMap?.error_id === 'github-auth-required') {
+    return new GitHubAuthRequiredError(message, details);
+  }
+  if (response.status === 401 || response.status === 403) {
+    return new AuthError(message, details);
+  }
+  if (response.status === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (response.status === 409 || response.status === 412) {
+    return new ConflictError(message, details);
+  }
+  if (response.status === 429) {
+    return new RateLimitedError(message, { ...details, retryAfter });
+  }
+  if (response.status >= 500) {
+    return new ServerError(message, { ...details, retryAfter });
+  }
+  return new SnapLogicApiError(message, details);
+}
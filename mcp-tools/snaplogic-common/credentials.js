@@ -0,0 +1,264 @@
+/**
+ * Credential resolution and auth providers
+ * A profile's credentials may hold secrets inline, take them from a
+ * credentials file (owner-only permissions required) or from a helper command
+ * such as a keyring lookup. Supported schemes: Basic, bearer/JWT token and
+ * OAuth client credentials.
+ */
+
+import { execSync } from 'child_process';
+import { readFileSync, statSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import fetch from 'node-fetch';
+import { AuthError, ServerError } from './errors.js';
+import { registerSecret } from './redact.js';
+
+export const AUTH_TYPES = ['basic', 'bearer', 'oauth_client_credentials'];
+
+// Secret fields and the helper-command field that can supply each one
+const SECRET_FIELDS = {
+  password: 'password_command',
+  token: 'token_command',
+  client_secret: 'client_secret_command'
+};
+
+// Refresh OAuth tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+const HELPER_TIMEOUT = 10000;
+
+// Token request timeout when no client timeout is passed (DEFAULT_CLIENT_OPTIONS.timeout)
+const DEFAULT_TOKEN_TIMEOUT = 30000;
+
+/**
+ * Resolve a profile's credentials into plain values
+ *
+ * @param {object} profile - profile from ProfileRegistry
+ * @param {object} [options]
+ * @param {string} [options.file] - credentials file (default SNAPLOGIC_CREDENTIALS_FILE or ~/.snaplogic/credentials.json)
+ * @returns {object} {type, username?, password?, token?, token_url?, client_id?, client_secret?, scope?}
+ */
+export function resolveCredentials(profile, options = {}) {
+  const file = options.file || process.env.SNAPLOGIC_CREDENTIALS_FILE ||
+    path.join(os.homedir(), '.snaplogic', 'credentials.json');
+  const fromFile = readCredentialsFile(file)[profile.name] || {};
+  const credentials = { ...fromFile, ...profile.credentials };
+
+  for (const [field, commandField] of Object.entries(SECRET_FIELDS)) {
+    if (!credentials[field] && credentials[commandField]) {
+      credentials[field] = runHelper(credentials[commandField], `${profile.name}.${commandField}`);
+    }
+    delete credentials[commandField];
+    registerSecret(credentials[field]);
+  }
+
+  credentials.type = credentials.type || inferAuthType(credentials);
+  if (!AUTH_TYPES.includes(credentials.type)) {
+    throw new Error(`Profile "${profile.name}" has unknown credentials.type "${credentials.type}" (use ${AUTH_TYPES.join(', ')})`);
+  }
+
+  checkCredentials(profile, credentials);
+  return credentials;
+}
+
+/**
+ * Build the auth provider a SnapLogicClient uses to sign requests
+ * Providers expose header() and, when they cache a token, invalidate().
+ */
+export function createAuthProvider(credentials, options = {}) {
+  switch (credentials?.type || inferAuthType(credentials || {})) {
+    case 'bearer':
+      return {
+        header: async () => `Bearer ${credentials.token}`
+      };
+
+    case 'oauth_client_credentials':
+      return new OAuthClientCredentials(credentials, options);
+
+    default: {
+      if (!credentials?.username) return null;
+      const encoded = Buffer.from(`${credentials.username}:${credentials.password ?? ''}`).toString('base64');
+      registerSecret(encoded);
+      return {
+        header: async () => `Basic ${encoded}`
+      };
+    }
+  }
+}
+
+/**
+ * OAuth 2.0 client credentials grant with token caching
+ */
+export class OAuthClientCredentials {
+  /**
+   * @param {object} credentials - resolved oauth_client_credentials
+   * @param {object} [options]
+   * @param {Function} [options.transport] - fetch-compatible function (default node-fetch)
+   * @param {number} [options.timeout] - token request timeout in ms; SnapLogicClient passes its own
+   */
+  constructor(credentials, options = {}) {
+    this.credentials = credentials;
+    this.transport = options.transport || fetch;
+    this.timeout = options.timeout ?? DEFAULT_TOKEN_TIMEOUT;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  async header() {
+    if (!this.token || Date.now() >= this.expiresAt) {
+      // Concurrent requests share one token request
+      this.pending = this.pending || this.fetchToken().finally(() => {
+        this.pending = null;
+      });
+      await this.pending;
+    }
+    return `Bearer ${this.token}`;
+  }
+
+  /**
+   * Drop the cached token; returns true when there was one to drop
+   */
+  invalidate() {
+    const hadToken = Boolean(this.token);
+    this.token = null;
+    this.expiresAt = 0;
+    return hadToken;
+  }
+
+  /**
+   * Request a token under the client timeout
+   * Timeouts, network failures and 5xx responses raise ServerError (retryable);
+   * other failures raise AuthError.
+   */
+  async fetchToken() {
+    const { token_url: tokenUrl, client_id: clientId, client_secret: clientSecret, scope } = this.credentials;
+    const form = new URLSearchParams({ grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret });
+    if (scope) form.set('scope', scope);
+
+    const controller = new AbortController();
+    let timer;
+    // Rejects on timeout even if the transport ignores the abort signal
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error('timeout'));
+      }, this.timeout);
+    });
+
+    let response;
+    let text;
+    try {
+      response = await Promise.race([
+        this.transport(tokenUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+          body: form.toString(),
+          signal: controller.signal
+        }),
+        expired
+      ]);
+      text = await Promise.race([response.text(), expired]);
+    } catch (error) {
+      const timedOut = controller.signal.aborted;
+      throw new ServerError(
+        timedOut
+          ? `OAuth token request timed out after ${this.timeout}ms: ${tokenUrl}`
+          : `OAuth token request failed: ${error.message}`,
+        { url: tokenUrl, code: timedOut ? 'timeout' : 'network' }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Reported below
+    }
+
+    if (!response.ok || !data?.access_token) {
+      const TokenError = response.status >= 500 ? ServerError : AuthError;
+      throw new TokenError(
+        `OAuth token request failed: ${response.status} ${data?.error_description || data?.error || response.statusText || ''}`.trim(),
+        { status: response.status, url: tokenUrl }
+      );
+    }
+
+    registerSecret(data.access_token);
+    this.token = data.access_token;
+    this.expiresAt = Date.now() + Math.max(0, (Number(data.expires_in) || 3600) * 1000 - TOKEN_EXPIRY_MARGIN);
+  }
+}
+
+/**
+ * Auth scheme implied by the fields present when credentials.type is not set
+ */
+export function inferAuthType(credentials) {
+  if (credentials.token || credentials.token_command) return 'bearer';
+  if (credentials.client_id) return 'oauth_client_credentials';
+  return 'basic';
+}
+
+/**
+ * Throw when the resolved credentials are incomplete for their type
+ * Messages for the env profile name the environment variable to export.
+ */
+function checkCredentials(profile, credentials) {
+  const required = {
+    basic: [['username', 'SNAPLOGIC_USERNAME'], ['password', 'SNAPLOGIC_PASSWORD']],
+    bearer: [['token', 'SNAPLOGIC_TOKEN']],
+    oauth_client_credentials: [['token_url'], ['client_id'], ['client_secret']]
+  }[credentials.type];
+
+  for (const [field, envVar] of required) {
+    if (credentials[field]) continue;
+
+    if (profile.source === 'env' && envVar) {
+      throw new Error(`Missing required environment variable: ${envVar}. Please export all SnapLogic environment variables before starting Claude Code.`);
+    }
+    const hint = SECRET_FIELDS[field] ? ` (set credentials.${SECRET_FIELDS[field]} or add it to the credentials file)` : '';
+    throw new Error(`Profile "${profile.name}" is missing required setting: credentials.${field}${hint}`);
+  }
+}
+
+/**
+ * Read the credentials file, refusing files other users can read
+ */
+function readCredentialsFile(file) {
+  let stats;
+  try {
+    stats = statSync(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Cannot read credentials file ${file}: ${error.message}`);
+  }
+
+  if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+    const mode = (stats.mode & 0o777).toString(8);
+    throw new Error(`Credentials file ${file} is accessible by other users (mode ${mode}). Run: chmod 600 ${file}`);
+  }
+
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read credentials file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Run a secret helper command (e.g. `secret-tool lookup service snaplogic`) and return its trimmed output
+ */
+function runHelper(command, label) {
+  try {
+    return execSync(command, {
+      encoding: 'utf8',
+      timeout: HELPER_TIMEOUT,
+      stdio: ['ignore', 'pipe', 'pipe']
+    }).trim();
+  } catch (error) {
+    throw new Error(`Secret helper ${label} failed: ${error.status !== undefined ? `exit code ${error.status}` : error.message}`);
+  }
+}
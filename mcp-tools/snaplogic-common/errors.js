@@ -0,0 +1,99 @@
+/**
+ * Typed errors raised by SnapLogicClient
+ * Callers branch on the class (or `code`) instead of parsing messages.
+ */
+
+export class SnapLogicApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status, when a response was received
+   * @param {string} [details.url] - request URL
+   * @param {*} [details.body] - parsed JSON body, or the raw text when it is not JSON
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'api_error';
+    this.status = details.status ?? null;
+    this.url = details.url ?? null;
+    this.body = details.body ?? null;
+  }
+
+  /**
+   * Whether repeating the request may succeed
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * 401/403: bad credentials or missing permission
+ */
+export class AuthError extends SnapLogicApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'auth';
+  }
+}
+
+/**
+ * The user's GitHub authorization in SnapLogic expired (error_id github-auth-required)
+ */
+export class GitHubAuthRequiredError extends AuthError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'github_auth_required';
+  }
+}
+
+/**
+ * 404: asset, project or endpoint does not exist
+ */
+export class NotFoundError extends SnapLogicApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'not_found';
+  }
+}
+
+/**
+ * 409/412: the asset changed since it was read (optimistic concurrency check failed)
+ */
+export class ConflictError extends SnapLogicApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'conflict';
+  }
+}
+
+/**
+ * 429: too many requests; retryAfter is in milliseconds when the server sent Retry-After
+ */
+export class RateLimitedError extends SnapLogicApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = 'rate_limited';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * 5xx responses, timeouts and network failures
+ */
+export class ServerError extends SnapLogicApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.code || 'server';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
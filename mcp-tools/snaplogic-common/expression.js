@@ -0,0 +1,1391 @@
+/**
+ * SnapLogic expression language: tokenizer, parser, checker and evaluator
+ * Covers the syntax used in Mapper, Filter, Router and Sort settings:
+ * $field and _parameter references, literals (including regex, arrays and
+ * objects), operators (including instanceof), ternaries, arrow functions and
+ * the common string, number, array, object and Date methods. match blocks are
+ * recognised but not parsed; checkExpression reports them as a warning. Evaluation walks the AST, so an
+ * expression can only reach the document, the parameters and the functions below.
+ */
+
+const KEYWORDS = new Set(['true', 'false', 'null', 'typeof', 'in', 'instanceof']);
+
+// Longest first, so '===' is not read as '==' followed by '='
+const PUNCTUATORS = [
+  '...', '===', '!==', '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '**',
+  '+', '-', '*', '/', '%', '!', '<', '>', '(', ')', '[', ']', '{', '}', ',', '.', ':', '?', '=', ';'
+];
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
+const BINARY_PRECEDENCE = {
+  '??': 1, '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3, '===': 3, '!==': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4, 'in': 4, 'instanceof': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+// Right-hand side of instanceof
+const INSTANCEOF_TYPES = {
+  Null: value => value === null || value === undefined,
+  Boolean: value => typeof value === 'boolean',
+  String: value => typeof value === 'string',
+  Number: value => typeof value === 'number',
+  Array: value => Array.isArray(value),
+  Object: value => isPlainObject(value),
+  Date: value => value instanceof Date
+};
+
+// Guards against expressions that would run or allocate without bound
+const MAX_STEPS = 1000000;
+const MAX_STRING_LENGTH = 1000000;
+
+export class ExpressionSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} position - 0-based offset into the expression
+   * @param {string} source - the expression text
+   */
+  constructor(message, position, source) {
+    const { line, column } = lineColumn(source, position);
+    super(`${message} at position ${position}`);
+    this.name = 'ExpressionSyntaxError';
+    this.reason = message;
+    this.position = position;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Valid SnapLogic syntax this parser does not handle (match blocks)
+ */
+export class UnsupportedExpressionError extends ExpressionSyntaxError {
+  constructor(message, position, source) {
+    super(message, position, source);
+    this.name = 'UnsupportedExpressionError';
+  }
+}
+
+export class ExpressionEvaluationError extends Error {
+  constructor(message, node) {
+    super(message);
+    this.name = 'ExpressionEvaluationError';
+    this.position = node?.start ?? null;
+  }
+}
+
+/**
+ * Parse an expression into an AST
+ * Nodes carry start/end offsets; throws ExpressionSyntaxError for the first problem found.
+ */
+export function parseExpression(source) {
+  const problems = scanProblems(String(source));
+  if (problems.length > 0) {
+    throw problems[0];
+  }
+  return new Parser(String(source)).parse();
+}
+
+/**
+ * Check an expression without evaluating it
+ *
+ * @returns {{valid: boolean, errors: Array, warnings: Array, references: {fields: string[], parameters: string[]}}}
+ *   errors and warnings are {message, position, line, column}; syntax this parser
+ *   does not handle is a warning and leaves the references empty
+ */
+export function checkExpression(source) {
+  const text = String(source ?? '');
+  const result = { valid: true, errors: [], warnings: [], references: { fields: [], parameters: [] } };
+
+  const problems = scanProblems(text);
+  let ast = null;
+  if (problems.length === 0) {
+    try {
+      ast = new Parser(text).parse();
+    } catch (error) {
+      if (!(error instanceof ExpressionSyntaxError)) throw error;
+      problems.push(error);
+    }
+  }
+
+  for (const problem of problems) {
+    const list = problem instanceof UnsupportedExpressionError ? result.warnings : result.errors;
+    list.push(describeProblem(problem, text));
+  }
+
+  if (ast) {
+    result.references = expressionReferences(ast);
+    lintAst(ast, text, result);
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Evaluate an expression (text or parsed AST)
+ *
+ * @param {string|object} expression
+ * @param {object} [options]
+ * @param {*} [options.doc] - the current document ($)
+ * @param {object} [options.parameters] - pipeline parameter values (_name), keyed without the underscore
+ * @param {boolean} [options.nullSafe] - missing fields read as null instead of failing (Mapper "Null-safe access")
+ */
+export function evaluateExpression(expression, options = {}) {
+  const ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const scope = {
+    doc: options.doc ?? null,
+    parameters: options.parameters || {},
+    nullSafe: Boolean(options.nullSafe),
+    locals: null,
+    budget: { steps: 0 }
+  };
+  return toPlainValue(evaluate(ast, scope));
+}
+
+/**
+ * Parse once, evaluate many times
+ *
+ * @returns {function(object): *} called with the same options as evaluateExpression
+ */
+export function compileExpression(source) {
+  const ast = parseExpression(source);
+  return options => evaluateExpression(ast, options);
+}
+
+/**
+ * Document fields and pipeline parameters an expression reads
+ * Field paths are dotted ($customer.address.street → "customer.address.street"); "$" alone is "".
+ */
+export function expressionReferences(ast) {
+  const fields = new Set();
+  const parameters = new Set();
+
+  const visit = (node, locals) => {
+    // $items.map(...) reads $items; "map" is a method, not a field
+    if (node.type === 'Call' && node.callee.type === 'Member' && !node.callee.computed) {
+      walk(node.callee.object, visit, locals);
+      node.arguments.forEach(arg => walk(arg, visit, locals));
+      return false;
+    }
+    if (node.type === 'Field' || node.type === 'Member') {
+      const path = staticFieldPath(node);
+      if (path !== null) {
+        fields.add(path);
+        // Don't report the shorter prefixes of this path, but do visit dynamic indexes ($items[$index])
+        for (let member = node; member.type === 'Member'; member = member.object) {
+          if (member.computed) walk(member.property, visit, locals);
+        }
+        return false;
+      }
+    }
+    if (node.type === 'Identifier' && node.name.startsWith('_') && !locals.has(node.name)) {
+      parameters.add(node.name.slice(1));
+    }
+    return true;
+  };
+  walk(ast, visit);
+
+  return { fields: [...fields], parameters: [...parameters] };
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  const previousIsValue = () => {
+    const last = tokens[tokens.length - 1];
+    if (!last) return false;
+    if (['number', 'string', 'regex', 'field'].includes(last.type)) return true;
+    if (last.type === 'identifier') return !KEYWORDS.has(last.value) || ['true', 'false', 'null'].includes(last.value);
+    return [')', ']', '}'].includes(last.value);
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (ch === '"' || ch === '\'') {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\') {
+          value += unescapeChar(source[i + 1]);
+          i += 2;
+        } else {
+          value += source[i++];
+        }
+      }
+      if (i >= source.length) {
+        throw new ExpressionSyntaxError(`Unterminated string: missing closing ${ch}`, start, source);
+      }
+      i++;
+      tokens.push({ type: 'string', value, start, end: i });
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/);
+      i += match[0].length;
+      tokens.push({ type: 'number', value: Number(match[0]), start, end: i });
+      continue;
+    }
+
+    if (ch === '$') {
+      const name = source.slice(i + 1).match(/^[A-Za-z0-9_]*/)[0];
+      i += 1 + name.length;
+      tokens.push({ type: 'field', value: name, start, end: i });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const name = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      i += name.length;
+      tokens.push({ type: 'identifier', value: name, start, end: i });
+      continue;
+    }
+
+    if (ch === '/' && !previousIsValue()) {
+      i = scanRegex(source, i, tokens);
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+    if (!punctuator) {
+      throw new ExpressionSyntaxError(`Unexpected character '${ch}'`, start, source);
+    }
+    i += punctuator.length;
+    tokens.push({ type: 'punct', value: punctuator, start, end: i });
+  }
+
+  tokens.push({ type: 'eof', value: null, start: source.length, end: source.length });
+  return tokens;
+}
+
+function scanRegex(source, start, tokens) {
+  let i = start + 1;
+  let inClass = false;
+  let pattern = '';
+
+  while (i < source.length && (inClass || source[i] !== '/')) {
+    if (source[i] === '\\') {
+      pattern += source.slice(i, i + 2);
+      i += 2;
+      continue;
+    }
+    if (source[i] === '[') inClass = true;
+    if (source[i] === ']') inClass = false;
+    pattern += source[i++];
+  }
+
+  if (pattern === '') {
+    throw new ExpressionSyntaxError(
+      'Empty regular expression: a / inside a regex must be escaped as \\/ (written \\\\/ inside .slp JSON)',
+      start, source
+    );
+  }
+  if (i >= source.length) {
+    throw new ExpressionSyntaxError('Unterminated regular expression: missing closing /', start, source);
+  }
+
+  i++;
+  const flags = source.slice(i).match(/^[a-z]*/)[0];
+  i += flags.length;
+
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    throw new ExpressionSyntaxError(`Invalid regular expression: ${error.message}`, start, source);
+  }
+
+  tokens.push({ type: 'regex', value: { pattern, flags }, start, end: i });
+  return i;
+}
+
+function unescapeChar(ch) {
+  return { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' }[ch] ?? ch ?? '';
+}
+
+const MUSTACHE_MESSAGE = '{{...}} is prompt template syntax, not an expression; write the expression without the braces';
+
+/**
+ * Lexical and bracket-balance problems, reported before parsing so each gets its own position
+ */
+function scanProblems(source) {
+  if (/^\s*\{\{[\s\S]*\}\}\s*$/.test(source)) {
+    return [new ExpressionSyntaxError(MUSTACHE_MESSAGE, source.indexOf('{{'), source)];
+  }
+
+  let tokens;
+  try {
+    tokens = tokenize(source);
+  } catch (error) {
+    return [error];
+  }
+
+  const problems = [];
+  const open = [];
+  tokens.forEach((token, index) => {
+    if (token.type !== 'punct') return;
+    const next = tokens[index + 1];
+    if (token.value === '{' && next?.value === '{' && next.start === token.end
+        && !problems.some(problem => problem.position === token.start - 1)) {
+      problems.push(new ExpressionSyntaxError(MUSTACHE_MESSAGE, token.start, source));
+    }
+    if (CLOSING[token.value]) {
+      open.push(token);
+    } else if ([')', ']', '}'].includes(token.value)) {
+      const opener = open[open.length - 1];
+      if (opener && CLOSING[opener.value] === token.value) {
+        open.pop();
+      } else if (opener) {
+        problems.push(new ExpressionSyntaxError(
+          `Mismatched '${token.value}': expected '${CLOSING[opener.value]}' to close '${opener.value}' opened at position ${opener.start}`,
+          token.start, source
+        ));
+        open.pop();
+      } else {
+        problems.push(new ExpressionSyntaxError(`Unbalanced '${token.value}' with no matching opening bracket`, token.start, source));
+      }
+    }
+  });
+  for (const opener of open) {
+    problems.push(new ExpressionSyntaxError(`Unclosed '${opener.value}': missing '${CLOSING[opener.value]}'`, opener.start, source));
+  }
+
+  return problems;
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  parse() {
+    if (this.peek().type === 'eof') {
+      throw this.error('Empty expression', this.peek());
+    }
+    const node = this.parseExpression();
+    const next = this.peek();
+    if (next.type !== 'eof') {
+      throw this.unexpected(next);
+    }
+    return node;
+  }
+
+  parseExpression() {
+    const node = this.parseConditional();
+    if (this.isPunct('=')) {
+      throw this.error('Assignment (=) is not supported in expressions; use == to compare', this.peek());
+    }
+    return node;
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(1);
+    if (!this.isPunct('?')) return test;
+
+    this.next();
+    const consequent = this.parseExpression();
+    this.expectPunct(':', "Expected ':' in conditional (a ? b : c)");
+    const alternate = this.parseExpression();
+    return { type: 'Conditional', test, consequent, alternate, start: test.start, end: alternate.end };
+  }
+
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      const operator = token.type === 'punct' || (token.type === 'identifier' && KEYWORDS.has(token.value))
+        ? token.value
+        : null;
+      if (operator === '**') {
+        throw this.error('The ** operator is not supported in SnapLogic expressions; use Math.pow(base, exponent)', token);
+      }
+      const precedence = BINARY_PRECEDENCE[operator];
+      if (!precedence || precedence < minPrecedence) return left;
+
+      this.next();
+      if (operator === 'instanceof') {
+        left = this.parseInstanceOf(left);
+        continue;
+      }
+      const right = this.parseBinary(precedence + 1);
+      const type = ['&&', '||', '??'].includes(operator) ? 'Logical' : 'Binary';
+      left = { type, operator, left, right, start: left.start, end: right.end };
+    }
+  }
+
+  parseInstanceOf(value) {
+    const type = this.next();
+    if (type.type !== 'identifier' || !INSTANCEOF_TYPES[type.value]) {
+      throw this.error(`Expected a type after instanceof (${Object.keys(INSTANCEOF_TYPES).join(', ')})`, type);
+    }
+    return { type: 'InstanceOf', value, typeName: type.value, start: value.start, end: type.end };
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if ((token.type === 'punct' && ['!', '-', '+'].includes(token.value)) || (token.type === 'identifier' && token.value === 'typeof')) {
+      this.next();
+      const argument = this.parseUnary();
+      return { type: 'Unary', operator: token.value, argument, start: token.start, end: argument.end };
+    }
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  parsePostfix(node) {
+    for (;;) {
+      if (this.isPunct('.') || this.isPunct('?.')) {
+        const optional = this.next().value === '?.';
+        if (optional && this.isPunct('(')) {
+          node = this.parseCall(node, true);
+          continue;
+        }
+        if (optional && this.isPunct('[')) {
+          node = this.parseIndex(node, true);
+          continue;
+        }
+        const name = this.next();
+        if (name.type !== 'identifier') {
+          throw this.error(`Expected a property name after '${optional ? '?.' : '.'}'`, name);
+        }
+        node = {
+          type: 'Member', object: node, property: name.value, computed: false, optional,
+          start: node.start, end: name.end, propertyStart: name.start
+        };
+      } else if (this.isPunct('[')) {
+        node = this.parseIndex(node, false);
+      } else if (this.isPunct('(')) {
+        node = this.parseCall(node, false);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseIndex(object, optional) {
+    this.expectPunct('[');
+    const property = this.parseExpression();
+    const end = this.expectPunct(']', "Expected ']'").end;
+    return { type: 'Member', object, property, computed: true, optional, start: object.start, end };
+  }
+
+  parseCall(callee, optional) {
+    this.expectPunct('(');
+    const args = this.parseList(')');
+    const end = this.expectPunct(')', "Expected ')' after arguments").end;
+    return { type: 'Call', callee, arguments: args, optional, start: callee.start, end };
+  }
+
+  /**
+   * Comma-separated expressions (with ...spread) up to a closing bracket
+   * Arrays allow a trailing comma; call arguments may not be empty.
+   */
+  parseList(closing) {
+    const items = [];
+    while (!this.isPunct(closing)) {
+      if (closing === ')' && this.isPunct(',')) {
+        throw this.error("Empty argument before ','", this.peek());
+      }
+      if (this.isPunct('...')) {
+        const start = this.next().start;
+        const argument = this.parseExpression();
+        items.push({ type: 'Spread', argument, start, end: argument.end });
+      } else {
+        items.push(this.parseExpression());
+      }
+      if (!this.isPunct(',')) break;
+      this.next();
+      if (closing === ')' && this.isPunct(')')) {
+        throw this.error("Empty argument after ','", this.peek());
+      }
+    }
+    return items;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (this.isArrowFunction()) {
+      return this.parseArrowFunction();
+    }
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        this.next();
+        return { type: 'Literal', value: token.value, start: token.start, end: token.end };
+
+      case 'regex':
+        this.next();
+        return { type: 'Regex', pattern: token.value.pattern, flags: token.value.flags, start: token.start, end: token.end };
+
+      case 'field':
+        this.next();
+        return { type: 'Field', name: token.value, start: token.start, end: token.end };
+
+      case 'identifier':
+        this.next();
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'Literal', value: token.value === 'true', start: token.start, end: token.end };
+        }
+        if (token.value === 'null') {
+          return { type: 'Literal', value: null, start: token.start, end: token.end };
+        }
+        if (KEYWORDS.has(token.value)) {
+          throw this.unexpected(token);
+        }
+        if (token.value === 'match' && this.isMatchBlock()) {
+          throw new UnsupportedExpressionError(
+            'match expressions are not supported here: they are not checked and cannot be evaluated', token.start, this.source
+          );
+        }
+        return { type: 'Identifier', name: token.value, start: token.start, end: token.end };
+
+      case 'punct':
+        if (token.value === '(') {
+          this.next();
+          const node = this.parseExpression();
+          this.expectPunct(')', "Expected ')'");
+          return node;
+        }
+        if (token.value === '[') {
+          this.next();
+          const elements = this.parseList(']');
+          const end = this.expectPunct(']', "Expected ']' to close the array").end;
+          return { type: 'Array', elements, start: token.start, end };
+        }
+        if (token.value === '{') {
+          return this.parseObject();
+        }
+        throw this.unexpected(token);
+
+      default:
+        throw this.unexpected(token);
+    }
+  }
+
+  parseObject() {
+    const start = this.expectPunct('{').start;
+    const properties = [];
+
+    while (!this.isPunct('}')) {
+      if (this.isPunct('...')) {
+        const spreadStart = this.next().start;
+        const argument = this.parseExpression();
+        properties.push({ type: 'Spread', argument, start: spreadStart, end: argument.end });
+      } else {
+        const key = this.next();
+        if (!['identifier', 'string', 'number'].includes(key.type)) {
+          throw this.error('Expected a property name in object literal', key);
+        }
+        this.expectPunct(':', `Expected ':' after property name '${key.value}'`);
+        properties.push({ key: String(key.value), value: this.parseExpression() });
+      }
+      if (!this.isPunct(',')) break;
+      this.next();
+    }
+
+    const end = this.expectPunct('}', "Expected '}' to close the object").end;
+    return { type: 'Object', properties, start, end };
+  }
+
+  /**
+   * x => ..., (x, y) => ... or () => ...
+   */
+  isArrowFunction() {
+    const token = this.peek();
+    if (token.type === 'identifier' && !KEYWORDS.has(token.value)) {
+      return this.peek(1).type === 'punct' && this.peek(1).value === '=>';
+    }
+    if (!this.isPunct('(')) return false;
+
+    let depth = 0;
+    for (let i = this.index; i < this.tokens.length; i++) {
+      const value = this.tokens[i].type === 'punct' ? this.tokens[i].value : null;
+      if (value === '(') depth++;
+      if (value === ')' && --depth === 0) {
+        return this.tokens[i + 1]?.type === 'punct' && this.tokens[i + 1].value === '=>';
+      }
+    }
+    return false;
+  }
+
+  parseArrowFunction() {
+    const start = this.peek().start;
+    const params = [];
+
+    if (this.isPunct('(')) {
+      this.next();
+      while (!this.isPunct(')')) {
+        const param = this.next();
+        if (param.type !== 'identifier' || KEYWORDS.has(param.value)) {
+          throw this.error('Expected a parameter name', param);
+        }
+        params.push(param.value);
+        if (!this.isPunct(',')) break;
+        this.next();
+      }
+      this.expectPunct(')', "Expected ')' after parameters");
+    } else {
+      params.push(this.next().value);
+    }
+
+    this.expectPunct('=>');
+    if (this.isPunct('{') && this.looksLikeBlockBody()) {
+      throw this.error('Arrow functions take a single expression; statement bodies ({ ...; return x; }) are not supported', this.peek());
+    }
+    const body = this.parseExpression();
+    return { type: 'Arrow', params, body, start, end: body.end };
+  }
+
+  /**
+   * `=> {` starts an object literal when followed by "key:" or "}", otherwise a statement block
+   */
+  looksLikeBlockBody() {
+    const first = this.peek(1);
+    const second = this.peek(2);
+    if (first.type === 'punct' && (first.value === '}' || first.value === '...')) return false;
+    return !(second.type === 'punct' && second.value === ':');
+  }
+
+  /**
+   * match <expression> { pattern => result, ... } (called after the match keyword)
+   */
+  isMatchBlock() {
+    if (this.isPunct('.') || this.isPunct('?.') || this.isPunct('=>')) return false;
+    return this.tokens.slice(this.index).some(token => token.type === 'punct' && token.value === '{');
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[Math.min(this.index++, this.tokens.length - 1)];
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return token.type === 'punct' && token.value === value;
+  }
+
+  expectPunct(value, message) {
+    const token = this.peek();
+    if (token.type !== 'punct' || token.value !== value) {
+      throw this.error(message || `Expected '${value}'`, token);
+    }
+    return this.next();
+  }
+
+  unexpected(token) {
+    if (token.type === 'eof') {
+      return this.error('Unexpected end of expression', token);
+    }
+    const text = this.source.slice(token.start, token.end);
+    const hint = token.type === 'identifier' || token.type === 'string'
+      ? ' (string literals must be quoted as a whole, e.g. "text " + $field)'
+      : '';
+    return this.error(`Unexpected '${text}'${hint}`, token);
+  }
+
+  error(message, token) {
+    return new ExpressionSyntaxError(message, token.start, this.source);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Checks beyond syntax
+
+const GLOBAL_NAMES = new Set(['Math', 'Date', 'JSON', 'parseInt', 'parseFloat', 'isNaN', 'String', 'Number', 'Boolean',
+  'encodeURIComponent', 'decodeURIComponent', 'jsonPath']);
+
+function lintAst(ast, source, result) {
+  const knownMethods = new Set([
+    ...Object.keys(STRING_METHODS), ...Object.keys(NUMBER_METHODS), ...Object.keys(ARRAY_METHODS),
+    ...Object.keys(OBJECT_METHODS), ...Object.keys(DATE_METHODS)
+  ]);
+
+  walk(ast, (node, locals) => {
+    if (node.type === 'Identifier' && !locals.has(node.name) && !node.name.startsWith('_') && !GLOBAL_NAMES.has(node.name)) {
+      result.errors.push(describeProblem(new ExpressionSyntaxError(
+        `Unknown name '${node.name}': use $${node.name} for a document field, _${node.name} for a pipeline parameter, or quote it as a string`,
+        node.start, source
+      ), source));
+    }
+
+    if (node.type === 'Call' && node.callee.type === 'Member' && !node.callee.computed) {
+      const method = node.callee.property;
+      const receiver = node.callee.object;
+      const onGlobal = receiver.type === 'Identifier' && GLOBAL_NAMES.has(receiver.name);
+
+      if (onGlobal && !NAMESPACES[receiver.name]?.[method]) {
+        result.errors.push(describeProblem(new ExpressionSyntaxError(
+          `${receiver.name}.${method}() is not available in SnapLogic expressions`, node.callee.propertyStart, source
+        ), source));
+      } else if (!onGlobal && !knownMethods.has(method)) {
+        result.warnings.push(describeProblem(new ExpressionSyntaxError(
+          `Unknown method '${method}()'`, node.callee.propertyStart, source
+        ), source));
+      }
+
+      // rules/field-transformation-rules.md: "Common Expression Errors"
+      if (method === 'toISOString' && isDateConstructorCall(receiver)) {
+        result.warnings.push(describeProblem(new ExpressionSyntaxError(
+          'toISOString() is a JavaScript Date method; SnapLogic expressions use toLocaleDateString() or toLocaleDateTimeString()',
+          node.callee.propertyStart, source
+        ), source));
+      }
+    }
+    return true;
+  });
+}
+
+function isDateConstructorCall(node) {
+  return node.type === 'Call' &&
+    node.callee.type === 'Member' &&
+    node.callee.object.type === 'Identifier' &&
+    node.callee.object.name === 'Date';
+}
+
+/**
+ * Visit every node; the visitor gets the set of arrow parameters in scope and returns false to skip children
+ */
+function walk(node, visit, locals = new Set()) {
+  if (!node || typeof node !== 'object') return;
+  if (visit(node, locals) === false) return;
+
+  switch (node.type) {
+    case 'Member':
+      walk(node.object, visit, locals);
+      if (node.computed) walk(node.property, visit, locals);
+      break;
+    case 'Call':
+      walk(node.callee, visit, locals);
+      node.arguments.forEach(arg => walk(arg, visit, locals));
+      break;
+    case 'Unary':
+    case 'Spread':
+      walk(node.argument, visit, locals);
+      break;
+    case 'InstanceOf':
+      walk(node.value, visit, locals);
+      break;
+    case 'Binary':
+    case 'Logical':
+      walk(node.left, visit, locals);
+      walk(node.right, visit, locals);
+      break;
+    case 'Conditional':
+      walk(node.test, visit, locals);
+      walk(node.consequent, visit, locals);
+      walk(node.alternate, visit, locals);
+      break;
+    case 'Array':
+      node.elements.forEach(element => walk(element, visit, locals));
+      break;
+    case 'Object':
+      node.properties.forEach(property => walk(property.type === 'Spread' ? property : property.value, visit, locals));
+      break;
+    case 'Arrow':
+      walk(node.body, visit, new Set([...locals, ...node.params]));
+      break;
+  }
+}
+
+/**
+ * Dotted path of $a.b['c'][0] chains with static keys, or null
+ */
+function staticFieldPath(node) {
+  if (node.type === 'Field') return node.name;
+  if (node.type !== 'Member') return null;
+
+  const base = staticFieldPath(node.object);
+  if (base === null) return null;
+
+  let key;
+  if (!node.computed && node.property === 'length') {
+    return base; // string or array length
+  } else if (!node.computed) {
+    key = node.property;
+  } else if (node.property.type === 'Literal' && typeof node.property.value === 'string') {
+    key = node.property.value;
+  } else {
+    return base; // dynamic index: the collection itself is what is read
+  }
+  return base === '' ? key : `${base}.${key}`;
+}
+
+function describeProblem(problem, source) {
+  const { line, column } = lineColumn(source, problem.position);
+  return { message: problem.reason || problem.message, position: problem.position, line, column };
+}
+
+function lineColumn(source, position) {
+  const before = String(source).slice(0, position).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// ---------------------------------------------------------------------------
+// Evaluator
+
+function evaluate(node, scope) {
+  if (++scope.budget.steps > MAX_STEPS) {
+    throw new ExpressionEvaluationError('Expression exceeded the evaluation step limit', node);
+  }
+
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+
+    case 'Regex':
+      return new RegExp(node.pattern, node.flags);
+
+    case 'Field':
+      return node.name === '' ? scope.doc : readMember(scope.doc, node.name, node, scope, '$');
+
+    case 'Identifier':
+      return resolveIdentifier(node, scope);
+
+    case 'Member': {
+      const object = evaluate(node.object, scope);
+      if (node.optional && (object === null || object === undefined)) return null;
+      const key = node.computed ? evaluate(node.property, scope) : node.property;
+      return readMember(object, key, node, scope);
+    }
+
+    case 'Call':
+      return evaluateCall(node, scope);
+
+    case 'Unary': {
+      const value = evaluate(node.argument, scope);
+      switch (node.operator) {
+        case '!': return !value;
+        case '-': return -value;
+        case '+': return +value;
+        default: return typeof value;
+      }
+    }
+
+    case 'Logical': {
+      const left = evaluate(node.left, scope);
+      if (node.operator === '&&') return left ? evaluate(node.right, scope) : left;
+      if (node.operator === '||') return left ? left : evaluate(node.right, scope);
+      return left ?? evaluate(node.right, scope);
+    }
+
+    case 'Binary':
+      return evaluateBinary(node, evaluate(node.left, scope), evaluate(node.right, scope));
+
+    case 'InstanceOf':
+      return INSTANCEOF_TYPES[node.typeName](evaluate(node.value, scope));
+
+    case 'Conditional':
+      return evaluate(node.test, scope) ? evaluate(node.consequent, scope) : evaluate(node.alternate, scope);
+
+    case 'Array': {
+      const result = [];
+      for (const element of node.elements) {
+        if (element.type === 'Spread') {
+          const value = evaluate(element.argument, scope);
+          if (!Array.isArray(value)) throw new ExpressionEvaluationError('Spread in an array literal needs an array', element);
+          result.push(...value);
+        } else {
+          result.push(evaluate(element, scope));
+        }
+      }
+      return result;
+    }
+
+    case 'Object': {
+      const result = {};
+      for (const property of node.properties) {
+        if (property.type === 'Spread') {
+          Object.assign(result, evaluate(property.argument, scope));
+        } else {
+          result[property.key] = evaluate(property.value, scope);
+        }
+      }
+      return result;
+    }
+
+    case 'Arrow':
+      return (...args) => {
+        const locals = new Map(scope.locals || []);
+        node.params.forEach((param, index) => locals.set(param, args[index] ?? null));
+        return evaluate(node.body, { ...scope, locals });
+      };
+
+    default:
+      throw new ExpressionEvaluationError(`Unsupported expression node ${node.type}`, node);
+  }
+}
+
+function resolveIdentifier(node, scope) {
+  if (scope.locals?.has(node.name)) {
+    return scope.locals.get(node.name);
+  }
+  if (node.name.startsWith('_')) {
+    const key = node.name.slice(1);
+    if (!Object.prototype.hasOwnProperty.call(scope.parameters, key)) {
+      throw new ExpressionEvaluationError(`Pipeline parameter ${node.name} is not defined`, node);
+    }
+    return scope.parameters[key];
+  }
+  if (NAMESPACES[node.name]) {
+    return NAMESPACES[node.name];
+  }
+  if (GLOBAL_FUNCTIONS[node.name]) {
+    return GLOBAL_FUNCTIONS[node.name];
+  }
+  throw new ExpressionEvaluationError(`Unknown name '${node.name}'`, node);
+}
+
+/**
+ * Property read with SnapLogic's missing-field behavior
+ */
+function readMember(object, key, node, scope, prefix = '') {
+  if (object === null || object === undefined) {
+    if (scope.nullSafe) return null;
+    throw new ExpressionEvaluationError(`Cannot read '${key}' of null`, node);
+  }
+
+  if ((typeof object === 'string' || Array.isArray(object)) && key === 'length') {
+    return object.length;
+  }
+  if (Array.isArray(object) || typeof object === 'string') {
+    const index = Number(key);
+    if (Number.isInteger(index)) {
+      const value = object[index < 0 ? object.length + index : index];
+      if (value !== undefined) return value;
+      if (scope.nullSafe) return null;
+      throw new ExpressionEvaluationError(`Index ${key} is out of range`, node);
+    }
+  }
+  if (isNamespace(object) && Object.prototype.hasOwnProperty.call(object, key)) {
+    return object[key];
+  }
+  if (isPlainObject(object) && Object.prototype.hasOwnProperty.call(object, key)) {
+    return object[key];
+  }
+
+  if (scope.nullSafe) return null;
+  throw new ExpressionEvaluationError(`'${prefix}${key}' was not found while evaluating the sub-expression`, node);
+}
+
+function evaluateCall(node, scope) {
+  const args = () => node.arguments.flatMap(arg => {
+    if (arg.type !== 'Spread') return [evaluate(arg, scope)];
+    const value = evaluate(arg.argument, scope);
+    if (!Array.isArray(value)) throw new ExpressionEvaluationError('Spread argument must be an array', arg);
+    return value;
+  });
+
+  if (node.callee.type === 'Member' && !node.callee.computed) {
+    const receiver = evaluate(node.callee.object, scope);
+    const name = node.callee.property;
+
+    if ((receiver === null || receiver === undefined) && (node.callee.optional || node.optional)) {
+      return null;
+    }
+    if (isNamespace(receiver)) {
+      const fn = receiver[name];
+      if (typeof fn !== 'function') {
+        throw new ExpressionEvaluationError(`${receiver[NAMESPACE]}.${name}() is not available`, node.callee);
+      }
+      return fn(...args());
+    }
+
+    const method = methodsFor(receiver)[name];
+    if (!method) {
+      throw new ExpressionEvaluationError(
+        `${receiver === null || receiver === undefined ? 'null' : typeName(receiver)} has no method '${name}'`,
+        node.callee
+      );
+    }
+    return method(receiver, ...args());
+  }
+
+  const fn = evaluate(node.callee, scope);
+  if (typeof fn !== 'function') {
+    if ((fn === null || fn === undefined) && node.optional) return null;
+    throw new ExpressionEvaluationError('Expression is not a function', node.callee);
+  }
+  return fn(...args());
+}
+
+function evaluateBinary(node, left, right) {
+  switch (node.operator) {
+    case '+': {
+      const result = left + right;
+      if (typeof result === 'string') checkLength(result.length, node);
+      return result;
+    }
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '%': return left % right;
+    case '==': return sameValue(left, right) || left == right;
+    case '!=': return !(sameValue(left, right) || left == right);
+    case '===': return sameValue(left, right) || left === right;
+    case '!==': return !(sameValue(left, right) || left === right);
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case 'in':
+      if (right === null || typeof right !== 'object') throw new ExpressionEvaluationError("Right side of 'in' must be an object or array", node);
+      return Object.prototype.hasOwnProperty.call(right, left);
+    default:
+      throw new ExpressionEvaluationError(`Unsupported operator ${node.operator}`, node);
+  }
+}
+
+/**
+ * Dates compare by time, as in SnapLogic
+ */
+function sameValue(left, right) {
+  return left instanceof Date && right instanceof Date && left.getTime() === right.getTime();
+}
+
+function checkLength(length, node) {
+  if (length > MAX_STRING_LENGTH) {
+    throw new ExpressionEvaluationError(`Result longer than ${MAX_STRING_LENGTH} characters`, node);
+  }
+}
+
+function limitCount(count) {
+  const value = Number(count) || 0;
+  if (value > MAX_STRING_LENGTH) {
+    throw new ExpressionEvaluationError(`Count ${value} exceeds ${MAX_STRING_LENGTH}`);
+  }
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Function library
+
+const NAMESPACE = Symbol('namespace');
+
+function namespace(name, members) {
+  return Object.freeze({ [NAMESPACE]: name, ...members });
+}
+
+function isNamespace(value) {
+  return Boolean(value && value[NAMESPACE]);
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const date = new Date(typeof value === 'number' ? value : Date.parse(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toCallback(fn, name) {
+  if (typeof fn !== 'function') {
+    throw new ExpressionEvaluationError(`${name}() needs a function argument, e.g. x => x.value`);
+  }
+  return fn;
+}
+
+const NAMESPACES = {
+  Math: namespace('Math', {
+    PI: Math.PI,
+    E: Math.E,
+    abs: Math.abs,
+    ceil: Math.ceil,
+    floor: Math.floor,
+    round: Math.round,
+    trunc: Math.trunc,
+    sign: Math.sign,
+    sqrt: Math.sqrt,
+    pow: Math.pow,
+    log: Math.log,
+    exp: Math.exp,
+    max: Math.max,
+    min: Math.min,
+    random: Math.random
+  }),
+  Date: namespace('Date', {
+    now: () => new Date(),
+    parse: value => toDate(value),
+    UTC: (...args) => new Date(Date.UTC(...args))
+  }),
+  JSON: namespace('JSON', {
+    parse: text => JSON.parse(text),
+    stringify: (value, replacer, indent) => JSON.stringify(toPlainValue(value), null, indent)
+  })
+};
+
+const GLOBAL_FUNCTIONS = {
+  parseInt: (value, radix) => parseInt(value, radix),
+  parseFloat: value => parseFloat(value),
+  isNaN: value => Number.isNaN(Number(value)),
+  String: value => (value === null || value === undefined ? String(value) : value instanceof Date ? value.toISOString() : String(value)),
+  Number: value => Number(value),
+  Boolean: value => Boolean(value),
+  encodeURIComponent: value => encodeURIComponent(value),
+  decodeURIComponent: value => decodeURIComponent(value),
+  jsonPath: (value, path) => jsonPath(value, path)
+};
+
+const STRING_METHODS = {
+  length: s => s.length,
+  contains: (s, value) => s.includes(value),
+  includes: (s, value) => s.includes(value),
+  indexOf: (s, value, from) => s.indexOf(value, from),
+  lastIndexOf: (s, value, from) => s.lastIndexOf(value, from ?? Infinity),
+  charAt: (s, index) => s.charAt(index),
+  charCodeAt: (s, index) => s.charCodeAt(index),
+  substring: (s, start, end) => s.substring(start, end),
+  substr: (s, start, length) => s.substr(start, length),
+  slice: (s, start, end) => s.slice(start, end),
+  toUpperCase: s => s.toUpperCase(),
+  toLowerCase: s => s.toLowerCase(),
+  trim: s => s.trim(),
+  trimStart: s => s.trimStart(),
+  trimEnd: s => s.trimEnd(),
+  trimLeft: s => s.trimStart(),
+  trimRight: s => s.trimEnd(),
+  replace: (s, pattern, replacement) => s.replace(pattern, replacement),
+  replaceAll: (s, pattern, replacement) => (pattern instanceof RegExp ? s.replace(pattern, replacement) : s.split(pattern).join(replacement)),
+  split: (s, separator, limit) => s.split(separator, limit),
+  startsWith: (s, value) => s.startsWith(value),
+  endsWith: (s, value) => s.endsWith(value),
+  match: (s, pattern) => s.match(pattern),
+  search: (s, pattern) => s.search(pattern),
+  padStart: (s, length, fill) => s.padStart(limitCount(length), fill),
+  padEnd: (s, length, fill) => s.padEnd(limitCount(length), fill),
+  repeat: (s, count) => {
+    limitCount(s.length * count);
+    return s.repeat(count);
+  },
+  concat: (s, ...values) => s.concat(...values),
+  localeCompare: (s, other) => s.localeCompare(other),
+  toString: s => s
+};
+
+const NUMBER_METHODS = {
+  toFixed: (n, digits) => n.toFixed(digits),
+  toPrecision: (n, digits) => n.toPrecision(digits),
+  toExponential: (n, digits) => n.toExponential(digits),
+  toString: (n, radix) => n.toString(radix)
+};
+
+const ARRAY_METHODS = {
+  length: a => a.length,
+  map: (a, fn) => a.map((item, index) => toCallback(fn, 'map')(item, index)),
+  filter: (a, fn) => a.filter((item, index) => toCallback(fn, 'filter')(item, index)),
+  reduce: (a, fn, ...initial) => a.reduce((acc, item, index) => toCallback(fn, 'reduce')(acc, item, index), ...initial),
+  find: (a, fn) => a.find((item, index) => toCallback(fn, 'find')(item, index)) ?? null,
+  findIndex: (a, fn) => a.findIndex((item, index) => toCallback(fn, 'findIndex')(item, index)),
+  some: (a, fn) => a.some((item, index) => toCallback(fn, 'some')(item, index)),
+  every: (a, fn) => a.every((item, index) => toCallback(fn, 'every')(item, index)),
+  indexOf: (a, value) => a.indexOf(value),
+  includes: (a, value) => a.includes(value),
+  contains: (a, value) => a.includes(value),
+  join: (a, separator) => a.join(separator),
+  concat: (a, ...values) => a.concat(...values),
+  slice: (a, start, end) => a.slice(start, end),
+  sort: (a, fn) => [...a].sort(fn ? (x, y) => toCallback(fn, 'sort')(x, y) : undefined),
+  reverse: a => [...a].reverse(),
+  toString: a => a.join(',')
+};
+
+const OBJECT_METHODS = {
+  get: (o, key, fallback = null) => (Object.prototype.hasOwnProperty.call(o, key) ? o[key] : fallback),
+  hasOwnProperty: (o, key) => Object.prototype.hasOwnProperty.call(o, key),
+  keys: o => Object.keys(o),
+  values: o => Object.values(o),
+  entries: o => Object.entries(o),
+  toString: o => JSON.stringify(o)
+};
+
+const DATE_METHODS = {
+  getTime: d => d.getTime(),
+  getFullYear: d => d.getUTCFullYear(),
+  getMonth: d => d.getUTCMonth(),
+  getDate: d => d.getUTCDate(),
+  getDay: d => d.getUTCDay(),
+  getHours: d => d.getUTCHours(),
+  getMinutes: d => d.getUTCMinutes(),
+  getSeconds: d => d.getUTCSeconds(),
+  getMilliseconds: d => d.getUTCMilliseconds(),
+  toISOString: d => d.toISOString(),
+  toString: d => d.toISOString(),
+  toLocaleDateString: (d, options) => formatDate(d, options, 'toLocaleDateString', 'M/d/yyyy'),
+  toLocaleTimeString: (d, options) => formatDate(d, options, 'toLocaleTimeString', 'h:mm:ss a'),
+  toLocaleDateTimeString: (d, options) => formatDate(d, options, 'toLocaleDateTimeString', "yyyy-MM-dd'T'HH:mm:ss.SSS"),
+  plusDays: (d, n) => new Date(d.getTime() + n * 86400000),
+  plusHours: (d, n) => new Date(d.getTime() + n * 3600000),
+  plusMinutes: (d, n) => new Date(d.getTime() + n * 60000),
+  plusSeconds: (d, n) => new Date(d.getTime() + n * 1000),
+  plusMillis: (d, n) => new Date(d.getTime() + n),
+  minusDays: (d, n) => new Date(d.getTime() - n * 86400000),
+  minusHours: (d, n) => new Date(d.getTime() - n * 3600000),
+  minusMinutes: (d, n) => new Date(d.getTime() - n * 60000),
+  minusSeconds: (d, n) => new Date(d.getTime() - n * 1000),
+  minusMillis: (d, n) => new Date(d.getTime() - n)
+};
+
+const DATE_FORMAT_OPTIONS = ['format', 'timeZone', 'locale'];
+
+/**
+ * Text of a date for the toLocale*String methods
+ * options.format is a Java-style pattern (yyyy, yy, M, MM, MMM, MMMM, d, dd, E, EEEE, H, HH, h, hh,
+ * m, mm, s, ss, S, SSS, a, Z, X, XXX and 'quoted text'), options.timeZone an IANA zone (default
+ * UTC) and options.locale the language of month and day names (default en-US).
+ */
+function formatDate(d, options = {}, method, defaultFormat) {
+  if (!isPlainObject(options)) {
+    throw new ExpressionEvaluationError(`${method}() takes an options object, e.g. {"format": "yyyy-MM-dd", "timeZone": "UTC"}`);
+  }
+  const unknown = Object.keys(options).filter(key => !DATE_FORMAT_OPTIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new ExpressionEvaluationError(`${method}() does not support option ${unknown.join(', ')} (supported: ${DATE_FORMAT_OPTIONS.join(', ')})`);
+  }
+  if (Number.isNaN(d.getTime())) return 'Invalid Date';
+
+  const { format = defaultFormat, timeZone = 'UTC', locale = 'en-US' } = options;
+  let offset;
+  try {
+    offset = zoneOffset(d, timeZone);
+  } catch (error) {
+    throw new ExpressionEvaluationError(`${method}(): unknown timeZone "${timeZone}"`);
+  }
+  // Reading the shifted date in UTC gives the wall-clock fields of the zone
+  const local = new Date(d.getTime() + offset);
+  const name = (field, style) => {
+    try {
+      return new Intl.DateTimeFormat(locale, { [field]: style, timeZone: 'UTC' }).format(local);
+    } catch (error) {
+      throw new ExpressionEvaluationError(`${method}(): unknown locale "${locale}"`);
+    }
+  };
+  const pad = (value, width) => String(value).padStart(width, '0');
+  // X alone leaves out zero minutes (+01, but +0530)
+  const offsetText = (separator, withMinutes = true) => {
+    const minutes = Math.round(Math.abs(offset) / 60000);
+    const hours = `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60), 2)}`;
+    return withMinutes || minutes % 60 !== 0 ? `${hours}${separator}${pad(minutes % 60, 2)}` : hours;
+  };
+
+  return String(format).replace(/'([^']*)'|([A-Za-z])\2*/g, (text, quoted, letter) => {
+    if (quoted !== undefined) return quoted === '' ? "'" : quoted;
+
+    const count = text.length;
+    switch (letter) {
+      case 'y': return count === 2 ? pad(local.getUTCFullYear() % 100, 2) : pad(local.getUTCFullYear(), count);
+      case 'M': return count >= 4 ? name('month', 'long') : count === 3 ? name('month', 'short') : pad(local.getUTCMonth() + 1, count);
+      case 'd': return pad(local.getUTCDate(), count);
+      case 'E': return name('weekday', count >= 4 ? 'long' : 'short');
+      case 'H': return pad(local.getUTCHours(), count);
+      case 'h': return pad(local.getUTCHours() % 12 || 12, count);
+      case 'm': return pad(local.getUTCMinutes(), count);
+      case 's': return pad(local.getUTCSeconds(), count);
+      case 'S': return pad(local.getUTCMilliseconds(), 3).slice(0, count).padEnd(count, '0');
+      case 'a': return local.getUTCHours() < 12 ? 'AM' : 'PM';
+      case 'Z': return offsetText('');
+      case 'X': return offset === 0 ? 'Z' : offsetText(count >= 3 ? ':' : '', count > 1);
+      default:
+        throw new ExpressionEvaluationError(`${method}(): unsupported format letter '${letter}' in "${format}"`);
+    }
+  });
+}
+
+/**
+ * Milliseconds to add to a UTC time to get the wall-clock time in the zone
+ */
+function zoneOffset(d, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(d).map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (d.getTime() - d.getUTCMilliseconds());
+}
+
+const BOOLEAN_METHODS = {
+  toString: b => String(b)
+};
+
+function methodsFor(value) {
+  if (typeof value === 'string') return STRING_METHODS;
+  if (typeof value === 'number') return NUMBER_METHODS;
+  if (typeof value === 'boolean') return BOOLEAN_METHODS;
+  if (Array.isArray(value)) return ARRAY_METHODS;
+  if (value instanceof Date) return DATE_METHODS;
+  if (isPlainObject(value)) return OBJECT_METHODS;
+  return {};
+}
+
+function typeName(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regex';
+  return typeof value;
+}
+
+/**
+ * Minimal JSONPath: $, .key, ['key'], [index] and [*]
+ */
+function jsonPath(value, path) {
+  const segments = [...String(path).replace(/^\$/, '').matchAll(/\.([^.[\]]+)|\[(\d+|\*)\]|\[(['"])(.*?)\3\]/g)]
+    .map(match => match[1] ?? match[4] ?? match[2]);
+
+  let nodes = [value];
+  let wildcard = false;
+  for (const segment of segments) {
+    const next = [];
+    for (const node of nodes) {
+      if (segment === '*') {
+        wildcard = true;
+        if (Array.isArray(node)) next.push(...node);
+        else if (isPlainObject(node)) next.push(...Object.values(node));
+      } else if (node !== null && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, segment)) {
+        next.push(node[segment]);
+      }
+    }
+    nodes = next;
+  }
+
+  return wildcard ? nodes : nodes[0] ?? null;
+}
+
+/**
+ * Convert evaluation results to JSON-compatible values (dates → ISO strings)
+ */
+function toPlainValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof RegExp) return String(value);
+  if (typeof value === 'function') return null;
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainValue(item)]));
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !isNamespace(value);
+}
@@ -0,0 +1,79 @@
+/**
+ * Shared building blocks for the SnapLogic MCP servers
+ */
+
+export { SnapLogicClient, DEFAULT_CLIENT_OPTIONS, clientOptionsFromEnv, parseRetryAfter } from './client.js';
+export {
+  SnapLogicApiError,
+  AuthError,
+  GitHubAuthRequiredError,
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+  ServerError
+} from './errors.js';
+export { FileLogger, nullLogger } from './logger.js';
+export { resolveCredentials, createAuthProvider, OAuthClientCredentials, AUTH_TYPES } from './credentials.js';
+export { redact, registerSecret } from './redact.js';
+export { scanPlaintextSecrets, formatSecretFindings } from './secret-scan.js';
+export { ProfileRegistry, ENV_PROFILE, ENV_FIELDS, requireProfileFields } from './profiles.js';
+export { createMockTransport } from './mock-transport.js';
+
+// Snap catalog, expressions and pipeline documents, shared by the schema and git servers
+export {
+  SchemaCache,
+  buildSettingDefaults,
+  compactSettingsMap,
+  editDistance,
+  findAccountTypes,
+  findSettingsSchema
+} from './cache.js';
+export { CacheStore, CACHE_FORMAT_VERSION } from './cache-store.js';
+export { SnapValidator, pointer } from './validator.js';
+export {
+  ExpressionSyntaxError,
+  UnsupportedExpressionError,
+  ExpressionEvaluationError,
+  parseExpression,
+  checkExpression,
+  evaluateExpression,
+  compileExpression,
+  expressionReferences
+} from './expression.js';
+export {
+  PipelineValidator,
+  PIPELINE_CLASS_ID,
+  REQUIRED_PIPELINE_FIELDS,
+  REQUIRED_INFO_FIELDS,
+  declaresView,
+  forEachExpression
+} from './pipeline-validator.js';
+export {
+  PipelineBuilder,
+  PIPELINE_CLASS_VERSION,
+  formatPipeline,
+  inferViewTypes,
+  instanceId,
+  layoutPipeline,
+  mergeSettings,
+  nextLinkId,
+  placeSnaps,
+  syncPipelineViews,
+  viewDeclaration
+} from './pipeline-builder.js';
+export {
+  GRAPH_FORMATS,
+  PIPELINE_EXECUTE_CLASS_ID,
+  buildPipelineGraph,
+  declaredParameters,
+  formatPipelineGraph,
+  loadPipelineDirectory,
+  summarizePipelineGraph
+} from './pipeline-graph.js';
+export {
+  extractAccountRefs,
+  relativeAccountPath,
+  resolveAccountPath,
+  resolveAccountRefs,
+  summarizeAccountRefs
+} from './account-refs.js';
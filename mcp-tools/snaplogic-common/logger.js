@@ -0,0 +1,49 @@
+/**
+ * Request logging to a file
+ * MCP servers talk JSON-RPC over stdio, so logs must never go to stdout/stderr.
+ */
+
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+
+export class FileLogger {
+  /**
+   * @param {string|null} filePath - log file; null disables logging
+   */
+  constructor(filePath) {
+    this.filePath = filePath || null;
+    this.ready = null;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Append one JSON line; write failures are ignored so logging can never break a request
+   */
+  log(event, fields = {}) {
+    if (!this.filePath) return;
+
+    const line = JSON.stringify({ time: new Date().toISOString(), event, ...fields }) + '\n';
+
+    if (!this.ready) {
+      this.ready = mkdir(path.dirname(this.filePath), { recursive: true }).catch(() => {});
+    }
+
+    // Chain writes so lines keep their order
+    this.pending = this.pending
+      .then(() => this.ready)
+      .then(() => appendFile(this.filePath, line))
+      .catch(() => {});
+  }
+
+  /**
+   * Resolve once every queued line is written
+   */
+  flush() {
+    return this.pending;
+  }
+}
+
+/**
+ * Logger that drops everything
+ */
+export const nullLogger = new FileLogger(null);
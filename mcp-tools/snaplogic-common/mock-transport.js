@@ -0,0 +1,77 @@
+/**
+ * In-memory stand-in for the SnapLogic REST API
+ * Pass the result as `transport` to SnapLogicClient to run a server without network access.
+ */
+
+import { STATUS_CODES } from 'http';
+import { Response } from 'node-fetch';
+
+/**
+ * Build a fetch-compatible transport from route handlers
+ *
+ * @param {object} routes - keys are "METHOD /path" (a trailing * matches any suffix);
+ *   values are a response spec or a function (request) => spec, where a spec is
+ *   {status?, headers?, body?} or any other value to send as a 200 JSON body
+ * @returns {Function} transport with a `calls` array recording every request
+ */
+export function createMockTransport(routes = {}) {
+  const calls = [];
+
+  const transport = async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const method = (init.method || 'GET').toUpperCase();
+    const request = {
+      method,
+      url,
+      path: pathname,
+      query: Object.fromEntries(searchParams),
+      headers: init.headers || {},
+      body: parseBody(init.body)
+    };
+    calls.push(request);
+
+    const handler = findRoute(routes, method, pathname);
+    if (!handler) {
+      return toResponse({ status: 404, body: { response_map: { error_list: [{ message: `No mock route for ${method} ${pathname}` }] } } });
+    }
+
+    const spec = typeof handler === 'function' ? await handler(request) : handler;
+    return toResponse(spec);
+  };
+
+  transport.calls = calls;
+  return transport;
+}
+
+function findRoute(routes, method, pathname) {
+  const exact = routes[`${method} ${pathname}`];
+  if (exact !== undefined) return exact;
+
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    if (routeMethod === method && routePath.endsWith('*') && pathname.startsWith(routePath.slice(0, -1))) {
+      return handler;
+    }
+  }
+  return undefined;
+}
+
+function toResponse(spec) {
+  const isSpec = spec && typeof spec === 'object' && ('status' in spec || 'body' in spec || 'headers' in spec);
+  const { status = 200, headers = {}, body = null } = isSpec ? spec : { body: spec };
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return new Response(text, {
+    status,
+    statusText: STATUS_CODES[status],
+    headers: { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json', ...headers }
+  });
+}
+
+function parseBody(body) {
+  if (typeof body !== 'string') return body ?? null;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
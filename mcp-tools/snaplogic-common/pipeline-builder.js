@@ -0,0 +1,512 @@
+/**
+ * Pipeline builder for Designer-compatible .slp documents
+ * Produces the structure of examples/2-snap-pipeline.slp from a compact snap list or DAG
+ */
+
+import { buildSettingDefaults } from './cache.js';
+import { PIPELINE_CLASS_ID } from './pipeline-validator.js';
+
+export const PIPELINE_CLASS_VERSION = 9;
+
+const INSTANCE_ID_PREFIX = '11111111-1111-1111-1111-';
+const LINK_ID_BASE = 100;
+const GRID_START_X = 2;
+const GRID_START_Y = 1;
+
+// Info values for a spec that leaves them out; the validator requires author, notes and purpose
+const DEFAULT_PIPELINE_LABEL = 'New Pipeline';
+const DEFAULT_AUTHOR = 'snaplogic-schema';
+
+/**
+ * Sequential instance id: 11111111-1111-1111-1111-000000000003 for index 3
+ */
+export function instanceId(index) {
+  return INSTANCE_ID_PREFIX + String(index).padStart(12, '0');
+}
+
+/**
+ * A view declaration as it appears in property_map.input/output/error
+ */
+export function viewDeclaration(label, viewType = 'document') {
+  return {
+    label: { value: label },
+    view_type: { value: viewType }
+  };
+}
+
+/**
+ * Guess binary vs document views from the class_id
+ * Parsers read binary, formatters write binary, binary-category readers/writers move files
+ */
+export function inferViewTypes(classId) {
+  const id = classId.toLowerCase();
+  const types = { input: 'document', output: 'document' };
+
+  if (id.includes('parser')) types.input = 'binary';
+  if (id.includes('formatter')) types.output = 'binary';
+
+  if (id.startsWith('com-snaplogic-snaps-binary-')) {
+    if (id.includes('read')) {
+      types.output = 'binary';
+    } else if (id.includes('write')) {
+      types.input = 'binary';
+    } else {
+      types.input = 'binary';
+      types.output = 'binary';
+    }
+  }
+
+  return types;
+}
+
+/**
+ * Next free link id (link100, link101, ...)
+ */
+export function nextLinkId(pipeline) {
+  let max = LINK_ID_BASE - 1;
+  for (const linkId of Object.keys(pipeline.link_map || {})) {
+    const match = linkId.match(/^link(\d+)$/);
+    if (match) max = Math.max(max, Number(match[1]));
+  }
+  return `link${max + 1}`;
+}
+
+/**
+ * Recompute render_map grid positions from link_map
+ * Snaps are placed left to right by their longest path from a source, and
+ * stacked vertically within a column; extra output views get a dy offset so
+ * Designer shows them.
+ */
+export function layoutPipeline(pipeline) {
+  const snapIds = Object.keys(pipeline.snap_map || {});
+  const links = Object.values(pipeline.link_map || {});
+  const depth = new Map(snapIds.map(id => [id, 0]));
+
+  // Longest-path layering; bounded passes also terminate on accidental cycles
+  for (let pass = 0; pass < snapIds.length; pass++) {
+    let changed = false;
+    for (const link of links) {
+      if (!depth.has(link.src_id) || !depth.has(link.dst_id)) continue;
+      const candidate = depth.get(link.src_id) + 1;
+      if (candidate > depth.get(link.dst_id)) {
+        depth.set(link.dst_id, candidate);
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+
+  const renderMap = pipeline.render_map || {};
+  const previous = renderMap.detail_map || {};
+  const detailMap = {};
+  const rowsUsed = new Map(); // column → rows used
+
+  for (const snapId of snapIds) {
+    const column = depth.get(snapId);
+    const row = rowsUsed.get(column) || 0;
+    rowsUsed.set(column, row + 1);
+
+    const outputs = Object.keys(pipeline.snap_map[snapId].property_map?.output || {});
+    const outputLayout = {};
+    outputs.slice(1).forEach((viewId, index) => {
+      outputLayout[viewId] = { dx_int: 0, dy_int: index + 1, rot_int: 0 };
+    });
+
+    detailMap[snapId] = {
+      error: {},
+      index: null,
+      input: {},
+      recommendation_id: null,
+      rot_int: 0,
+      rot_tail_int: 0,
+      source: 'snap category',
+      ...previous[snapId],
+      grid_x_int: GRID_START_X + column,
+      grid_y_int: GRID_START_Y + row,
+      output: outputLayout
+    };
+  }
+
+  pipeline.render_map = {
+    default_snaplex: null,
+    pan_x_num: 0,
+    pan_y_num: 0,
+    scale_ratio: 1,
+    ...renderMap,
+    detail_map: detailMap
+  };
+  return pipeline;
+}
+
+/**
+ * Give snapIds a grid position without moving any other snap
+ * A snap goes one column right of its furthest placed upstream snap, on that
+ * snap's row, else where layoutPipeline would put it; taken cells push it down.
+ * A pipeline without a layout is laid out from scratch.
+ */
+export function placeSnaps(pipeline, snapIds) {
+  const detailMap = pipeline.render_map?.detail_map;
+  if (!isPlainObject(detailMap)) {
+    return layoutPipeline(pipeline);
+  }
+
+  const layout = layoutPipeline(JSON.parse(JSON.stringify(pipeline))).render_map.detail_map;
+  const cell = entry => `${entry.grid_x_int},${entry.grid_y_int}`;
+  const occupied = new Set(
+    Object.entries(detailMap).filter(([snapId]) => !snapIds.includes(snapId)).map(([, entry]) => cell(entry))
+  );
+
+  for (const snapId of snapIds) {
+    const entry = { ...layout[snapId], ...detailMap[snapId], output: layout[snapId].output };
+    const upstream = Object.values(pipeline.link_map || {})
+      .filter(link => link.dst_id === snapId && !snapIds.includes(link.src_id) && detailMap[link.src_id])
+      .map(link => detailMap[link.src_id])
+      .sort((a, b) => b.grid_x_int - a.grid_x_int)[0];
+    const anchor = upstream ? { grid_x_int: upstream.grid_x_int + 1, grid_y_int: upstream.grid_y_int } : layout[snapId];
+
+    entry.grid_x_int = anchor.grid_x_int;
+    entry.grid_y_int = anchor.grid_y_int;
+    while (occupied.has(cell(entry))) entry.grid_y_int++;
+    occupied.add(cell(entry));
+    detailMap[snapId] = entry;
+  }
+  return pipeline;
+}
+
+/**
+ * Recompute pipeline-level property_map.input/output
+ * Every snap view not connected by a link is exposed as <instance_id>_<view_id>
+ */
+export function syncPipelineViews(pipeline) {
+  const linkedOutputs = new Set();
+  const linkedInputs = new Set();
+  for (const link of Object.values(pipeline.link_map || {})) {
+    linkedOutputs.add(`${link.src_id}_${link.src_view_id}`);
+    linkedInputs.add(`${link.dst_id}_${link.dst_view_id}`);
+  }
+
+  const propertyMap = pipeline.property_map || (pipeline.property_map = {});
+  const exposed = { input: {}, output: {} };
+
+  for (const [snapId, snap] of Object.entries(pipeline.snap_map || {})) {
+    const label = snap.property_map?.info?.label?.value || snapId;
+
+    for (const [viewKind, linked, suffix] of [
+      ['input', linkedInputs, 'Input'],
+      ['output', linkedOutputs, 'Output']
+    ]) {
+      for (const [viewId, view] of Object.entries(snap.property_map?.[viewKind] || {})) {
+        const key = `${snapId}_${viewId}`;
+        if (linked.has(key)) continue;
+
+        const previous = propertyMap[viewKind]?.[key];
+        exposed[viewKind][key] = previous || viewDeclaration(
+          viewId === `${viewKind}0` ? `${label} ${suffix}` : `${label} ${viewId}`,
+          view.view_type?.value || 'document'
+        );
+      }
+    }
+  }
+
+  propertyMap.input = exposed.input;
+  propertyMap.output = exposed.output;
+  return pipeline;
+}
+
+/**
+ * Serialize like Designer exports: sorted keys, 4-space indentation
+ */
+export function formatPipeline(pipeline) {
+  return JSON.stringify(sortKeys(pipeline), null, 4) + '\n';
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== 'object') return value;
+
+  const sorted = {};
+  for (const key of Object.keys(value).sort()) {
+    sorted[key] = sortKeys(value[key]);
+  }
+  return sorted;
+}
+
+export class PipelineBuilder {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  /**
+   * Build a complete pipeline
+   *
+   * @param {object} spec
+   * @param {string} [spec.label] - pipeline label, default "New Pipeline"
+   * @param {string} [spec.author] - default "snaplogic-schema"
+   * @param {string} [spec.notes] - default lists the snap labels
+   * @param {string} [spec.purpose] - default is the pipeline label
+   * @param {Array<{key: string, value: *}>} [spec.parameters] - pipeline parameters
+   * @param {Array<object>} spec.snaps - {class_id, key?, label?, notes?, settings?, inputs?, outputs?, error_view?}
+   * @param {Array<object>} [spec.links] - {from, to, from_view?, to_view?}; omitted = sequential chain
+   */
+  build(spec) {
+    if (!Array.isArray(spec?.snaps) || spec.snaps.length === 0) {
+      throw new Error('snaps must be a non-empty array');
+    }
+
+    const keys = this.resolveKeys(spec.snaps);
+    const links = this.resolveLinks(spec, keys);
+
+    const pipeline = {
+      class_id: PIPELINE_CLASS_ID,
+      class_version: PIPELINE_CLASS_VERSION,
+      link_map: {},
+      property_map: buildPipelineProperties(spec, this.snapLabels(spec.snaps)),
+      render_map: {},
+      snap_map: {}
+    };
+
+    spec.snaps.forEach((snapSpec, index) => {
+      const snapLinks = {
+        inputs: links.filter(link => link.to === index).map(link => link.to_view),
+        outputs: links.filter(link => link.from === index).map(link => link.from_view)
+      };
+      pipeline.snap_map[instanceId(index)] = this.buildSnap(snapSpec, index, snapLinks);
+    });
+
+    links.forEach(link => {
+      pipeline.link_map[nextLinkId(pipeline)] = {
+        dst_id: instanceId(link.to),
+        dst_view_id: link.to_view,
+        src_id: instanceId(link.from),
+        src_view_id: link.from_view
+      };
+    });
+
+    syncPipelineViews(pipeline);
+    layoutPipeline(pipeline);
+    return pipeline;
+  }
+
+  /**
+   * Map snap keys (explicit key, else label) to indexes
+   */
+  resolveKeys(snaps) {
+    const keys = new Map();
+    snaps.forEach((snap, index) => {
+      if (!snap?.class_id) {
+        throw new Error(`snaps[${index}]: class_id is required`);
+      }
+      const key = snap.key ?? snap.label;
+      if (key === undefined) return;
+      if (keys.has(key)) {
+        throw new Error(`snaps[${index}]: duplicate snap key "${key}"`);
+      }
+      keys.set(key, index);
+    });
+    return keys;
+  }
+
+  /**
+   * Normalize links to {from, to, from_view, to_view} with snap indexes
+   * Links without explicit views get the next free view on each side
+   * (output0, output1, ... for Copy/Router; input0, input1, ... for Union/Join)
+   */
+  resolveLinks(spec, keys) {
+    const rawLinks = spec.links ?? spec.snaps.slice(1).map((_, index) => ({
+      from: index,
+      to: index + 1
+    }));
+
+    const resolve = (ref, field, linkIndex) => {
+      const index = typeof ref === 'number' ? ref : keys.get(ref);
+      if (!Number.isInteger(index) || index < 0 || index >= spec.snaps.length) {
+        throw new Error(`links[${linkIndex}].${field}: unknown snap "${ref}"`);
+      }
+      return index;
+    };
+
+    const usedViews = new Map(); // "<index>:<kind>" → Set of view ids
+    const take = (index, kind, explicit) => {
+      const slot = `${index}:${kind}`;
+      if (!usedViews.has(slot)) usedViews.set(slot, new Set());
+      const used = usedViews.get(slot);
+
+      let viewId = explicit;
+      if (!viewId) {
+        let n = 0;
+        while (used.has(`${kind}${n}`)) n++;
+        viewId = `${kind}${n}`;
+      }
+      used.add(viewId);
+      return viewId;
+    };
+
+    // Reserve explicit view ids first so automatic ones never collide with them
+    rawLinks.forEach((link, linkIndex) => {
+      if (link.from_view) take(resolve(link.from, 'from', linkIndex), 'output', link.from_view);
+      if (link.to_view) take(resolve(link.to, 'to', linkIndex), 'input', link.to_view);
+    });
+
+    return rawLinks.map((link, linkIndex) => {
+      const from = resolve(link.from, 'from', linkIndex);
+      const to = resolve(link.to, 'to', linkIndex);
+      if (from === to) {
+        throw new Error(`links[${linkIndex}]: a snap cannot link to itself`);
+      }
+      return {
+        from,
+        to,
+        from_view: link.from_view || take(from, 'output'),
+        to_view: link.to_view || take(to, 'input')
+      };
+    });
+  }
+
+  /**
+   * Labels the snaps will get: the spec label, else the catalog name
+   */
+  snapLabels(snapSpecs) {
+    return snapSpecs.map(snapSpec => snapSpec.label || this.cache.getSnapInfo(snapSpec.class_id)?.name || snapSpec.class_id);
+  }
+
+  /**
+   * Build one snap_map entry with schema defaults and declared views
+   */
+  buildSnap(snapSpec, index, snapLinks) {
+    const snapInfo = this.cache.getSnapInfo(snapSpec.class_id);
+    if (!snapInfo) {
+      throw new Error(`snaps[${index}]: unknown snap ${snapSpec.class_id}`);
+    }
+
+    const specs = this.cache.getSettingsSchema(snapSpec.class_id) || {};
+    const settings = mergeSettings(buildSettingDefaults(specs), snapSpec.settings || {}, specs);
+    const viewTypes = inferViewTypes(snapSpec.class_id);
+
+    const propertyMap = {
+      error: {
+        error_behavior: { value: 'fail' }
+      },
+      info: {
+        label: { value: snapSpec.label || snapInfo.name }
+      },
+      input: buildViews('input', snapSpec.inputs, snapLinks.inputs, viewTypes.input),
+      output: buildViews('output', snapSpec.outputs, snapLinks.outputs, viewTypes.output),
+      settings,
+      view_serial: 100
+    };
+
+    if (snapSpec.error_view !== false) {
+      propertyMap.error.error0 = viewDeclaration('error0');
+    }
+    if (snapSpec.notes) {
+      propertyMap.info.notes = { value: snapSpec.notes };
+    }
+
+    return {
+      class_id: snapSpec.class_id,
+      class_version: snapInfo.version,
+      instance_id: instanceId(index),
+      property_map: propertyMap
+    };
+  }
+}
+
+/**
+ * Pipeline-level property_map, matching the Designer defaults in examples/
+ */
+function buildPipelineProperties(spec, snapLabels) {
+  const label = spec.label || DEFAULT_PIPELINE_LABEL;
+
+  return {
+    error: {
+      error_behavior: { value: 'none' }
+    },
+    info: {
+      author: { value: spec.author || DEFAULT_AUTHOR },
+      label: { value: label },
+      notes: { value: spec.notes || `Snaps: ${snapLabels.join(', ')}` },
+      pipeline_doc_uri: { value: null },
+      purpose: { value: spec.purpose || label }
+    },
+    input: {},
+    output: {},
+    settings: {
+      cache_pipelines: { value: [] },
+      error_param_table: { value: [] },
+      error_pipeline: { expression: false, value: null },
+      imports: { value: [] },
+      param_table: {
+        value: (spec.parameters || []).map(param => ({
+          key: { value: param.key },
+          value: { value: param.value ?? '' }
+        }))
+      },
+      suspendable: { value: false },
+      test_pipeline: { value: false }
+    }
+  };
+}
+
+/**
+ * Declare views: an explicit count or list wins, otherwise the views used by
+ * links (at least output0 for outputs)
+ */
+function buildViews(kind, requested, linkedViews, viewType) {
+  let viewIds;
+  if (Array.isArray(requested)) {
+    viewIds = requested;
+  } else if (Number.isInteger(requested)) {
+    viewIds = Array.from({ length: requested }, (_, n) => `${kind}${n}`);
+  } else {
+    viewIds = [...new Set(linkedViews)].sort();
+    if (kind === 'output' && viewIds.length === 0) viewIds = ['output0'];
+  }
+
+  for (const viewId of linkedViews) {
+    if (!viewIds.includes(viewId)) viewIds.push(viewId);
+  }
+
+  const views = {};
+  for (const viewId of viewIds) {
+    views[viewId] = viewDeclaration(viewId, viewType);
+  }
+  return views;
+}
+
+/**
+ * Overlay user settings on defaults
+ * Values may be given raw (wrapped as {value}) or as {value, expression} wrappers;
+ * raw objects for composite settings and raw rows for tables are wrapped recursively.
+ */
+export function mergeSettings(defaults, overrides, specs) {
+  const merged = { ...defaults };
+
+  for (const [name, override] of Object.entries(overrides)) {
+    const spec = specs[name];
+
+    if (isSettingWrapper(override)) {
+      merged[name] = override;
+    } else if (spec?.properties && isPlainObject(override)) {
+      const nestedDefaults = isPlainObject(defaults[name]?.value) ? defaults[name].value : {};
+      merged[name] = { value: mergeSettings(nestedDefaults, override, spec.properties) };
+    } else if (spec?.type === 'table' && Array.isArray(override)) {
+      merged[name] = {
+        value: override.map(row => (isPlainObject(row) ? mergeSettings({}, row, spec.columns || {}) : row))
+      };
+    } else {
+      merged[name] = spec?.expression ? { expression: false, value: override } : { value: override };
+    }
+  }
+
+  return merged;
+}
+
+function isSettingWrapper(value) {
+  return isPlainObject(value) &&
+    'value' in value &&
+    Object.keys(value).every(key => key === 'value' || key === 'expression');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,441 @@
+/**
+ * Pipeline Execute call graph across a set of .slp pipelines
+ * Nodes are pipelines, edges are Pipeline Execute snaps with the parameters
+ * they pass. Reports cycles, calls to pipelines that are not in the set and
+ * parameter names that do not match the child's param_table.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { parseExpression } from './expression.js';
+
+export const PIPELINE_EXECUTE_CLASS_ID = 'com-snaplogic-snaps-flow-pipeexec';
+export const GRAPH_FORMATS = ['json', 'mermaid', 'dot'];
+
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Read every .slp file under a directory
+ *
+ * @returns {Promise<{pipelines: Array<{name, path, pipeline}>, errors: Array<{path, message}>}>}
+ *   names are file names without .slp; paths are relative to `dir`
+ */
+export async function loadPipelineDirectory(dir) {
+  const pipelines = [];
+  const errors = [];
+
+  const visit = async (current) => {
+    const entries = await readdir(current, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) await visit(fullPath);
+      } else if (entry.isFile() && entry.name.endsWith('.slp')) {
+        const relativePath = path.relative(dir, fullPath).split(path.sep).join('/');
+        try {
+          pipelines.push({
+            name: pipelineName(entry.name),
+            path: relativePath,
+            pipeline: JSON.parse(await readFile(fullPath, 'utf8'))
+          });
+        } catch (error) {
+          errors.push({ path: relativePath, message: error.message });
+        }
+      }
+    }
+  };
+  await visit(dir);
+
+  return { pipelines, errors };
+}
+
+/**
+ * Build the call graph
+ *
+ * @param {Array<{name: string, path?: string, pipeline: object}>} pipelines
+ * @param {object} [options]
+ * @param {string} [options.impact] - pipeline name; adds the pipelines that call it directly or indirectly
+ * @param {Array<{path, message}>} [options.unreadable] - pipelines that could not be loaded, reported as is
+ * @returns {object} {summary, pipelines, calls, cycles, missing, dynamic, parameter_mismatches, unreadable, impact?}
+ *   each call is {from, to, status (resolved|missing|dynamic), snap, instance_id, target, parameters}
+ */
+export function buildPipelineGraph(pipelines, options = {}) {
+  const nodes = pipelines.map(({ name, path: filePath, pipeline }) => ({
+    name: pipelineName(name),
+    path: filePath || null,
+    parameters: declaredParameters(pipeline),
+    calls: [],
+    called_by: []
+  }));
+
+  const graph = {
+    summary: {},
+    pipelines: nodes,
+    calls: [],
+    cycles: [],
+    missing: [],
+    dynamic: [],
+    parameter_mismatches: [],
+    unreadable: options.unreadable || []
+  };
+
+  pipelines.forEach(({ pipeline }, index) => {
+    const caller = nodes[index];
+
+    for (const [snapId, snap] of Object.entries(pipeline?.snap_map || {})) {
+      if (snap?.class_id !== PIPELINE_EXECUTE_CLASS_ID) continue;
+
+      const settings = snap.property_map?.settings || {};
+      const call = {
+        from: caller.name,
+        to: null,
+        status: 'resolved',
+        snap: snap.property_map?.info?.label?.value || snapId,
+        instance_id: snapId,
+        target: null,
+        parameters: passedParameters(settings)
+      };
+
+      const target = targetReference(settings.pipeline);
+      if (target.dynamic) {
+        call.status = 'dynamic';
+        call.target = target.expression;
+        graph.dynamic.push({ from: call.from, snap: call.snap, instance_id: snapId, expression: target.expression });
+        graph.calls.push(call);
+        continue;
+      }
+
+      call.target = target.reference;
+      const callee = findPipeline(nodes, target.reference);
+      if (!callee) {
+        call.status = 'missing';
+        call.to = target.reference ? pipelineName(target.reference) : null;
+        graph.missing.push({ from: call.from, to: call.to, snap: call.snap, instance_id: snapId });
+        graph.calls.push(call);
+        continue;
+      }
+
+      call.to = callee.name;
+      graph.calls.push(call);
+      if (!caller.calls.includes(callee.name)) caller.calls.push(callee.name);
+      if (!callee.called_by.includes(caller.name)) callee.called_by.push(caller.name);
+
+      const mismatch = compareParameters(call, callee);
+      if (mismatch) graph.parameter_mismatches.push(mismatch);
+    }
+  });
+
+  graph.cycles = findCycles(nodes);
+
+  if (options.impact) {
+    const node = findPipeline(nodes, options.impact);
+    if (!node) {
+      throw new Error(`No pipeline named "${options.impact}" in the graph`);
+    }
+    graph.impact = { pipeline: node.name, callers: transitiveCallers(nodes, node) };
+  }
+
+  graph.summary = {
+    pipelines: nodes.length,
+    calls: graph.calls.length,
+    cycles: graph.cycles.length,
+    missing: graph.missing.length,
+    dynamic: graph.dynamic.length,
+    parameter_mismatches: graph.parameter_mismatches.length,
+    unreadable: graph.unreadable.length
+  };
+  return graph;
+}
+
+/**
+ * Render a graph as JSON text, a Mermaid flowchart or a Graphviz digraph
+ */
+export function formatPipelineGraph(graph, format = 'json') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(graph, null, 2);
+    case 'mermaid':
+      return formatMermaid(graph);
+    case 'dot':
+      return formatDot(graph);
+    default:
+      throw new Error(`Unknown format: ${format} (expected ${GRAPH_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Plain-text list of the problems and impact in a graph, to go with a Mermaid or DOT rendering
+ */
+export function summarizePipelineGraph(graph) {
+  const { summary } = graph;
+  let text = `${summary.pipelines} pipelines, ${summary.calls} Pipeline Execute calls\n`;
+
+  if (graph.cycles.length > 0) {
+    text += `\nCycles (${graph.cycles.length}):\n`;
+    for (const cycle of graph.cycles) {
+      text += `- ${cycle.join(' → ')}\n`;
+    }
+  }
+  if (graph.missing.length > 0) {
+    text += `\nMissing child pipelines (${graph.missing.length}):\n`;
+    for (const item of graph.missing) {
+      text += `- ${item.from} / ${item.snap} → ${item.to ?? '(no pipeline set)'}\n`;
+    }
+  }
+  if (graph.dynamic.length > 0) {
+    text += `\nChild pipeline chosen at runtime (${graph.dynamic.length}):\n`;
+    for (const item of graph.dynamic) {
+      text += `- ${item.from} / ${item.snap}: ${item.expression}\n`;
+    }
+  }
+  if (graph.parameter_mismatches.length > 0) {
+    text += `\nParameter mismatches (${graph.parameter_mismatches.length}):\n`;
+    for (const item of graph.parameter_mismatches) {
+      text += `- ${item.from} / ${item.snap} → ${item.to}\n`;
+      for (const { name, did_you_mean: similar } of item.unknown) {
+        text += `    passes ${name}, not declared by ${item.to}${similar ? ` (did you mean ${similar}?)` : ''}\n`;
+      }
+      for (const name of item.not_passed) {
+        text += `    does not pass ${name}, which has no default\n`;
+      }
+    }
+  }
+  if (graph.unreadable?.length > 0) {
+    text += `\nUnreadable pipelines (${graph.unreadable.length}):\n`;
+    for (const item of graph.unreadable) {
+      text += `- ${item.path}: ${item.message}\n`;
+    }
+  }
+  if (graph.impact) {
+    const { pipeline, callers } = graph.impact;
+    text += `\nChanging ${pipeline} affects ${callers.length} calling pipeline${callers.length === 1 ? '' : 's'}`;
+    text += callers.length > 0 ? `: ${callers.join(', ')}\n` : '\n';
+  }
+  return text.trimEnd();
+}
+
+function formatMermaid(graph) {
+  const ids = new Map();
+  const nodeId = name => {
+    if (!ids.has(name)) ids.set(name, `p${ids.size}`);
+    return ids.get(name);
+  };
+  const missing = new Set(graph.missing.map(item => item.to ?? '(no pipeline)'));
+  const onCycle = new Set(graph.cycles.flat());
+  const lines = ['flowchart LR'];
+
+  for (const node of graph.pipelines) {
+    lines.push(`  ${nodeId(node.name)}["${mermaidText(node.name)}"]`);
+  }
+  for (const name of missing) {
+    lines.push(`  ${nodeId(name)}["${mermaidText(name)} (missing)"]:::missing`);
+  }
+
+  graph.calls.forEach((call, index) => {
+    const label = edgeLabel(call);
+    if (call.status === 'dynamic') {
+      const dynamicId = `d${index}`;
+      lines.push(`  ${dynamicId}{{"${mermaidText(call.target)}"}}:::dynamic`);
+      lines.push(`  ${nodeId(call.from)} -. "${mermaidText(label)}" .-> ${dynamicId}`);
+    } else {
+      lines.push(`  ${nodeId(call.from)} -->|"${mermaidText(label)}"| ${nodeId(call.to ?? '(no pipeline)')}`);
+    }
+  });
+
+  lines.push('  classDef missing stroke:#d33,stroke-dasharray:4 2');
+  lines.push('  classDef dynamic stroke:#999,stroke-dasharray:2 2');
+  if (onCycle.size > 0) {
+    lines.push('  classDef cycle stroke:#e80,stroke-width:3px');
+    lines.push(`  class ${[...onCycle].map(nodeId).join(',')} cycle`);
+  }
+  return lines.join('\n');
+}
+
+function formatDot(graph) {
+  const missing = new Set(graph.missing.map(item => item.to ?? '(no pipeline)'));
+  const onCycle = new Set(graph.cycles.flat());
+  const lines = ['digraph pipelines {', '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of graph.pipelines) {
+    lines.push(`  ${dotText(node.name)}${onCycle.has(node.name) ? ' [color=orange, penwidth=2]' : ''};`);
+  }
+  for (const name of missing) {
+    lines.push(`  ${dotText(name)} [style=dashed, color=red, label=${dotText(`${name} (missing)`)}];`);
+  }
+
+  graph.calls.forEach((call, index) => {
+    const label = dotText(edgeLabel(call));
+    if (call.status === 'dynamic') {
+      lines.push(`  d${index} [shape=hexagon, style=dashed, label=${dotText(call.target)}];`);
+      lines.push(`  ${dotText(call.from)} -> d${index} [style=dashed, label=${label}];`);
+    } else {
+      lines.push(`  ${dotText(call.from)} -> ${dotText(call.to ?? '(no pipeline)')} [label=${label}];`);
+    }
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Snap label plus the passed parameter names
+ */
+function edgeLabel(call) {
+  const names = Object.keys(call.parameters);
+  return names.length > 0 ? `${call.snap} (${names.join(', ')})` : call.snap;
+}
+
+function mermaidText(text) {
+  return String(text).replace(/"/g, '#quot;');
+}
+
+function dotText(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Child pipeline named by the "pipeline" setting: a literal name/path, or an expression
+ */
+function targetReference(setting) {
+  const value = setting && typeof setting === 'object' ? setting.value : setting;
+  if (typeof value !== 'string' || value.trim() === '') {
+    return { reference: null };
+  }
+  if (setting?.expression !== true) {
+    return { reference: value.trim() };
+  }
+
+  // A quoted string expression is still a fixed pipeline
+  try {
+    const ast = parseExpression(value);
+    if (ast.type === 'Literal' && typeof ast.value === 'string') {
+      return { reference: ast.value.trim() };
+    }
+  } catch (error) {
+    // Not parseable: treat as dynamic
+  }
+  return { dynamic: true, expression: value };
+}
+
+/**
+ * Match a reference ("Child", "Child.slp", "../shared/Child" or "/org/project/Child") to a node
+ * When several pipelines share the name, the one whose path ends with the reference wins.
+ */
+function findPipeline(nodes, reference) {
+  if (!reference) return null;
+
+  const name = pipelineName(reference);
+  const candidates = nodes.filter(node => node.name === name);
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  const suffix = reference.replace(/\.slp$/, '').replace(/^(\.\.?\/)+/, '');
+  return candidates.find(node => node.path && node.path.replace(/\.slp$/, '').endsWith(suffix)) || candidates[0];
+}
+
+/**
+ * Asset name from a file name or path: last path segment without .slp
+ */
+function pipelineName(reference) {
+  return String(reference).split('/').pop().replace(/\.slp$/, '');
+}
+
+/**
+ * param_table of a pipeline: [{name, default}]
+ */
+export function declaredParameters(pipeline) {
+  return (pipeline?.property_map?.settings?.param_table?.value || [])
+    .filter(row => row?.key?.value)
+    .map(row => ({ name: row.key.value, default: row.value?.value ?? null }));
+}
+
+/**
+ * Pipeline Execute "params" table: {name: value or expression}
+ */
+function passedParameters(settings) {
+  const parameters = {};
+  for (const row of settings.params?.value || []) {
+    const name = row?.paramName?.value;
+    if (name) parameters[name] = row.paramValue?.value ?? null;
+  }
+  return parameters;
+}
+
+/**
+ * Parameters passed that the child does not declare, and child parameters without a default that are not passed
+ */
+function compareParameters(call, callee) {
+  const declared = callee.parameters.map(parameter => parameter.name);
+  const passed = Object.keys(call.parameters);
+
+  const unknown = passed.filter(name => !declared.includes(name)).map(name => {
+    const similar = declared.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    return similar ? { name, did_you_mean: similar } : { name };
+  });
+  const notPassed = callee.parameters
+    .filter(parameter => !passed.includes(parameter.name) && (parameter.default === null || parameter.default === ''))
+    .map(parameter => parameter.name);
+
+  if (unknown.length === 0 && notPassed.length === 0) return null;
+  return {
+    from: call.from,
+    to: call.to,
+    snap: call.snap,
+    instance_id: call.instance_id,
+    unknown,
+    not_passed: notPassed
+  };
+}
+
+/**
+ * Elementary cycles found by depth-first search, each as [a, b, ..., a]
+ */
+function findCycles(nodes) {
+  const byName = new Map(nodes.map(node => [node.name, node]));
+  const state = new Map(); // name → 'visiting' | 'done'
+  const stack = [];
+  const cycles = new Map();
+
+  const visit = (name) => {
+    state.set(name, 'visiting');
+    stack.push(name);
+
+    for (const next of byName.get(name)?.calls || []) {
+      if (state.get(next) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(next));
+        const key = [...cycle].sort().join('\u0000');
+        if (!cycles.has(key)) cycles.set(key, [...cycle, next]);
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+
+    stack.pop();
+    state.set(name, 'done');
+  };
+
+  for (const node of nodes) {
+    if (!state.has(node.name)) visit(node.name);
+  }
+  return [...cycles.values()];
+}
+
+/**
+ * Every pipeline that reaches `node` through Pipeline Execute calls, nearest first
+ */
+function transitiveCallers(nodes, node) {
+  const byName = new Map(nodes.map(item => [item.name, item]));
+  const seen = new Set([node.name]);
+  const callers = [];
+  const queue = [node];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const caller of current.called_by) {
+      if (seen.has(caller)) continue;
+      seen.add(caller);
+      callers.push(caller);
+      queue.push(byName.get(caller));
+    }
+  }
+  return callers;
+}
@@ -0,0 +1,460 @@
+/**
+ * Whole-pipeline validator for .slp documents
+ * JavaScript port of validation/validate-slp.sh and validate_structure.awk,
+ * extended with per-snap schema checks
+ */
+
+import { pointer } from './validator.js';
+import { checkExpression } from './expression.js';
+
+export const PIPELINE_CLASS_ID = 'com-snaplogic-pipeline';
+export const REQUIRED_PIPELINE_FIELDS = ['class_id', 'class_version', 'property_map', 'snap_map'];
+export const REQUIRED_INFO_FIELDS = ['author', 'notes', 'purpose'];
+
+const SEQUENTIAL_UUID = /^11111111-1111-1111-1111-\d{12}$/;
+const LINK_FIELDS = ['src_id', 'src_view_id', 'dst_id', 'dst_view_id'];
+
+export class PipelineValidator {
+  /**
+   * @param {object} options
+   * @param {SnapValidator} [options.snapValidator] - enables per-snap schema checks
+   */
+  constructor(options = {}) {
+    this.snapValidator = options.snapValidator || null;
+  }
+
+  /**
+   * Validate a pipeline given as JSON text or as a parsed object
+   */
+  validate(source) {
+    const report = createReport();
+
+    let pipeline = source;
+    if (typeof source === 'string') {
+      try {
+        pipeline = JSON.parse(source);
+      } catch (error) {
+        addIssue(report.pipeline, report, 'errors', '', describeJsonError(error, source));
+        return finalize(report);
+      }
+    }
+
+    if (!pipeline || typeof pipeline !== 'object' || Array.isArray(pipeline)) {
+      addIssue(report.pipeline, report, 'errors', '', 'Pipeline must be a JSON object');
+      return finalize(report);
+    }
+
+    this.validateStructure(pipeline, report);
+    if (isObject(pipeline.snap_map)) {
+      this.validateSnaps(pipeline, report);
+      this.validateLinks(pipeline, report);
+      this.validatePipelineViews(pipeline, report);
+    }
+
+    return finalize(report);
+  }
+
+  /**
+   * Pipeline class, required top-level fields and the info block
+   */
+  validateStructure(pipeline, report) {
+    const issues = report.pipeline;
+
+    for (const field of REQUIRED_PIPELINE_FIELDS) {
+      if (pipeline[field] === undefined) {
+        addIssue(issues, report, 'errors', `/${field}`, `Missing required field: ${field}`);
+      }
+    }
+
+    if (pipeline.class_id !== undefined && pipeline.class_id !== PIPELINE_CLASS_ID) {
+      addIssue(issues, report, 'errors', '/class_id', `Missing pipeline class_id: ${PIPELINE_CLASS_ID}`);
+    }
+
+    if (pipeline.snap_map !== undefined && !isObject(pipeline.snap_map)) {
+      addIssue(issues, report, 'errors', '/snap_map', 'snap_map must be an object');
+    }
+
+    if (pipeline.link_map !== undefined && !isObject(pipeline.link_map)) {
+      addIssue(issues, report, 'errors', '/link_map', 'link_map must be an object');
+    }
+
+    if (!isObject(pipeline.property_map)) return;
+
+    const info = pipeline.property_map.info;
+    if (!isObject(info)) {
+      addIssue(issues, report, 'errors', '/property_map/info', 'Missing property_map.info');
+      return;
+    }
+
+    for (const field of REQUIRED_INFO_FIELDS) {
+      const value = info[field]?.value;
+      if (value === undefined || value === null || value === '') {
+        addIssue(
+          issues, report, 'errors',
+          pointer('/property_map/info', field),
+          `Missing required info field: ${field}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Instance ids and per-snap schema checks
+   */
+  validateSnaps(pipeline, report) {
+    const snapIds = Object.keys(pipeline.snap_map);
+
+    if (snapIds.length === 0) {
+      addIssue(report.pipeline, report, 'errors', '/snap_map', 'No snaps found in pipeline');
+      return;
+    }
+
+    for (const [snapId, snap] of Object.entries(pipeline.snap_map)) {
+      const basePath = pointer('/snap_map', snapId);
+      const issues = snapEntry(report, snapId, snap);
+
+      if (!isObject(snap)) {
+        addIssue(issues, report, 'errors', basePath, 'Snap must be an object');
+        continue;
+      }
+
+      if (snap.instance_id && snap.instance_id !== snapId) {
+        addIssue(
+          issues, report, 'errors', `${basePath}/instance_id`,
+          `instance_id ${snap.instance_id} does not match its snap_map key`
+        );
+      }
+
+      if (!SEQUENTIAL_UUID.test(snapId)) {
+        addIssue(
+          issues, report, 'warnings', basePath,
+          'Instance id does not follow the 11111111-1111-1111-1111-############ pattern'
+        );
+      }
+
+      if (this.snapValidator) {
+        const result = this.snapValidator.validateSnapConfig(snap);
+        for (const { path, message } of result.errors) {
+          addIssue(issues, report, 'errors', basePath + path, message);
+        }
+        for (const { path, message } of result.warnings) {
+          addIssue(issues, report, 'warnings', basePath + path, message);
+        }
+      }
+
+      this.validateExpressions(snap, basePath, issues, report);
+    }
+  }
+
+  /**
+   * Syntax and common-mistake checks for every setting marked expression: true
+   */
+  validateExpressions(snap, basePath, issues, report) {
+    const settings = snap.property_map?.settings;
+    if (!isObject(settings)) return;
+
+    forEachExpression(settings, `${basePath}/property_map/settings`, (expression, path) => {
+      const result = checkExpression(expression);
+      for (const { message, position } of result.errors) {
+        addIssue(issues, report, 'errors', path, `Expression error at position ${position}: ${message}`);
+      }
+      for (const { message, position } of result.warnings) {
+        addIssue(issues, report, 'warnings', path, `Expression at position ${position}: ${message}`);
+      }
+    });
+  }
+
+  /**
+   * link_map references, view ids, cycles and how the snaps are connected
+   * Copy, Router and Union fan out and in, so the n-1 link count is only checked
+   * (as a warning) for linear pipelines.
+   */
+  validateLinks(pipeline, report) {
+    const snapMap = pipeline.snap_map;
+    const linkMap = isObject(pipeline.link_map) ? pipeline.link_map : {};
+    const snapCount = Object.keys(snapMap).length;
+    const linkCount = Object.keys(linkMap).length;
+    const connected = new Set();
+    const edges = [];
+
+    for (const [linkId, link] of Object.entries(linkMap)) {
+      const basePath = pointer('/link_map', linkId);
+      const issues = linkEntry(report, linkId, link);
+
+      if (!isObject(link)) {
+        addIssue(issues, report, 'errors', basePath, 'Link must be an object');
+        continue;
+      }
+
+      for (const field of LINK_FIELDS) {
+        if (!link[field]) {
+          addIssue(issues, report, 'errors', `${basePath}/${field}`, `Missing ${field}`);
+        }
+      }
+
+      for (const [idField, viewField, viewKind] of [
+        ['src_id', 'src_view_id', 'output'],
+        ['dst_id', 'dst_view_id', 'input']
+      ]) {
+        const snapId = link[idField];
+        if (!snapId) continue;
+
+        const snap = snapMap[snapId];
+        if (!snap) {
+          addIssue(
+            issues, report, 'errors', `${basePath}/${idField}`,
+            `UUID ${snapId} referenced in link_map but not found in snap_map`
+          );
+          continue;
+        }
+        connected.add(snapId);
+
+        const viewId = link[viewField];
+        if (viewId && !declaresView(snap, viewKind, viewId)) {
+          addIssue(
+            issues, report, 'errors', `${basePath}/${viewField}`,
+            `View ${viewId} is not declared in property_map.${viewKind} of snap ${snapId}`
+          );
+        }
+      }
+
+      if (link.src_id && link.src_id === link.dst_id) {
+        addIssue(issues, report, 'errors', basePath, 'Link connects a snap to itself');
+      } else if (snapMap[link.src_id] && snapMap[link.dst_id]) {
+        edges.push([link.src_id, link.dst_id]);
+      }
+    }
+
+    const cycle = findCycle(Object.keys(snapMap), edges);
+    if (cycle) {
+      addIssue(
+        report.pipeline, report, 'errors', '/link_map',
+        `Links form a cycle: ${cycle.map(snapId => describeSnap(snapMap, snapId)).join(' → ')}`
+      );
+    }
+
+    if (snapCount > 1) {
+      const flows = countFlows(Object.keys(snapMap), edges);
+      if (flows > 1) {
+        addIssue(
+          report.pipeline, report, 'warnings', '/link_map',
+          `Pipeline has ${flows} separate flows; snaps in different flows are not linked to each other`
+        );
+      }
+
+      if (isLinear(edges) && linkCount !== snapCount - 1) {
+        addIssue(
+          report.pipeline, report, 'warnings', '/link_map',
+          `Snap/link count mismatch: ${snapCount} snaps should have ${snapCount - 1} links, found ${linkCount}`
+        );
+      }
+
+      for (const snapId of Object.keys(snapMap)) {
+        if (!connected.has(snapId)) {
+          addIssue(
+            snapEntry(report, snapId, snapMap[snapId]), report, 'warnings',
+            pointer('/snap_map', snapId), 'Snap is not connected to any other snap'
+          );
+        }
+      }
+    } else if (snapCount === 1 && linkCount > 0) {
+      addIssue(
+        report.pipeline, report, 'warnings', '/link_map',
+        `Single snap pipeline has ${linkCount} links (unusual but may be valid)`
+      );
+    }
+  }
+
+  /**
+   * Pipeline-level view declarations reference snap views as <instance_id>_<view_id>
+   */
+  validatePipelineViews(pipeline, report) {
+    if (!isObject(pipeline.property_map)) return;
+
+    for (const viewKind of ['input', 'output']) {
+      const views = pipeline.property_map[viewKind];
+      if (!isObject(views)) continue;
+
+      for (const key of Object.keys(views)) {
+        const match = key.match(/^(.+)_([^_]+)$/);
+        const path = pointer(`/property_map/${viewKind}`, key);
+
+        if (!match || !pipeline.snap_map[match[1]]) {
+          addIssue(
+            report.pipeline, report, 'errors', path,
+            `Pipeline ${viewKind} view ${key} does not reference a snap in snap_map`
+          );
+        } else if (!declaresView(pipeline.snap_map[match[1]], viewKind, match[2])) {
+          addIssue(
+            report.pipeline, report, 'errors', path,
+            `Pipeline ${viewKind} view ${key} references undeclared view ${match[2]}`
+          );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a snap declares a view in property_map.input/output (error views count as output)
+ */
+export function declaresView(snap, viewKind, viewId) {
+  const propertyMap = snap?.property_map || {};
+  if (isObject(propertyMap[viewKind]) && viewId in propertyMap[viewKind]) return true;
+  return viewKind === 'output' && isObject(propertyMap.error) && viewId in propertyMap.error;
+}
+
+/**
+ * Call visit(text, path) for every {expression: true, value: "..."} setting, including those in table rows
+ */
+export function forEachExpression(node, path, visit) {
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => forEachExpression(item, `${path}/${index}`, visit));
+    return;
+  }
+  if (!isObject(node)) return;
+
+  if (node.expression === true && typeof node.value === 'string') {
+    visit(node.value, `${path}/value`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    forEachExpression(value, pointer(path, key), visit);
+  }
+}
+
+/**
+ * First directed cycle found in the link graph, as a snap id path that ends where it starts
+ */
+function findCycle(snapIds, edges) {
+  const next = new Map(snapIds.map(snapId => [snapId, []]));
+  for (const [from, to] of edges) next.get(from).push(to);
+
+  const state = new Map(); // snap id → 'visiting' | 'done'
+  const stack = [];
+  const visit = snapId => {
+    state.set(snapId, 'visiting');
+    stack.push(snapId);
+    for (const target of next.get(snapId)) {
+      if (state.get(target) === 'visiting') {
+        return [...stack.slice(stack.indexOf(target)), target];
+      }
+      if (!state.has(target)) {
+        const cycle = visit(target);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(snapId, 'done');
+    return null;
+  };
+
+  for (const snapId of snapIds) {
+    if (!state.has(snapId)) {
+      const cycle = visit(snapId);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Number of linked groups of snaps, ignoring snaps without any link
+ */
+function countFlows(snapIds, edges) {
+  const group = new Map(snapIds.map(snapId => [snapId, snapId]));
+  const find = snapId => {
+    while (group.get(snapId) !== snapId) snapId = group.get(snapId);
+    return snapId;
+  };
+  for (const [from, to] of edges) group.set(find(from), find(to));
+
+  const linked = new Set(edges.flat());
+  return new Set([...linked].map(find)).size;
+}
+
+/**
+ * Whether no snap has more than one input link or more than one output link
+ */
+function isLinear(edges) {
+  const outputs = new Set();
+  const inputs = new Set();
+  for (const [from, to] of edges) {
+    if (outputs.has(from) || inputs.has(to)) return false;
+    outputs.add(from);
+    inputs.add(to);
+  }
+  return true;
+}
+
+function describeSnap(snapMap, snapId) {
+  const label = snapMap[snapId]?.property_map?.info?.label?.value;
+  return label ? `"${label}"` : snapId;
+}
+
+function createReport() {
+  return {
+    valid: true,
+    summary: { snaps: 0, links: 0, errors: 0, warnings: 0 },
+    pipeline: { errors: [], warnings: [] },
+    snaps: {},
+    links: {}
+  };
+}
+
+function snapEntry(report, snapId, snap) {
+  if (!report.snaps[snapId]) {
+    report.snaps[snapId] = {
+      label: snap?.property_map?.info?.label?.value || null,
+      class_id: snap?.class_id || null,
+      errors: [],
+      warnings: []
+    };
+  }
+  return report.snaps[snapId];
+}
+
+function linkEntry(report, linkId, link) {
+  if (!report.links[linkId]) {
+    report.links[linkId] = {
+      src_id: link?.src_id || null,
+      dst_id: link?.dst_id || null,
+      errors: [],
+      warnings: []
+    };
+  }
+  return report.links[linkId];
+}
+
+function addIssue(target, report, kind, path, message) {
+  target[kind].push({ path, message });
+  report.summary[kind]++;
+}
+
+function finalize(report) {
+  report.summary.snaps = Object.keys(report.snaps).length;
+  report.summary.links = Object.keys(report.links).length;
+  report.valid = report.summary.errors === 0;
+  return report;
+}
+
+/**
+ * Turn a JSON.parse error into a message with line and column
+ */
+function describeJsonError(error, text) {
+  const match = error.message.match(/position (\d+)/);
+  if (!match) {
+    return `JSON syntax error: ${error.message}`;
+  }
+
+  const position = Number(match[1]);
+  const before = text.slice(0, position);
+  const line = before.split('\n').length;
+  const column = position - before.lastIndexOf('\n');
+  return `JSON syntax error at line ${line}, column ${column}: ${error.message}`;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,135 @@
+/**
+ * Named SnapLogic connection profiles (dev/test/prod, other orgs or pods)
+ * Profiles come from a JSON file; the SNAPLOGIC_* environment variables form
+ * an extra profile named "env" so existing setups keep working.
+ */
+
+import { readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { inferAuthType } from './credentials.js';
+
+export const ENV_PROFILE = 'env';
+
+// Profile setting → environment variable of the "env" profile
+export const ENV_FIELDS = {
+  'credentials.username': 'SNAPLOGIC_USERNAME',
+  'credentials.password': 'SNAPLOGIC_PASSWORD',
+  'credentials.token': 'SNAPLOGIC_TOKEN',
+  'schema_api.base_url': 'SNAPLOGIC_SCHEMA_BASE_URL',
+  'schema_api.org': 'SNAPLOGIC_SCHEMA_ORG',
+  'project_api.base_url': 'SNAPLOGIC_PROJECT_BASE_URL',
+  'project_api.org': 'SNAPLOGIC_PROJECT_ORG',
+  'project_api.project_space': 'SNAPLOGIC_PROJECT_SPACE',
+  'project_api.project_path': 'SNAPLOGIC_PROJECT_PATH',
+  'project_api.project_id': 'SNAPLOGIC_PROJECT_ID',
+  'project_api.snaplex': 'SNAPLOGIC_SNAPLEX'
+};
+
+export class ProfileRegistry {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - profiles file (default SNAPLOGIC_PROFILES_FILE or ~/.snaplogic/profiles.json)
+   * @param {object} [options.env] - environment (default process.env)
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.file = options.file || env.SNAPLOGIC_PROFILES_FILE || path.join(os.homedir(), '.snaplogic', 'profiles.json');
+    this.profiles = new Map();
+
+    const data = readProfilesFile(this.file);
+    for (const [name, profile] of Object.entries(data.profiles || {})) {
+      this.profiles.set(name, normalizeProfile(name, 'file', profile));
+    }
+
+    // The env profile exists when any variable is set, or as the only (incomplete) profile
+    const envProfile = profileFromEnv(env);
+    if (envProfile || this.profiles.size === 0) {
+      this.profiles.set(ENV_PROFILE, normalizeProfile(ENV_PROFILE, 'env', envProfile || {}));
+    }
+
+    this.defaultName = env.SNAPLOGIC_PROFILE ||
+      data.default_profile ||
+      (envProfile ? ENV_PROFILE : this.profiles.keys().next().value);
+  }
+
+  /**
+   * Look up a profile; no name means the default profile
+   */
+  get(name) {
+    const key = name || this.defaultName;
+    const profile = this.profiles.get(key);
+    if (!profile) {
+      throw new Error(`Unknown profile "${key}". Available profiles: ${[...this.profiles.keys()].join(', ')}`);
+    }
+    return profile;
+  }
+
+  /**
+   * Profile summaries without secrets
+   */
+  list() {
+    return [...this.profiles.values()].map(profile => ({
+      name: profile.name,
+      default: profile.name === this.defaultName,
+      source: profile.source === 'file' ? this.file : 'environment variables',
+      auth: profile.credentials.type || inferAuthType(profile.credentials),
+      username: profile.credentials.username || null,
+      schema_api: profile.schema_api,
+      project_api: profile.project_api
+    }));
+  }
+}
+
+/**
+ * Throw when a profile lacks settings a server needs
+ * Messages for the env profile name the environment variable to export.
+ */
+export function requireProfileFields(profile, fields) {
+  for (const field of fields) {
+    const value = field.split('.').reduce((object, key) => object?.[key], profile);
+    if (value !== undefined && value !== null && value !== '') continue;
+
+    if (profile.source === 'env') {
+      throw new Error(`Missing required environment variable: ${ENV_FIELDS[field]}. Please export all SnapLogic environment variables before starting Claude Code.`);
+    }
+    throw new Error(`Profile "${profile.name}" is missing required setting: ${field}`);
+  }
+}
+
+function readProfilesFile(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Cannot read profiles file ${file}: ${error.message}`);
+  }
+}
+
+function profileFromEnv(env) {
+  const profile = {};
+  let found = false;
+
+  for (const [field, envVar] of Object.entries(ENV_FIELDS)) {
+    if (!env[envVar]) continue;
+    const [section, key] = field.split('.');
+    profile[section] = { ...profile[section], [key]: env[envVar] };
+    found = true;
+  }
+
+  return found ? profile : null;
+}
+
+/**
+ * Fill in the sections every server expects
+ */
+function normalizeProfile(name, source, profile) {
+  return {
+    ...profile,
+    name,
+    source,
+    credentials: { ...profile.credentials },
+    schema_api: { ...profile.schema_api },
+    project_api: { ...profile.project_api }
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * Credential redaction for any text that leaves the server (tool results, logs)
+ * Secrets are registered when credentials are resolved; well-known shapes
+ * (Authorization values, key=value pairs) are masked even when unregistered.
+ */
+
+const MASK = '***';
+const knownSecrets = new Set();
+
+/**
+ * Remember a secret so redact() masks it wherever it appears
+ */
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 4) {
+    knownSecrets.add(value);
+  }
+}
+
+/**
+ * Mask registered secrets and credential-shaped substrings
+ */
+export function redact(text) {
+  let result = String(text);
+
+  // Longest first, so a secret containing another is masked whole
+  for (const secret of [...knownSecrets].sort((a, b) => b.length - a.length)) {
+    result = result.split(secret).join(MASK);
+  }
+
+  return result
+    .replace(/\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]{8,}/g, `$1 ${MASK}`)
+    .replace(
+      /(["']?(?:password|passwd|client_secret|access_token|refresh_token|token|secret|api_key)["']?\s*[:=]\s*["']?)[^"'\s,&}]+/gi,
+      `$1${MASK}`
+    );
+}
@@ -0,0 +1,90 @@
+/**
+ * Plaintext secret detection in git-tracked configuration files
+ * Findings name the file, line and key only; secret values are never reported.
+ */
+
+import { execFileSync } from 'child_process';
+import { readFileSync, statSync } from 'fs';
+import path from 'path';
+
+const CONFIG_FILE_PATTERN = /(\.(json|env|sh|ya?ml|properties|ini|cfg|conf)|(^|\/)\.env[^/]*|(^|\/)\.npmrc)$/i;
+const IGNORED_FILE_PATTERN = /(^|\/)(package-lock\.json|node_modules\/)/;
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// "password": "..." in JSON and YAML
+const KEY_VALUE_PATTERN = /["']?([A-Za-z_]*(?:password|passwd|secret|token|api_?key))["']?\s*:\s*["']([^"']*)["']/gi;
+// SNAPLOGIC_PASSWORD=... in shell scripts and .env files
+const ASSIGNMENT_PATTERN = /\b([A-Z0-9_]*(?:PASSWORD|SECRET|TOKEN|API_KEY))\s*=\s*["']?([^"'\s#;]*)/g;
+
+// Values that are clearly not real secrets
+const PLACEHOLDER_PATTERN = /^(|changeme|change[-_]me|password|secret|token|x+|\*+|\.\.\.|<.*>|\$\{?.*\}?|your[-_ ].*|%.*%|{{.*}})$/i;
+
+/**
+ * Scan the files git tracks in the repository containing `dir`
+ *
+ * @param {string} dir - any directory inside the repository
+ * @returns {Array<{file: string, line: number, key: string}>} file paths relative to the repository root
+ */
+export function scanPlaintextSecrets(dir) {
+  let root;
+  let files;
+  try {
+    root = git(dir, ['rev-parse', '--show-toplevel']).trim();
+    files = git(root, ['ls-files', '-z']).split('\0').filter(Boolean);
+  } catch (error) {
+    // Not a git checkout (e.g. an installed copy): nothing is tracked
+    return [];
+  }
+
+  const findings = [];
+  for (const file of files) {
+    if (!CONFIG_FILE_PATTERN.test(file) || IGNORED_FILE_PATTERN.test(file)) continue;
+
+    let content;
+    try {
+      const fullPath = path.join(root, file);
+      if (statSync(fullPath).size > MAX_FILE_SIZE) continue;
+      content = readFileSync(fullPath, 'utf8');
+    } catch (error) {
+      continue;
+    }
+
+    content.split(/\r?\n/).forEach((text, index) => {
+      for (const pattern of [KEY_VALUE_PATTERN, ASSIGNMENT_PATTERN]) {
+        for (const match of text.matchAll(pattern)) {
+          if (!PLACEHOLDER_PATTERN.test(match[2].trim())) {
+            findings.push({ file, line: index + 1, key: match[1] });
+          }
+        }
+      }
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * One line per finding, plus how to fix it
+ */
+export function formatSecretFindings(findings) {
+  if (findings.length === 0) {
+    return 'No plaintext secrets found in tracked configuration files.';
+  }
+
+  let text = `Found ${findings.length} plaintext secret${findings.length === 1 ? '' : 's'} in tracked files:\n`;
+  for (const finding of findings) {
+    text += `  ${finding.file}:${finding.line} ${finding.key}\n`;
+  }
+  text += '\nMove these into ~/.snaplogic/credentials.json (chmod 600), a *_command helper or environment variables, ';
+  text += 'then remove them from the files and rotate them - they remain in git history.';
+  return text;
+}
+
+function git(cwd, args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    timeout: 10000,
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+}
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AuthError,
+  OAuthClientCredentials,
+  ServerError,
+  SnapLogicClient,
+  createMockTransport
+} from '../index.js';
+
+const OAUTH = {
+  type: 'oauth_client_credentials',
+  token_url: 'https://idp.test/oauth2/token',
+  client_id: 'ci',
+  client_secret: 'secret'
+};
+
+// Transport that never answers, like a hung connection that ignores the abort signal
+const hangingTransport = () => new Promise(() => {});
+
+// Fails the test when a rejection escapes, e.g. from a timer left armed
+function trackUnhandled(t) {
+  const escaped = [];
+  const listener = reason => escaped.push(reason);
+  process.on('unhandledRejection', listener);
+  t.after(() => process.off('unhandledRejection', listener));
+  return escaped;
+}
+
+test('a request that outlives its timeout fails with a retryable timeout error', async () => {
+  const client = new SnapLogicClient({ transport: hangingTransport, timeout: 20, retries: 0 });
+
+  await assert.rejects(client.get('https://snaplogic.test/api/1/rest/slsched/job'), error => {
+    assert.ok(error instanceof ServerError);
+    assert.equal(error.code, 'timeout');
+    assert.equal(error.retryable, true);
+    return true;
+  });
+});
+
+test('timeouts are retried with backoff before giving up', async () => {
+  const delays = [];
+  const transport = createMockTransport({ 'GET /slow': () => new Promise(() => {}) });
+  const client = new SnapLogicClient({
+    transport, timeout: 10, retries: 2, sleep: async delay => { delays.push(delay); }
+  });
+
+  await assert.rejects(client.get('https://snaplogic.test/slow'), ServerError);
+  assert.equal(transport.calls.length, 3);
+  assert.equal(delays.length, 2);
+});
+
+test('an auth failure does not leave a timeout armed', async t => {
+  const escaped = trackUnhandled(t);
+  const auth = { header: async () => { throw new AuthError('token helper failed'); } };
+  const transport = createMockTransport({ 'GET /ping': { ok: true } });
+  const client = new SnapLogicClient({ transport, auth, timeout: 20, retries: 0 });
+
+  await assert.rejects(client.get('https://snaplogic.test/ping'), AuthError);
+  await new Promise(resolve => setTimeout(resolve, 60));
+
+  assert.deepEqual(escaped, []);
+  assert.equal(transport.calls.length, 0);
+});
+
+test('a 401 gets one fresh OAuth token, a second 401 is an AuthError', async () => {
+  let tokens = 0;
+  const transport = createMockTransport({
+    'POST /oauth2/token': () => ({ access_token: `token-${++tokens}`, expires_in: 3600 }),
+    'GET /api': request => (request.headers.Authorization === 'Bearer token-2' ? { ok: true } : { status: 401, body: {} })
+  });
+  const client = new SnapLogicClient({ transport, credentials: OAUTH, retries: 0 });
+
+  assert.deepEqual(await client.get('https://snaplogic.test/api'), { ok: true });
+  assert.equal(tokens, 2);
+
+  const rejecting = new SnapLogicClient({
+    transport: createMockTransport({
+      'POST /oauth2/token': { access_token: 'token', expires_in: 3600 },
+      'GET /api': { status: 401, body: {} }
+    }),
+    credentials: OAUTH,
+    retries: 0
+  });
+  await assert.rejects(rejecting.get('https://snaplogic.test/api'), AuthError);
+});
+
+test('a hung token endpoint times out with the client timeout', async t => {
+  const escaped = trackUnhandled(t);
+  const client = new SnapLogicClient({ transport: hangingTransport, credentials: OAUTH, timeout: 20, retries: 0 });
+
+  await assert.rejects(client.get('https://snaplogic.test/api'), error => {
+    assert.ok(error instanceof ServerError);
+    assert.equal(error.code, 'timeout');
+    assert.match(error.message, /OAuth token request timed out after 20ms/);
+    return true;
+  });
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.deepEqual(escaped, []);
+});
+
+test('token endpoint failures map to typed errors', async () => {
+  const fetchWith = spec => new OAuthClientCredentials(OAUTH, {
+    transport: createMockTransport({ 'POST /oauth2/token': spec })
+  }).header();
+
+  await assert.rejects(fetchWith({ status: 400, body: { error: 'invalid_client' } }), error => {
+    assert.ok(error instanceof AuthError);
+    assert.match(error.message, /400 invalid_client/);
+    return true;
+  });
+  await assert.rejects(fetchWith({ status: 503, body: 'down' }), ServerError);
+
+  const unreachable = new OAuthClientCredentials(OAUTH, {
+    transport: async () => { throw new Error('ECONNREFUSED'); }
+  });
+  await assert.rejects(unreachable.header(), error => error instanceof ServerError && error.code === 'network');
+});
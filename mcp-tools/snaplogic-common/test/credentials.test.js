@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, mkdtempSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  OAuthClientCredentials,
+  createAuthProvider,
+  createMockTransport,
+  redact,
+  resolveCredentials
+} from '../index.js';
+
+const OAUTH = {
+  type: 'oauth_client_credentials',
+  token_url: 'https://idp.test/oauth2/token',
+  client_id: 'ci',
+  client_secret: 'secret'
+};
+
+function profile(credentials = {}, source = 'file') {
+  return { name: 'dev', source, credentials };
+}
+
+function credentialsFile(data, mode = 0o600) {
+  const file = path.join(mkdtempSync(path.join(os.tmpdir(), 'snaplogic-credentials-test-')), 'credentials.json');
+  writeFileSync(file, JSON.stringify(data));
+  chmodSync(file, mode);
+  return file;
+}
+
+const NO_FILE = { file: path.join(os.tmpdir(), 'snaplogic-missing', 'credentials.json') };
+
+test('secrets come from an owner-only credentials file, profile values first', () => {
+  const file = credentialsFile({ dev: { username: 'file@example.com', password: 'from-file' } });
+
+  const credentials = resolveCredentials(profile({ username: 'dev@example.com' }), { file });
+
+  assert.deepEqual(credentials, { type: 'basic', username: 'dev@example.com', password: 'from-file' });
+});
+
+test('a credentials file other users can read is refused', { skip: process.platform === 'win32' }, () => {
+  const file = credentialsFile({ dev: { password: 'from-file' } }, 0o644);
+
+  assert.throws(
+    () => resolveCredentials(profile({ username: 'dev@example.com' }), { file }),
+    new RegExp(`Credentials file ${file} is accessible by other users \\(mode 644\\)\\. Run: chmod 600 ${file}`)
+  );
+});
+
+test('*_command helpers supply missing secrets, which are then redacted', () => {
+  const credentials = resolveCredentials(profile({ token_command: 'echo helper-token-1234' }), NO_FILE);
+
+  assert.deepEqual(credentials, { type: 'bearer', token: 'helper-token-1234' });
+  assert.equal(redact('sent helper-token-1234'), 'sent ***');
+
+  // A secret already set wins over its helper, which is not run
+  const inline = resolveCredentials(profile({ username: 'u', password: 'inline', password_command: 'exit 1' }), NO_FILE);
+  assert.equal(inline.password, 'inline');
+});
+
+test('a failing helper and missing secrets are reported without their values', () => {
+  assert.throws(
+    () => resolveCredentials(profile({ username: 'u', password_command: 'exit 3' }), NO_FILE),
+    /^Error: Secret helper dev.password_command failed: exit code 3$/
+  );
+  assert.throws(
+    () => resolveCredentials(profile({ username: 'u' }), NO_FILE),
+    /Profile "dev" is missing required setting: credentials.password \(set credentials.password_command or add it to the credentials file\)/
+  );
+  assert.throws(
+    () => resolveCredentials(profile({ username: 'u' }, 'env'), NO_FILE),
+    /Missing required environment variable: SNAPLOGIC_PASSWORD/
+  );
+  assert.throws(
+    () => resolveCredentials(profile({ type: 'kerberos' }), NO_FILE),
+    /unknown credentials.type "kerberos"/
+  );
+});
+
+test('basic and bearer providers sign every request the same way', async () => {
+  const basic = createAuthProvider({ type: 'basic', username: 'user', password: 'pass' });
+  const bearer = createAuthProvider({ type: 'bearer', token: 'abc' });
+
+  assert.equal(await basic.header(), `Basic ${Buffer.from('user:pass').toString('base64')}`);
+  assert.equal(await bearer.header(), 'Bearer abc');
+  assert.equal(createAuthProvider({ type: 'basic' }), null);
+});
+
+test('OAuth tokens are cached, shared by concurrent requests and refreshed when they expire', async () => {
+  let issued = 0;
+  const transport = createMockTransport({
+    'POST /oauth2/token': () => ({ access_token: `token-${++issued}`, expires_in: 3600 })
+  });
+  const provider = new OAuthClientCredentials({ ...OAUTH, scope: 'api' }, { transport });
+
+  assert.deepEqual(await Promise.all([provider.header(), provider.header()]), ['Bearer token-1', 'Bearer token-1']);
+  assert.equal(await provider.header(), 'Bearer token-1');
+  assert.equal(transport.calls.length, 1);
+  assert.equal(transport.calls[0].headers['Content-Type'], 'application/x-www-form-urlencoded');
+
+  // Within a minute of expiry the token is refreshed
+  provider.expiresAt = Date.now() - 1;
+  assert.equal(await provider.header(), 'Bearer token-2');
+
+  assert.equal(provider.invalidate(), true);
+  assert.equal(provider.invalidate(), false);
+  assert.equal(await provider.header(), 'Bearer token-3');
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ExpressionEvaluationError,
+  UnsupportedExpressionError,
+  checkExpression,
+  evaluateExpression,
+  parseExpression
+} from '../index.js';
+
+const messages = result => result.errors.map(error => error.message);
+
+test('operators, ternaries, methods and arrow functions evaluate against the document', () => {
+  const doc = { name: ' acme ', qty: 3, price: 2.5, items: [{ sku: 'a' }, { sku: 'b' }] };
+
+  assert.equal(evaluateExpression("$name.trim().toUpperCase() + '-' + _region", { doc, parameters: { region: 'EU' } }), 'ACME-EU');
+  assert.equal(evaluateExpression('$qty * $price > 5 ? "big" : "small"', { doc }), 'big');
+  assert.deepEqual(evaluateExpression('$items.map(item => item.sku)', { doc }), ['a', 'b']);
+  assert.equal(evaluateExpression('$missing ?? "none"', { doc, nullSafe: true }), 'none');
+});
+
+test('missing fields fail unless null-safe access is on', () => {
+  assert.throws(() => evaluateExpression('$missing.name', { doc: {} }), ExpressionEvaluationError);
+  assert.equal(evaluateExpression('$missing.name', { doc: {}, nullSafe: true }), null);
+});
+
+test('syntax errors carry the position of the offending token', () => {
+  const result = checkExpression("$status = 'A'");
+  assert.equal(result.valid, false);
+  assert.equal(result.errors[0].position, 8);
+  assert.match(result.errors[0].message, /use == to compare/);
+
+  assert.deepEqual(messages(checkExpression('($a + $b')), ["Unclosed '(': missing ')'"]);
+});
+
+test('empty call arguments are rejected', () => {
+  assert.deepEqual(messages(checkExpression('$field.substring(0,)')), ["Empty argument after ','"]);
+  assert.deepEqual(messages(checkExpression('$field.substring(,2)')), ["Empty argument before ','"]);
+  assert.throws(() => parseExpression('$field.substring(0,)'), /Empty argument/);
+
+  assert.equal(checkExpression('$field.substring(0, 2)').valid, true);
+  assert.deepEqual(evaluateExpression('[1, 2,]'), [1, 2]);
+});
+
+test('instanceof checks SnapLogic value types', () => {
+  const doc = { n: 1, s: 'x', list: [], record: {}, nothing: null, flag: false };
+
+  assert.equal(evaluateExpression('$n instanceof Number', { doc }), true);
+  assert.equal(evaluateExpression('$s instanceof String', { doc }), true);
+  assert.equal(evaluateExpression('$list instanceof Array', { doc }), true);
+  assert.equal(evaluateExpression('$list instanceof Object', { doc }), false);
+  assert.equal(evaluateExpression('$record instanceof Object', { doc }), true);
+  assert.equal(evaluateExpression('$nothing instanceof Null', { doc }), true);
+  assert.equal(evaluateExpression('$flag instanceof Boolean && !($n instanceof String)', { doc }), true);
+
+  assert.deepEqual(checkExpression('$n instanceof Number').references.fields, ['n']);
+  assert.match(messages(checkExpression('$n instanceof Integer'))[0], /Expected a type after instanceof/);
+});
+
+test('match blocks are reported as unchecked instead of invalid', () => {
+  const result = checkExpression("match $status { 200 => 'OK', _ => 'Other' }");
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.errors, []);
+  assert.match(result.warnings[0].message, /match expressions are not supported/);
+  assert.throws(() => parseExpression("match $status { 200 => 'OK' }"), UnsupportedExpressionError);
+
+  // The string method and a field named match are unaffected
+  assert.equal(evaluateExpression("$s.match(/b+/)[0]", { doc: { s: 'abbc' } }), 'bb');
+  assert.equal(checkExpression('match').valid, false);
+});
+
+test('references list the fields and parameters read, not methods or arrow parameters', () => {
+  const { references } = checkExpression('$customer.address.city + $items.filter(x => x.qty > _min).length');
+  assert.deepEqual(references, { fields: ['customer.address.city', 'items'], parameters: ['min'] });
+});
+
+test('the ** operator is rejected with a pointer to Math.pow', () => {
+  assert.deepEqual(checkExpression('2 ** 3').errors, [{
+    message: 'The ** operator is not supported in SnapLogic expressions; use Math.pow(base, exponent)',
+    position: 2,
+    line: 1,
+    column: 3
+  }]);
+  assert.equal(evaluateExpression('Math.pow(2, 3)'), 8);
+  assert.equal(evaluateExpression('2 * 3'), 6);
+});
+
+test('toLocale*String format dates with a pattern, time zone and locale', () => {
+  const doc = { at: new Date('2024-01-15T10:30:05.042Z') };
+
+  assert.equal(evaluateExpression('$at.toLocaleDateString({format: "yyyy"})', { doc }), '2024');
+  assert.equal(evaluateExpression('$at.toLocaleDateString()', { doc }), '1/15/2024');
+  assert.equal(evaluateExpression('$at.toLocaleTimeString()', { doc }), '10:30:05 AM');
+  assert.equal(evaluateExpression('$at.toLocaleDateTimeString()', { doc }), '2024-01-15T10:30:05.042');
+  assert.equal(
+    evaluateExpression(`$at.toLocaleDateTimeString({"format": "EEE d MMM yy, hh:mm a XXX 'in NY'", "timeZone": "America/New_York"})`, { doc }),
+    'Mon 15 Jan 24, 05:30 AM -05:00 in NY'
+  );
+  assert.equal(evaluateExpression('$at.toLocaleDateString({format: "dd MMMM", timeZone: "Asia/Kolkata", locale: "fr-FR"})', { doc }), '15 janvier');
+});
+
+test('date format options that cannot be honored are rejected instead of ignored', () => {
+  const doc = { at: new Date('2024-01-15T10:30:05Z') };
+
+  assert.throws(() => evaluateExpression('$at.toLocaleDateString({format: "yyyy Q"})', { doc }), /unsupported format letter 'Q' in "yyyy Q"/);
+  assert.throws(() => evaluateExpression('$at.toLocaleDateString({pattern: "yyyy"})', { doc }), /does not support option pattern \(supported: format, timeZone, locale\)/);
+  assert.throws(() => evaluateExpression('$at.toLocaleDateString("yyyy")', { doc }), /takes an options object/);
+  assert.throws(() => evaluateExpression('$at.toLocaleDateString({timeZone: "Mars/Olympus"})', { doc }), /unknown timeZone "Mars\/Olympus"/);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProfileRegistry, requireProfileFields } from '../index.js';
+
+function profilesFile(data) {
+  const file = path.join(mkdtempSync(path.join(os.tmpdir(), 'snaplogic-profiles-test-')), 'profiles.json');
+  writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return file;
+}
+
+const PROFILES = {
+  default_profile: 'dev',
+  profiles: {
+    dev: {
+      credentials: { username: 'dev@example.com' },
+      schema_api: { base_url: 'https://dev.snaplogic.test', org: 'DevOrg' }
+    },
+    prod: {
+      credentials: { token_command: 'secret-tool lookup snaplogic prod' },
+      schema_api: { base_url: 'https://prod.snaplogic.test', org: 'ProdOrg' }
+    }
+  }
+};
+
+test('profiles come from the file, with its default profile', () => {
+  const registry = new ProfileRegistry({ file: profilesFile(PROFILES), env: {} });
+
+  assert.equal(registry.get().name, 'dev');
+  assert.equal(registry.get('prod').schema_api.org, 'ProdOrg');
+  assert.deepEqual(registry.get('prod').project_api, {});
+  assert.deepEqual(registry.list().map(({ name, default: isDefault, auth }) => ({ name, isDefault, auth })), [
+    { name: 'dev', isDefault: true, auth: 'basic' },
+    { name: 'prod', isDefault: false, auth: 'bearer' }
+  ]);
+});
+
+test('the SNAPLOGIC_* variables form the env profile, and SNAPLOGIC_PROFILE picks the default', () => {
+  const env = {
+    SNAPLOGIC_USERNAME: 'env@example.com',
+    SNAPLOGIC_SCHEMA_ORG: 'EnvOrg',
+    SNAPLOGIC_PROJECT_SPACE: 'EnvSpace'
+  };
+  const file = profilesFile(PROFILES);
+
+  const registry = new ProfileRegistry({ file, env });
+  assert.equal(registry.get('env').source, 'env');
+  assert.equal(registry.get('env').schema_api.org, 'EnvOrg');
+  assert.equal(registry.get('env').project_api.project_space, 'EnvSpace');
+  assert.equal(registry.get().name, 'dev');
+
+  assert.equal(new ProfileRegistry({ file, env: { ...env, SNAPLOGIC_PROFILE: 'prod' } }).get().name, 'prod');
+});
+
+test('without a profiles file or variables there is one empty env profile', () => {
+  const registry = new ProfileRegistry({ file: path.join(os.tmpdir(), 'snaplogic-missing', 'profiles.json'), env: {} });
+
+  assert.deepEqual([...registry.profiles.keys()], ['env']);
+  assert.equal(registry.get().name, 'env');
+});
+
+test('unknown profiles and unreadable files are reported', () => {
+  const registry = new ProfileRegistry({ file: profilesFile(PROFILES), env: {} });
+  assert.throws(() => registry.get('qa'), /Unknown profile "qa". Available profiles: dev, prod/);
+
+  const broken = profilesFile('{ "profiles": ');
+  assert.throws(() => new ProfileRegistry({ file: broken, env: {} }), /Cannot read profiles file .*profiles\.json/);
+});
+
+test('missing settings name the profile setting or the environment variable to export', () => {
+  const registry = new ProfileRegistry({ file: profilesFile(PROFILES), env: { SNAPLOGIC_SCHEMA_ORG: 'EnvOrg' } });
+
+  assert.throws(
+    () => requireProfileFields(registry.get('dev'), ['schema_api.org', 'project_api.project_space']),
+    /^Error: Profile "dev" is missing required setting: project_api.project_space$/
+  );
+  assert.throws(
+    () => requireProfileFields(registry.get('env'), ['schema_api.org', 'schema_api.base_url']),
+    /^Error: Missing required environment variable: SNAPLOGIC_SCHEMA_BASE_URL\./
+  );
+});
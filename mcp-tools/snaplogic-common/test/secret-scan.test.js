@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { formatSecretFindings, scanPlaintextSecrets } from '../index.js';
+
+/**
+ * Temporary git repository with the given files; only `tracked` ones are added
+ */
+function repository(files, tracked = Object.keys(files)) {
+  const root = mkdtempSync(path.join(os.tmpdir(), 'snaplogic-secret-scan-test-'));
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    writeFileSync(path.join(root, file), content);
+  }
+  execFileSync('git', ['init', '-q'], { cwd: root });
+  execFileSync('git', ['add', ...tracked], { cwd: root });
+  return root;
+}
+
+test('finds secrets in tracked JSON, YAML and shell files by file, line and key', () => {
+  const root = repository({
+    'config/profiles.json': '{\n  "username": "dev@example.com",\n  "password": "Sup3rSecret!"\n}\n',
+    'deploy.yml': 'client:\n  client_secret: "abc123"\n',
+    'scripts/env.sh': 'export SNAPLOGIC_PASSWORD=Sup3rSecret!\nexport SNAPLOGIC_ORG=Acme\n',
+    'src/notes.md': 'password: "not a config file"\n'
+  });
+
+  assert.deepEqual(scanPlaintextSecrets(path.join(root, 'config')), [
+    { file: 'config/profiles.json', line: 3, key: 'password' },
+    { file: 'deploy.yml', line: 2, key: 'client_secret' },
+    { file: 'scripts/env.sh', line: 1, key: 'SNAPLOGIC_PASSWORD' }
+  ]);
+});
+
+test('placeholders, untracked files and lock files are not reported', () => {
+  const root = repository({
+    'example.json': '{"password": "your_password", "token": "${SNAPLOGIC_TOKEN}", "api_key": "<key>", "secret": ""}\n',
+    '.env.example': 'SNAPLOGIC_PASSWORD=changeme\nSNAPLOGIC_TOKEN=$TOKEN\n',
+    'package-lock.json': '{"token": "sha512-abc"}\n',
+    'local.json': '{"password": "Sup3rSecret!"}\n'
+  }, ['example.json', '.env.example', 'package-lock.json']);
+
+  assert.deepEqual(scanPlaintextSecrets(root), []);
+});
+
+test('a directory outside a git checkout has nothing to scan', () => {
+  assert.deepEqual(scanPlaintextSecrets(mkdtempSync(path.join(os.tmpdir(), 'snaplogic-no-repo-'))), []);
+});
+
+test('the report names each finding and never the value', () => {
+  const report = formatSecretFindings([{ file: 'config/profiles.json', line: 3, key: 'password' }]);
+
+  assert.match(report, /^Found 1 plaintext secret in tracked files:\n  config\/profiles.json:3 password\n/);
+  assert.match(report, /rotate them - they remain in git history\.$/);
+  assert.equal(formatSecretFindings([]), 'No plaintext secrets found in tracked configuration files.');
+});
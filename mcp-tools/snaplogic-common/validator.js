@@ -0,0 +1,197 @@
+/**
+ * Snap configuration validator
+ * Checks a snap's property_map against the compact settings spec kept by SchemaCache
+ */
+
+export class SnapValidator {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  /**
+   * Validate a single snap configuration (one entry of a pipeline's snap_map).
+   * Every error and warning carries a JSON pointer relative to the config.
+   */
+  validateSnapConfig(config) {
+    const result = {
+      valid: true,
+      errors: [],
+      warnings: []
+    };
+
+    const error = (path, message) => {
+      result.valid = false;
+      result.errors.push({ path, message });
+    };
+    const warning = (path, message) => {
+      result.warnings.push({ path, message });
+    };
+
+    let snapInfo = null;
+
+    if (!config.class_id) {
+      error('/class_id', 'Missing class_id');
+    } else {
+      snapInfo = this.cache.getSnapInfo(config.class_id);
+      if (!snapInfo) {
+        error('/class_id', `Unknown snap: ${config.class_id}`);
+      } else if (config.class_version && config.class_version !== snapInfo.version) {
+        // Check version compatibility
+        warning(
+          '/class_version',
+          `Version mismatch: config has ${config.class_version}, current is ${snapInfo.version} (upgrade_snaps shows the settings that changed)`
+        );
+      }
+    }
+
+    if (!config.instance_id) {
+      error('/instance_id', 'Missing instance_id');
+    }
+
+    if (!config.property_map) {
+      error('/property_map', 'Missing property_map');
+      return result;
+    }
+
+    if (!snapInfo) {
+      return result;
+    }
+
+    const specs = this.cache.getSettingsSchema(config.class_id);
+    if (!specs) {
+      warning(
+        '/property_map/settings',
+        `No settings schema available for ${config.class_id}; settings were not validated`
+      );
+      return result;
+    }
+
+    const settings = config.property_map.settings;
+    if (settings === undefined) {
+      error('/property_map/settings', 'Missing settings');
+      return result;
+    }
+
+    this.validateSettings(settings, specs, '/property_map/settings', error);
+    return result;
+  }
+
+  /**
+   * Validate a map of {value, expression} settings against a spec map
+   */
+  validateSettings(settings, specs, path, error) {
+    if (!isPlainObject(settings)) {
+      error(path, `Expected an object of settings, got ${describeType(settings)}`);
+      return;
+    }
+
+    for (const [name, spec] of Object.entries(specs)) {
+      if (spec.required && !(name in settings)) {
+        error(pointer(path, name), `Missing required property: ${name}`);
+      }
+    }
+
+    for (const [name, setting] of Object.entries(settings)) {
+      const settingPath = pointer(path, name);
+      const spec = specs[name];
+
+      if (!spec) {
+        error(settingPath, `Unknown property: ${name}`);
+        continue;
+      }
+
+      this.validateSetting(setting, spec, settingPath, error);
+    }
+  }
+
+  /**
+   * Validate one {value, expression} setting
+   */
+  validateSetting(setting, spec, path, error) {
+    if (!isPlainObject(setting)) {
+      error(path, `Expected a {"value": ...} wrapper, got ${describeType(setting)}`);
+      return;
+    }
+
+    const valuePath = pointer(path, 'value');
+    const { value } = setting;
+
+    if ('expression' in setting) {
+      if (typeof setting.expression !== 'boolean') {
+        error(pointer(path, 'expression'), 'expression flag must be true or false');
+      } else if (setting.expression && !spec.expression) {
+        error(pointer(path, 'expression'), 'Property does not support expressions');
+      }
+    }
+
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) {
+        error(valuePath, 'Required property has no value');
+      }
+      return;
+    }
+
+    // Expression values are evaluated at runtime; only their shape can be checked here
+    if (setting.expression === true) {
+      if (typeof value !== 'string') {
+        error(valuePath, `Expression must be a string, got ${describeType(value)}`);
+      }
+      return;
+    }
+
+    if (!matchesType(value, spec.type)) {
+      error(valuePath, `Expected ${spec.type}, got ${describeType(value)}`);
+      return;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+      error(valuePath, `Invalid value ${JSON.stringify(value)}; expected one of: ${spec.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (spec.type === 'table') {
+      value.forEach((row, index) => {
+        this.validateSettings(row, spec.columns, pointer(valuePath, index), error);
+      });
+    } else if (spec.properties) {
+      this.validateSettings(value, spec.properties, valuePath, error);
+    }
+  }
+}
+
+/**
+ * Append a segment to a JSON pointer (RFC 6901 escaping)
+ */
+export function pointer(base, segment) {
+  return `${base}/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'table':
+      return Array.isArray(value) && value.every(isPlainObject);
+    default:
+      return true;
+  }
+}
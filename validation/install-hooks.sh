@@ -79,10 +79,38 @@ for file in $changed_slp_files; do
     fi
 done
 
+# 3. Best-practice lint rules (if Node.js and the linter are available)
+#    Rules come from .snaplogic-lint.json; only error findings (exit 1) block the commit.
+#    A linter that cannot run (exit 2: bad config, plugin or missing dependency) is reported and skipped.
+LINTER="__SNAPLOGIC_LINTER__"
+if command -v node >/dev/null 2>&1 && [ -f "$LINTER" ]; then
+    lint_output=$(node "$LINTER" $changed_slp_files 2>&1)
+    lint_status=$?
+    if [ $lint_status -eq 1 ]; then
+        echo "❌ SnapLogic lint errors:"
+        echo "$lint_output"
+        exit 1
+    elif [ $lint_status -ne 0 ]; then
+        echo "⚠ SnapLogic lint skipped (exit $lint_status):"
+        echo "$lint_output"
+    fi
+fi
+
 # Silent success for performance
 exit 0
 EOF
 
+# Point the hook at this checkout's pipeline linter
+LINTER="$SCRIPT_DIR/../mcp-tools/mcp-snaplogic-schema/lint-slp.js"
+if [[ -f "$LINTER" ]]; then
+    LINTER="$(cd "$(dirname "$LINTER")" && pwd)/lint-slp.js"
+    sed -i.bak "s|__SNAPLOGIC_LINTER__|$LINTER|" "$GIT_HOOKS_DIR/pre-commit"
+    rm -f "$GIT_HOOKS_DIR/pre-commit.bak"
+    echo "✅ Enabled pipeline lint rules"
+else
+    echo -e "${YELLOW}⚠ Pipeline linter not found - lint rules disabled${NC}"
+fi
+
 # Copy AWK validation script if it exists
 if [[ -f "$SCRIPT_DIR/validate_structure.awk" ]]; then
     cp "$SCRIPT_DIR/validate_structure.awk" "$GIT_HOOKS_DIR/"
@@ -100,6 +128,7 @@ echo ""
 echo "📝 What happens now:"
 echo "  • Pre-commit hook validates .slp files automatically"
 echo "  • Invalid files will be rejected with helpful error messages"
+echo "  • Lint rules run too; configure them in .snaplogic-lint.json"
 echo "  • Emergency override: git commit --no-verify"
 echo ""
 